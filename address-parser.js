@@ -0,0 +1,196 @@
+/**
+ * Chief Petroleum Address Parser
+ * Splits free-text customer addresses ("1310 FORD ST. COLORADO SPRINGS, CO 80915") into street, city, state and ZIP
+ */
+
+class ChiefAddressParser {
+  constructor() {
+    // Fields added to each record
+    this.recordFields = ['Street', 'City', 'State', 'ZIP', 'PO Box', 'Address Status'];
+
+    this.states = [
+      'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA',
+      'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR',
+      'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+    ];
+
+    // Spelled-out state names that show up instead of the postal code
+    this.stateNames = {
+      'COLORADO': 'CO', 'RHODE ISLAND': 'RI', 'TEXAS': 'TX', 'KANSAS': 'KS', 'NEBRASKA': 'NE', 'NEW MEXICO': 'NM',
+      'WYOMING': 'WY', 'UTAH': 'UT', 'ARIZONA': 'AZ', 'OKLAHOMA': 'OK', 'CALIFORNIA': 'CA', 'FLORIDA': 'FL'
+    };
+
+    // Words that end the street part of an address - the city follows
+    this.streetSuffixes = [
+      'ST', 'STREET', 'RD', 'ROAD', 'DR', 'DRIVE', 'AVE', 'AVENUE', 'BLVD', 'BOULEVARD', 'PKWY', 'PARKWAY', 'CIR', 'CIRCLE',
+      'LN', 'LANE', 'WAY', 'CT', 'COURT', 'TRL', 'TRAIL', 'PL', 'PLACE', 'PT', 'POINT', 'LOOP', 'TER', 'TERRACE', 'HTS',
+      'HEIGHTS', 'VIEW', 'GROVE', 'RUN', 'PATH', 'PIKE', 'SQ', 'PLZ', 'PLAZA', 'XING', 'HWY', 'HIGHWAY'
+    ];
+
+    // Unit designators - the next word is the unit ("SUITE A", "BOX AA"), not the city
+    this.unitDesignators = ['SUITE', 'STE', 'UNIT', 'APT', 'LOT', 'BLDG', 'BOX', 'BX', '#'];
+
+    // Compass directions that can trail a street ("1200 MAIN ST SW")
+    this.directions = ['N', 'S', 'E', 'W', 'NE', 'NW', 'SE', 'SW'];
+
+    // Local city spellings, longest first - used when no street suffix separates street from city
+    this.knownCities = {
+      'COLORADO SPRINGS': 'Colorado Springs',
+      'COLORADO SPGS': 'Colorado Springs',
+      'COLO SPRINGS': 'Colorado Springs',
+      'COLO SPGS': 'Colorado Springs',
+      'USAF ACADEMY': 'USAF Academy',
+      'MANITOU SPRINGS': 'Manitou Springs',
+      'PUEBLO WEST': 'Pueblo West',
+      'CANON CITY': 'Canon City',
+      'CAÑON CITY': 'Canon City',
+      'WOODLAND PARK': 'Woodland Park',
+      'CASTLE ROCK': 'Castle Rock',
+      'LAKE GEORGE': 'Lake George',
+      'FT CARSON': 'Fort Carson',
+      'FORT CARSON': 'Fort Carson',
+      'CRIPPLE CREEK': 'Cripple Creek',
+      'GREEN MOUNTAIN FALLS': 'Green Mountain Falls',
+      'GREEN MTN FALLS': 'Green Mountain Falls',
+      'BLACK FOREST': 'Black Forest',
+      'CANYON CITY': 'Canon City',
+      'COMMERCE CITY': 'Commerce City',
+      'KANSAS CITY': 'Kansas City',
+      'FLORISSANT': 'Florissant',
+      'MONUMENT': 'Monument',
+      'FOUNTAIN': 'Fountain',
+      'FALCON': 'Falcon',
+      'PEYTON': 'Peyton',
+      'PUEBLO': 'Pueblo',
+      'DENVER': 'Denver',
+      'AURORA': 'Aurora'
+    };
+  }
+
+  /**
+   * Title-case a city name ("COLORADO SPRINGS" → "Colorado Springs")
+   */
+  formatCity(city) {
+    const known = this.knownCities[city.toUpperCase()];
+    if (known) return known;
+
+    return city.toLowerCase().replace(/(^|[\s-])([a-zà-ÿ])/g, (match, separator, letter) => separator + letter.toUpperCase());
+  }
+
+  /**
+   * Parse a free-text address
+   * @param {string} address - e.g. "PO BOX 316 PUEBLO, CO 81002-0316"
+   * @returns {Object} { street, city, state, zip, poBox, status } - status is 'parsed', 'partial' or 'unparseable'
+   */
+  parse(address) {
+    const result = { street: '', city: '', state: '', zip: '', poBox: '', status: 'unparseable' };
+    let rest = String(address ?? '').trim().replace(/\s+/g, ' ');
+    if (!rest) return result;
+
+    // Purchase order references tacked onto the end ("... CO 80920 PO#190186")
+    rest = rest.replace(/\s+PO\s*#\s*\d+$/i, '');
+
+    const poBox = rest.match(/\b(?:P\.?\s*O\.?\s*(?:BOX|BX)|POST OFFICE BOX)\s*#?\s*(\d+[A-Z]?|[A-Z]{1,2})\b/i);
+    if (poBox) {
+      result.poBox = poBox[1];
+    }
+
+    // ZIP at the end; stray digits, dashes or letters typed after it are dropped
+    const zip = rest.match(/[\s,]+(\d{5})(?:-(\d{4}))?[-\d]*[a-z]*$/i);
+    if (zip) {
+      result.zip = zip[2] ? `${zip[1]}-${zip[2]}` : zip[1];
+      rest = rest.slice(0, zip.index);
+    } else {
+      // Truncated ZIP ("CO 8091") - keep the state, drop the digits
+      rest = rest.replace(/([\s,]+([A-Za-z]{2}))[\s,.]+\d{1,4}$/, (match, prefix, code) =>
+        (this.states.includes(code.toUpperCase()) ? prefix : match));
+    }
+
+    // State before the ZIP, as a postal code or spelled out
+    const state = rest.match(/[\s,]+([A-Za-z]{2})[\s,.]*$/);
+    const stateName = Object.keys(this.stateNames).find(name => new RegExp(`[\\s,]${name}[\\s,.]*$`, 'i').test(rest));
+    if (state && this.states.includes(state[1].toUpperCase())) {
+      result.state = state[1].toUpperCase();
+      rest = rest.slice(0, state.index);
+    } else if (stateName) {
+      result.state = this.stateNames[stateName];
+      rest = rest.slice(0, rest.toUpperCase().lastIndexOf(stateName));
+    }
+
+    rest = rest.replace(/[\s,]+$/, '');
+
+    // Only look for a city when the address ended in a state or ZIP
+    if (result.state || result.zip) {
+      const { street, city } = this.splitStreetAndCity(rest);
+      result.street = street;
+      result.city = city ? this.formatCity(city) : '';
+    } else {
+      result.street = rest;
+    }
+
+    result.street = this.stripAttention(result.street);
+
+    if (result.city && result.state && result.zip) {
+      result.status = 'parsed';
+    } else if (result.city || result.state || result.zip) {
+      result.status = 'partial';
+    }
+
+    return result;
+  }
+
+  /**
+   * Split "1310 FORD ST. COLORADO SPRINGS" into street and city
+   */
+  splitStreetAndCity(text) {
+    const upper = text.toUpperCase();
+
+    // A comma usually separates street and city when there is one
+    const lastComma = text.lastIndexOf(',');
+    if (lastComma !== -1) {
+      const afterComma = text.slice(lastComma + 1).trim();
+      if (afterComma && !/\d/.test(afterComma) && afterComma.split(' ').length <= 3) {
+        return { street: text.slice(0, lastComma).trim(), city: afterComma };
+      }
+    }
+
+    // Known local city at the end
+    const knownCity = Object.keys(this.knownCities)
+      .sort((a, b) => b.length - a.length)
+      .find(city => upper === city || upper.endsWith(' ' + city));
+    if (knownCity) {
+      return { street: text.slice(0, text.length - knownCity.length).trim(), city: text.slice(text.length - knownCity.length) };
+    }
+
+    // Otherwise the city starts after the last street suffix, unit or number
+    const tokens = text.split(' ');
+    let cityStart = -1;
+    tokens.forEach((token, index) => {
+      const word = token.toUpperCase().replace(/[.,]/g, '');
+      if (this.unitDesignators.includes(word)) {
+        cityStart = index + 2;
+      } else if (this.streetSuffixes.includes(word) || /\d/.test(word)) {
+        cityStart = index + 1;
+      } else if (this.directions.includes(word) && index === cityStart) {
+        cityStart = index + 1;
+      }
+    });
+
+    if (cityStart > 0 && cityStart < tokens.length && tokens.length - cityStart <= 3) {
+      return { street: tokens.slice(0, cityStart).join(' ').replace(/,$/, ''), city: tokens.slice(cityStart).join(' ') };
+    }
+
+    return { street: text, city: '' };
+  }
+
+  /**
+   * Drop contact names and "ATTN:"/"C/O" lines in front of the house number or PO box
+   */
+  stripAttention(street) {
+    const start = street.search(/\b\d|\bP\.?\s*O\.?\s*(BOX|BX)\b/i);
+    return (start > 0 ? street.slice(start) : street).replace(/^[\s,]+|[\s,]+$/g, '');
+  }
+}
+
+// Export for use in other modules
+window.ChiefAddressParser = ChiefAddressParser;
@@ -0,0 +1,247 @@
+/**
+ * Chief Petroleum Budget Manager
+ * Monthly sales and gross profit targets per GP segment, product family or customer, entered as monthly
+ * amounts or as an annual number spread evenly or by prior-year seasonality
+ */
+
+class ChiefBudgetManager {
+  constructor() {
+    this.storageKey = 'chief-dashboard-budgets';
+    this.chartScopeKey = 'chief-dashboard-budget-chart-scope';
+
+    // What a target can be set for, and the record field that places a transaction in it
+    this.dimensions = {
+      segment: { label: 'GP segment', plural: 'GP segments', field: 'ProductSegment' },
+      family: { label: 'Product family', plural: 'product families', field: 'ProductFamily' },
+      customer: { label: 'Customer', plural: 'customers', field: 'Customer' }
+    };
+
+    this.metrics = {
+      sales: { label: 'Sales', field: 'Sales' },
+      profit: { label: 'Gross profit', field: 'Actual Profit By Item' }
+    };
+
+    this.spreadMethods = {
+      seasonal: 'Prior-year seasonality',
+      even: 'Evenly'
+    };
+
+    this.budgets = this.loadBudgets();
+    this.chartScope = this.loadChartScope();
+  }
+
+  /**
+   * Load saved budgets from localStorage
+   */
+  loadBudgets() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      return Array.isArray(saved) ? saved.filter(budget => budget && Array.isArray(budget.months) && budget.months.length === 12) : [];
+    } catch (error) {
+      console.warn('⚠️ Could not read saved budgets:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save budgets to localStorage
+   */
+  saveBudgets() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.budgets));
+  }
+
+  /**
+   * Load which targets are drawn on the charts
+   * @returns {Object} { dimension, key } - key null sums every target of the dimension; dimension null hides targets
+   */
+  loadChartScope() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.chartScopeKey) || 'null');
+      if (saved && (saved.dimension === null || this.dimensions[saved.dimension])) {
+        return { dimension: saved.dimension, key: saved.key ?? null };
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not read budget chart setting:', error);
+    }
+    return { dimension: 'segment', key: null };
+  }
+
+  /**
+   * Choose which targets are drawn on the charts
+   */
+  setChartScope(dimension, key = null) {
+    if (dimension !== null && !this.dimensions[dimension]) {
+      throw new Error(`Unknown target dimension "${dimension}"`);
+    }
+    this.chartScope = { dimension, key: dimension === null ? null : key };
+    localStorage.setItem(this.chartScopeKey, JSON.stringify(this.chartScope));
+  }
+
+  /**
+   * Budgets for a year, ordered by dimension, name and metric
+   */
+  getBudgets(year = null) {
+    const dimensionOrder = Object.keys(this.dimensions);
+    return this.budgets
+      .filter(budget => year === null || budget.year === year)
+      .sort((a, b) => dimensionOrder.indexOf(a.dimension) - dimensionOrder.indexOf(b.dimension) ||
+        a.key.localeCompare(b.key) || a.metric.localeCompare(b.metric))
+      .map(budget => ({ ...budget, months: [...budget.months] }));
+  }
+
+  /**
+   * Find the budget for a year, dimension, name and metric
+   */
+  findBudget(year, dimension, key, metric) {
+    return this.budgets.find(budget => budget.year === year && budget.dimension === dimension &&
+      budget.key === key && budget.metric === metric) || null;
+  }
+
+  /**
+   * Add or replace a budget
+   * @param {Object} budget - { year, dimension, key, metric, months: [12 amounts], method }
+   * @returns {Object} The saved budget
+   */
+  saveBudget({ year, dimension, key, metric, months, method = 'monthly' }) {
+    year = Number(year);
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+      throw new Error('Enter a year between 2000 and 2100');
+    }
+    if (!this.dimensions[dimension]) {
+      throw new Error(`Unknown target dimension "${dimension}"`);
+    }
+    if (!key || !String(key).trim()) {
+      throw new Error('Enter who the target is for');
+    }
+    if (!this.metrics[metric]) {
+      throw new Error(`Unknown target metric "${metric}"`);
+    }
+    if (!Array.isArray(months) || months.length !== 12) {
+      throw new Error('A budget needs an amount for each of the 12 months');
+    }
+
+    const amounts = months.map((value, index) => {
+      const amount = value === '' || value === null || value === undefined ? 0 : Number(value);
+      if (!isFinite(amount)) {
+        throw new Error(`${new Date(2000, index, 1).toLocaleDateString('en-US', { month: 'long' })}: enter a number`);
+      }
+      return Math.round(amount * 100) / 100;
+    });
+
+    const existing = this.findBudget(year, dimension, String(key).trim(), metric);
+    const budget = {
+      id: existing ? existing.id : `budget-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      year,
+      dimension,
+      key: String(key).trim(),
+      metric,
+      months: amounts,
+      method,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.budgets = existing
+      ? this.budgets.map(entry => (entry.id === existing.id ? budget : entry))
+      : [...this.budgets, budget];
+    this.saveBudgets();
+    return budget;
+  }
+
+  /**
+   * Delete a budget
+   */
+  deleteBudget(id) {
+    this.budgets = this.budgets.filter(budget => budget.id !== id);
+    this.saveBudgets();
+  }
+
+  /**
+   * Seasonal weights for one dimension value: its monthly totals of a metric in a year
+   * The last loaded month is scaled up to a full month, and months the records don't reach at all (e.g. a year
+   * that is only half loaded) take the average covered month, so they aren't budgeted at zero
+   * @returns {number[]|null} Twelve weights, or null when the value has nothing in the year
+   */
+  getSeasonalWeights(records, dimension, key, metric, year) {
+    const { field } = this.dimensions[dimension];
+    const valueField = this.metrics[metric].field;
+    const totals = new Array(12).fill(0);
+    const covered = new Set();
+    let lastDate = null;
+
+    records.forEach(record => {
+      const date = new Date(record.Date);
+      if (isNaN(date.getTime()) || date.getFullYear() !== year) return;
+      covered.add(date.getMonth());
+      if (!lastDate || date > lastDate) lastDate = date;
+      if (record[field] !== key) return;
+
+      const value = ChiefFormulaEngine.toNumber(record[valueField]);
+      if (value !== null) totals[date.getMonth()] += value;
+    });
+
+    if (!totals.some(total => total > 0)) return null;
+
+    const daysInLastMonth = new Date(year, lastDate.getMonth() + 1, 0).getDate();
+    totals[lastDate.getMonth()] *= daysInLastMonth / lastDate.getDate();
+
+    const average = [...covered].reduce((sum, month) => sum + totals[month], 0) / covered.size;
+    return totals.map((total, month) => (covered.has(month) ? total : average));
+  }
+
+  /**
+   * Spread an annual amount over the months
+   * @param {number} annual - Annual amount
+   * @param {number[]|null} weights - Twelve prior-year monthly totals; null, or weights without a positive
+   *   total or with a negative month, spread evenly
+   * @returns {number[]} Twelve amounts in cents that add up to the annual amount
+   */
+  spreadAnnual(annual, weights = null) {
+    const usable = Array.isArray(weights) && weights.length === 12 && weights.every(weight => weight >= 0) &&
+      weights.reduce((sum, weight) => sum + weight, 0) > 0;
+    const shares = usable ? weights : new Array(12).fill(1);
+    const total = shares.reduce((sum, weight) => sum + weight, 0);
+
+    const months = shares.map(weight => Math.round((annual * weight / total) * 100) / 100);
+    // Put the rounding remainder in December so the months add up exactly
+    months[11] = Math.round((annual - months.slice(0, 11).reduce((sum, value) => sum + value, 0)) * 100) / 100;
+    return months;
+  }
+
+  /**
+   * Monthly targets drawn on the charts, summed over the budgets in the chart scope
+   * @returns {Object|null} { label, sales: Map, profit: Map } - maps are 'YYYY-MM' → amount; null when nothing is in scope
+   */
+  getChartTargets() {
+    const { dimension, key } = this.chartScope;
+    if (!dimension) return null;
+
+    const budgets = this.budgets.filter(budget => budget.dimension === dimension && (key === null || budget.key === key));
+    if (budgets.length === 0) return null;
+
+    const targets = { label: key || `All ${this.dimensions[dimension].plural}`, sales: new Map(), profit: new Map() };
+    budgets.forEach(budget => {
+      budget.months.forEach((amount, month) => {
+        const monthKey = `${budget.year}-${String(month + 1).padStart(2, '0')}`;
+        targets[budget.metric].set(monthKey, (targets[budget.metric].get(monthKey) || 0) + amount);
+      });
+    });
+    return targets;
+  }
+
+  /**
+   * Annual gross profit target of each GP segment in a year, for goal pacing
+   * @returns {Object} Segment → annual amount
+   */
+  getSegmentProfitGoals(year) {
+    const goals = {};
+    this.budgets
+      .filter(budget => budget.year === year && budget.dimension === 'segment' && budget.metric === 'profit')
+      .forEach(budget => {
+        goals[budget.key] = budget.months.reduce((sum, value) => sum + value, 0);
+      });
+    return goals;
+  }
+}
+
+// Export for use in other modules
+window.ChiefBudgetManager = ChiefBudgetManager;
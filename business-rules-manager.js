@@ -0,0 +1,482 @@
+/**
+ * Chief Petroleum Business Rules Manager
+ * Stores data validation rules as JSON and checks dataset records against them.
+ *
+ * Rule format:
+ * {
+ *   "id": "diesel-margin-per-gallon",
+ *   "name": "Diesel margin per gallon",
+ *   "severity": "high" | "medium" | "low",
+ *   "enabled": true,
+ *   "type": "required" | "check",
+ *   "fields": ["Date", "Sales"],                         // required rules: columns the dataset must have
+ *   "when": [condition, ...],                            // check rules: all must match for a row to be checked
+ *   "unless": [condition, ...],                          // any match exempts the row
+ *   "check": [condition, ...]                            // all must hold, otherwise the row violates the rule
+ * }
+ *
+ * A condition reads a column or a formula and compares it:
+ * { "field": "ProductFamily", "operator": "equals", "value": "Diesel" }
+ * { "formula": "[Actual Profit By Item] / [Gallon Qty]", "operator": "between", "value": [-0.10, 2.50] }
+ */
+
+class ChiefBusinessRulesManager {
+  constructor(formulaEngine) {
+    this.storageKey = 'chief-dashboard-business-rules';
+    this.formulaEngine = formulaEngine;
+    this.maxReportedRows = 500; // Violating rows kept per rule
+
+    this.severities = ['high', 'medium', 'low'];
+    this.types = ['required', 'check'];
+
+    // Operator → label used in violation messages
+    this.operators = {
+      equals: 'equal to',
+      notEquals: 'not equal to',
+      in: 'one of',
+      notIn: 'not one of',
+      contains: 'containing',
+      notContains: 'not containing',
+      gt: 'greater than',
+      gte: 'at least',
+      lt: 'less than',
+      lte: 'at most',
+      between: 'between',
+      empty: 'blank',
+      notEmpty: 'not blank'
+    };
+    this.numericOperators = ['gt', 'gte', 'lt', 'lte', 'between'];
+    this.listOperators = ['in', 'notIn'];
+
+    this.rules = this.loadRules();
+  }
+
+  /**
+   * Rules used until the user saves their own - the checks the dashboard has always run, plus examples
+   */
+  getDefaultRules() {
+    return [
+      {
+        id: 'required-fields',
+        name: 'Required fields',
+        severity: 'high',
+        enabled: true,
+        type: 'required',
+        fields: ['Date', 'Sales']
+      },
+      {
+        id: 'profit-matches-sales-minus-cost',
+        name: 'Sales = Cost + Profit',
+        severity: 'medium',
+        enabled: true,
+        type: 'check',
+        when: [
+          { field: 'Sales', operator: 'notEmpty' },
+          { field: 'Actual Cost by item', operator: 'notEmpty' },
+          { field: 'Actual Profit By Item', operator: 'notEmpty' }
+        ],
+        check: [
+          { formula: '[Sales] - [Actual Cost by item] - [Actual Profit By Item]', operator: 'between', value: [-0.01, 0.01] }
+        ]
+      },
+      {
+        id: 'diesel-margin-per-gallon',
+        name: 'Diesel margin per gallon',
+        severity: 'medium',
+        enabled: true,
+        type: 'check',
+        when: [{ field: 'ProductFamily', operator: 'equals', value: 'Diesel' }],
+        check: [{ formula: '[Actual Profit By Item] / [Gallon Qty]', operator: 'between', value: [-0.10, 2.50] }]
+      },
+      {
+        id: 'positive-gallons',
+        name: 'Gallons > 0 unless a credit memo',
+        severity: 'high',
+        enabled: true,
+        type: 'check',
+        unless: [
+          { field: 'Sales', operator: 'lt', value: 0 },
+          { field: 'Product Type', operator: 'contains', value: 'CREDIT' }
+        ],
+        check: [{ field: 'Gallon Qty', operator: 'gt', value: 0 }]
+      },
+      {
+        id: 'dyed-exempt-customers',
+        name: 'Dyed product only for exempt customers',
+        severity: 'high',
+        enabled: false, // Needs the exempt customer list filled in
+        type: 'check',
+        when: [{ field: 'ProductDyed', operator: 'equals', value: true }],
+        check: [{ field: 'Customer', operator: 'in', value: [] }]
+      }
+    ];
+  }
+
+  /**
+   * Load saved rules from localStorage
+   */
+  loadRules() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      return saved ? JSON.parse(saved) : this.getDefaultRules();
+    } catch (error) {
+      console.warn('⚠️ Could not read saved business rules:', error);
+      return this.getDefaultRules();
+    }
+  }
+
+  /**
+   * Save rules to localStorage
+   */
+  saveRules() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.rules));
+  }
+
+  /**
+   * Get all rules in evaluation order
+   */
+  getRules() {
+    return this.rules;
+  }
+
+  /**
+   * Validate a rule definition and fill in defaults
+   * @returns {Object} The normalized rule
+   */
+  normalizeRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error('A rule must be a JSON object');
+    }
+
+    const name = String(rule.name || '').trim();
+    if (!name) {
+      throw new Error('Rule name is required');
+    }
+
+    const id = String(rule.id || name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const type = rule.type || 'check';
+    const severity = rule.severity || 'medium';
+
+    if (!this.types.includes(type)) {
+      throw new Error(`Rule "${name}": type must be ${this.types.join(' or ')}`);
+    }
+    if (!this.severities.includes(severity)) {
+      throw new Error(`Rule "${name}": severity must be ${this.severities.join(', ')}`);
+    }
+
+    const normalized = { id, name, severity, enabled: rule.enabled !== false, type };
+
+    if (type === 'required') {
+      if (!Array.isArray(rule.fields) || rule.fields.length === 0 || rule.fields.some(field => typeof field !== 'string' || !field.trim())) {
+        throw new Error(`Rule "${name}": "fields" must list at least one column`);
+      }
+      normalized.fields = rule.fields.map(field => field.trim());
+      return normalized;
+    }
+
+    ['when', 'unless', 'check'].forEach(part => {
+      if (rule[part] === undefined) return;
+      if (!Array.isArray(rule[part])) {
+        throw new Error(`Rule "${name}": "${part}" must be a list of conditions`);
+      }
+      normalized[part] = rule[part].map((condition, index) => this.normalizeCondition(condition, `${name}" ${part} #${index + 1}`));
+    });
+
+    if (!normalized.check || normalized.check.length === 0) {
+      throw new Error(`Rule "${name}": "check" needs at least one condition`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Validate a single condition
+   */
+  normalizeCondition(condition, label) {
+    if (!condition || typeof condition !== 'object') {
+      throw new Error(`Rule "${label}: a condition must be a JSON object`);
+    }
+
+    const hasField = typeof condition.field === 'string' && condition.field.trim();
+    const hasFormula = typeof condition.formula === 'string' && condition.formula.trim();
+    if (!hasField === !hasFormula) {
+      throw new Error(`Rule "${label}: give either "field" or "formula"`);
+    }
+    if (!this.operators[condition.operator]) {
+      throw new Error(`Rule "${label}: unknown operator "${condition.operator}" (use ${Object.keys(this.operators).join(', ')})`);
+    }
+
+    const normalized = hasField
+      ? { field: condition.field.trim(), operator: condition.operator }
+      : { formula: condition.formula.trim(), operator: condition.operator };
+
+    if (hasFormula) {
+      // Syntax only - columns are checked against each dataset when the rule runs
+      try {
+        this.formulaEngine.tokenize(normalized.formula);
+      } catch (error) {
+        throw new Error(`Rule "${label}: ${error.message}`);
+      }
+    }
+
+    if (condition.operator === 'empty' || condition.operator === 'notEmpty') {
+      return normalized;
+    }
+
+    const { value } = condition;
+    if (condition.operator === 'between') {
+      if (!Array.isArray(value) || value.length !== 2 || value.some(bound => typeof bound !== 'number')) {
+        throw new Error(`Rule "${label}: "between" needs a [min, max] value`);
+      }
+    } else if (this.numericOperators.includes(condition.operator)) {
+      if (typeof value !== 'number') {
+        throw new Error(`Rule "${label}: "${condition.operator}" needs a number value`);
+      }
+    } else if (this.listOperators.includes(condition.operator)) {
+      if (!Array.isArray(value)) {
+        throw new Error(`Rule "${label}: "${condition.operator}" needs a list value`);
+      }
+    } else if (value === undefined || value === null || typeof value === 'object') {
+      throw new Error(`Rule "${label}: "${condition.operator}" needs a text, number or true/false value`);
+    }
+
+    normalized.value = value;
+    return normalized;
+  }
+
+  /**
+   * Add or replace a rule
+   * @param {Object} rule - Rule definition
+   * @param {string} originalId - Id of the rule being edited, or null for a new rule
+   */
+  saveRule(rule, originalId = null) {
+    const normalized = this.normalizeRule(rule);
+    const position = this.rules.findIndex(existing => existing.id === originalId);
+
+    if (this.rules.some((existing, index) => existing.id === normalized.id && index !== position)) {
+      throw new Error(`A rule with id "${normalized.id}" already exists`);
+    }
+
+    if (position === -1) {
+      this.rules.push(normalized);
+    } else {
+      this.rules[position] = normalized;
+    }
+    this.saveRules();
+    return normalized;
+  }
+
+  /**
+   * Remove a rule
+   */
+  removeRule(id) {
+    const before = this.rules.length;
+    this.rules = this.rules.filter(rule => rule.id !== id);
+    if (this.rules.length === before) return false;
+
+    this.saveRules();
+    console.log(`🗑️ Removed business rule "${id}"`);
+    return true;
+  }
+
+  /**
+   * Turn a rule on or off
+   */
+  setEnabled(id, enabled) {
+    const rule = this.rules.find(existing => existing.id === id);
+    if (!rule) return;
+
+    rule.enabled = !!enabled;
+    this.saveRules();
+  }
+
+  /**
+   * Replace the saved rules with the defaults
+   */
+  resetRules() {
+    this.rules = this.getDefaultRules();
+    this.saveRules();
+  }
+
+  /**
+   * Export all rules as a JSON string
+   */
+  exportRules() {
+    return JSON.stringify({
+      type: 'chief-business-rules',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      rules: this.rules
+    }, null, 2);
+  }
+
+  /**
+   * Replace all rules from an exported JSON string (or a plain list of rules)
+   * @returns {number} Number of rules imported
+   */
+  importRules(jsonText) {
+    let parsed;
+    try {
+      parsed = JSON.parse(jsonText);
+    } catch (error) {
+      throw new Error(`Rules are not valid JSON: ${error.message}`);
+    }
+
+    const rules = Array.isArray(parsed) ? parsed : parsed?.rules;
+    if (!Array.isArray(rules)) {
+      throw new Error('JSON does not contain a list of rules');
+    }
+
+    // Validate everything before replacing anything
+    const normalized = rules.map(rule => this.normalizeRule(rule));
+    const ids = normalized.map(rule => rule.id);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) {
+      throw new Error(`Two rules share the id "${duplicate}"`);
+    }
+
+    this.rules = normalized;
+    this.saveRules();
+    console.log(`📋 Imported ${normalized.length} business rules`);
+    return normalized.length;
+  }
+
+  /**
+   * Read a condition's value from a record
+   */
+  readValue(condition, record, compiled) {
+    return condition.formula ? this.formulaEngine.evaluate(compiled.get(condition.formula), record) : record[condition.field];
+  }
+
+  /**
+   * Check one condition against a value
+   */
+  conditionHolds(condition, value) {
+    const blank = value === null || value === undefined || String(value).trim() === '';
+    const text = (item) => String(item ?? '').trim().toLowerCase();
+    const same = (a, b) => {
+      const numberA = this.formulaEngine.toNumber(a);
+      const numberB = this.formulaEngine.toNumber(b);
+      return numberA !== null && numberB !== null ? numberA === numberB : text(a) === text(b);
+    };
+
+    switch (condition.operator) {
+      case 'empty': return blank;
+      case 'notEmpty': return !blank;
+      case 'equals': return same(value, condition.value);
+      case 'notEquals': return !same(value, condition.value);
+      case 'in': return condition.value.some(item => same(value, item));
+      case 'notIn': return !condition.value.some(item => same(value, item));
+      case 'contains': return text(value).includes(text(condition.value));
+      case 'notContains': return !text(value).includes(text(condition.value));
+    }
+
+    // Numeric operators - a blank or non-numeric value never satisfies them
+    const number = this.formulaEngine.toNumber(value);
+    if (number === null) return false;
+
+    switch (condition.operator) {
+      case 'gt': return number > condition.value;
+      case 'gte': return number >= condition.value;
+      case 'lt': return number < condition.value;
+      case 'lte': return number <= condition.value;
+      case 'between': return number >= condition.value[0] && number <= condition.value[1];
+    }
+    return false;
+  }
+
+  /**
+   * Describe why a row failed a check ("Gallon Qty is 0, expected greater than 0")
+   */
+  describeViolation(condition, value) {
+    const label = condition.field || condition.formula;
+    const shown = value === null || value === undefined || String(value).trim() === ''
+      ? 'blank'
+      : (typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) : String(value));
+
+    let expected = this.operators[condition.operator];
+    if (condition.operator === 'between') {
+      expected += ` ${condition.value[0]} and ${condition.value[1]}`;
+    } else if (this.listOperators.includes(condition.operator)) {
+      expected += ` ${condition.value.length > 0 ? condition.value.join(', ') : '(empty list)'}`;
+    } else if (condition.value !== undefined) {
+      expected += ` ${condition.value}`;
+    }
+
+    return `${label} is ${shown}, expected ${expected}`;
+  }
+
+  /**
+   * Check records against every enabled rule
+   * @param {Array} records - Dataset records
+   * @param {string[]} headers - Dataset columns
+   * @returns {Array} Per-rule results: { rule, status: 'passed'|'failed'|'skipped', reason, checked, violationCount,
+   *   indices (every violating record), violations: [{ row, index, message }] (the first maxReportedRows) }
+   */
+  evaluate(records, headers) {
+    // Derived fields (product catalog, address, calculated) aren't always in the headers
+    const columns = [...new Set([...headers, ...Object.keys(records[0] || {})])];
+
+    return this.rules.filter(rule => rule.enabled).map(rule => {
+      const result = { rule, status: 'passed', reason: '', checked: 0, violationCount: 0, indices: [], violations: [] };
+
+      if (rule.type === 'required') {
+        const missing = rule.fields.filter(field => !columns.includes(field));
+        result.checked = rule.fields.length;
+        if (missing.length > 0) {
+          result.status = 'failed';
+          result.violationCount = missing.length;
+          result.reason = `Missing required fields: ${missing.join(', ')}`;
+        }
+        return result;
+      }
+
+      // Compile formulas and make sure every column the rule reads exists
+      const conditions = [...(rule.when || []), ...(rule.unless || []), ...rule.check];
+      const compiled = new Map();
+      try {
+        conditions.forEach(condition => {
+          if (condition.formula) {
+            compiled.set(condition.formula, this.formulaEngine.compile(condition.formula, columns));
+          } else if (!columns.includes(condition.field)) {
+            throw new Error(`Unknown column [${condition.field}]`);
+          }
+        });
+      } catch (error) {
+        result.status = 'skipped';
+        result.reason = `Not checked - ${error.message}`;
+        return result;
+      }
+
+      const matches = (condition, record) => this.conditionHolds(condition, this.readValue(condition, record, compiled));
+
+      records.forEach((record, index) => {
+        if ((rule.when || []).some(condition => !matches(condition, record))) return;
+        if ((rule.unless || []).some(condition => matches(condition, record))) return;
+
+        result.checked++;
+        const failed = rule.check.find(condition => !matches(condition, record));
+        if (!failed) return;
+
+        result.violationCount++;
+        result.indices.push(index);
+        if (result.violations.length < this.maxReportedRows) {
+          result.violations.push({
+            index,
+            row: record['Source Row'] ?? null, // Row in the source file, kept on the record at import
+            source: record['Source File'] ?? null,
+            message: this.describeViolation(failed, this.readValue(failed, record, compiled))
+          });
+        }
+      });
+
+      if (result.violationCount > 0) {
+        result.status = 'failed';
+        result.reason = `${result.violationCount} of ${result.checked} checked rows violate this rule`;
+      }
+      return result;
+    });
+  }
+}
+
+// Export for use in other modules
+window.ChiefBusinessRulesManager = ChiefBusinessRulesManager;
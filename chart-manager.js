@@ -7,6 +7,8 @@ class ChiefChartManager {
   constructor() {
     this.charts = {};
     this.isDarkTheme = false;
+    this.targets = null; // Monthly budget targets drawn on the sales trend, cumulative and profit charts
+    this.forecast = null; // Forecast and prediction interval drawn on the sales trend chart
 
     // Chief Petroleum brand colors - Optimized for visibility
     this.colors = {
@@ -255,15 +257,27 @@ class ChiefChartManager {
   async createSalesTrendChart(data, period = 'monthly') {
     const chartData = await this.prepareSalesTrendData(data, period);
     const themeColors = this.getThemeColors();
+    const forecast = this.forecast && this.forecast.period === period ? this.forecast : null;
+
+    // Forecast periods run past the data, so the history series are padded with nulls
+    const periods = [...chartData.periods];
+    const labels = [...chartData.labels];
+    if (forecast) {
+      forecast.keys.filter(key => !periods.includes(key)).forEach(key => {
+        periods.push(key);
+        labels.push(String(this.formatPeriodLabel(key, period)));
+      });
+    }
+    const pad = (values) => periods.map((_, index) => (index < values.length ? values[index] : null));
 
     const config = {
       type: 'line',
       data: {
-        labels: chartData.labels,
+        labels,
         datasets: [
           {
             label: 'Sales Revenue',
-            data: chartData.sales,
+            data: pad(chartData.sales),
             borderColor: this.colors.primary,
             backgroundColor: this.hexToRgba(this.colors.primary, 0.1),
             borderWidth: 2, // Thinner line
@@ -277,7 +291,7 @@ class ChiefChartManager {
           },
           {
             label: 'Profit',
-            data: chartData.profit,
+            data: pad(chartData.profit),
             borderColor: this.colors.success,
             backgroundColor: this.hexToRgba(this.colors.success, 0.1),
             borderWidth: 2, // Thinner line
@@ -288,7 +302,12 @@ class ChiefChartManager {
             pointBorderWidth: 1,
             pointRadius: 3, // Smaller points
             pointHoverRadius: 5
-          }
+          },
+          ...this.createTargetDatasets(
+            periods.map(key => this.getPeriodTarget('sales', key, period)),
+            periods.map(key => this.getPeriodTarget('profit', key, period))
+          ),
+          ...this.createForecastDatasets(forecast, periods, pad(chartData.gallons))
         ]
       },
       options: {
@@ -316,6 +335,9 @@ class ChiefChartManager {
               label: function (context) {
                 const label = context.dataset.label || '';
                 const value = context.parsed.y;
+                if (context.dataset.yAxisID === 'y1') {
+                  return `${label}: ${value.toLocaleString('en-US', { maximumFractionDigits: 0 })} gal`;
+                }
                 return `${label}: $${value.toLocaleString('en-US', { minimumFractionDigits: 2 })}`;
               }
             }
@@ -348,7 +370,20 @@ class ChiefChartManager {
               color: themeColors.titleText,
               font: { size: 16, weight: 'bold' }
             }
-          }
+          },
+          ...(forecast?.metric === 'gallons' ? {
+            y1: {
+              position: 'right',
+              grid: { drawOnChartArea: false },
+              ticks: {
+                color: themeColors.axisText,
+                font: { size: 14, weight: 'bold' },
+                callback: function (value) {
+                  return value.toLocaleString() + ' gal';
+                }
+              }
+            }
+          } : {})
         },
         interaction: {
           mode: 'nearest',
@@ -525,7 +560,13 @@ class ChiefChartManager {
           borderWidth: 2,
           pointRadius: 6,
           pointHoverRadius: 8
-        }]
+        },
+        ...(profitData.targetMargin !== null && profitData.points.length > 0 ? [this.createTargetDataset(
+          `Target Margin (${(profitData.targetMargin * 100).toFixed(1)}%)`,
+          [0, Math.max(...profitData.points.map(point => point.x))].map(x => ({ x, y: x * profitData.targetMargin })),
+          this.colors.warning,
+          { showLine: true }
+        )] : [])]
       },
       options: {
         responsive: true,
@@ -552,6 +593,9 @@ class ChiefChartManager {
               },
               label: function (context) {
                 const point = context.parsed;
+                if (context.dataset.showLine) {
+                  return `${context.dataset.label}: $${point.y.toLocaleString()} on $${point.x.toLocaleString()}`;
+                }
                 const margin = point.x > 0 ? ((point.y / point.x) * 100).toFixed(1) : 0;
                 return [
                   `Sales: $${point.x.toLocaleString()}`,
@@ -599,6 +643,161 @@ class ChiefChartManager {
     return this.createChart('profit-chart', config);
   }
 
+  /**
+   * Set the budget targets drawn on the charts
+   * @param {Object|null} targets - { label, sales: Map, profit: Map } from ChiefBudgetManager.getChartTargets()
+   */
+  setTargets(targets) {
+    this.targets = targets;
+  }
+
+  /**
+   * Target for a chart period; daily and weekly periods get a day's share of their month's target
+   * @param {string} metric - 'sales' or 'profit'
+   * @param {string} periodKey - 'YYYY-MM' for monthly, 'YYYY-MM-DD' for daily and weekly (week start)
+   * @returns {number|null} Null when no day of the period has a target
+   */
+  getPeriodTarget(metric, periodKey, period) {
+    const monthly = this.targets?.[metric];
+    if (!monthly || monthly.size === 0) return null;
+    if (period !== 'daily' && period !== 'weekly') {
+      return monthly.has(periodKey) ? monthly.get(periodKey) : null;
+    }
+
+    // Daily and weekly keys come from toISOString(), so read them back in UTC
+    const start = new Date(periodKey);
+    let total = null;
+    for (let offset = 0; offset < (period === 'weekly' ? 7 : 1); offset++) {
+      const day = new Date(start.getTime() + offset * 86400000);
+      const monthKey = `${day.getUTCFullYear()}-${String(day.getUTCMonth() + 1).padStart(2, '0')}`;
+      if (!monthly.has(monthKey)) continue;
+
+      const daysInMonth = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+      total = (total || 0) + monthly.get(monthKey) / daysInMonth;
+    }
+    return total;
+  }
+
+  /**
+   * Dashed target line dataset
+   */
+  createTargetDataset(label, data, color, extra = {}) {
+    return {
+      label,
+      data,
+      borderColor: color,
+      backgroundColor: 'transparent',
+      borderWidth: 2,
+      borderDash: [6, 4],
+      fill: false,
+      tension: 0,
+      pointRadius: 0,
+      pointHoverRadius: 4,
+      ...extra
+    };
+  }
+
+  /**
+   * Sales and profit target lines for a line chart, leaving out series without any target
+   * The labels name the targets' scope (a customer, a product family...) - the actuals beside them cover the whole dataset
+   * @param {string} prefix - Label prefix, e.g. 'Cumulative '
+   * @param {Object} axisIds - { sales, profit } y axes for charts with more than one
+   */
+  createTargetDatasets(salesTargets, profitTargets, prefix = '', axisIds = {}) {
+    if (!this.targets) return [];
+
+    const scope = this.targets.label ? ` (${this.targets.label})` : '';
+    const datasets = [];
+    if (salesTargets.some(value => value !== null)) {
+      datasets.push(this.createTargetDataset(`${prefix}Sales Target${scope}`, salesTargets, this.colors.primary, axisIds.sales ? { yAxisID: axisIds.sales } : {}));
+    }
+    if (profitTargets.some(value => value !== null)) {
+      datasets.push(this.createTargetDataset(`${prefix}Profit Target${scope}`, profitTargets, this.colors.success, axisIds.profit ? { yAxisID: axisIds.profit } : {}));
+    }
+    return datasets;
+  }
+
+  /**
+   * Set the forecast drawn on the sales trend chart
+   * @param {Object|null} forecast - Result of ChiefForecastEngine.forecast(); only drawn while the chart shows its period
+   */
+  setForecast(forecast) {
+    this.forecast = forecast;
+  }
+
+  /**
+   * Forecast line with its prediction interval band for the sales trend chart
+   * The line and band start at the last period the model was fitted on, so they join the actuals.
+   * A gallons forecast brings its own gallons history line, on a second axis.
+   * @param {Object|null} forecast - Result of ChiefForecastEngine.forecast()
+   * @param {string[]} periods - Chart period keys
+   * @param {Array} gallons - Gallons per chart period
+   */
+  createForecastDatasets(forecast, periods, gallons) {
+    if (!forecast) return [];
+
+    const series = {
+      sales: { label: 'Sales', color: this.colors.primary },
+      gallons: { label: 'Gallons', color: this.colors.teal },
+      profit: { label: 'Profit', color: this.colors.success }
+    }[forecast.metric];
+    const axis = forecast.metric === 'gallons' ? { yAxisID: 'y1' } : {};
+    const align = (values) => periods.map(key => {
+      const index = forecast.keys.indexOf(key);
+      if (index !== -1) return values[index];
+      return key === forecast.anchorKey ? forecast.anchorValue : null;
+    });
+    const bound = (label, data, fill) => ({
+      label,
+      data,
+      borderColor: this.hexToRgba(series.color, 0.3),
+      backgroundColor: this.hexToRgba(series.color, 0.12),
+      borderWidth: 1,
+      fill,
+      tension: 0,
+      pointRadius: 0,
+      pointHoverRadius: 3,
+      ...axis
+    });
+
+    const datasets = [];
+    if (forecast.metric === 'gallons') {
+      datasets.push({
+        label: 'Gallons',
+        data: gallons,
+        borderColor: series.color,
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        fill: false,
+        tension: 0.4,
+        pointBackgroundColor: series.color,
+        pointRadius: 3,
+        pointHoverRadius: 5,
+        ...axis
+      });
+    }
+
+    datasets.push(
+      bound(`${series.label} Forecast Low (${forecast.level}%)`, align(forecast.lower), false),
+      bound(`${series.label} Forecast High (${forecast.level}%)`, align(forecast.upper), '-1'),
+      {
+        label: `${series.label} Forecast (${forecast.label})`,
+        data: align(forecast.values),
+        borderColor: series.color,
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        borderDash: [2, 4],
+        fill: false,
+        tension: 0,
+        pointBackgroundColor: series.color,
+        pointRadius: 3,
+        pointHoverRadius: 5,
+        ...axis
+      }
+    );
+    return datasets;
+  }
+
   /**
    * Create or update a chart
    */
@@ -646,7 +845,9 @@ class ChiefChartManager {
 
       return {
         labels: salesTrend.map(item => String(this.formatPeriodLabel(item.period, period))),
+        periods: salesTrend.map(item => item.period),
         sales: salesTrend.map(item => this.ensureNumeric(item.sales)),
+        gallons: salesTrend.map(item => this.ensureNumeric(item.gallons)),
         profit: salesTrend.map(item => this.ensureNumeric(item.profit))
       };
     } else {
@@ -655,7 +856,9 @@ class ChiefChartManager {
 
       return {
         labels: salesTrend.map(item => String(this.formatPeriodLabel(item.period, period))),
+        periods: salesTrend.map(item => item.period),
         sales: salesTrend.map(item => this.ensureNumeric(item.sales)),
+        gallons: salesTrend.map(item => this.ensureNumeric(item.gallons)),
         profit: salesTrend.map(item => this.ensureNumeric(item.profit))
       };
     }
@@ -743,7 +946,7 @@ class ChiefChartManager {
     const productMap = {};
 
     records.forEach(record => {
-      const product = record['Product Type'] || record['Product'] || 'Unknown';
+      const product = record.ProductName || record['Product Type'] || record['Product'] || 'Unknown';
       const sales = this.ensureNumeric(record['Sales']);
 
       if (!productMap[product]) {
@@ -867,6 +1070,23 @@ class ChiefChartManager {
       records = [];
     }
 
+    // Target margin over the months the records cover: gross profit target / sales target
+    let targetMargin = null;
+    if (this.targets) {
+      const months = new Set(records.map(record => {
+        const date = new Date(record['Date']);
+        return isNaN(date.getTime()) ? null : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      }));
+      let salesTarget = 0;
+      let profitTarget = 0;
+      months.forEach(month => {
+        if (!this.targets.sales.has(month) || !this.targets.profit.has(month)) return;
+        salesTarget += this.targets.sales.get(month);
+        profitTarget += this.targets.profit.get(month);
+      });
+      if (salesTarget > 0) targetMargin = profitTarget / salesTarget;
+    }
+
     // Sample transactions for scatter plot
     const points = records
       .filter(record => {
@@ -880,7 +1100,7 @@ class ChiefChartManager {
         y: this.ensureNumeric(record['Actual Profit By Item'])
       }));
 
-    return { points };
+    return { points, targetMargin };
   }
 
   /**
@@ -1014,9 +1234,11 @@ class ChiefChartManager {
     const labels = [];
     const cumulativeSales = [];
     const cumulativeProfit = [];
+    const cumulativeTargets = { sales: [], profit: [] };
 
     let runningSales = 0;
     let runningProfit = 0;
+    const runningTargets = { sales: 0, profit: 0 };
 
     salesTrend.forEach(item => {
       runningSales += item.sales || 0;
@@ -1025,9 +1247,16 @@ class ChiefChartManager {
       labels.push(this.formatPeriodLabel(item.period, 'monthly'));
       cumulativeSales.push(runningSales);
       cumulativeProfit.push(runningProfit);
+
+      // Months without a target leave a gap in the target line
+      ['sales', 'profit'].forEach(metric => {
+        const target = this.getPeriodTarget(metric, item.period, 'monthly');
+        if (target !== null) runningTargets[metric] += target;
+        cumulativeTargets[metric].push(target === null ? null : runningTargets[metric]);
+      });
     });
 
-    return { labels, cumulativeSales, cumulativeProfit };
+    return { labels, cumulativeSales, cumulativeProfit, cumulativeTargets };
   }
 
   /**
@@ -1506,7 +1735,8 @@ class ChiefChartManager {
             pointRadius: 6,
             pointHoverRadius: 8,
             yAxisID: 'y1'
-          }
+          },
+          ...this.createTargetDatasets(cumulativeData.cumulativeTargets.sales, cumulativeData.cumulativeTargets.profit, 'Cumulative ', { sales: 'y', profit: 'y1' })
         ]
       },
       options: {
@@ -0,0 +1,138 @@
+/**
+ * Chief Petroleum Cost Basis Analyzer
+ * Works out which replacement-cost column (Unleaded, Clear or Dyed) each line's actual cost was taken from,
+ * flags lines costed on the wrong basis for their product, and re-prices margins under each basis
+ */
+
+class ChiefCostBasisAnalyzer {
+  constructor() {
+    this.costField = 'Actual Cost by item';
+
+    this.bases = {
+      unleaded: { label: 'Unleaded', field: 'Unleaded cost' },
+      clear: { label: 'Clear', field: 'Clear Cost' },
+      dyed: { label: 'Dyed', field: 'Dyed Cost' }
+    };
+
+    this.tolerance = 0.01; // Dollars between actual cost and a basis column that still count as the same
+  }
+
+  /**
+   * Check whether a dataset has the actual cost and at least one basis column
+   */
+  hasCostColumns(headers = []) {
+    return headers.includes(this.costField) && Object.values(this.bases).some(basis => headers.includes(basis.field));
+  }
+
+  /**
+   * The cost basis a record's product should be costed on
+   * @returns {string|null} Basis key, or null for products with no set basis (lubricants, race fuel, ...)
+   */
+  getExpectedBasis(record) {
+    switch (record.ProductFamily) {
+      case 'Gasoline':
+        return 'unleaded';
+      case 'Diesel':
+      case 'Heating Oil':
+        return record.ProductDyed ? 'dyed' : 'clear';
+      case 'Jet Fuel':
+        return 'clear';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Work out which basis column a record's actual cost matches
+   * @returns {Object} { basis, expected, status } - basis is null when no column matches; status is 'match',
+   *   'mismatch', 'unmatched' (no column matches) or 'notAudited' (no expected basis or no cost)
+   */
+  classify(record) {
+    const actual = ChiefFormulaEngine.toNumber(record[this.costField]);
+    const expected = this.getExpectedBasis(record);
+    if (actual === null) return { basis: null, expected, status: 'notAudited' };
+
+    const matches = Object.entries(this.bases)
+      .map(([key, basis]) => ({ key, value: ChiefFormulaEngine.toNumber(record[basis.field]) }))
+      .filter(({ value }) => value !== null && Math.abs(value - actual) <= this.tolerance + 1e-9)
+      .sort((a, b) => Math.abs(a.value - actual) - Math.abs(b.value - actual));
+
+    // Clear and dyed costs are sometimes identical - either reading is fine when one is the expected basis
+    const basis = matches.some(match => match.key === expected) ? expected : matches[0]?.key ?? null;
+
+    let status = 'notAudited';
+    if (expected !== null) {
+      status = basis === null ? 'unmatched' : basis === expected ? 'match' : 'mismatch';
+    }
+    return { basis, expected, status };
+  }
+
+  /**
+   * Group key for the margin comparison
+   */
+  getGroup(record, groupBy) {
+    if (groupBy === 'customer') {
+      return record.Customer || 'Unknown customer';
+    }
+
+    const date = record.Date instanceof Date ? record.Date : new Date(record.Date);
+    return isNaN(date.getTime()) ? 'Unknown month' : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * Audit a dataset's records
+   * @param {Array} records - Dataset records
+   * @param {string} groupBy - 'customer' or 'month' for the margin comparison
+   * @returns {Object} { lines: [{ index, basis, expected, status }], counts, matrix, groups }
+   *   matrix[expected][basis] counts lines; groups hold sales, actual cost and the cost under each basis
+   */
+  analyze(records, groupBy = 'customer') {
+    const lines = [];
+    const counts = { match: 0, mismatch: 0, unmatched: 0, notAudited: 0 };
+    const matrix = {};
+    const groups = new Map();
+
+    records.forEach((record, index) => {
+      const result = this.classify(record);
+      lines.push({ index, ...result });
+      counts[result.status]++;
+
+      if (result.expected !== null) {
+        const row = matrix[result.expected] || (matrix[result.expected] = {});
+        const column = result.basis || 'none';
+        row[column] = (row[column] || 0) + 1;
+      }
+
+      const actual = ChiefFormulaEngine.toNumber(record[this.costField]);
+      const sales = ChiefFormulaEngine.toNumber(record.Sales);
+      if (actual === null || sales === null) return;
+
+      const key = this.getGroup(record, groupBy);
+      if (!groups.has(key)) {
+        groups.set(key, { key, lines: 0, mismatches: 0, sales: 0, actualCost: 0, costs: { unleaded: 0, clear: 0, dyed: 0 } });
+      }
+      const group = groups.get(key);
+      group.lines++;
+      group.sales += sales;
+      group.actualCost += actual;
+      if (result.status === 'mismatch') group.mismatches++;
+
+      // Lines without a value in a basis column keep their actual cost under that basis
+      Object.entries(this.bases).forEach(([basisKey, basis]) => {
+        const value = ChiefFormulaEngine.toNumber(record[basis.field]);
+        group.costs[basisKey] += value === null ? actual : value;
+      });
+    });
+
+    console.log(`⚖️ Cost basis audit: ${counts.match} on basis, ${counts.mismatch} on the wrong basis, ${counts.unmatched} unmatched`);
+    return {
+      lines,
+      counts,
+      matrix,
+      groups: [...groups.values()].sort((a, b) => (groupBy === 'month' ? a.key.localeCompare(b.key) : b.sales - a.sales))
+    };
+  }
+}
+
+// Export for use in other modules
+window.ChiefCostBasisAnalyzer = ChiefCostBasisAnalyzer;
@@ -0,0 +1,320 @@
+/**
+ * Chief Petroleum CSV Parser
+ * RFC 4180 CSV parsing - large files are streamed in chunks inside a Web Worker.
+ * The same file is loaded as the worker script, so the tokenizer is shared by both sides.
+ */
+
+class ChiefCSVParser {
+  constructor(options = {}) {
+    this.workerUrl = options.workerUrl || 'csv-parser.js';
+    this.chunkSize = options.chunkSize || 1024 * 1024; // Bytes read per chunk
+    this.batchSize = options.batchSize || 2000; // Rows posted back per message
+    this.worker = null;
+    this.pending = null;
+  }
+
+  /**
+   * Create an incremental RFC 4180 tokenizer.
+   * Handles quoted fields with embedded commas, quotes ("") and line breaks, CRLF/LF/CR line
+   * endings and a leading byte order mark. Fields are trimmed and blank lines are skipped.
+   * @param {Function} onRow - Called with each completed row (array of strings) and the physical line it starts on
+   *   (1-based, counting blank lines and line breaks inside quoted fields)
+   */
+  static createTokenizer(onRow) {
+    let field = '';
+    let row = [];
+    let inQuotes = false;
+    let afterQuote = false; // A quoted section just closed - a following quote is an escaped quote
+    let skipLineFeed = false; // Previous character was CR - swallow the LF of a CRLF pair
+    let started = false;
+    let line = 1; // Physical line being read
+    let rowLine = 1; // Physical line the current row started on
+    let lastWasCR = false;
+
+    const endField = () => {
+      row.push(field.trim());
+      field = '';
+    };
+
+    const endRow = () => {
+      endField();
+      if (!(row.length === 1 && row[0] === '')) {
+        onRow(row, rowLine);
+      }
+      row = [];
+      rowLine = line;
+    };
+
+    return {
+      write(text) {
+        for (let i = 0; i < text.length; i++) {
+          const char = text[i];
+
+          if (!started) {
+            started = true;
+            if (char === '\uFEFF') continue;
+          }
+
+          // Count line breaks everywhere, including inside quoted fields; CRLF is one break
+          if (char === '\n' ? !lastWasCR : char === '\r') line++;
+          lastWasCR = char === '\r';
+
+          if (skipLineFeed) {
+            skipLineFeed = false;
+            if (char === '\n') continue;
+          }
+
+          if (inQuotes) {
+            if (char === '"') {
+              inQuotes = false;
+              afterQuote = true;
+            } else {
+              field += char;
+            }
+            continue;
+          }
+
+          if (char === '"') {
+            if (afterQuote) {
+              // "" inside a quoted field
+              field += '"';
+              inQuotes = true;
+              afterQuote = false;
+            } else if (field.trim() === '') {
+              field = '';
+              inQuotes = true;
+            } else {
+              // Stray quote in an unquoted field - keep it literally
+              field += char;
+            }
+            continue;
+          }
+
+          afterQuote = false;
+
+          if (char === ',') {
+            endField();
+          } else if (char === '\n' || char === '\r') {
+            endRow();
+            skipLineFeed = char === '\r';
+          } else {
+            field += char;
+          }
+        }
+      },
+
+      end() {
+        if (inQuotes) {
+          console.warn('⚠️ CSV ended inside a quoted field - keeping the partial value');
+        }
+        if (field !== '' || row.length > 0) {
+          endRow();
+        }
+        inQuotes = false;
+        afterQuote = false;
+      }
+    };
+  }
+
+  /**
+   * Parse CSV text synchronously
+   * @param {string} text - Complete CSV text
+   * @returns {string[][]} Rows, header row first - each row's `line` is the source line it starts on
+   */
+  static parseText(text) {
+    const rows = [];
+    const tokenizer = ChiefCSVParser.createTokenizer((row, line) => {
+      row.line = line;
+      rows.push(row);
+    });
+    tokenizer.write(text);
+    tokenizer.end();
+    return rows;
+  }
+
+  /**
+   * Check whether an error came from cancelling a parse
+   */
+  static isCancelled(error) {
+    return !!error && error.name === 'AbortError';
+  }
+
+  /**
+   * Check whether the browser can run the parser worker
+   */
+  supportsWorkers() {
+    return typeof Worker !== 'undefined' && typeof TextDecoder !== 'undefined' &&
+      typeof Blob !== 'undefined' && typeof Blob.prototype.arrayBuffer === 'function';
+  }
+
+  /**
+   * Parse a CSV file off the main thread
+   * @param {File} file - CSV file
+   * @param {Object} options - { onProgress(loadedBytes, totalBytes, rowCount) }
+   * @returns {Promise<string[][]>} Rows, header row first - each row's `line` is the source line it starts on
+   */
+  parseFile(file, options = {}) {
+    // Only one parse at a time
+    this.cancel();
+
+    if (!this.supportsWorkers()) {
+      return this.parseFileOnMainThread(file, options);
+    }
+
+    let worker;
+    try {
+      worker = new Worker(this.workerUrl);
+    } catch (error) {
+      // e.g. pages opened from file:// cannot start workers
+      console.warn('⚠️ CSV parser worker unavailable, parsing on the main thread:', error.message);
+      return this.parseFileOnMainThread(file, options);
+    }
+
+    return new Promise((resolve, reject) => {
+      const rows = [];
+      this.worker = worker;
+      this.pending = { reject };
+
+      worker.onmessage = (e) => {
+        const message = e.data;
+
+        switch (message.type) {
+          case 'rows':
+            message.rows.forEach((row, index) => {
+              row.line = message.lines[index];
+              rows.push(row);
+            });
+            break;
+          case 'progress':
+            if (options.onProgress) {
+              options.onProgress(message.loaded, message.total, rows.length);
+            }
+            break;
+          case 'done':
+            this.cleanup();
+            console.log(`✅ Parsed ${rows.length} CSV rows from ${file.name}`);
+            resolve(rows);
+            break;
+          case 'error':
+            this.cleanup();
+            reject(new Error(message.message));
+            break;
+        }
+      };
+
+      worker.onerror = (e) => {
+        e.preventDefault();
+        this.cleanup();
+        reject(new Error('CSV parser worker failed: ' + (e.message || 'unknown error')));
+      };
+
+      worker.postMessage({ file, chunkSize: this.chunkSize, batchSize: this.batchSize });
+    });
+  }
+
+  /**
+   * Fallback for browsers without worker support - reads the whole file then parses it
+   */
+  parseFileOnMainThread(file, options = {}) {
+    return new Promise((resolve, reject) => {
+      const pending = { reject };
+      this.pending = pending;
+
+      file.text().then(text => {
+        // Cancelled while reading
+        if (this.pending !== pending) return;
+        this.pending = null;
+
+        const rows = ChiefCSVParser.parseText(text);
+        if (options.onProgress) {
+          options.onProgress(file.size, file.size, rows.length);
+        }
+        resolve(rows);
+      }, error => {
+        if (this.pending !== pending) return;
+        this.pending = null;
+        reject(new Error('Failed to read CSV file: ' + error.message));
+      });
+    });
+  }
+
+  /**
+   * Cancel the parse in progress
+   * @returns {boolean} True if a parse was cancelled
+   */
+  cancel() {
+    if (!this.pending) return false;
+
+    const { reject } = this.pending;
+    this.cleanup();
+
+    const error = new Error('CSV parsing cancelled');
+    error.name = 'AbortError';
+    reject(error);
+
+    console.log('🛑 CSV parsing cancelled');
+    return true;
+  }
+
+  /**
+   * Stop the worker and clear the pending parse
+   */
+  cleanup() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.pending = null;
+  }
+
+  /**
+   * Worker entry point - streams the posted file through the tokenizer
+   * @param {DedicatedWorkerGlobalScope} scope - Worker global scope
+   */
+  static runWorker(scope) {
+    scope.onmessage = async (e) => {
+      const { file, chunkSize, batchSize } = e.data;
+
+      try {
+        const decoder = new TextDecoder('utf-8');
+        let batch = [];
+        let lines = [];
+
+        const tokenizer = ChiefCSVParser.createTokenizer((row, line) => {
+          batch.push(row);
+          lines.push(line);
+          if (batch.length >= batchSize) {
+            scope.postMessage({ type: 'rows', rows: batch, lines });
+            batch = [];
+            lines = [];
+          }
+        });
+
+        for (let offset = 0; offset < file.size; offset += chunkSize) {
+          const buffer = await file.slice(offset, offset + chunkSize).arrayBuffer();
+          // stream: true keeps multi-byte characters that straddle chunks intact
+          tokenizer.write(decoder.decode(buffer, { stream: true }));
+          scope.postMessage({ type: 'progress', loaded: Math.min(offset + chunkSize, file.size), total: file.size });
+        }
+
+        tokenizer.write(decoder.decode());
+        tokenizer.end();
+
+        if (batch.length > 0) {
+          scope.postMessage({ type: 'rows', rows: batch, lines });
+        }
+        scope.postMessage({ type: 'done' });
+      } catch (error) {
+        scope.postMessage({ type: 'error', message: 'Failed to parse CSV file: ' + error.message });
+      }
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+  window.ChiefCSVParser = ChiefCSVParser;
+} else if (typeof self !== 'undefined') {
+  // Loaded as the parser worker
+  ChiefCSVParser.runWorker(self);
+}
@@ -0,0 +1,240 @@
+/**
+ * Chief Petroleum Customer Alias Manager
+ * Maps variant spellings of a customer to one canonical name and suggests likely duplicates
+ */
+
+class ChiefCustomerAliasManager {
+  constructor() {
+    this.storageKey = 'chief-dashboard-customer-aliases';
+    this.similarityThreshold = 0.9; // Minimum bigram similarity for a fuzzy suggestion
+
+    // Legal-form words and payment markers that don't distinguish accounts
+    this.ignoredWords = ['INC', 'INCORPORATED', 'LLC', 'CO', 'CORP', 'CORPORATION', 'COMPANY', 'LTD', 'LP', 'THE', 'COD'];
+
+    const saved = this.loadAliases();
+    this.aliases = saved.aliases; // lookup key → { alias, canonical }
+    this.dismissed = saved.dismissed; // Suggestion group keys the user rejected
+  }
+
+  /**
+   * Load saved aliases from localStorage
+   */
+  loadAliases() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      return {
+        aliases: saved?.aliases || {},
+        dismissed: saved?.dismissed || []
+      };
+    } catch (error) {
+      console.warn('⚠️ Could not read saved customer aliases:', error);
+      return { aliases: {}, dismissed: [] };
+    }
+  }
+
+  /**
+   * Save aliases to localStorage
+   */
+  saveAliases() {
+    localStorage.setItem(this.storageKey, JSON.stringify({ aliases: this.aliases, dismissed: this.dismissed }));
+  }
+
+  /**
+   * Key used to look a name up in the alias table - case and spacing are ignored
+   */
+  getLookupKey(name) {
+    return String(name).trim().replace(/\s+/g, ' ').toUpperCase();
+  }
+
+  /**
+   * Key used to spot likely duplicates - punctuation, "&"/"AND", legal forms and COD markers are ignored
+   */
+  getMatchKey(name) {
+    const ignored = new RegExp(`\\b(${this.ignoredWords.join('|')})\\b`, 'g');
+
+    return String(name)
+      .toUpperCase()
+      .replace(/&/g, ' AND ')
+      .replace(/[^A-Z0-9 ]/g, ' ')
+      .replace(ignored, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Resolve a customer name to its canonical name
+   */
+  resolve(name) {
+    if (name === null || name === undefined || String(name).trim() === '') return name;
+
+    const entry = this.aliases[this.getLookupKey(name)];
+    return entry ? entry.canonical : String(name).trim();
+  }
+
+  /**
+   * Get all aliases sorted by canonical name
+   * @returns {Array} [{ alias, canonical }]
+   */
+  getAliases() {
+    return Object.values(this.aliases)
+      .sort((a, b) => a.canonical.localeCompare(b.canonical) || a.alias.localeCompare(b.alias));
+  }
+
+  /**
+   * Merge customer names into one canonical name
+   * @param {string[]} names - Variant names
+   * @param {string} canonical - Name every variant should be reported as
+   * @returns {number} Number of aliases added
+   */
+  mergeCustomers(names, canonical) {
+    const target = this.resolve(canonical);
+    const targetKey = this.getLookupKey(target);
+    let added = 0;
+
+    names.forEach(name => {
+      const key = this.getLookupKey(name);
+      if (!key || key === targetKey) return;
+
+      // Aliases that pointed at this name follow it to the new canonical name
+      Object.values(this.aliases).forEach(entry => {
+        if (this.getLookupKey(entry.canonical) === key) {
+          entry.canonical = target;
+        }
+      });
+
+      this.aliases[key] = { alias: String(name).trim(), canonical: target };
+      added++;
+    });
+
+    // The canonical name itself must not stay an alias
+    delete this.aliases[targetKey];
+
+    this.saveAliases();
+    console.log(`👥 Merged ${added} customer name(s) into "${target}"`);
+    return added;
+  }
+
+  /**
+   * Remove an alias so the name is reported as itself again
+   */
+  removeAlias(alias) {
+    const key = this.getLookupKey(alias);
+    if (!this.aliases[key]) return false;
+
+    delete this.aliases[key];
+    this.saveAliases();
+    console.log(`🗑️ Removed customer alias "${alias}"`);
+    return true;
+  }
+
+  /**
+   * Key identifying a suggestion group, so dismissed groups stay dismissed
+   */
+  getGroupKey(names) {
+    return names.map(name => this.getLookupKey(name)).sort().join('|');
+  }
+
+  /**
+   * Stop suggesting a group of names
+   */
+  dismissSuggestion(names) {
+    const groupKey = this.getGroupKey(names);
+    if (!this.dismissed.includes(groupKey)) {
+      this.dismissed.push(groupKey);
+      this.saveAliases();
+    }
+  }
+
+  /**
+   * Dice coefficient of two strings' character bigrams (0-1)
+   */
+  getSimilarity(a, b) {
+    if (a === b) return 1;
+
+    const bigrams = (text) => {
+      const counts = new Map();
+      const compact = text.replace(/ /g, '');
+      for (let i = 0; i < compact.length - 1; i++) {
+        const bigram = compact.slice(i, i + 2);
+        counts.set(bigram, (counts.get(bigram) || 0) + 1);
+      }
+      return counts;
+    };
+
+    const aBigrams = bigrams(a);
+    const bBigrams = bigrams(b);
+    let total = 0;
+    let shared = 0;
+
+    aBigrams.forEach(count => { total += count; });
+    bBigrams.forEach((count, bigram) => {
+      total += count;
+      shared += Math.min(count, aBigrams.get(bigram) || 0);
+    });
+
+    return total === 0 ? 0 : (2 * shared) / total;
+  }
+
+  /**
+   * Suggest groups of names that are probably the same customer
+   * @param {Map<string, number>} nameCounts - Customer name → record count
+   * @returns {Array} [{ names, canonical, similarity }] - names sorted by record count, most used first
+   */
+  findSuggestions(nameCounts) {
+    // Names sharing a match key are the same customer; fuzzy matching then links keys
+    const namesByKey = new Map();
+    nameCounts.forEach((count, name) => {
+      const key = this.getMatchKey(name);
+      if (!key) return;
+      if (!namesByKey.has(key)) namesByKey.set(key, []);
+      namesByKey.get(key).push(name);
+    });
+
+    const keys = [...namesByKey.keys()];
+    const parent = keys.map((_, index) => index);
+    const similarity = keys.map(() => 1);
+    const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+    for (let i = 0; i < keys.length; i++) {
+      for (let j = i + 1; j < keys.length; j++) {
+        // Cheap length check first - very different lengths can't reach the threshold
+        const shorter = Math.min(keys[i].length, keys[j].length);
+        const longer = Math.max(keys[i].length, keys[j].length);
+        if (shorter / longer < this.similarityThreshold - 0.15) continue;
+
+        const score = this.getSimilarity(keys[i], keys[j]);
+        if (score >= this.similarityThreshold) {
+          const rootI = find(i);
+          const rootJ = find(j);
+          parent[rootJ] = rootI;
+          similarity[rootI] = Math.min(similarity[rootI], similarity[rootJ], score);
+        }
+      }
+    }
+
+    const groups = new Map();
+    keys.forEach((key, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(...namesByKey.get(key));
+    });
+
+    const suggestions = [];
+    groups.forEach((names, root) => {
+      if (names.length < 2) return;
+
+      // Already merged into one canonical name
+      if (new Set(names.map(name => this.resolve(name))).size < 2) return;
+      if (this.dismissed.includes(this.getGroupKey(names))) return;
+
+      names.sort((a, b) => (nameCounts.get(b) || 0) - (nameCounts.get(a) || 0) || a.localeCompare(b));
+      suggestions.push({ names, canonical: this.resolve(names[0]), similarity: similarity[root] });
+    });
+
+    console.log(`👥 Found ${suggestions.length} possible duplicate customer group(s)`);
+    return suggestions.sort((a, b) => b.similarity - a.similarity);
+  }
+}
+
+// Export for use in other modules
+window.ChiefCustomerAliasManager = ChiefCustomerAliasManager;
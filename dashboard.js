@@ -7,6 +7,13 @@ class ChiefDashboard {
   constructor() {
     this.chartManager = null;
     this.themeManager = null;
+    this.storageManager = null;
+    this.csvParser = null;
+    this.datasetMerger = null;
+    this.gpImporter = null;
+    this.gpPacingAnalyzer = null;
+    this.gpReconciler = null;
+    this.gpExporter = null;
     this.currentData = null;
     this.currentPeriod = 'monthly';
     this.isLoading = false;
@@ -15,13 +22,33 @@ class ChiefDashboard {
     this.uploadedRecapDatasets = {}; // Store multiple uploaded recap datasets
     this.currentRecapData = null; // Track current active recap dataset
     this.currentRecapDataset = null; // Track current active recap dataset name
+    this.uploadedGPDatasets = {}; // Store uploaded GP (goal vs. actual) datasets
+    this.gpSelectedSegments = null; // Segments shown in the GP charts (null = default)
+    this.gpPacingAlerted = new Set(); // Behind-pace alerts already shown (segment|as-of date)
+    this.dataQualityResults = {}; // Dataset name → latest data quality check
+    this.tableFocus = null; // Records behind a data quality issue, shown in the transactions table
+    this.kpiBaseline = { mode: 'previous', from: '', to: '' }; // Period the KPI changes compare against
+    this.outlierStatusFilter = 'open'; // Outlier review list filter: 'open', 'accepted', 'ignored' or 'all'
+    this.forecastSettings = { method: '', metric: 'sales', horizon: 6, level: 80 }; // Trend chart forecast ('' = none)
 
     // Enhanced upload system
     this.selectedFiles = []; // Store selected files for processing
     this.columnMappings = {}; // Store column mappings
-    this.mappingTemplates = {}; // Store saved mapping templates
+    this.mappingTemplates = null; // Saved column mapping templates
+    this.customerAliases = null; // Customer name alias table
+    this.productCatalog = null; // Raw product string → catalog entry
+    this.addressParser = null; // Customer-Address → street, city, state, ZIP
+    this.formulaEngine = null; // Calculated field formulas
+    this.businessRules = null; // Data validation rules
+    this.outlierDetector = null; // Segment-aware outlier checks
+    this.duplicateDetector = null; // Exact and near-duplicate transactions
+    this.costBasisAnalyzer = null; // Unleaded/Clear/Dyed replacement-cost audit
+    this.kpiDeck = null; // KPI cards picked from the catalog
+    this.budgetManager = null; // Sales and gross profit targets by segment, family or customer
+    this.forecastEngine = null; // Sales, gallons and profit forecasts for the trend chart
     this.pendingUpload = null; // Store pending upload data
     this.isRecapUpload = false; // Flag to track if current upload is recap data
+    this.dateFormatOverride = null; // Date format picked by hand in the mapping modal
     this.recapDatasetName = null; // Store recap dataset name
 
     this.init();
@@ -43,9 +70,70 @@ class ChiefDashboard {
       // Store reference for theme manager to access
       window.chartManager = this.chartManager;
 
+      // Persistent dataset storage (IndexedDB)
+      this.storageManager = new ChiefStorageManager();
+
+      // Streaming CSV parser (Web Worker)
+      this.csvParser = new ChiefCSVParser();
+
+      // Append uploads into existing datasets
+      this.datasetMerger = new ChiefDatasetMerger();
+
+      // GP goal vs. actual files
+      this.gpImporter = new ChiefGPImporter();
+
+      // GP goal pacing and year-end projection
+      this.gpPacingAnalyzer = new ChiefGPPacingAnalyzer();
+
+      // GP actuals rebuilt from transactions, reconciled with QuickBooks
+      this.gpReconciler = new ChiefGPReconciler();
+
+      // GP progress written in the GP file layout
+      this.gpExporter = new ChiefGPExporter(this.gpReconciler);
+
+      // Saved column mapping templates (localStorage)
+      this.mappingTemplates = new ChiefMappingTemplateManager();
+
+      // Customer name aliases (localStorage)
+      this.customerAliases = new ChiefCustomerAliasManager();
+
+      // Product catalog (localStorage)
+      this.productCatalog = new ChiefProductCatalogManager();
+
+      // Customer address parsing
+      this.addressParser = new ChiefAddressParser();
+
+      // Calculated field formulas
+      this.formulaEngine = new ChiefFormulaEngine();
+
+      // Business rules for data validation (localStorage)
+      this.businessRules = new ChiefBusinessRulesManager(this.formulaEngine);
+
+      // Segment-aware outlier detection (settings in localStorage)
+      this.outlierDetector = new ChiefOutlierDetector();
+
+      // Duplicate transaction detection (tolerance in localStorage)
+      this.duplicateDetector = new ChiefDuplicateDetector(this.datasetMerger);
+
+      // Replacement-cost basis audit
+      this.costBasisAnalyzer = new ChiefCostBasisAnalyzer();
+
+      // KPI card deck (localStorage)
+      this.kpiDeck = new ChiefKPIDeckManager();
+      this.renderKPICards();
+
+      // Budget targets (localStorage)
+      this.budgetManager = new ChiefBudgetManager();
+
+      // Trend chart forecasts
+      this.forecastEngine = new ChiefForecastEngine();
+
       // Set up event listeners
       this.setupEventListeners();
 
+      // Restore datasets saved in previous sessions
+      await this.restoreStoredDatasets();
+
       // Load initial data
       await this.loadDashboardData();
 
@@ -157,6 +245,17 @@ class ChiefDashboard {
       this.handleEnhancedCSVUpload();
     });
 
+    // Upload mode: create a new dataset or append to an existing one
+    const uploadMode = document.getElementById('upload-mode');
+    if (uploadMode) {
+      uploadMode.addEventListener('change', () => this.updateUploadModeControls());
+    }
+
+    const appendTarget = document.getElementById('append-target-dataset');
+    if (appendTarget) {
+      appendTarget.addEventListener('change', () => this.updateAppendKeyOptions());
+    }
+
     // Recap CSV upload event listeners
     document.getElementById('upload-recap-csv').addEventListener('click', () => {
       this.handleRecapCSVUpload();
@@ -172,11 +271,57 @@ class ChiefDashboard {
       this.switchRecapDataset(e.target.value);
     });
 
+    // Stored dataset management (rename/delete, import report)
+    const datasetActions = [
+      { id: 'import-report-btn', handler: () => this.showActiveImportReport() },
+      { id: 'customer-aliases-btn', handler: () => this.showCustomerAliasManager() },
+      { id: 'calculated-fields-btn', handler: () => this.showCalculatedFields() },
+      { id: 'business-rules-btn', handler: () => this.showBusinessRules() },
+      { id: 'duplicates-btn', handler: () => this.showDuplicates() },
+      { id: 'cost-basis-btn', handler: () => this.showCostBasisAudit() },
+      { id: 'date-format-dataset-btn', handler: () => this.showDatasetDateFormat('transaction') },
+      { id: 'rename-dataset-btn', handler: () => this.renameActiveDataset('transaction') },
+      { id: 'delete-dataset-btn', handler: () => this.deleteActiveDataset('transaction') },
+      { id: 'date-format-recap-dataset-btn', handler: () => this.showDatasetDateFormat('recap') },
+      { id: 'rename-recap-dataset-btn', handler: () => this.renameActiveDataset('recap') },
+      { id: 'delete-recap-dataset-btn', handler: () => this.deleteActiveDataset('recap') }
+    ];
+    datasetActions.forEach(({ id, handler }) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', handler);
+      }
+    });
+
+    // Data quality section
+    const qualitySelect = document.getElementById('quality-dataset-select');
+    if (qualitySelect) {
+      qualitySelect.addEventListener('change', (e) => this.updateDataQuality(e.target.value));
+    }
+
+    const qualityActions = [
+      { id: 'refresh-quality-btn', handler: () => this.updateDataQuality(qualitySelect?.value || this.currentDataset) },
+      { id: 'outlier-settings-btn', handler: () => this.showOutlierSettings() },
+      { id: 'print-quality-btn', handler: () => this.printDataQualityReport() },
+      { id: 'clear-table-focus-btn', handler: () => this.clearTableFocus() }
+    ];
+    qualityActions.forEach(({ id, handler }) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', handler);
+      }
+    });
+
     // Product filter event listener
     document.getElementById('product-filter').addEventListener('change', (e) => {
       this.updateProductChart(e.target.value);
     });
 
+    const productCatalogBtn = document.getElementById('product-catalog-btn');
+    if (productCatalogBtn) {
+      productCatalogBtn.addEventListener('click', () => this.showProductCatalog());
+    }
+
     // Sales period dropdown event listener
     document.getElementById('sales-period').addEventListener('change', async (e) => {
       this.currentPeriod = e.target.value;
@@ -203,6 +348,35 @@ class ChiefDashboard {
       });
     }
 
+    // KPI comparison baseline
+    const baselineSelect = document.getElementById('kpi-baseline-select');
+    if (baselineSelect) {
+      baselineSelect.addEventListener('change', (e) => {
+        this.kpiBaseline.mode = e.target.value;
+        document.getElementById('kpi-baseline-custom').style.display = e.target.value === 'custom' ? 'inline-flex' : 'none';
+        this.updateKPIs();
+      });
+    }
+
+    document.getElementById('kpi-deck-btn')?.addEventListener('click', () => this.showKPIDeck());
+    document.getElementById('budget-editor-btn')?.addEventListener('click', () => this.showBudgetEditor());
+
+    // Forecast controls on the sales trend chart
+    [['forecast-method', 'method'], ['forecast-metric', 'metric'], ['forecast-horizon', 'horizon'], ['forecast-level', 'level']].forEach(([id, setting]) => {
+      document.getElementById(id)?.addEventListener('change', async (e) => {
+        this.forecastSettings[setting] = setting === 'horizon' || setting === 'level' ? Number(e.target.value) : e.target.value;
+        await this.updateSalesTrendChart();
+      });
+    });
+    document.getElementById('forecast-backtest-btn')?.addEventListener('click', () => this.showForecastBacktest());
+
+    ['kpi-baseline-from', 'kpi-baseline-to'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', (e) => {
+        this.kpiBaseline[id === 'kpi-baseline-from' ? 'from' : 'to'] = e.target.value;
+        this.updateKPIs();
+      });
+    });
+
     // Navigation dropdown event listeners
     this.setupNavigationDropdown();
 
@@ -303,6 +477,17 @@ class ChiefDashboard {
       });
     }
 
+    document.getElementById('gp-reconcile-btn')?.addEventListener('click', () => this.showGPReconciliation());
+    document.getElementById('gp-export-btn')?.addEventListener('click', () => this.showGPExport());
+
+    // GP pacing: needed amount per day or per week
+    const gpPacingUnit = document.getElementById('gp-pacing-unit');
+    if (gpPacingUnit) {
+      gpPacingUnit.addEventListener('change', () => {
+        this.updateGPPacing(this.getGPPoints());
+      });
+    }
+
     // Filter help panel
     const filterHelpBtn = document.getElementById('filter-help-btn');
     const filterHelpPanel = document.getElementById('filter-help-panel');
@@ -352,6 +537,8 @@ class ChiefDashboard {
         this.updateDataTable();
         this.updateLastUpdated();
         this.updateDatasetSwitcher(latestDataset);
+        this.updateDataExplorer();
+        this.populateFilterDropdowns();
         this.updateRecapDataRange();
         this.setDefaultRecapDateWithData();
       } else {
@@ -360,6 +547,9 @@ class ChiefDashboard {
         this.showEmptyState();
       }
 
+      // GP charts come from their own uploads, independent of the active dataset
+      this.loadGPCharts();
+
       console.log('✅ Dashboard initialized successfully');
 
     } catch (error) {
@@ -368,6 +558,68 @@ class ChiefDashboard {
     }
   }
 
+  /**
+   * Restore datasets saved in IndexedDB by previous sessions
+   */
+  async restoreStoredDatasets() {
+    if (!this.storageManager || !this.storageManager.isAvailable()) {
+      console.warn('⚠️ IndexedDB not available - uploaded datasets will not persist across reloads');
+      return;
+    }
+
+    try {
+      const stored = await this.storageManager.loadAllDatasets();
+
+      Object.assign(this.uploadedDatasets, stored.transaction || {});
+      Object.assign(this.uploadedRecapDatasets, stored.recap || {});
+
+      // Pick up alias and catalog changes made since the datasets were saved, and parse addresses saved before the parser existed
+      this.updateAllRecords(record => {
+        const customerChanged = this.applyCustomerAlias(record);
+        const productChanged = this.applyProductCatalog(record);
+        const addressChanged = this.applyAddressFields(record);
+        return customerChanged || productChanged || addressChanged;
+      });
+      Object.assign(this.uploadedGPDatasets, stored.gp || {});
+
+      // Re-activate the most recently uploaded recap dataset
+      const recapNames = Object.keys(this.uploadedRecapDatasets);
+      if (recapNames.length > 0) {
+        const latestRecap = recapNames[recapNames.length - 1];
+        this.currentRecapData = this.uploadedRecapDatasets[latestRecap];
+        this.currentRecapDataset = latestRecap;
+        this.updateRecapDatasetSwitcher(latestRecap);
+      }
+
+      const restoredCount = Object.keys(this.uploadedDatasets).length + recapNames.length +
+        Object.keys(this.uploadedGPDatasets).length;
+      if (restoredCount > 0) {
+        console.log(`💾 Restored ${restoredCount} stored dataset(s)`);
+      }
+
+    } catch (error) {
+      console.error('❌ Error restoring stored datasets:', error);
+      this.showNotification('Could not restore saved datasets: ' + error.message, 'warning');
+    }
+  }
+
+  /**
+   * Save a dataset to IndexedDB without interrupting the upload flow
+   * @param {string} datasetName - Dataset name
+   * @param {Object} dataset - Processed dataset
+   * @param {string} kind - Dataset kind: 'transaction', 'recap' or 'gp'
+   */
+  async persistDataset(datasetName, dataset, kind = 'transaction') {
+    if (!this.storageManager || !this.storageManager.isAvailable()) return;
+
+    try {
+      await this.storageManager.saveDataset(datasetName, dataset, kind);
+    } catch (error) {
+      console.error('❌ Error saving dataset to storage:', error);
+      this.showNotification(`Dataset "${datasetName}" loaded but could not be saved for next session: ${error.message}`, 'warning');
+    }
+  }
+
   /**
    * Show empty state when no data is uploaded
    */
@@ -444,2140 +696,5428 @@ class ChiefDashboard {
     try {
       // Use filtered data if date filter is active
       const dataToUse = this.getFilteredData() || this.currentData;
-      const summary = dataToUse?.summary;
 
-      if (!summary) {
-        console.warn('⚠️ No summary data available for KPI update');
+      if (!dataToUse?.records) {
+        console.warn('⚠️ No records available for KPI update');
         return;
       }
 
-      // Update KPI values with null checks
-      this.updateKPI('total-sales', summary.totalSales || 0, 'currency');
-      this.updateKPI('total-gallons', summary.totalGallons || 0, 'number');
-      this.updateKPI('profit-margin', summary.avgProfitMargin || 0, 'percent');
-      this.updateKPI('active-customers', summary.activeCustomers || 0, 'number');
+      const values = this.kpiDeck.calculateMetrics(
+        dataToUse.records,
+        this.kpiDeck.getFirstPurchaseDates(this.currentData.records),
+        this.getKPIWindow()
+      );
+
+      this.kpiDeck.getCards().forEach(card => {
+        const { format } = this.kpiDeck.catalog[card.metric];
+        this.updateKPI(this.kpiDeck.getElementIds(card.metric).value, values[card.metric], format);
+        this.updateKPIStatus(card, values[card.metric]);
+      });
 
     } catch (error) {
       console.error('❌ Error updating KPIs:', error);
       this.showNotification('Error updating dashboard metrics', 'error');
     }
 
-    // Update change indicators (you could calculate vs previous period)
-    this.updateKPIChange('sales-change', 0); // Placeholder - implement trend calculation
-    this.updateKPIChange('gallons-change', 0);
-    this.updateKPIChange('margin-change', 0);
-    this.updateKPIChange('customers-change', 0);
+    // Update change indicators against the selected baseline period
+    this.updateKPIChanges();
   }
 
   /**
-   * Update individual KPI
+   * Build the KPI cards on the user's deck
    */
-  updateKPI(elementId, value, format) {
-    const element = document.getElementById(elementId);
-    if (!element) return;
-
-    let formattedValue;
-
-    switch (format) {
-      case 'currency':
-        formattedValue = new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD',
-          minimumFractionDigits: 0,
-          maximumFractionDigits: 0
-        }).format(value || 0);
-        break;
-      case 'percent':
-        formattedValue = (value || 0).toFixed(1) + '%';
-        break;
-      case 'number':
-        formattedValue = new Intl.NumberFormat('en-US').format(value || 0);
-        break;
-      default:
-        formattedValue = value || 0;
-    }
+  renderKPICards() {
+    const grid = document.getElementById('kpi-grid');
+    if (!grid || !this.kpiDeck) return;
 
-    element.textContent = formattedValue;
-
-    // Add animation effect
-    element.style.transform = 'scale(1.05)';
-    setTimeout(() => {
-      element.style.transform = 'scale(1)';
-    }, 200);
+    grid.innerHTML = this.kpiDeck.getCards().map(card => {
+      const { label, icon, format } = this.kpiDeck.catalog[card.metric];
+      const ids = this.kpiDeck.getElementIds(card.metric);
+      return `
+        <div class="kpi-card" data-metric="${card.metric}">
+          <div class="kpi-icon">
+            <i class="fas ${icon}"></i>
+          </div>
+          <div class="kpi-content">
+            <h3>${label}</h3>
+            <div class="kpi-value" id="${ids.value}">${this.formatKPIValue(0, format)}</div>
+            <div class="kpi-change" id="${ids.change}">n/a</div>
+            <div class="kpi-target"></div>
+          </div>
+        </div>
+      `;
+    }).join('');
   }
 
   /**
-   * Update KPI change indicator
+   * Colour a KPI card by its target and red threshold and show the target under the value
    */
-  updateKPIChange(elementId, changePercent) {
-    const element = document.getElementById(elementId);
+  updateKPIStatus(card, value) {
+    const element = document.querySelector(`.kpi-card[data-metric="${card.metric}"]`);
     if (!element) return;
 
-    const isPositive = changePercent >= 0;
-    const formattedChange = (changePercent >= 0 ? '+' : '') + changePercent.toFixed(1) + '%';
+    const { format, better } = this.kpiDeck.catalog[card.metric];
+    const status = this.kpiDeck.getStatus(card, value);
+    element.classList.remove('kpi-status-green', 'kpi-status-amber', 'kpi-status-red');
+    if (status) {
+      element.classList.add(`kpi-status-${status}`);
+    }
 
-    element.textContent = formattedChange;
-    element.className = 'kpi-change ' + (isPositive ? 'positive' : 'negative');
+    const target = element.querySelector('.kpi-target');
+    if (target) {
+      target.textContent = card.target === null ? '' : [
+        `Target ${this.formatKPIValue(card.target, format)}`,
+        card.redThreshold !== null ? `red ${better === 'higher' ? 'below' : 'above'} ${this.formatKPIValue(card.redThreshold, format)}` : ''
+      ].filter(Boolean).join(' · ');
+    }
   }
 
   /**
-   * Update all charts based on current sheet
+   * Show the KPI deck editor: add, remove and reorder cards and set their targets
    */
-  async updateCharts() {
-    if (!this.currentData || !this.chartManager) {
-      console.warn('⚠️ Cannot update charts: missing data or chart manager');
-      return;
-    }
-
-    try {
-      console.log('📈 Updating charts...');
+  showKPIDeck() {
+    const deck = this.kpiDeck;
+    const cards = deck.getCards();
+    const available = deck.getAvailableMetrics();
 
-      // Determine data source and use appropriate service
-      // Create charts using CSV data only
-      if (this.currentData && this.currentData.records) {
-        console.log('📊 Using CSV data for charts');
-        await this.chartManager.createSalesTrendChart(this.currentData, this.currentPeriod);
-        this.chartManager.createCustomerChart(this.currentData);
-        this.chartManager.createProfitChart(this.currentData);
-      } else {
-        console.log('📊 No data available for charts');
-      }
+    const rows = cards.map((card, index) => {
+      const { label, better } = deck.catalog[card.metric];
+      return `
+        <tr>
+          <td>${label}</td>
+          <td>${better === 'higher' ? 'Higher' : 'Lower'}</td>
+          <td><input type="number" step="any" class="kpi-deck-input kpi-deck-target" data-index="${index}" value="${card.target ?? ''}" placeholder="None"></td>
+          <td><input type="number" step="any" class="kpi-deck-input kpi-deck-red" data-index="${index}" value="${card.redThreshold ?? ''}" placeholder="None"></td>
+          <td class="kpi-deck-actions">
+            <button class="dataset-action-btn kpi-deck-move" data-index="${index}" data-offset="-1" title="Move earlier" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+            <button class="dataset-action-btn kpi-deck-move" data-index="${index}" data-offset="1" title="Move later" ${index === cards.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+            <button class="dataset-action-btn kpi-deck-remove" data-index="${index}" title="Remove this card" ${cards.length === 1 ? 'disabled' : ''}><i class="fas fa-trash"></i></button>
+          </td>
+        </tr>
+      `;
+    }).join('');
 
-      // Update product chart with current filter
-      const productFilter = document.getElementById('product-filter')?.value || 'all';
-      this.updateProductChart(productFilter);
+    const content = `
+      <div class="kpi-deck">
+        <p class="import-report-note">
+          Cards are green when they meet their target, red past the red threshold and amber in between.
+          Percentages are entered as numbers (16.5 for 16.5%). Your cards are saved in this browser.
+        </p>
+        <table class="data-table">
+          <thead><tr><th>Card</th><th>Better</th><th>Target</th><th>Red threshold</th><th></th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <button id="save-kpi-thresholds" class="template-btn"><i class="fas fa-save"></i> Save Targets</button>
+
+        <h4>Add a card</h4>
+        ${available.length > 0 ? `
+          <select id="kpi-deck-add-select" class="dataset-select">
+            ${available.map(metric => `<option value="${metric}">${deck.catalog[metric].label}</option>`).join('')}
+          </select>
+          <button id="kpi-deck-add" class="template-btn"><i class="fas fa-plus"></i> Add Card</button>
+        ` : '<p class="import-report-note">Every KPI in the catalog is on the dashboard.</p>'}
+
+        <h4>Defaults</h4>
+        <button id="kpi-deck-reset" class="template-btn"><i class="fas fa-undo"></i> Restore the Original Four Cards</button>
+      </div>
+    `;
 
-      // Force chart resize after creation
-      setTimeout(() => {
-        if (this.chartManager) {
-          this.chartManager.resizeAllCharts();
-        }
-      }, 100);
+    this.showModal('<i class="fas fa-th-large"></i> KPI Cards', content);
 
-      // Show CSV charts if data is available
-      if (this.currentData && this.currentData.records) {
-        await this.showCSVCharts();
+    // Apply a deck change, rebuild the cards and re-open the editor - false when the change was refused
+    const change = (action) => {
+      try {
+        action();
+      } catch (error) {
+        this.showNotification(error.message, 'error');
+        return false;
       }
+      this.renderKPICards();
+      this.updateKPIs();
+      this.showKPIDeck();
+      return true;
+    };
 
-    } catch (error) {
-      console.error('❌ Error updating charts:', error);
-      this.showNotification(`Failed to update charts: ${error.message}`, 'error');
-    }
-  }
-
-  /**
-   * Show charts for CSV data
-   */
-  async showCSVCharts() {
-    // Show cumulative performance
-    this.showChartContainer('cumulative-container');
-    this.chartManager.createCumulativeChart(this.currentData);
-
-    // Show customer retention analysis
-    this.showChartContainer('customer-retention-container');
-    await this.createCustomerRetentionChart();
+    document.querySelectorAll('.kpi-deck-move').forEach(button => {
+      button.addEventListener('click', () => change(() => deck.moveCard(Number(button.dataset.index), Number(button.dataset.offset))));
+    });
 
-    // Show other relevant charts based on data content
-    const datasetName = this.currentData.datasetName || '';
+    document.querySelectorAll('.kpi-deck-remove').forEach(button => {
+      button.addEventListener('click', () => change(() => deck.removeCard(Number(button.dataset.index))));
+    });
 
-    if (datasetName.toLowerCase().includes('recap')) {
-      await this.showSummaryCharts();
-    } else if (datasetName.includes('2024') || datasetName.includes('2025')) {
-      // Try to show yearly charts if we have both years
-      await this.showYearlyCharts(datasetName);
-    }
-  }
+    document.getElementById('kpi-deck-add')?.addEventListener('click', () => {
+      change(() => deck.addCard(document.getElementById('kpi-deck-add-select').value));
+    });
 
-  /**
-   * Hide all advanced chart containers and destroy charts for performance
-   */
-  hideAllAdvancedCharts() {
-    const advancedCharts = [
-      'year-comparison-container',
-      'growth-rate-container',
-      'cumulative-container',
-      'historical-trend-container',
-      'seasonal-pattern-container',
-      'customer-retention-container'
-    ];
+    document.getElementById('kpi-deck-reset')?.addEventListener('click', () => change(() => deck.resetDeck()));
 
-    advancedCharts.forEach(chartId => {
-      const container = document.getElementById(chartId);
-      if (container) {
-        container.style.display = 'none';
+    document.getElementById('save-kpi-thresholds')?.addEventListener('click', () => {
+      const thresholds = cards.map((card, index) => ({
+        target: document.querySelector(`.kpi-deck-target[data-index="${index}"]`).value,
+        redThreshold: document.querySelector(`.kpi-deck-red[data-index="${index}"]`).value
+      }));
 
-        // Destroy the chart to free memory
-        const canvasId = chartId.replace('-container', '');
-        if (this.chartManager.charts[canvasId]) {
-          this.chartManager.charts[canvasId].destroy();
-          delete this.chartManager.charts[canvasId];
-        }
+      if (change(() => deck.setThresholds(thresholds))) {
+        this.showNotification('KPI targets saved', 'success');
       }
     });
   }
 
   /**
-   * Show yearly comparison charts with enhanced error handling
+   * Prior-year monthly totals used to spread an annual target
+   * Segment gross profit comes from the GP files' actuals when they have the prior year, everything else from
+   * the transaction datasets
+   * @returns {Object|null} { weights, source } - null when there is no prior-year data
    */
-  async showYearlyCharts() {
-    try {
-      // For CSV-only mode, show cumulative chart for current data
-      if (this.currentData && this.currentData.records) {
-        console.log('📊 Creating yearly charts from CSV data');
-
-        // Show cumulative chart for current data
-        this.showChartContainer('cumulative-container');
-        this.chartManager.createCumulativeChart(this.currentData);
-
-        // Check if we have multiple years of data in the current dataset
-        const years = new Set();
-        this.currentData.records.forEach(record => {
-          const date = new Date(record.Date || record.date);
-          if (!isNaN(date.getTime())) {
-            years.add(date.getFullYear());
-          }
-        });
+  getBudgetSeasonality(dimension, key, metric, year) {
+    const priorYear = year - 1;
 
-        if (years.size > 1) {
-          this.showNotification(`📊 Showing data for ${Array.from(years).sort().join(', ')}`, 'info');
-        } else if (years.size === 1) {
-          this.showNotification(`📊 Showing ${Array.from(years)[0]} data`, 'info');
-        }
-      } else {
-        console.log('📊 No data available for yearly charts');
-        this.showNotification('No data available for yearly analysis. Please upload a CSV file.', 'warning');
+    if (dimension === 'segment' && metric === 'profit') {
+      const points = this.getGPPoints().filter(point => point.year === priorYear && point.segment === key);
+      const weights = points.length > 0 ? this.gpPacingAnalyzer.getMonthlyWeights(points) : null;
+      if (weights) {
+        return { weights, source: `${priorYear} GP file actuals` };
       }
-
-    } catch (error) {
-      console.error('❌ Error creating yearly charts:', error);
-      this.showNotification(`Failed to load yearly charts: ${error.message}`, 'error');
     }
+
+    const records = Object.values(this.uploadedDatasets).flatMap(dataset => dataset.records || []);
+    const weights = this.budgetManager.getSeasonalWeights(records, dimension, key, metric, priorYear);
+    return weights ? { weights, source: `${priorYear} transactions` } : null;
   }
 
   /**
-   * Show summary/recap charts
+   * Show the budget editor: monthly sales and gross profit targets by segment, product family or customer
+   * @param {number} year - Budget year
+   * @param {Object} form - Values to open the form with ({ dimension, key, metric, months })
    */
-  async showSummaryCharts() {
-    // Show historical trend analysis
-    this.showChartContainer('historical-trend-container');
-    await this.createHistoricalTrendChart();
+  showBudgetEditor(year = new Date().getFullYear(), form = {}) {
+    const manager = this.budgetManager;
+    const budgets = manager.getBudgets(year);
+    const monthNames = Array.from({ length: 12 }, (_, month) => new Date(2000, month, 1).toLocaleDateString('en-US', { month: 'short' }));
+    const dimension = form.dimension || 'segment';
+    const metric = form.metric || 'profit';
+    const months = form.months || new Array(12).fill('');
 
-    // Show seasonal patterns
-    this.showChartContainer('seasonal-pattern-container');
-    await this.createSeasonalPatternChart();
-  }
+    const customers = [...new Set(Object.values(this.uploadedDatasets)
+      .flatMap(dataset => (dataset.records || []).map(record => record.Customer))
+      .filter(Boolean))].sort();
+    const keyOptions = {
+      segment: this.productCatalog.segments,
+      family: this.productCatalog.families,
+      customer: customers
+    };
 
-  /**
-   * Show transactional data charts
-   */
-  async showTransactionalCharts() {
-    // Show customer retention analysis
-    this.showChartContainer('customer-retention-container');
-    await this.createCustomerRetentionChart();
+    const budgetRows = budgets.map(budget => `
+      <tr>
+        <td>${manager.dimensions[budget.dimension].label}: ${this.escapeHTML(budget.key)}</td>
+        <td>${manager.metrics[budget.metric].label}</td>
+        <td>${this.formatCurrency(budget.months.reduce((sum, value) => sum + value, 0))}</td>
+        <td>${budget.method === 'seasonal' || budget.method === 'even' ? manager.spreadMethods[budget.method] : 'Monthly'}</td>
+        <td class="kpi-deck-actions">
+          <button class="dataset-action-btn budget-edit" data-id="${budget.id}" title="Edit this target"><i class="fas fa-edit"></i></button>
+          <button class="dataset-action-btn budget-delete" data-id="${budget.id}" title="Delete this target"><i class="fas fa-trash"></i></button>
+        </td>
+      </tr>
+    `).join('');
+
+    // Chart scope options: every dimension's total, then each name that has a target
+    const scope = manager.chartScope;
+    const scopeValue = scope.dimension ? `${scope.dimension}|${scope.key ?? ''}` : '';
+    const scopeOptions = [`<option value="" ${scopeValue === '' ? 'selected' : ''}>No target lines</option>`];
+    Object.entries(manager.dimensions).forEach(([key, { label }]) => {
+      const names = [...new Set(manager.getBudgets().filter(budget => budget.dimension === key).map(budget => budget.key))];
+      scopeOptions.push(`<option value="${key}|" ${scopeValue === `${key}|` ? 'selected' : ''}>All ${manager.dimensions[key].plural}</option>`);
+      names.forEach(name => {
+        const value = `${key}|${name}`;
+        scopeOptions.push(`<option value="${this.escapeHTML(value)}" ${scopeValue === value ? 'selected' : ''}>${label}: ${this.escapeHTML(name)}</option>`);
+      });
+    });
 
-    // Show cumulative performance
-    this.showChartContainer('cumulative-container');
-    this.chartManager.createCumulativeChart(this.currentData);
-  }
+    const content = `
+      <div class="budget-editor">
+        <div class="gp-recon-controls">
+          <label>Year <input type="number" id="budget-year" class="budget-input" value="${year}" min="2000" max="2100"></label>
+          <label>Show on charts <select id="budget-chart-scope" class="dataset-select">${scopeOptions.join('')}</select></label>
+        </div>
+        <p class="import-report-note">
+          Targets are drawn as dashed lines on the sales trend and cumulative charts, and as a target margin on the profit chart.
+          GP segment gross profit targets also set the year-end goal in GP pacing. Targets are saved in this browser.
+        </p>
+
+        <h4>${year} targets</h4>
+        ${budgets.length > 0 ? `
+          <table class="data-table">
+            <thead><tr><th>Target for</th><th>Metric</th><th>Year</th><th>Entered</th><th></th></tr></thead>
+            <tbody>${budgetRows}</tbody>
+          </table>
+        ` : `<p class="import-report-note">No targets for ${year} yet.</p>`}
+
+        <h4>Add or change a target</h4>
+        <div class="budget-form">
+          <div class="gp-recon-controls">
+            <select id="budget-dimension" class="dataset-select">
+              ${Object.entries(manager.dimensions).map(([key, { label }]) => `<option value="${key}" ${key === dimension ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+            <input type="text" id="budget-key" class="budget-input" list="budget-key-options" value="${this.escapeHTML(form.key || '')}" placeholder="Name">
+            <datalist id="budget-key-options">
+              ${keyOptions[dimension].map(name => `<option value="${this.escapeHTML(name)}"></option>`).join('')}
+            </datalist>
+            <select id="budget-metric" class="dataset-select">
+              ${Object.entries(manager.metrics).map(([key, { label }]) => `<option value="${key}" ${key === metric ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+          </div>
+          <div class="gp-recon-controls">
+            <label>Annual <input type="number" step="any" id="budget-annual" class="budget-input" placeholder="Annual amount"></label>
+            <select id="budget-spread" class="dataset-select">
+              ${Object.entries(manager.spreadMethods).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+            </select>
+            <button id="budget-spread-btn" class="template-btn"><i class="fas fa-stream"></i> Spread Over Months</button>
+          </div>
+          <div class="budget-months">
+            ${monthNames.map((name, month) => `
+              <label>${name}<input type="number" step="any" class="budget-input budget-month" data-month="${month}" value="${months[month]}"></label>
+            `).join('')}
+          </div>
+          <p class="import-report-note">Year total: <strong id="budget-total"></strong></p>
+          <button id="budget-save" class="template-btn"><i class="fas fa-save"></i> Save Target</button>
+        </div>
+      </div>
+    `;
 
-  /**
-   * Show a chart container with smooth transition
-   */
-  showChartContainer(containerId) {
-    const container = document.getElementById(containerId);
-    if (container) {
-      container.style.display = 'block';
-      // Trigger reflow for smooth transition
-      container.offsetHeight;
-      container.style.opacity = '1';
-    }
-  }
+    this.showModal('<i class="fas fa-bullseye"></i> Budgets &amp; Targets', content);
 
-  /**
-   * Create historical trend analysis chart - CSV Only Mode
-   */
-  async createHistoricalTrendChart() {
-    try {
-      // For CSV-only mode, use all uploaded datasets
-      const historicalData = [];
+    let spreadMethod = form.method || 'monthly';
+    const monthInputs = [...document.querySelectorAll('.budget-month')];
+    const readForm = () => ({
+      dimension: document.getElementById('budget-dimension').value,
+      key: document.getElementById('budget-key').value.trim(),
+      metric: document.getElementById('budget-metric').value,
+      months: monthInputs.map(input => input.value),
+      method: spreadMethod
+    });
+    const updateTotal = () => {
+      const total = monthInputs.reduce((sum, input) => sum + (Number(input.value) || 0), 0);
+      document.getElementById('budget-total').textContent = this.formatCurrency(total);
+    };
+    updateTotal();
 
-      if (Object.keys(this.uploadedDatasets).length > 0) {
-        // Use all uploaded datasets for historical analysis
-        Object.keys(this.uploadedDatasets).forEach(datasetName => {
-          const dataset = this.uploadedDatasets[datasetName];
-          if (dataset && dataset.records && dataset.records.length > 0) {
-            historicalData.push({
-              sheet: datasetName,
-              data: dataset
-            });
-          }
-        });
-      } else if (this.currentData && this.currentData.records) {
-        // Use current data if no multiple datasets
-        historicalData.push({
-          sheet: this.currentData.datasetName || 'Current Data',
-          data: this.currentData
-        });
+    // Apply a change and refresh the charts and GP pacing that draw the targets
+    const applyTargets = () => {
+      this.updateCharts();
+      this.updateGPPacing(this.getGPPoints());
+    };
+
+    monthInputs.forEach(input => input.addEventListener('input', () => {
+      spreadMethod = 'monthly';
+      updateTotal();
+    }));
+
+    document.getElementById('budget-year')?.addEventListener('change', (e) => {
+      const newYear = Number(e.target.value);
+      if (Number.isInteger(newYear) && newYear >= 2000 && newYear <= 2100) {
+        this.showBudgetEditor(newYear, readForm());
+      }
+    });
+
+    document.getElementById('budget-dimension')?.addEventListener('change', (e) => {
+      this.showBudgetEditor(year, { ...readForm(), dimension: e.target.value, key: '' });
+    });
+
+    document.getElementById('budget-chart-scope')?.addEventListener('change', (e) => {
+      const [scopeDimension, ...name] = e.target.value.split('|');
+      manager.setChartScope(scopeDimension || null, name.join('|') || null);
+      applyTargets();
+    });
+
+    document.getElementById('budget-spread-btn')?.addEventListener('click', () => {
+      const annual = Number(document.getElementById('budget-annual').value);
+      if (!document.getElementById('budget-annual').value || !isFinite(annual)) {
+        this.showNotification('Enter an annual amount to spread', 'warning');
+        return;
       }
 
-      // Create the historical trend chart
-      if (historicalData.length > 0) {
-        this.chartManager.createHistoricalTrendChart(historicalData);
-        console.log(`📊 Created historical trend chart with ${historicalData.length} datasets`);
-      } else {
-        this.createPlaceholderChart('historical-trend-chart', 'Historical Trend Analysis', 'No data available. Please upload CSV files.');
-        console.log('📊 No data available for historical trend chart');
+      const current = readForm();
+      let method = document.getElementById('budget-spread').value;
+      let weights = null;
+      if (method === 'seasonal') {
+        if (!current.key) {
+          this.showNotification('Enter who the target is for first', 'warning');
+          return;
+        }
+        const seasonality = this.getBudgetSeasonality(current.dimension, current.key, current.metric, year);
+        if (seasonality) {
+          weights = seasonality.weights;
+          this.showNotification(`Spread by ${seasonality.source}`, 'info');
+        } else {
+          method = 'even';
+          this.showNotification(`No ${year - 1} data for ${current.key} - spread evenly`, 'warning');
+        }
       }
 
-    } catch (error) {
-      console.error('❌ Error creating historical trend chart:', error);
-      this.createPlaceholderChart('historical-trend-chart', 'Historical Trend Analysis', 'Error loading data');
-    }
+      manager.spreadAnnual(annual, weights).forEach((amount, month) => {
+        monthInputs[month].value = amount;
+      });
+      spreadMethod = method;
+      updateTotal();
+    });
+
+    document.getElementById('budget-save')?.addEventListener('click', () => {
+      const current = readForm();
+      try {
+        manager.saveBudget({ year, ...current });
+      } catch (error) {
+        this.showNotification(error.message, 'error');
+        return;
+      }
+      this.showNotification(`Saved the ${year} ${manager.metrics[current.metric].label.toLowerCase()} target for ${current.key}`, 'success');
+      applyTargets();
+      this.showBudgetEditor(year, { dimension: current.dimension, metric: current.metric });
+    });
+
+    document.querySelectorAll('.budget-edit').forEach(button => {
+      button.addEventListener('click', () => {
+        const budget = budgets.find(entry => entry.id === button.dataset.id);
+        this.showBudgetEditor(year, budget);
+      });
+    });
+
+    document.querySelectorAll('.budget-delete').forEach(button => {
+      button.addEventListener('click', () => {
+        const budget = budgets.find(entry => entry.id === button.dataset.id);
+        if (!window.confirm(`Delete the ${year} ${manager.metrics[budget.metric].label.toLowerCase()} target for ${budget.key}?`)) return;
+
+        manager.deleteBudget(budget.id);
+        applyTargets();
+        this.showBudgetEditor(year);
+      });
+    });
   }
 
   /**
-   * Create seasonal pattern analysis chart
+   * Parse a date input value ("2025-03-01") as a local date
    */
-  async createSeasonalPatternChart() {
-    try {
-      // Use current data for seasonal analysis
-      if (this.currentData) {
-        this.chartManager.createSeasonalPatternChart(this.currentData);
-      } else {
-        this.createPlaceholderChart('seasonal-pattern-chart', 'Seasonal Pattern Analysis', 'No data available');
-      }
-    } catch (error) {
-      console.error('❌ Error creating seasonal pattern chart:', error);
-      this.createPlaceholderChart('seasonal-pattern-chart', 'Seasonal Pattern Analysis', 'Error loading data');
-    }
+  parseDateInput(value) {
+    const [year, month, day] = String(value || '').split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return isNaN(date.getTime()) ? null : date;
   }
 
   /**
-   * Create customer retention analysis chart
+   * Date window the KPI cards cover: the date filter, or the active dataset's first to last transaction
+   * @returns {Object|null} { from, to } as local dates, inclusive
    */
-  async createCustomerRetentionChart() {
-    try {
-      // Use current data for customer retention analysis
-      if (this.currentData) {
-        this.chartManager.createCustomerRetentionChart(this.currentData);
-      } else {
-        this.createPlaceholderChart('customer-retention-chart', 'Customer Retention Analysis', 'No data available');
-      }
-    } catch (error) {
-      console.error('❌ Error creating customer retention chart:', error);
-      this.createPlaceholderChart('customer-retention-chart', 'Customer Retention Analysis', 'Error loading data');
+  getKPIWindow() {
+    if (this.dateFilter) {
+      const from = this.parseDateInput(this.dateFilter.from);
+      const to = this.parseDateInput(this.dateFilter.to);
+      return from && to ? { from, to } : null;
     }
+
+    let from = null;
+    let to = null;
+    (this.currentData?.records || []).forEach(record => {
+      const date = new Date(record['Date']);
+      if (isNaN(date.getTime())) return;
+      if (!from || date < from) from = date;
+      if (!to || date > to) to = date;
+    });
+
+    return from ? {
+      from: new Date(from.getFullYear(), from.getMonth(), from.getDate()),
+      to: new Date(to.getFullYear(), to.getMonth(), to.getDate())
+    } : null;
   }
 
   /**
-   * Create a placeholder chart for advanced analytics
+   * Date window the KPI cards compare against
+   * @param {Object} period - Window from getKPIWindow()
+   * @returns {Object|null} { from, to, label }
    */
-  createPlaceholderChart(canvasId, title, description) {
-    const canvas = document.getElementById(canvasId);
-    if (!canvas) return;
+  getKPIBaselineWindow(period) {
+    const { mode } = this.kpiBaseline;
 
-    const ctx = canvas.getContext('2d');
-
-    // Destroy existing chart if it exists
-    if (this.chartManager.charts[canvasId]) {
-      this.chartManager.charts[canvasId].destroy();
+    if (mode === 'custom') {
+      const from = this.parseDateInput(this.kpiBaseline.from);
+      const to = this.parseDateInput(this.kpiBaseline.to);
+      return from && to && from <= to ? { from, to, label: 'custom range' } : null;
     }
 
-    // Create a simple placeholder chart
-    const config = {
-      type: 'line',
-      data: {
-        labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'],
-        datasets: [{
-          label: title,
-          data: [12, 19, 3, 5, 2, 3],
-          borderColor: this.chartManager.colors.primary,
-          backgroundColor: this.chartManager.hexToRgba(this.chartManager.colors.primary, 0.1),
-          borderWidth: 2,
-          fill: true
-        }]
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        plugins: {
-          title: {
-            display: true,
-            text: `${title} (Coming Soon)`,
-            color: this.chartManager.getThemeColors().text
-          },
-          subtitle: {
-            display: true,
-            text: description,
-            color: this.chartManager.getThemeColors().text
-          }
-        }
-      }
-    };
+    if (mode === 'lastYear') {
+      const shift = (date) => new Date(date.getFullYear() - 1, date.getMonth(), date.getDate());
+      return { from: shift(period.from), to: shift(period.to), label: 'same period last year' };
+    }
 
-    this.chartManager.charts[canvasId] = new Chart(ctx, config);
+    // Previous period: the same number of days immediately before the window
+    const days = Math.round((period.to - period.from) / 86400000) + 1;
+    const to = new Date(period.from.getFullYear(), period.from.getMonth(), period.from.getDate() - 1);
+    const from = new Date(to.getFullYear(), to.getMonth(), to.getDate() - days + 1);
+    return { from, to, label: `previous ${days} day${days === 1 ? '' : 's'}` };
   }
 
   /**
-   * Update data table with dynamic headers
+   * Compare the KPI window with the baseline window and fill in the KPI change indicators
    */
-  updateDataTable() {
-    if (!this.currentData) return;
+  updateKPIChanges() {
+    const cards = this.kpiDeck.getCards();
+    const ids = cards.map(card => this.kpiDeck.getElementIds(card.metric).change);
+    const label = document.getElementById('kpi-baseline-label');
+    const period = this.currentData?.records ? this.getKPIWindow() : null;
+    const baseline = period ? this.getKPIBaselineWindow(period) : null;
 
-    const table = document.getElementById('transactions-table');
-    const tbody = document.getElementById('transactions-body');
-    if (!table || !tbody) return;
+    if (!period || !baseline) {
+      ids.forEach(id => this.updateKPIChange(id, null, this.kpiBaseline.mode === 'custom'
+        ? 'Pick a baseline start and end date'
+        : 'No data to compare'));
+      if (label) label.textContent = '';
+      return;
+    }
 
-    // Update table headers based on current data
-    this.updateTableHeaders();
+    const inWindow = (range) => this.currentData.records.filter(record => {
+      const date = new Date(record['Date']);
+      const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+      return !isNaN(date.getTime()) && day >= range.from && day <= range.to;
+    });
 
-    // Clear existing rows
-    tbody.innerHTML = '';
+    const firstSeen = this.kpiDeck.getFirstPurchaseDates(this.currentData.records);
+    const baselineRecords = inWindow(baseline);
+    const current = this.kpiDeck.calculateMetrics(inWindow(period), firstSeen, period);
+    const previous = this.kpiDeck.calculateMetrics(baselineRecords, firstSeen, baseline);
+    const formatDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    const windowText = `${formatDate(period.from)} – ${formatDate(period.to)}`;
+    const baselineText = `${formatDate(baseline.from)} – ${formatDate(baseline.to)}`;
 
-    // Use filtered data if date filter is active
-    const dataToUse = this.getFilteredData() || this.currentData;
+    if (label) {
+      label.textContent = `${windowText} vs ${baseline.label} (${baselineText})`;
+    }
 
-    // Get recent transactions (last 50)
-    // Fix: Handle both 'records' (CSV data) and 'transactions' (Railway API data)
-    const transactions = dataToUse.transactions || dataToUse.records || [];
-    console.log(`📊 Updating data table with ${transactions.length} transactions`);
+    cards.forEach(({ metric }) => {
+      const id = this.kpiDeck.getElementIds(metric).change;
+      const { label: name, format, better } = this.kpiDeck.catalog[metric];
 
-    const recentTransactions = transactions
-      .filter(record => record['Date'])
-      .sort((a, b) => new Date(b['Date']) - new Date(a['Date']))
-      .slice(0, 50);
+      if (baselineRecords.length === 0) {
+        this.updateKPIChange(id, null, `No transactions in the ${baseline.label} (${baselineText})`);
+        return;
+      }
+      if (current[metric] === null || previous[metric] === null) {
+        this.updateKPIChange(id, null, `${name} can't be calculated for one of the periods`);
+        return;
+      }
 
-    // Add rows
-    recentTransactions.forEach(record => {
-      const row = this.createDynamicTableRow(record);
-      tbody.appendChild(row);
+      const absolute = current[metric] - previous[metric];
+      this.updateKPIChange(id, {
+        absolute,
+        percent: format === 'percent' || previous[metric] === 0 ? null : (absolute / Math.abs(previous[metric])) * 100,
+        format: format === 'percent' ? 'points' : format,
+        better
+      }, `${name}: ${this.formatKPIValue(current[metric], format)} for ${windowText} vs ${this.formatKPIValue(previous[metric], format)} for the ${baseline.label} (${baselineText})`);
     });
   }
 
   /**
-   * Update table headers based on current data
+   * Update individual KPI
    */
-  updateTableHeaders() {
-    const thead = document.querySelector('#transactions-table thead tr');
-    if (!thead || !this.currentData.records.length) return;
-
-    // Get column names from the first record
-    const sampleRecord = this.currentData.records[0];
-    const availableColumns = Object.keys(sampleRecord);
-
-    // Define priority columns and their display names
-    const priorityColumns = [
-      { key: 'Date', display: 'Date' },
-      { key: 'Customer', display: 'Customer' },
-      { key: 'Product Type', display: 'Product Type' },
-      { key: 'Product', display: 'Product' },
-      { key: 'Gallon Qty', display: 'Gallons' },
-      { key: 'Sales', display: 'Sales' },
-      { key: 'Actual Profit By Item', display: 'Profit' },
-      { key: 'DELIVERY FEE', display: 'Delivery Fee' },
-      { key: 'TOTAL', display: 'Total' }
-    ];
-
-    // Find which priority columns exist in the data
-    const columnsToShow = [];
-    priorityColumns.forEach(col => {
-      if (availableColumns.includes(col.key)) {
-        columnsToShow.push(col);
-      }
-    });
-
-    // Add any other important columns not in priority list
-    availableColumns.forEach(col => {
-      if (!priorityColumns.find(p => p.key === col) &&
-        !col.toLowerCase().includes('id') &&
-        col !== 'ProfitMargin' &&
-        col !== 'RevenuePerGallon') {
-        columnsToShow.push({ key: col, display: col });
-      }
-    });
-
-    // Limit to first 8 columns for readability
-    const finalColumns = columnsToShow.slice(0, 8);
+  updateKPI(elementId, value, format) {
+    const element = document.getElementById(elementId);
+    if (!element) return;
 
-    // Update header
-    thead.innerHTML = finalColumns.map(col => `<th>${col.display}</th>`).join('');
+    element.textContent = this.formatKPIValue(value, format);
 
-    // Store current columns for row creation
-    this.currentTableColumns = finalColumns;
+    // Add animation effect
+    element.style.transform = 'scale(1.05)';
+    setTimeout(() => {
+      element.style.transform = 'scale(1)';
+    }, 200);
   }
 
   /**
-   * Create dynamic table row based on current columns
+   * Format a KPI value
+   * @param {number|null} value - Value, null when it can't be calculated
+   * @param {string} format - 'currency', 'price' (per gallon), 'percent' or 'number'
    */
-  createDynamicTableRow(record) {
-    const row = document.createElement('tr');
+  formatKPIValue(value, format) {
+    if (value === null || value === undefined) return '—';
 
-    if (!this.currentTableColumns) {
+    switch (format) {
+      case 'currency':
+        return new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD',
+          minimumFractionDigits: 0,
+          maximumFractionDigits: 0
+        }).format(value || 0);
+      case 'price':
+        return new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD',
+          minimumFractionDigits: 3,
+          maximumFractionDigits: 3
+        }).format(value || 0);
+      case 'percent':
+        return (value || 0).toFixed(1) + '%';
+      case 'number':
+        return new Intl.NumberFormat('en-US', { maximumFractionDigits: 0 }).format(value || 0);
+      default:
+        return value || 0;
+    }
+  }
+
+  /**
+   * Update KPI change indicator
+   * @param {string} elementId - Change element ID
+   * @param {Object|null} change - { absolute, percent, format, better } - format is 'currency', 'price', 'number' or 'points';
+   *   better is 'lower' for metrics where a drop is good (colours the change green); null when there is no baseline
+   * @param {string} tooltip - Explanation of the baseline
+   */
+  updateKPIChange(elementId, change, tooltip = '') {
+    const element = document.getElementById(elementId);
+    if (!element) return;
+
+    element.title = tooltip;
+
+    if (!change) {
+      element.textContent = 'n/a';
+      element.className = 'kpi-change neutral';
+      return;
+    }
+
+    const { percent, format, better = 'higher' } = change;
+
+    // Round before picking the sign so a tiny drop doesn't show as "-0.0"
+    const decimals = format === 'points' ? 1 : format === 'price' ? 3 : 0;
+    const absolute = Math.round(change.absolute * Math.pow(10, decimals)) / Math.pow(10, decimals);
+    const sign = absolute >= 0 ? '+' : '-';
+    let formattedChange;
+
+    switch (format) {
+      case 'currency':
+        formattedChange = sign + new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD',
+          maximumFractionDigits: 0
+        }).format(Math.abs(absolute));
+        break;
+      case 'price':
+        formattedChange = `${sign}$${Math.abs(absolute).toFixed(3)}`;
+        break;
+      case 'points':
+        formattedChange = `${sign}${Math.abs(absolute).toFixed(1)} pts`;
+        break;
+      default:
+        formattedChange = sign + this.formatNumber(Math.round(Math.abs(absolute)));
+    }
+
+    if (percent !== null && percent !== undefined) {
+      formattedChange += ` (${sign}${Math.abs(percent).toFixed(1)}%)`;
+    }
+
+    element.textContent = formattedChange;
+    const improved = better === 'lower' ? absolute < 0 : absolute > 0;
+    element.className = 'kpi-change ' + (absolute === 0 ? 'neutral' : improved ? 'positive' : 'negative');
+  }
+
+  /**
+   * Update all charts based on current sheet
+   */
+  async updateCharts() {
+    if (!this.currentData || !this.chartManager) {
+      console.warn('⚠️ Cannot update charts: missing data or chart manager');
+      return;
+    }
+
+    try {
+      console.log('📈 Updating charts...');
+
+      // Determine data source and use appropriate service
+      // Create charts using CSV data only
+      this.chartManager.setTargets(this.budgetManager ? this.budgetManager.getChartTargets() : null);
+      this.chartManager.setForecast(this.getTrendForecast());
+
+      if (this.currentData && this.currentData.records) {
+        console.log('📊 Using CSV data for charts');
+        await this.chartManager.createSalesTrendChart(this.currentData, this.currentPeriod);
+        this.chartManager.createCustomerChart(this.currentData);
+        this.chartManager.createProfitChart(this.currentData);
+      } else {
+        console.log('📊 No data available for charts');
+      }
+
+      // Update product chart with current filter
+      const productFilter = document.getElementById('product-filter')?.value || 'all';
+      this.updateProductChart(productFilter);
+
+      // Force chart resize after creation
+      setTimeout(() => {
+        if (this.chartManager) {
+          this.chartManager.resizeAllCharts();
+        }
+      }, 100);
+
+      // Show CSV charts if data is available
+      if (this.currentData && this.currentData.records) {
+        await this.showCSVCharts();
+      }
+
+    } catch (error) {
+      console.error('❌ Error updating charts:', error);
+      this.showNotification(`Failed to update charts: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Show charts for CSV data
+   */
+  async showCSVCharts() {
+    // Show cumulative performance
+    this.showChartContainer('cumulative-container');
+    this.chartManager.createCumulativeChart(this.currentData);
+
+    // Show customer retention analysis
+    this.showChartContainer('customer-retention-container');
+    await this.createCustomerRetentionChart();
+
+    // Show other relevant charts based on data content
+    const datasetName = this.currentData.datasetName || '';
+
+    if (datasetName.toLowerCase().includes('recap')) {
+      await this.showSummaryCharts();
+    } else if (datasetName.includes('2024') || datasetName.includes('2025')) {
+      // Try to show yearly charts if we have both years
+      await this.showYearlyCharts(datasetName);
+    }
+  }
+
+  /**
+   * Hide all advanced chart containers and destroy charts for performance
+   */
+  hideAllAdvancedCharts() {
+    const advancedCharts = [
+      'year-comparison-container',
+      'growth-rate-container',
+      'cumulative-container',
+      'historical-trend-container',
+      'seasonal-pattern-container',
+      'customer-retention-container'
+    ];
+
+    advancedCharts.forEach(chartId => {
+      const container = document.getElementById(chartId);
+      if (container) {
+        container.style.display = 'none';
+
+        // Destroy the chart to free memory
+        const canvasId = chartId.replace('-container', '');
+        if (this.chartManager.charts[canvasId]) {
+          this.chartManager.charts[canvasId].destroy();
+          delete this.chartManager.charts[canvasId];
+        }
+      }
+    });
+  }
+
+  /**
+   * Show yearly comparison charts with enhanced error handling
+   */
+  async showYearlyCharts() {
+    try {
+      // For CSV-only mode, show cumulative chart for current data
+      if (this.currentData && this.currentData.records) {
+        console.log('📊 Creating yearly charts from CSV data');
+
+        // Show cumulative chart for current data
+        this.showChartContainer('cumulative-container');
+        this.chartManager.createCumulativeChart(this.currentData);
+
+        // Check if we have multiple years of data in the current dataset
+        const years = new Set();
+        this.currentData.records.forEach(record => {
+          const date = new Date(record.Date || record.date);
+          if (!isNaN(date.getTime())) {
+            years.add(date.getFullYear());
+          }
+        });
+
+        if (years.size > 1) {
+          this.showNotification(`📊 Showing data for ${Array.from(years).sort().join(', ')}`, 'info');
+        } else if (years.size === 1) {
+          this.showNotification(`📊 Showing ${Array.from(years)[0]} data`, 'info');
+        }
+      } else {
+        console.log('📊 No data available for yearly charts');
+        this.showNotification('No data available for yearly analysis. Please upload a CSV file.', 'warning');
+      }
+
+    } catch (error) {
+      console.error('❌ Error creating yearly charts:', error);
+      this.showNotification(`Failed to load yearly charts: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Show summary/recap charts
+   */
+  async showSummaryCharts() {
+    // Show historical trend analysis
+    this.showChartContainer('historical-trend-container');
+    await this.createHistoricalTrendChart();
+
+    // Show seasonal patterns
+    this.showChartContainer('seasonal-pattern-container');
+    await this.createSeasonalPatternChart();
+  }
+
+  /**
+   * Show transactional data charts
+   */
+  async showTransactionalCharts() {
+    // Show customer retention analysis
+    this.showChartContainer('customer-retention-container');
+    await this.createCustomerRetentionChart();
+
+    // Show cumulative performance
+    this.showChartContainer('cumulative-container');
+    this.chartManager.createCumulativeChart(this.currentData);
+  }
+
+  /**
+   * Show a chart container with smooth transition
+   */
+  showChartContainer(containerId) {
+    const container = document.getElementById(containerId);
+    if (container) {
+      container.style.display = 'block';
+      // Trigger reflow for smooth transition
+      container.offsetHeight;
+      container.style.opacity = '1';
+    }
+  }
+
+  /**
+   * Create historical trend analysis chart - CSV Only Mode
+   */
+  async createHistoricalTrendChart() {
+    try {
+      // For CSV-only mode, use all uploaded datasets
+      const historicalData = [];
+
+      if (Object.keys(this.uploadedDatasets).length > 0) {
+        // Use all uploaded datasets for historical analysis
+        Object.keys(this.uploadedDatasets).forEach(datasetName => {
+          const dataset = this.uploadedDatasets[datasetName];
+          if (dataset && dataset.records && dataset.records.length > 0) {
+            historicalData.push({
+              sheet: datasetName,
+              data: dataset
+            });
+          }
+        });
+      } else if (this.currentData && this.currentData.records) {
+        // Use current data if no multiple datasets
+        historicalData.push({
+          sheet: this.currentData.datasetName || 'Current Data',
+          data: this.currentData
+        });
+      }
+
+      // Create the historical trend chart
+      if (historicalData.length > 0) {
+        this.chartManager.createHistoricalTrendChart(historicalData);
+        console.log(`📊 Created historical trend chart with ${historicalData.length} datasets`);
+      } else {
+        this.createPlaceholderChart('historical-trend-chart', 'Historical Trend Analysis', 'No data available. Please upload CSV files.');
+        console.log('📊 No data available for historical trend chart');
+      }
+
+    } catch (error) {
+      console.error('❌ Error creating historical trend chart:', error);
+      this.createPlaceholderChart('historical-trend-chart', 'Historical Trend Analysis', 'Error loading data');
+    }
+  }
+
+  /**
+   * Create seasonal pattern analysis chart
+   */
+  async createSeasonalPatternChart() {
+    try {
+      // Use current data for seasonal analysis
+      if (this.currentData) {
+        this.chartManager.createSeasonalPatternChart(this.currentData);
+      } else {
+        this.createPlaceholderChart('seasonal-pattern-chart', 'Seasonal Pattern Analysis', 'No data available');
+      }
+    } catch (error) {
+      console.error('❌ Error creating seasonal pattern chart:', error);
+      this.createPlaceholderChart('seasonal-pattern-chart', 'Seasonal Pattern Analysis', 'Error loading data');
+    }
+  }
+
+  /**
+   * Create customer retention analysis chart
+   */
+  async createCustomerRetentionChart() {
+    try {
+      // Use current data for customer retention analysis
+      if (this.currentData) {
+        this.chartManager.createCustomerRetentionChart(this.currentData);
+      } else {
+        this.createPlaceholderChart('customer-retention-chart', 'Customer Retention Analysis', 'No data available');
+      }
+    } catch (error) {
+      console.error('❌ Error creating customer retention chart:', error);
+      this.createPlaceholderChart('customer-retention-chart', 'Customer Retention Analysis', 'Error loading data');
+    }
+  }
+
+  /**
+   * Create a placeholder chart for advanced analytics
+   */
+  createPlaceholderChart(canvasId, title, description) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+
+    // Destroy existing chart if it exists
+    if (this.chartManager.charts[canvasId]) {
+      this.chartManager.charts[canvasId].destroy();
+    }
+
+    // Create a simple placeholder chart
+    const config = {
+      type: 'line',
+      data: {
+        labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'],
+        datasets: [{
+          label: title,
+          data: [12, 19, 3, 5, 2, 3],
+          borderColor: this.chartManager.colors.primary,
+          backgroundColor: this.chartManager.hexToRgba(this.chartManager.colors.primary, 0.1),
+          borderWidth: 2,
+          fill: true
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          title: {
+            display: true,
+            text: `${title} (Coming Soon)`,
+            color: this.chartManager.getThemeColors().text
+          },
+          subtitle: {
+            display: true,
+            text: description,
+            color: this.chartManager.getThemeColors().text
+          }
+        }
+      }
+    };
+
+    this.chartManager.charts[canvasId] = new Chart(ctx, config);
+  }
+
+  /**
+   * Update data table with dynamic headers
+   */
+  updateDataTable() {
+    if (!this.currentData) return;
+
+    const table = document.getElementById('transactions-table');
+    const tbody = document.getElementById('transactions-body');
+    if (!table || !tbody) return;
+
+    // Update table headers based on current data
+    this.updateTableHeaders(!!(this.tableFocus && this.tableFocus.dataset === this.currentData));
+
+    // Clear existing rows
+    tbody.innerHTML = '';
+
+    // Records picked from a data quality issue replace the recent transactions until cleared
+    const focus = this.tableFocus && this.tableFocus.dataset === this.currentData ? this.tableFocus : null;
+    this.updateTableFocusBanner(focus);
+    if (focus) {
+      focus.indices.slice(0, 500).forEach(index => {
+        tbody.appendChild(this.createDynamicTableRow(this.currentData.records[index]));
+      });
+      return;
+    }
+
+    // Use filtered data if date filter is active
+    const dataToUse = this.getFilteredData() || this.currentData;
+
+    // Get recent transactions (last 50)
+    // Fix: Handle both 'records' (CSV data) and 'transactions' (Railway API data)
+    const transactions = dataToUse.transactions || dataToUse.records || [];
+    console.log(`📊 Updating data table with ${transactions.length} transactions`);
+
+    const recentTransactions = transactions
+      .filter(record => record['Date'])
+      .sort((a, b) => new Date(b['Date']) - new Date(a['Date']))
+      .slice(0, 50);
+
+    // Add rows
+    recentTransactions.forEach(record => {
+      const row = this.createDynamicTableRow(record);
+      tbody.appendChild(row);
+    });
+  }
+
+  /**
+   * Show or hide the note above the transactions table when it lists a data quality issue's records
+   */
+  updateTableFocusBanner(focus) {
+    const banner = document.getElementById('table-focus');
+    const title = document.getElementById('transactions-title');
+
+    if (title) {
+      title.textContent = focus ? 'Flagged Transactions' : 'Recent Transactions';
+    }
+    if (!banner) return;
+
+    banner.style.display = focus ? 'flex' : 'none';
+    const label = banner.querySelector('.table-focus-label');
+    if (label && focus) {
+      label.textContent = `${this.formatNumber(focus.indices.length)} rows: ${focus.label}` +
+        (focus.indices.length > 500 ? ' (first 500 shown)' : '');
+    }
+  }
+
+  /**
+   * Update table headers based on current data
+   * @param {boolean} showRowNumbers - Add the source file row column (used when listing flagged records)
+   */
+  updateTableHeaders(showRowNumbers = false) {
+    const thead = document.querySelector('#transactions-table thead tr');
+    if (!thead || !this.currentData.records.length) return;
+
+    // Get column names from the first record
+    const sampleRecord = this.currentData.records[0];
+    const availableColumns = Object.keys(sampleRecord);
+
+    // Define priority columns and their display names
+    const priorityColumns = [
+      { key: 'Date', display: 'Date' },
+      { key: 'Customer', display: 'Customer' },
+      { key: 'City', display: 'City' },
+      { key: 'State', display: 'State' },
+      { key: 'Product Type', display: 'Product Type' },
+      { key: 'Product', display: 'Product' },
+      { key: 'Gallon Qty', display: 'Gallons' },
+      { key: 'Sales', display: 'Sales' },
+      { key: 'Actual Profit By Item', display: 'Profit' },
+      { key: 'DELIVERY FEE', display: 'Delivery Fee' },
+      { key: 'TOTAL', display: 'Total' }
+    ];
+
+    const calculatedColumns = (this.currentData.calculatedFields || []).map(field => field.name);
+
+    // Find which priority columns exist in the data
+    const columnsToShow = [];
+    priorityColumns.forEach(col => {
+      if (availableColumns.includes(col.key)) {
+        columnsToShow.push(col);
+      }
+    });
+
+    // Add any other important columns not in priority list
+    availableColumns.forEach(col => {
+      if (!priorityColumns.find(p => p.key === col) &&
+        !calculatedColumns.includes(col) &&
+        !col.toLowerCase().includes('id') &&
+        col !== 'ProfitMargin' &&
+        col !== 'RevenuePerGallon' &&
+        col !== 'Original Date' &&
+        col !== 'Source Row' &&
+        col !== 'Source File' &&
+        col !== 'Source Upload' &&
+        !(this.productCatalog && this.productCatalog.recordFields.includes(col))) {
+        columnsToShow.push({ key: col, display: col });
+      }
+    });
+
+    // Limit to first 8 columns for readability; calculated fields are always shown after them
+    const finalColumns = columnsToShow.slice(0, 8)
+      .concat(calculatedColumns.map(col => ({ key: col, display: col })));
+
+    if (showRowNumbers) {
+      finalColumns.unshift({ key: '#row', display: 'Row' });
+    }
+
+    // Update header
+    thead.innerHTML = finalColumns.map(col => `<th>${col.display}</th>`).join('');
+
+    // Store current columns for row creation
+    this.currentTableColumns = finalColumns;
+  }
+
+  /**
+   * Create dynamic table row based on current columns
+   */
+  createDynamicTableRow(record) {
+    const row = document.createElement('tr');
+
+    if (!this.currentTableColumns) {
       // Fallback to original method if columns not set
       return this.createTableRow(record);
     }
 
-    const formatValue = (value, columnKey) => {
-      if (!value && value !== 0) return '';
+    const formatValue = (value, columnKey) => {
+      if (!value && value !== 0) return '';
+
+      // Format based on column type
+      if (columnKey === 'Date') {
+        return new Date(value).toLocaleDateString('en-US');
+      } else if (columnKey.toLowerCase().includes('sales') ||
+        columnKey.toLowerCase().includes('profit') ||
+        columnKey.toLowerCase().includes('fee') ||
+        columnKey.toLowerCase().includes('total') ||
+        columnKey.toLowerCase().includes('cost')) {
+        const numValue = Number(value);
+        if (isNaN(numValue)) return '$0.00';
+        return new Intl.NumberFormat('en-US', {
+          style: 'currency',
+          currency: 'USD'
+        }).format(numValue);
+      } else if (columnKey.toLowerCase().includes('gallon') ||
+        columnKey.toLowerCase().includes('qty') ||
+        columnKey.toLowerCase().includes('quantity')) {
+        const numValue = Number(value);
+        if (isNaN(numValue)) return '0';
+        return numValue.toLocaleString();
+      } else if (typeof value === 'number') {
+        if (isNaN(value)) return '0';
+        return value.toLocaleString();
+      } else {
+        return String(value);
+      }
+    };
+
+    // Create cells for each column
+    const cells = this.currentTableColumns.map(col => {
+      if (col.key === '#row') {
+        return `<td>${this.getSourceRowLabel(record, this.currentData)}</td>`;
+      }
+
+      const value = record[col.key];
+      const formattedValue = formatValue(value, col.key);
+      return `<td>${formattedValue}</td>`;
+    });
+
+    row.innerHTML = cells.join('');
+    return row;
+  }
+
+  /**
+   * Create table row (fallback method)
+   */
+  createTableRow(record) {
+    const row = document.createElement('tr');
+
+    const formatCurrency = (value) => {
+      return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD'
+      }).format(value || 0);
+    };
+
+    const formatDate = (date) => {
+      if (!date) return '';
+      return new Date(date).toLocaleDateString('en-US');
+    };
+
+    row.innerHTML = `
+      <td>${formatDate(record['Date'])}</td>
+      <td>${record['Customer'] || ''}</td>
+      <td>${record['Product Type'] || ''}</td>
+      <td>${(record['Gallon Qty'] || 0).toLocaleString()}</td>
+      <td>${formatCurrency(record['Sales'])}</td>
+      <td>${formatCurrency(record['Actual Profit By Item'])}</td>
+    `;
+
+    return row;
+  }
+
+  /**
+   * Export data to CSV
+   */
+  exportData() {
+    if (!this.currentData) {
+      this.showError('No data available to export');
+      return;
+    }
+
+    try {
+      console.log('📊 Exporting data...');
+
+      // Prepare CSV data - handle both Railway database and CSV/Sheets data structures
+      let headers, records;
+
+      if (this.currentData.headers) {
+        // CSV/Sheets data structure
+        headers = this.currentData.headers;
+        records = this.currentData.records;
+      } else if (this.currentData.records && this.currentData.records.length > 0) {
+        // Railway database structure - generate headers from first record
+        headers = Object.keys(this.currentData.records[0]);
+        records = this.currentData.records;
+      } else if (this.currentData.transactions && this.currentData.transactions.length > 0) {
+        // Alternative Railway structure using transactions field
+        headers = Object.keys(this.currentData.transactions[0]);
+        records = this.currentData.transactions;
+      } else {
+        this.showError('No data available to show headers');
+        return;
+      }
+
+      if (!headers || !records) {
+        this.showError('Unable to determine data structure for export');
+        return;
+      }
+
+      let csvContent = headers.join(',') + '\n';
+
+      records.forEach(record => {
+        const row = headers.map(header => {
+          let value = record[header] || '';
+
+          // Normalize dates using the new utility function
+          if (header.toLowerCase().includes('date') || value instanceof Date ||
+            (typeof value === 'string' && value.startsWith('Date('))) {
+            value = this.normalizeDate(value);
+          }
+
+          // Convert to string for CSV
+          value = String(value);
+
+          // Escape values containing commas or quotes
+          if (value.includes(',') || value.includes('"')) {
+            return '"' + value.replace(/"/g, '""') + '"';
+          }
+          return value;
+        });
+        csvContent += row.join(',') + '\n';
+      });
+
+      // Create and download file
+      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+      const link = document.createElement('a');
+
+      if (link.download !== undefined) {
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', `chief-petroleum-data-${new Date().toISOString().split('T')[0]}.csv`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        this.showNotification('Data exported successfully!');
+      }
+
+    } catch (error) {
+      console.error('❌ Export failed:', error);
+      this.showError('Failed to export data: ' + error.message);
+    }
+  }
+
+  /**
+   * Update last updated timestamp and data range information
+   */
+  updateLastUpdated() {
+    const element = document.getElementById('update-time');
+    if (element) {
+      element.textContent = new Date().toLocaleString();
+    }
+
+    // Update data range information
+    this.updateDataRangeInfo();
+
+    // Update data source information
+    this.updateDataSourceInfo();
+  }
+
+  /**
+   * Update data source information
+   */
+  updateDataSourceInfo() {
+    const dataSourceElement = document.getElementById('data-source');
+    if (dataSourceElement && this.currentData) {
+      const source = this.currentData.dataSource || this.currentData.source || 'Google Sheets';
+      dataSourceElement.textContent = source;
+
+      // Add visual indicators for different data sources
+      if (source === 'Railway Database') {
+        dataSourceElement.style.color = 'var(--success-color, #28a745)';
+        dataSourceElement.style.fontWeight = '600';
+        dataSourceElement.title = 'Live data from Railway PostgreSQL database';
+      } else if (source === 'CSV Upload') {
+        dataSourceElement.style.color = 'var(--chief-primary)';
+        dataSourceElement.style.fontWeight = '500';
+        dataSourceElement.title = 'Data from uploaded CSV files';
+      } else {
+        dataSourceElement.style.color = 'var(--text-muted)';
+        dataSourceElement.style.fontWeight = 'normal';
+        dataSourceElement.title = 'Data from Google Sheets';
+      }
+    }
+  }
+
+  /**
+   * Initialize data source dropdown with default value
+   */
+  initializeDataSourceDropdown() {
+    const sheetSelector = document.getElementById('sheet-selector');
+    if (sheetSelector) {
+      // Set default to "Current Data" (transactions)
+      sheetSelector.value = 'Data';
+      console.log('📊 Data source dropdown initialized to:', sheetSelector.value);
+    }
+  }
+
+
+
+  /**
+   * Update data range information display
+   */
+  async updateDataRangeInfo() {
+    if (!this.currentData || !this.currentData.records) return;
+
+    // Calculate date range for main data
+    const mainDataRange = this.calculateDataRange(this.currentData.records);
+    const dataRangeElement = document.getElementById('data-range');
+    if (dataRangeElement && mainDataRange) {
+      dataRangeElement.textContent = mainDataRange;
+    }
+
+    // Load and display recap data range
+    this.updateRecapDataRange();
+  }
+
+  /**
+   * Update recap data range information - CSV Only Mode
+   */
+  updateRecapDataRange() {
+    try {
+      const recapDataRangeElement = document.getElementById('recap-data-range');
+      if (!recapDataRangeElement) {
+        console.warn('⚠️ Recap data range element not found');
+        return;
+      }
+
+      // Check if we have dedicated recap data
+      if (this.currentRecapData && this.currentRecapData.records && this.currentRecapData.records.length > 0) {
+        const dataRange = this.calculateDataRange(this.currentRecapData.records);
+        recapDataRangeElement.textContent = `${dataRange.start} to ${dataRange.end} (${this.currentRecapData.records.length} recap records)`;
+        console.log('📊 Updated recap data range from dedicated recap data');
+      } else if (this.currentData && this.currentData.records && this.currentData.records.length > 0) {
+        // Fallback to main data range
+        const dataRange = this.calculateDataRange(this.currentData.records);
+        recapDataRangeElement.textContent = `${dataRange.start} to ${dataRange.end} (${this.currentData.records.length} main data records)`;
+        console.log('📊 Updated recap data range from main data');
+      } else {
+        recapDataRangeElement.textContent = 'No data available - please upload CSV files';
+        console.log('📊 No data available for recap range');
+      }
+
+    } catch (error) {
+      console.error('❌ Error updating recap data range:', error);
+      const recapDataRangeElement = document.getElementById('recap-data-range');
+      if (recapDataRangeElement) {
+        recapDataRangeElement.textContent = 'Error loading data range';
+      }
+    }
+  }
+
+  /**
+   * Calculate date range from records
+   */
+  calculateDataRange(records) {
+    if (!records || records.length === 0) return 'No data available';
+
+    // Extract valid dates from records
+    const dates = records
+      .map(record => record['Date'])
+      .filter(date => date && !isNaN(new Date(date).getTime()))
+      .map(date => new Date(date))
+      .sort((a, b) => a - b);
+
+    if (dates.length === 0) return 'No valid dates found';
+
+    const startDate = dates[0];
+    const endDate = dates[dates.length - 1];
+
+    // Format dates nicely
+    const formatOptions = {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    };
+
+    const startFormatted = startDate.toLocaleDateString('en-US', formatOptions);
+    const endFormatted = endDate.toLocaleDateString('en-US', formatOptions);
+
+    if (startFormatted === endFormatted) {
+      return `${startFormatted} (${dates.length} records)`;
+    } else {
+      return `${startFormatted} to ${endFormatted} (${dates.length} records)`;
+    }
+  }
+
+  /**
+   * Show loading overlay with smooth transition
+   */
+  showLoading(message = 'Loading...') {
+    this.isLoading = true;
+    const overlay = document.getElementById('loading-overlay');
+    const messageElement = overlay?.querySelector('p');
+
+    if (overlay) {
+      // Set message first
+      if (messageElement) {
+        messageElement.textContent = message;
+      }
+
+      // Progress and cancel are opt-in per operation
+      this.updateLoadingProgress(null);
+
+      // Show overlay and trigger transition
+      overlay.style.display = 'flex';
+
+      // Force reflow to ensure display change is applied
+      overlay.offsetHeight;
+
+      // Add show class for smooth transition
+      overlay.classList.add('show');
+
+      // Add loading states to other elements
+      this.addLoadingStates();
+    }
+  }
+
+  /**
+   * Hide loading overlay with smooth transition
+   */
+  hideLoading() {
+    const overlay = document.getElementById('loading-overlay');
+    if (overlay) {
+      // Remove show class for smooth transition
+      overlay.classList.remove('show');
+
+      // Hide overlay after transition completes
+      setTimeout(() => {
+        if (!this.isLoading) {
+          overlay.style.display = 'none';
+        }
+      }, 300);
+
+      // Remove loading states from other elements
+      this.removeLoadingStates();
+    }
+
+    this.isLoading = false;
+  }
+
+  /**
+   * Show a progress bar on the loading overlay
+   * @param {number|null} percent - 0-100, or null to hide the bar
+   * @param {string} message - Optional replacement loading message
+   */
+  updateLoadingProgress(percent, message = null) {
+    const progress = document.getElementById('loading-progress');
+    const bar = document.getElementById('loading-progress-bar');
+    const messageElement = document.querySelector('#loading-overlay p');
+
+    if (progress && bar) {
+      if (percent === null) {
+        progress.style.display = 'none';
+        bar.style.width = '0%';
+      } else {
+        progress.style.display = 'block';
+        bar.style.width = `${Math.min(100, Math.max(0, percent)).toFixed(1)}%`;
+      }
+    }
+
+    if (message && messageElement) {
+      messageElement.textContent = message;
+    }
+  }
+
+  /**
+   * Show a cancel button on the loading overlay
+   * @param {Function} onCancel - Called when the user cancels
+   */
+  showLoadingCancel(onCancel) {
+    const cancelBtn = document.getElementById('loading-cancel-btn');
+    if (!cancelBtn) return;
+
+    cancelBtn.onclick = () => {
+      cancelBtn.disabled = true;
+      onCancel();
+    };
+    cancelBtn.disabled = false;
+    cancelBtn.style.display = 'inline-flex';
+  }
+
+  /**
+   * Hide the loading overlay cancel button
+   */
+  hideLoadingCancel() {
+    const cancelBtn = document.getElementById('loading-cancel-btn');
+    if (!cancelBtn) return;
+
+    cancelBtn.onclick = null;
+    cancelBtn.style.display = 'none';
+  }
+
+  /**
+   * Add loading states to UI elements
+   */
+  addLoadingStates() {
+    // Add loading class to charts
+    const chartContainers = document.querySelectorAll('.chart-container');
+    chartContainers.forEach(container => {
+      container.classList.add('loading');
+    });
+
+    // Add loading class to KPI cards
+    const kpiCards = document.querySelectorAll('.kpi-card');
+    kpiCards.forEach(card => {
+      card.classList.add('updating');
+    });
+
+    // Add loading class to sheet selector
+    const sheetSelector = document.querySelector('.sheet-selector-container');
+    if (sheetSelector) {
+      sheetSelector.classList.add('loading');
+    }
+  }
+
+  /**
+   * Remove loading states from UI elements
+   */
+  removeLoadingStates() {
+    // Remove loading class from charts
+    const chartContainers = document.querySelectorAll('.chart-container');
+    chartContainers.forEach(container => {
+      container.classList.remove('loading');
+    });
+
+    // Remove loading class from KPI cards
+    const kpiCards = document.querySelectorAll('.kpi-card');
+    kpiCards.forEach(card => {
+      card.classList.remove('updating');
+    });
+
+    // Remove loading class from sheet selector
+    const sheetSelector = document.querySelector('.sheet-selector-container');
+    if (sheetSelector) {
+      sheetSelector.classList.remove('loading');
+    }
+  }
+
+  /**
+   * Show error modal
+   */
+  showError(message) {
+    const modal = document.getElementById('error-modal');
+    const messageElement = document.getElementById('error-message');
+
+    if (modal && messageElement) {
+      messageElement.textContent = message;
+      modal.classList.add('show');
+    }
+  }
+
+  /**
+   * Hide error modal
+   */
+  hideError() {
+    const modal = document.getElementById('error-modal');
+    if (modal) {
+      modal.classList.remove('show');
+    }
+  }
+
+  /**
+   * Show notification toast
+   * @param {string} message - Notification message
+   * @param {string} type - Notification type: 'info', 'success', 'warning', 'error'
+   */
+  showNotification(message, type = 'info') {
+    // Create notification element if it doesn't exist
+    let notificationContainer = document.getElementById('notification-container');
+    if (!notificationContainer) {
+      notificationContainer = document.createElement('div');
+      notificationContainer.id = 'notification-container';
+      notificationContainer.className = 'notification-container';
+      document.body.appendChild(notificationContainer);
+    }
+
+    // Create notification
+    const notification = document.createElement('div');
+    notification.className = `notification notification-${type}`;
+
+    // Add icon based on type
+    const icons = {
+      info: 'fas fa-info-circle',
+      success: 'fas fa-check-circle',
+      warning: 'fas fa-exclamation-triangle',
+      error: 'fas fa-times-circle'
+    };
+
+    notification.innerHTML = `
+      <i class="${icons[type] || icons.info}"></i>
+      <span>${message}</span>
+      <button class="notification-close" onclick="this.parentElement.remove()">
+        <i class="fas fa-times"></i>
+      </button>
+    `;
+
+    // Add to container
+    notificationContainer.appendChild(notification);
+
+    // Auto-remove after 5 seconds
+    setTimeout(() => {
+      if (notification.parentElement) {
+        notification.remove();
+      }
+    }, 5000);
+
+    // Add slide-in animation
+    setTimeout(() => {
+      notification.classList.add('show');
+    }, 100);
+  }
+
+
+
+  /**
+   * Handle theme changes
+   */
+  onThemeChange(themeData) {
+    console.log('🎨 Dashboard received theme change to:', themeData.theme);
+
+    // Don't update chart manager here as it's already handled by theme manager
+    // This prevents double theme updates and recursion
+    console.log('🎨 Chart manager theme update handled by theme manager');
+  }
+
+  /**
+   * Setup drag and drop listeners for enhanced file upload
+   */
+  setupDragAndDropListeners() {
+    const dragDropZone = document.getElementById('drag-drop-zone');
+    const fileInput = document.getElementById('csv-file');
+    const uploadBtn = document.getElementById('upload-csv');
+
+    if (!dragDropZone || !fileInput) return;
+
+    // Click to browse files
+    dragDropZone.addEventListener('click', () => {
+      fileInput.click();
+    });
+
+    // File input change
+    fileInput.addEventListener('change', (e) => {
+      this.handleFileSelection(Array.from(e.target.files));
+    });
+
+    // Drag and drop events
+    dragDropZone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      dragDropZone.classList.add('drag-over');
+    });
+
+    dragDropZone.addEventListener('dragleave', (e) => {
+      e.preventDefault();
+      if (!dragDropZone.contains(e.relatedTarget)) {
+        dragDropZone.classList.remove('drag-over');
+      }
+    });
+
+    dragDropZone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dragDropZone.classList.remove('drag-over');
+
+      const files = Array.from(e.dataTransfer.files).filter(file => {
+        const fileName = file.name.toLowerCase();
+        return fileName.endsWith('.csv') || fileName.endsWith('.xlsx') || fileName.endsWith('.xls');
+      });
+
+      if (files.length === 0) {
+        this.showNotification('Please drop CSV or Excel files only', 'warning');
+        return;
+      }
+
+      this.handleFileSelection(files);
+    });
+  }
+
+  /**
+   * Setup column mapping modal listeners
+   */
+  setupColumnMappingListeners() {
+    const modal = document.getElementById('column-mapping-modal');
+    const closeBtn = document.getElementById('column-mapping-close');
+    const cancelBtn = document.getElementById('cancel-mapping');
+    const backBtn = document.getElementById('back-to-upload');
+    const applyBtn = document.getElementById('apply-mapping');
+    const autoDetectBtn = document.getElementById('auto-detect-mapping');
+
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.hideColumnMappingModal());
+    }
+
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => this.hideColumnMappingModal());
+    }
+
+    if (backBtn) {
+      backBtn.addEventListener('click', () => this.goBackToUpload());
+    }
+
+    if (applyBtn) {
+      applyBtn.addEventListener('click', () => this.applyColumnMapping());
+    }
+
+    if (autoDetectBtn) {
+      autoDetectBtn.addEventListener('click', () => this.autoDetectColumnMapping());
+    }
+
+    const dateFormatSelect = document.getElementById('date-format-select');
+    if (dateFormatSelect) {
+      dateFormatSelect.addEventListener('change', (e) => {
+        this.dateFormatOverride = e.target.value;
+        this.updateDateFormatSetting();
+      });
+    }
+
+    this.setupMappingTemplateListeners();
+
+    // Close modal when clicking outside
+    if (modal) {
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+          this.hideColumnMappingModal();
+        }
+      });
+    }
+  }
+
+  /**
+   * Handle file selection from drag-drop or file input
+   */
+  handleFileSelection(files) {
+    this.selectedFiles = files;
+    this.updateFileList();
+    this.updateUploadButton();
+  }
+
+  /**
+   * Update the file list display
+   */
+  updateFileList() {
+    const fileList = document.getElementById('file-list');
+    const fileItems = document.getElementById('file-items');
+
+    if (!fileList || !fileItems) return;
+
+    if (this.selectedFiles.length === 0) {
+      fileList.style.display = 'none';
+      return;
+    }
+
+    fileList.style.display = 'block';
+    fileItems.innerHTML = '';
+
+    this.selectedFiles.forEach((file, index) => {
+      const fileItem = document.createElement('div');
+      fileItem.className = 'file-item';
+
+      // Determine file icon based on extension
+      const fileName = file.name.toLowerCase();
+      let fileIcon = 'fas fa-file';
+      if (fileName.endsWith('.csv')) {
+        fileIcon = 'fas fa-file-csv';
+      } else if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
+        fileIcon = 'fas fa-file-excel';
+      }
+
+      fileItem.innerHTML = `
+        <div class="file-info">
+          <i class="${fileIcon} file-icon"></i>
+          <span class="file-name">${file.name}</span>
+          <span class="file-size">(${this.formatFileSize(file.size)})</span>
+        </div>
+        <button class="file-remove" onclick="dashboard.removeFile(${index})" title="Remove file">
+          <i class="fas fa-times"></i>
+        </button>
+      `;
+      fileItems.appendChild(fileItem);
+    });
+  }
+
+  /**
+   * Remove a file from selection
+   */
+  removeFile(index) {
+    this.selectedFiles.splice(index, 1);
+    this.updateFileList();
+    this.updateUploadButton();
+  }
+
+  /**
+   * Format file size for display
+   */
+  formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  }
+
+  /**
+   * Update upload button state and drag-drop zone
+   */
+  updateUploadButton() {
+    const uploadBtn = document.getElementById('upload-csv');
+    const dragDropZone = document.getElementById('drag-drop-zone');
+
+    if (uploadBtn) {
+      uploadBtn.disabled = this.selectedFiles.length === 0;
+    }
+
+    // Update drag-drop zone appearance based on file selection
+    if (dragDropZone) {
+      if (this.selectedFiles.length > 0) {
+        dragDropZone.classList.add('has-files');
+        const content = dragDropZone.querySelector('.drag-drop-content');
+        if (content) {
+          content.innerHTML = `
+            <i class="fas fa-check-circle drag-drop-icon" style="color: var(--chief-success, #10b981);"></i>
+            <h3>${this.selectedFiles.length} file(s) selected</h3>
+            <p>Click "Upload CSV" to proceed with column mapping</p>
+            <div class="supported-formats">
+              <span>Ready to process</span>
+            </div>
+          `;
+        }
+      } else {
+        dragDropZone.classList.remove('has-files');
+        const content = dragDropZone.querySelector('.drag-drop-content');
+        if (content) {
+          content.innerHTML = `
+            <i class="fas fa-cloud-upload-alt drag-drop-icon"></i>
+            <h3>Drag & Drop CSV Files Here</h3>
+            <p>or click to browse files</p>
+            <div class="supported-formats">
+              <span>Supports: CSV, Excel (.xlsx, .xls) files</span>
+            </div>
+          `;
+        }
+      }
+    }
+  }
+
+  /**
+   * Enhanced CSV upload handler with column mapping
+   */
+  async handleEnhancedCSVUpload() {
+    if (this.selectedFiles.length === 0) {
+      this.showNotification('Please select CSV files first', 'warning');
+      return;
+    }
+
+    if (this.isAppendMode() && !this.getAppendTarget()) {
+      this.showNotification('Please choose the dataset to append to', 'warning');
+      return;
+    }
+
+    // For now, process the first file (can be extended for multiple files)
+    const file = this.selectedFiles[0];
+
+    try {
+      const fileName = file.name.toLowerCase();
+      const fileType = fileName.endsWith('.csv') ? 'CSV' : 'Excel';
+
+      this.showLoading(`Analyzing ${fileType} structure...`);
+
+      // Workbooks with several sheets go through the sheet picker instead of column mapping
+      if (fileType === 'Excel') {
+        const workbook = await this.readExcelWorkbook(file);
+        if (workbook.SheetNames.length > 1) {
+          this.hideLoading();
+          this.showSheetPicker(file, workbook);
+          return;
+        }
+      }
+
+      // Read and analyze the file
+      const rows = await this.readFileRows(file);
+
+      // GP goal vs. actual files have a fixed layout - import them without column mapping
+      if (rows.length > 0 && this.gpImporter.isGPLayout(rows[0])) {
+        this.importGPFile(file, rows);
+        return;
+      }
+
+      const analysis = this.analyzeCSVStructure(rows);
+
+      this.hideLoading();
+
+      // Show column mapping modal
+      this.showColumnMappingModal(file, analysis, rows);
+
+    } catch (error) {
+      this.hideLoading();
+      if (ChiefCSVParser.isCancelled(error)) {
+        this.showNotification('Upload cancelled', 'info');
+        return;
+      }
+      console.error('❌ Error analyzing file:', error);
+      this.showNotification('Error analyzing file: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Handle CSV file upload - Local Processing Only (Legacy method)
+   */
+  async handleCSVUpload() {
+    const fileInput = document.getElementById('csv-file');
+    const datasetNameInput = document.getElementById('dataset-name');
+    const file = fileInput.files[0];
+
+    if (!file) {
+      this.showNotification('Please select a CSV file first', 'warning');
+      return;
+    }
+
+    if (!file.name.toLowerCase().endsWith('.csv')) {
+      this.showNotification('Please select a valid CSV file', 'error');
+      return;
+    }
+
+    // Get dataset name (use filename if not provided)
+    let datasetName = datasetNameInput.value.trim();
+    if (!datasetName) {
+      datasetName = file.name.replace('.csv', '');
+    }
+
+    try {
+      this.showLoading(`Processing ${datasetName}...`);
+
+      // Read and parse the CSV file
+      const rows = await this.readFileRows(file);
+
+      // Process the CSV data
+      this.showLoading(`Processing ${datasetName}...`);
+      const processedData = this.processCSVData(rows, datasetName);
+
+      // Store the dataset locally
+      this.uploadedDatasets[datasetName] = processedData;
+      this.currentData = processedData;
+      this.currentDataset = datasetName;
+      this.persistDataset(datasetName, processedData);
+
+      // Update local dashboard
+      this.updateDatasetSwitcher(datasetName);
+      this.updateKPIs();
+      this.updateCharts();
+      this.updateDataTable();
+      this.updateLastUpdated();
+
+      // Update data explorer with new data
+      this.updateDataExplorer();
+
+      // Populate filter dropdowns
+      this.populateFilterDropdowns();
+
+      this.hideLoading();
+
+      // Show success message
+      this.showNotification(`Dataset "${datasetName}" uploaded successfully!
+        📊 Processed ${processedData.records.length} records`, 'success');
+      this.warnAboutDateFormat(datasetName, processedData);
+      this.showImportReportIfNeeded(processedData.importReport);
+
+      // Clear the inputs
+      fileInput.value = '';
+      datasetNameInput.value = '';
+
+    } catch (error) {
+      this.hideLoading();
+      if (ChiefCSVParser.isCancelled(error)) {
+        this.showNotification('Upload cancelled', 'info');
+        return;
+      }
+      console.error('❌ Error processing CSV file:', error);
+      this.showNotification('Error processing CSV file: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Handle Recap CSV file upload - Local Processing Only
+   */
+  async handleRecapCSVUpload() {
+    const fileInput = document.getElementById('recap-csv-file');
+    const datasetNameInput = document.getElementById('recap-dataset-name');
+    const file = fileInput.files[0];
+
+    if (!file) {
+      this.showNotification('Please select a recap CSV file first', 'warning');
+      return;
+    }
+
+    if (!file.name.toLowerCase().endsWith('.csv')) {
+      this.showNotification('Please select a valid CSV file', 'error');
+      return;
+    }
+
+    // Get dataset name (use filename if not provided)
+    let datasetName = datasetNameInput.value.trim();
+    if (!datasetName) {
+      datasetName = file.name.replace('.csv', '') + ' (Recap)';
+    }
+
+    try {
+      this.showLoading('Analyzing recap CSV structure...');
+
+      // Read and analyze the CSV file using enhanced system
+      const rows = await this.readFileRows(file);
+      const analysis = this.analyzeCSVStructure(rows);
+
+      this.hideLoading();
+
+      // Set flag to indicate this is a recap upload
+      this.isRecapUpload = true;
+      this.recapDatasetName = datasetName;
+
+      // Show column mapping modal for recap data
+      this.showColumnMappingModal(file, analysis, rows);
+
+    } catch (error) {
+      this.hideLoading();
+      if (ChiefCSVParser.isCancelled(error)) {
+        this.showNotification('Upload cancelled', 'info');
+        return;
+      }
+      console.error('❌ Error analyzing recap CSV file:', error);
+      this.showNotification('Error analyzing recap CSV file: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Check whether uploads should be appended to an existing dataset
+   */
+  isAppendMode() {
+    return document.getElementById('upload-mode')?.value === 'append';
+  }
+
+  /**
+   * Get the dataset and de-duplication key for append mode
+   * @returns {Object|null} { datasetName, keyField }, or null when creating a new dataset
+   */
+  getAppendTarget() {
+    if (!this.isAppendMode()) return null;
+
+    const datasetName = document.getElementById('append-target-dataset')?.value;
+    if (!datasetName || !this.uploadedDatasets[datasetName]) return null;
+
+    const keyField = document.getElementById('append-match-key')?.value || 'fingerprint';
+    return { datasetName, keyField };
+  }
+
+  /**
+   * Show the append options when append mode is selected
+   */
+  updateUploadModeControls() {
+    const appendOptions = document.getElementById('append-options');
+    const datasetNameInput = document.getElementById('dataset-name');
+    const append = this.isAppendMode();
+
+    if (appendOptions) appendOptions.style.display = append ? 'flex' : 'none';
+    if (datasetNameInput) datasetNameInput.style.display = append ? 'none' : '';
+
+    if (append) {
+      this.updateAppendTargets();
+    }
+  }
+
+  /**
+   * Refresh the datasets that uploads can be appended to
+   */
+  updateAppendTargets() {
+    const select = document.getElementById('append-target-dataset');
+    if (!select) return;
+
+    const previous = select.value;
+    const selected = this.uploadedDatasets[previous] ? previous : this.currentDataset;
+
+    select.innerHTML = Object.keys(this.uploadedDatasets).length > 0
+      ? ''
+      : '<option value="">No datasets to append to</option>';
+    this.appendDatasetOptions(select, this.uploadedDatasets, selected);
+
+    this.updateAppendKeyOptions();
+  }
+
+  /**
+   * Refresh the de-duplication key choices for the append target
+   */
+  updateAppendKeyOptions() {
+    const select = document.getElementById('append-match-key');
+    const datasetName = document.getElementById('append-target-dataset')?.value;
+    if (!select) return;
+
+    const dataset = this.uploadedDatasets[datasetName];
+    const fingerprintLabel = `Row fingerprint (${this.datasetMerger?.fingerprintFields.join(' + ').toLowerCase() || 'date + customer + product + gallons + sales'})`;
+
+    select.innerHTML = '';
+    select.appendChild(new Option(fingerprintLabel, 'fingerprint'));
+    (dataset?.headers || []).forEach(header => {
+      select.appendChild(new Option(`Key column: ${header}`, header));
+    });
+
+    // Default to the key used the last time this dataset was appended to
+    select.value = dataset?.mergeKey && (dataset.headers || []).includes(dataset.mergeKey)
+      ? dataset.mergeKey
+      : 'fingerprint';
+  }
+
+  /**
+   * Merge a processed upload into an existing dataset
+   * @param {string} datasetName - Dataset to append to
+   * @param {Object} processedData - Processed upload
+   * @param {string} keyField - De-duplication column, or 'fingerprint'
+   * @param {string} fileName - Uploaded file name
+   * @returns {Object} { added, updated, skipped }
+   */
+  appendToDataset(datasetName, processedData, keyField, fileName) {
+    const target = this.uploadedDatasets[datasetName];
+    if (!target) {
+      throw new Error(`Dataset "${datasetName}" not found`);
+    }
+
+    // A date format picked by hand for the dataset applies to the appended rows too
+    if (target.dateFormatSetByHand && processedData.dateFormat !== target.dateFormat) {
+      this.reparseRecordDates(processedData.records, target.dateFormat);
+    }
 
-      // Format based on column type
-      if (columnKey === 'Date') {
-        return new Date(value).toLocaleDateString('en-US');
-      } else if (columnKey.toLowerCase().includes('sales') ||
-        columnKey.toLowerCase().includes('profit') ||
-        columnKey.toLowerCase().includes('fee') ||
-        columnKey.toLowerCase().includes('total') ||
-        columnKey.toLowerCase().includes('cost')) {
-        const numValue = Number(value);
-        if (isNaN(numValue)) return '$0.00';
-        return new Intl.NumberFormat('en-US', {
-          style: 'currency',
-          currency: 'USD'
-        }).format(numValue);
-      } else if (columnKey.toLowerCase().includes('gallon') ||
-        columnKey.toLowerCase().includes('qty') ||
-        columnKey.toLowerCase().includes('quantity')) {
-        const numValue = Number(value);
-        if (isNaN(numValue)) return '0';
-        return numValue.toLocaleString();
-      } else if (typeof value === 'number') {
-        if (isNaN(value)) return '0';
-        return value.toLocaleString();
+    const calculatedNames = (target.calculatedFields || []).map(field => field.name);
+    const result = this.datasetMerger.mergeRecords(target.records, processedData.records, keyField, calculatedNames);
+    const mergedAt = new Date().toISOString();
+
+    this.uploadedDatasets[datasetName] = {
+      ...target,
+      records: result.records,
+      headers: [...target.headers, ...processedData.headers.filter(header => !target.headers.includes(header))],
+      summary: this.calculateSummaryFromRecords(result.records),
+      mergeKey: keyField,
+      updatedAt: mergedAt,
+      importReport: processedData.importReport,
+      mergeHistory: [
+        ...(target.mergeHistory || []),
+        { fileName, mergedAt, keyField, added: result.added, updated: result.updated, skipped: result.skipped }
+      ]
+    };
+
+    // Appended records need the dataset's calculated fields too
+    if (calculatedNames.length > 0) {
+      this.applyCalculatedFields(this.uploadedDatasets[datasetName]);
+    }
+
+    // Keep duplicates excluded earlier out, even when the new file contains them again
+    const excluded = this.duplicateDetector.applyExclusions(this.uploadedDatasets[datasetName].records, target.excludedDuplicates, result.addedRecords);
+    if (excluded.removed > 0) {
+      const dataset = this.uploadedDatasets[datasetName];
+      dataset.records = excluded.records;
+      dataset.summary = this.calculateSummaryFromRecords(excluded.records);
+      result.added -= excluded.removed;
+      console.log(`🧬 Dropped ${excluded.removed} previously excluded duplicates from "${datasetName}"`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Update the dataset switcher dropdown
+   */
+  updateDatasetSwitcher(activeDataset) {
+    const switcher = document.getElementById('dataset-switcher');
+    const select = document.getElementById('active-dataset');
+    const info = document.getElementById('dataset-info');
+
+    // Show the switcher
+    switcher.style.display = 'flex';
+
+    // Clear and populate the select
+    select.innerHTML = '<option value="">Select Dataset...</option>';
+    this.appendDatasetOptions(select, this.uploadedDatasets, activeDataset);
+    this.updateAppendTargets();
+    this.updateDataQuality(activeDataset);
+
+    // Update info
+    const datasetCount = Object.keys(this.uploadedDatasets).length;
+    const currentRecords = this.uploadedDatasets[activeDataset]?.records.length || 0;
+    const dataset = this.uploadedDatasets[activeDataset];
+    const dateNote = dataset?.dateFormatSetByHand ? ', set by hand' : dataset?.dateDetection?.ambiguous ? ', guessed' : '';
+    info.textContent = `${datasetCount} datasets uploaded, ${currentRecords} records in "${activeDataset}"` +
+      (dataset?.dateFormat ? ` (dates ${this.getDateFormatLabel(dataset.dateFormat)}${dateNote})` : '');
+  }
+
+  /**
+   * Add dataset options to a select, grouping sheets imported from the same workbook
+   * @param {HTMLSelectElement} select - Dataset select
+   * @param {Object} collection - Map of dataset name → dataset
+   * @param {string} selectedName - Dataset to select
+   */
+  appendDatasetOptions(select, collection, selectedName) {
+    const groups = {};
+
+    Object.entries(collection).forEach(([name, dataset]) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.selected = name === selectedName;
+
+      if (dataset.workbook) {
+        // Show just the sheet part of "<workbook> / <sheet>" inside the workbook group
+        const prefix = `${dataset.workbook} / `;
+        option.textContent = name.startsWith(prefix) ? name.slice(prefix.length) : name;
+
+        if (!groups[dataset.workbook]) {
+          groups[dataset.workbook] = document.createElement('optgroup');
+          groups[dataset.workbook].label = dataset.workbook;
+        }
+        groups[dataset.workbook].appendChild(option);
       } else {
-        return String(value);
+        option.textContent = name;
+        select.appendChild(option);
       }
-    };
+    });
 
-    // Create cells for each column
-    const cells = this.currentTableColumns.map(col => {
-      const value = record[col.key];
-      const formattedValue = formatValue(value, col.key);
-      return `<td>${formattedValue}</td>`;
+    Object.values(groups).forEach(group => select.appendChild(group));
+  }
+
+  /**
+   * Switch to a different dataset
+   */
+  switchDataset(datasetName) {
+    if (!datasetName || !this.uploadedDatasets[datasetName]) {
+      return;
+    }
+
+    try {
+      this.showLoading(`Switching to ${datasetName}...`);
+
+      // Set as current data
+      this.currentData = this.uploadedDatasets[datasetName];
+      this.currentDataset = datasetName;
+
+      // Update all dashboard components
+      this.updateKPIs();
+      this.updateCharts();
+      this.updateDataTable();
+      this.updateLastUpdated();
+
+      // Update info
+      this.updateDatasetSwitcher(datasetName);
+
+      // Update data explorer with new data
+      this.updateDataExplorer();
+
+      // Update filter dropdowns
+      this.populateFilterDropdowns();
+
+      this.hideLoading();
+      this.showNotification(`Switched to dataset "${datasetName}"`, 'success');
+
+    } catch (error) {
+      this.hideLoading();
+      console.error('❌ Error switching dataset:', error);
+      this.showNotification('Error switching dataset: ' + error.message, 'error');
+    }
+  }
+
+
+
+  /**
+   * Rename the active dataset in memory and in persistent storage
+   * @param {string} kind - Dataset kind: 'transaction' or 'recap'
+   */
+  async renameActiveDataset(kind = 'transaction') {
+    const isRecap = kind === 'recap';
+    const collection = isRecap ? this.uploadedRecapDatasets : this.uploadedDatasets;
+    const oldName = isRecap ? this.currentRecapDataset : this.currentDataset;
+
+    if (!oldName || !collection[oldName]) {
+      this.showNotification('Please select a dataset to rename', 'warning');
+      return;
+    }
+
+    const input = window.prompt(`Rename dataset "${oldName}" to:`, oldName);
+    const newName = input ? input.trim() : '';
+    if (!newName || newName === oldName) return;
+
+    if (collection[newName]) {
+      this.showNotification(`A dataset named "${newName}" already exists`, 'warning');
+      return;
+    }
+
+    // Rebuild the collection so the renamed dataset keeps its position
+    const renamed = {};
+    Object.keys(collection).forEach(name => {
+      renamed[name === oldName ? newName : name] = collection[name];
     });
+    renamed[newName].datasetName = newName;
 
-    row.innerHTML = cells.join('');
-    return row;
+    if (isRecap) {
+      this.uploadedRecapDatasets = renamed;
+      this.currentRecapDataset = newName;
+      this.currentRecapData = renamed[newName];
+      this.updateRecapDatasetSwitcher(newName);
+    } else {
+      this.uploadedDatasets = renamed;
+      this.currentDataset = newName;
+      this.currentData = renamed[newName];
+      this.updateDatasetSwitcher(newName);
+    }
+
+    if (this.storageManager && this.storageManager.isAvailable()) {
+      try {
+        await this.storageManager.renameDataset(oldName, newName, kind);
+      } catch (error) {
+        console.error('❌ Error renaming stored dataset:', error);
+        this.showNotification('Dataset renamed for this session but storage could not be updated: ' + error.message, 'warning');
+        return;
+      }
+    }
+
+    this.showNotification(`Renamed dataset "${oldName}" to "${newName}"`, 'success');
   }
 
   /**
-   * Create table row (fallback method)
+   * Delete the active dataset from memory and persistent storage
+   * @param {string} kind - Dataset kind: 'transaction' or 'recap'
    */
-  createTableRow(record) {
-    const row = document.createElement('tr');
+  async deleteActiveDataset(kind = 'transaction') {
+    const isRecap = kind === 'recap';
+    const collection = isRecap ? this.uploadedRecapDatasets : this.uploadedDatasets;
+    const name = isRecap ? this.currentRecapDataset : this.currentDataset;
 
-    const formatCurrency = (value) => {
-      return new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'USD'
-      }).format(value || 0);
-    };
+    if (!name || !collection[name]) {
+      this.showNotification('Please select a dataset to delete', 'warning');
+      return;
+    }
 
-    const formatDate = (date) => {
-      if (!date) return '';
-      return new Date(date).toLocaleDateString('en-US');
-    };
+    if (!window.confirm(`Delete dataset "${name}"? It will also be removed from saved storage.`)) {
+      return;
+    }
 
-    row.innerHTML = `
-      <td>${formatDate(record['Date'])}</td>
-      <td>${record['Customer'] || ''}</td>
-      <td>${record['Product Type'] || ''}</td>
-      <td>${(record['Gallon Qty'] || 0).toLocaleString()}</td>
-      <td>${formatCurrency(record['Sales'])}</td>
-      <td>${formatCurrency(record['Actual Profit By Item'])}</td>
+    delete collection[name];
+
+    if (this.storageManager && this.storageManager.isAvailable()) {
+      try {
+        await this.storageManager.deleteDataset(name, kind);
+      } catch (error) {
+        console.error('❌ Error deleting stored dataset:', error);
+        this.showNotification('Dataset removed for this session but storage could not be updated: ' + error.message, 'warning');
+      }
+    }
+
+    const remaining = Object.keys(collection);
+    const latest = remaining[remaining.length - 1];
+
+    if (isRecap) {
+      this.currentRecapData = latest ? collection[latest] : null;
+      this.currentRecapDataset = latest || null;
+      this.updateRecapDatasetSwitcher(latest);
+      this.updateRecapDataRange();
+    } else if (latest) {
+      this.switchDataset(latest);
+    } else {
+      this.currentDataset = null;
+      document.getElementById('dataset-switcher').style.display = 'none';
+      this.updateAppendTargets();
+      this.updateDataQuality(null);
+      this.showEmptyState();
+      this.clearDataExplorer();
+      this.clearFilterDropdowns();
+    }
+
+    this.showNotification(`Deleted dataset "${name}"`, 'success');
+  }
+
+  /**
+   * Warn after an import when the dates were read in a guessed format - every value fits both month and day
+   * first, or the values disagree
+   */
+  warnAboutDateFormat(datasetName, dataset) {
+    const detection = dataset?.dateDetection;
+    if (!detection || dataset.dateFormatSetByHand) return;
+
+    const format = this.getDateFormatLabel(dataset.dateFormat);
+    if (detection.conflicting) {
+      this.showNotification(`"${datasetName}" mixes month-first and day-first dates - read as ${format}, rows that don't fit are in the import report. Use the calendar button next to the dataset to change the format.`, 'warning');
+    } else if (detection.ambiguous) {
+      this.showNotification(`Every date in "${datasetName}" fits both MM/DD and DD/MM - read as ${format}. Use the calendar button next to the dataset to change the format.`, 'warning');
+    }
+  }
+
+  /**
+   * Re-read record dates in a format from the raw values kept at import
+   * @returns {Object} { reparsed, failed } - records re-read, and those whose date didn't fit the format (left blank)
+   */
+  reparseRecordDates(records, format) {
+    let reparsed = 0;
+    let failed = 0;
+
+    records.forEach(record => {
+      if (record['Original Date'] === undefined) return;
+      record.Date = this.parseCSVDate(record['Original Date'], format);
+      reparsed++;
+      if (!record.Date) failed++;
+    });
+    return { reparsed, failed };
+  }
+
+  /**
+   * Change how a dataset's dates are read and save the choice with the dataset
+   * @param {string} kind - Dataset kind: 'transaction' or 'recap'
+   * @param {string} name - Dataset name
+   * @param {string} format - 'MDY', 'DMY' or 'YMD'
+   * @returns {Promise<Object>} Result of reparseRecordDates()
+   */
+  async setDatasetDateFormat(kind, name, format) {
+    const collection = kind === 'recap' ? this.uploadedRecapDatasets : this.uploadedDatasets;
+    const dataset = collection[name];
+    if (!dataset) {
+      throw new Error(`Dataset "${name}" not found`);
+    }
+    if (!dataset.records.some(record => record['Original Date'] !== undefined)) {
+      throw new Error(`"${name}" was saved before raw dates were kept with each row - upload the file again to change its date format`);
+    }
+
+    const oldKeys = dataset.records.map(record => this.datasetMerger.getRecordKey(record));
+    const result = this.reparseRecordDates(dataset.records, format);
+    dataset.dateFormat = format;
+    dataset.dateFormatSetByHand = true;
+    dataset.summary = this.calculateSummaryFromRecords(dataset.records);
+    this.rekeyDatasetReviews(dataset, oldKeys, format);
+    await this.persistDataset(name, dataset, kind);
+
+    if (kind !== 'recap') {
+      // Outlier flags, duplicate pairs and a focused issue were all worked out from the old dates
+      if (this.tableFocus && this.tableFocus.dataset === dataset) {
+        this.tableFocus = null;
+      }
+      this.updateDataQuality(name);
+    }
+
+    console.log(`📅 Dates in "${name}" re-read as ${this.getDateFormatLabel(format)}: ${result.reparsed} rows, ${result.failed} blank`);
+    return result;
+  }
+
+  /**
+   * Move a dataset's outlier reviews and excluded duplicates to the record fingerprints its new dates give -
+   * the fingerprint includes the date, so they would otherwise no longer match any record
+   * @param {Object} dataset - Dataset whose dates were just re-read
+   * @param {string[]} oldKeys - Each record's fingerprint before the dates changed
+   * @param {string} format - The new date format
+   */
+  rekeyDatasetReviews(dataset, oldKeys, format) {
+    const renamed = new Map();
+    dataset.records.forEach((record, index) => renamed.set(oldKeys[index], this.datasetMerger.getRecordKey(record)));
+
+    if (dataset.outlierReviews) {
+      dataset.outlierReviews = Object.fromEntries(Object.entries(dataset.outlierReviews).map(([key, review]) => {
+        const separator = key.indexOf('|');
+        const metric = key.slice(0, separator);
+        const fingerprint = key.slice(separator + 1);
+        return [renamed.has(fingerprint) ? `${metric}|${renamed.get(fingerprint)}` : key, review];
+      }));
+    }
+
+    if (dataset.excludedDuplicates) {
+      dataset.excludedDuplicates = dataset.excludedDuplicates.map(exclusion => {
+        // Excluded records aren't in the dataset any more, so re-read their own dates
+        this.reparseRecordDates([exclusion.record], format);
+        const key = this.datasetMerger.getRecordKey(exclusion.record);
+        const keptKey = exclusion.keptKey === exclusion.key ? key : (renamed.get(exclusion.keptKey) ?? exclusion.keptKey);
+        return { ...exclusion, key, keptKey };
+      });
+    }
+  }
+
+  /**
+   * Show the active dataset's date format, with a preview of its raw dates read in each format
+   * @param {string} kind - Dataset kind: 'transaction' or 'recap'
+   */
+  showDatasetDateFormat(kind = 'transaction') {
+    const isRecap = kind === 'recap';
+    const name = isRecap ? this.currentRecapDataset : this.currentDataset;
+    const dataset = (isRecap ? this.uploadedRecapDatasets : this.uploadedDatasets)[name];
+    if (!dataset) {
+      this.showNotification('Please select a dataset first', 'warning');
+      return;
+    }
+
+    const detection = dataset.dateDetection;
+    const samples = [...new Set(dataset.records.map(record => record['Original Date']).filter(Boolean))].slice(0, 8);
+    let status = 'No numeric dates were detected when this dataset was imported.';
+    if (dataset.dateFormatSetByHand) {
+      status = detection && detection.format !== dataset.dateFormat
+        ? `Set by hand (detected ${this.getDateFormatLabel(detection.format)}).`
+        : 'Set by hand.';
+    } else if (detection?.conflicting) {
+      status = `⚠️ Mixed formats: ${detection.counts.MDY} values are month-first and ${detection.counts.DMY} day-first.`;
+    } else if (detection?.ambiguous) {
+      status = `⚠️ Ambiguous: all ${this.formatNumber(detection.matched)} dates fit both MM/DD and DD/MM, so month-first was assumed.`;
+    } else if (detection) {
+      status = `Detected from ${this.formatNumber(detection.matched)} values.`;
+    }
+
+    const content = `
+      <div class="dataset-date-format">
+        <p class="import-report-note">${this.escapeHTML(status)}</p>
+        <div class="gp-recon-controls">
+          <label>Read dates as
+            <select id="dataset-date-format" class="dataset-select">
+              ${['MDY', 'DMY', 'YMD'].map(format => `<option value="${format}" ${format === dataset.dateFormat ? 'selected' : ''}>${this.getDateFormatLabel(format)}</option>`).join('')}
+            </select>
+          </label>
+        </div>
+        ${samples.length === 0
+          ? '<p class="import-report-note">This dataset was saved before raw dates were kept with each row - upload the file again to change its date format.</p>'
+          : `<table class="data-table">
+              <thead><tr><th>In the file</th><th>Read as</th></tr></thead>
+              <tbody id="dataset-date-preview"></tbody>
+            </table>`}
+        <button id="dataset-date-apply" class="template-btn" ${samples.length === 0 ? 'disabled' : ''}><i class="fas fa-check"></i> Apply</button>
+      </div>
     `;
 
-    return row;
+    this.showModal(`<i class="fas fa-calendar-alt"></i> Date Format: ${this.escapeHTML(name)}`, content);
+
+    const select = document.getElementById('dataset-date-format');
+    const renderPreview = () => {
+      const preview = document.getElementById('dataset-date-preview');
+      if (!preview) return;
+      preview.innerHTML = samples.map(value => {
+        const date = this.parseCSVDate(value, select.value);
+        return `<tr><td>${this.escapeHTML(value)}</td><td>${date ? date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }) : '—'}</td></tr>`;
+      }).join('');
+    };
+    select?.addEventListener('change', renderPreview);
+    renderPreview();
+
+    document.getElementById('dataset-date-apply')?.addEventListener('click', async (e) => {
+      const overlay = e.target.closest('.modal-overlay');
+      try {
+        const { failed } = await this.setDatasetDateFormat(kind, name, select.value);
+        overlay?.remove();
+
+        if (isRecap) {
+          this.updateRecapDatasetSwitcher(name);
+          this.updateRecapDataRange();
+        } else if (name === this.currentDataset) {
+          this.updateDatasetSwitcher(name);
+          this.updateKPIs();
+          this.updateCharts();
+          this.updateDataTable();
+          this.updateDataExplorer();
+          this.populateFilterDropdowns();
+        }
+
+        this.showNotification(`Dates in "${name}" are now read as ${this.getDateFormatLabel(select.value)}` +
+          (failed > 0 ? ` - ${this.formatNumber(failed)} dates don't fit and were left blank` : ''), failed > 0 ? 'warning' : 'success');
+      } catch (error) {
+        this.showNotification(error.message, 'error');
+      }
+    });
+  }
+
+  /**
+   * Report a record's customer under its canonical name; the uploaded name is kept in "Original Customer"
+   * @returns {boolean} True if the record's customer changed
+   */
+  applyCustomerAlias(record) {
+    const original = record['Original Customer'] ?? record.Customer;
+    if (!this.customerAliases || original === undefined || original === null || original === '') return false;
+
+    const previous = record.Customer;
+    const canonical = this.customerAliases.resolve(original);
+
+    if (canonical !== String(original).trim()) {
+      record['Original Customer'] = original;
+      record.Customer = canonical;
+    } else {
+      delete record['Original Customer'];
+      record.Customer = original;
+    }
+
+    return record.Customer !== previous;
+  }
+
+  /**
+   * Run a record update over every loaded transaction and recap dataset, then re-summarize and save the datasets it changed
+   * @param {Function} updateRecord - Called with each record, returns true if it changed the record
+   * @returns {number} Number of records changed
+   */
+  updateAllRecords(updateRecord) {
+    let changedRecords = 0;
+
+    [[this.uploadedDatasets, 'transaction'], [this.uploadedRecapDatasets, 'recap']].forEach(([collection, kind]) => {
+      Object.entries(collection).forEach(([name, dataset]) => {
+        let changed = 0;
+        (dataset.records || []).forEach(record => {
+          if (updateRecord(record)) changed++;
+        });
+
+        if (changed > 0) {
+          dataset.headers = this.addAddressHeaders(dataset.headers || [], dataset.records);
+          dataset.summary = this.calculateSummaryFromRecords(dataset.records);
+          this.persistDataset(name, dataset, kind);
+          changedRecords += changed;
+        }
+      });
+    });
+
+    return changedRecords;
   }
 
   /**
-   * Export data to CSV
+   * Re-apply the customer alias table to every loaded transaction and recap dataset
+   * @returns {number} Number of records whose customer changed
    */
-  exportData() {
-    if (!this.currentData) {
-      this.showError('No data available to export');
-      return;
+  applyCustomerAliasesToAll() {
+    const changedRecords = this.updateAllRecords(record => this.applyCustomerAlias(record));
+
+    if (changedRecords > 0) {
+      console.log(`👥 Customer aliases updated ${changedRecords} records`);
     }
+    return changedRecords;
+  }
 
-    try {
-      console.log('📊 Exporting data...');
+  /**
+   * Count records per uploaded customer name across all transaction and recap datasets
+   * @returns {Map<string, number>} Customer name → record count
+   */
+  getCustomerNameCounts() {
+    const counts = new Map();
 
-      // Prepare CSV data - handle both Railway database and CSV/Sheets data structures
-      let headers, records;
+    [...Object.values(this.uploadedDatasets), ...Object.values(this.uploadedRecapDatasets)].forEach(dataset => {
+      (dataset.records || []).forEach(record => {
+        const name = record['Original Customer'] ?? record.Customer;
+        if (name) {
+          const trimmed = String(name).trim();
+          counts.set(trimmed, (counts.get(trimmed) || 0) + 1);
+        }
+      });
+    });
 
-      if (this.currentData.headers) {
-        // CSV/Sheets data structure
-        headers = this.currentData.headers;
-        records = this.currentData.records;
-      } else if (this.currentData.records && this.currentData.records.length > 0) {
-        // Railway database structure - generate headers from first record
-        headers = Object.keys(this.currentData.records[0]);
-        records = this.currentData.records;
-      } else if (this.currentData.transactions && this.currentData.transactions.length > 0) {
-        // Alternative Railway structure using transactions field
-        headers = Object.keys(this.currentData.transactions[0]);
-        records = this.currentData.transactions;
-      } else {
-        this.showError('No data available to show headers');
-        return;
-      }
+    return counts;
+  }
 
-      if (!headers || !records) {
-        this.showError('Unable to determine data structure for export');
-        return;
-      }
+  /**
+   * Re-apply aliases after the alias table changes and refresh the views that show customers
+   */
+  refreshCustomerAliases() {
+    const changed = this.applyCustomerAliasesToAll();
 
-      let csvContent = headers.join(',') + '\n';
+    if (changed > 0 && this.currentData) {
+      this.updateKPIs();
+      this.updateCharts();
+      this.updateDataTable();
+      this.updateDataExplorer();
+      this.populateFilterDropdowns();
+    }
+    return changed;
+  }
 
-      records.forEach(record => {
-        const row = headers.map(header => {
-          let value = record[header] || '';
+  /**
+   * Show suggested duplicate customers and the saved alias table
+   */
+  showCustomerAliasManager() {
+    const nameCounts = this.getCustomerNameCounts();
+    if (nameCounts.size === 0) {
+      this.showNotification('Upload a dataset with a Customer column first', 'warning');
+      return;
+    }
 
-          // Normalize dates using the new utility function
-          if (header.toLowerCase().includes('date') || value instanceof Date ||
-            (typeof value === 'string' && value.startsWith('Date('))) {
-            value = this.normalizeDate(value);
-          }
+    const suggestions = this.customerAliases.findSuggestions(nameCounts);
+    const aliases = this.customerAliases.getAliases();
 
-          // Convert to string for CSV
-          value = String(value);
+    const suggestionRows = suggestions.map((suggestion, index) => `
+      <div class="customer-alias-group" data-index="${index}">
+        <div class="customer-alias-names">
+          ${suggestion.names.map(name => `
+            <label>
+              <input type="checkbox" class="customer-alias-check" value="${this.escapeHTML(name)}" checked>
+              ${this.escapeHTML(name)} <span class="customer-alias-count">(${this.formatNumber(nameCounts.get(name) || 0)} records)</span>
+            </label>
+          `).join('')}
+        </div>
+        <div class="customer-alias-actions">
+          <label>Report as
+            <select class="dataset-select customer-alias-canonical">
+              ${suggestion.names.map(name =>
+                `<option value="${this.escapeHTML(name)}" ${name === suggestion.canonical ? 'selected' : ''}>${this.escapeHTML(name)}</option>`).join('')}
+            </select>
+          </label>
+          <button class="template-btn customer-alias-merge" data-index="${index}">
+            <i class="fas fa-object-group"></i> Merge
+          </button>
+          <button class="dataset-action-btn customer-alias-dismiss" data-index="${index}" title="These are different customers">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+      </div>
+    `).join('');
+
+    const aliasRows = aliases.map(({ alias, canonical }) => `
+      <tr>
+        <td>${this.escapeHTML(alias)}</td>
+        <td>${this.escapeHTML(canonical)}</td>
+        <td>
+          <button class="dataset-action-btn customer-alias-remove" data-alias="${this.escapeHTML(alias)}" title="Report this name separately again">
+            <i class="fas fa-unlink"></i>
+          </button>
+        </td>
+      </tr>
+    `).join('');
+
+    const content = `
+      <div class="customer-aliases">
+        <h4>Possible duplicates (${suggestions.length})</h4>
+        ${suggestions.length === 0 ? '<p>No likely duplicate customer names found.</p>' : `
+          <p class="import-report-note">Names that differ only in punctuation, spacing, "Inc"/"LLC" or COD markers, or are spelled almost the same.
+            Untick any name that is a different account before merging.</p>
+          ${suggestionRows}
+        `}
+        <h4>Merged customers (${aliases.length})</h4>
+        ${aliases.length === 0 ? '<p>No customer names have been merged yet.</p>' : `
+          <table class="data-table">
+            <thead><tr><th>Uploaded name</th><th>Reported as</th><th></th></tr></thead>
+            <tbody>${aliasRows}</tbody>
+          </table>
+        `}
+      </div>
+    `;
 
-          // Escape values containing commas or quotes
-          if (value.includes(',') || value.includes('"')) {
-            return '"' + value.replace(/"/g, '""') + '"';
-          }
-          return value;
-        });
-        csvContent += row.join(',') + '\n';
-      });
+    this.showModal('<i class="fas fa-users"></i> Customer Names', content);
 
-      // Create and download file
-      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-      const link = document.createElement('a');
+    document.querySelectorAll('.customer-alias-merge').forEach(button => {
+      button.addEventListener('click', () => {
+        const group = button.closest('.customer-alias-group');
+        const names = [...group.querySelectorAll('.customer-alias-check:checked')].map(input => input.value);
+        const canonical = group.querySelector('.customer-alias-canonical').value;
 
-      if (link.download !== undefined) {
-        const url = URL.createObjectURL(blob);
-        link.setAttribute('href', url);
-        link.setAttribute('download', `chief-petroleum-data-${new Date().toISOString().split('T')[0]}.csv`);
-        link.style.visibility = 'hidden';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+        if (names.filter(name => name !== canonical).length === 0) {
+          this.showNotification('Tick at least one other name to merge', 'warning');
+          return;
+        }
 
-        this.showNotification('Data exported successfully!');
-      }
+        this.customerAliases.mergeCustomers(names, canonical);
+        const changed = this.refreshCustomerAliases();
+        this.showNotification(`Merged ${names.length} names into "${canonical}" (${this.formatNumber(changed)} records updated)`, 'success');
+        this.showCustomerAliasManager();
+      });
+    });
 
-    } catch (error) {
-      console.error('❌ Export failed:', error);
-      this.showError('Failed to export data: ' + error.message);
-    }
+    document.querySelectorAll('.customer-alias-dismiss').forEach(button => {
+      button.addEventListener('click', () => {
+        this.customerAliases.dismissSuggestion(suggestions[Number(button.dataset.index)].names);
+        this.showCustomerAliasManager();
+      });
+    });
+
+    document.querySelectorAll('.customer-alias-remove').forEach(button => {
+      button.addEventListener('click', () => {
+        this.customerAliases.removeAlias(button.dataset.alias);
+        this.refreshCustomerAliases();
+        this.showNotification(`"${button.dataset.alias}" is reported separately again`, 'info');
+        this.showCustomerAliasManager();
+      });
+    });
   }
 
   /**
-   * Update last updated timestamp and data range information
+   * Look up a record's product in the catalog
+   * @returns {Object|null} { raw, product, family, grade, dyed, segment, saved } or null if the record has no product
    */
-  updateLastUpdated() {
-    const element = document.getElementById('update-time');
-    if (element) {
-      element.textContent = new Date().toLocaleString();
-    }
-
-    // Update data range information
-    this.updateDataRangeInfo();
-
-    // Update data source information
-    this.updateDataSourceInfo();
+  getRecordProduct(record) {
+    const raw = record['Product Type'] || record.product_type || record.Product || record.product;
+    if (!raw || !this.productCatalog) return null;
+    return this.productCatalog.lookup(raw);
   }
 
   /**
-   * Update data source information
+   * Add the catalog's product name, family, grade, dyed flag and segment to a record
+   * @returns {boolean} True if any product field changed
    */
-  updateDataSourceInfo() {
-    const dataSourceElement = document.getElementById('data-source');
-    if (dataSourceElement && this.currentData) {
-      const source = this.currentData.dataSource || this.currentData.source || 'Google Sheets';
-      dataSourceElement.textContent = source;
+  applyProductCatalog(record) {
+    if (!this.productCatalog) return false;
 
-      // Add visual indicators for different data sources
-      if (source === 'Railway Database') {
-        dataSourceElement.style.color = 'var(--success-color, #28a745)';
-        dataSourceElement.style.fontWeight = '600';
-        dataSourceElement.title = 'Live data from Railway PostgreSQL database';
-      } else if (source === 'CSV Upload') {
-        dataSourceElement.style.color = 'var(--chief-primary)';
-        dataSourceElement.style.fontWeight = '500';
-        dataSourceElement.title = 'Data from uploaded CSV files';
+    const entry = this.getRecordProduct(record);
+    const values = entry
+      ? { ProductName: entry.product, ProductFamily: entry.family, ProductGrade: entry.grade, ProductDyed: entry.dyed, ProductSegment: entry.segment }
+      : {};
+    let changed = false;
+
+    this.productCatalog.recordFields.forEach(field => {
+      if (record[field] === values[field]) return;
+      changed = true;
+      if (field in values) {
+        record[field] = values[field];
       } else {
-        dataSourceElement.style.color = 'var(--text-muted)';
-        dataSourceElement.style.fontWeight = 'normal';
-        dataSourceElement.title = 'Data from Google Sheets';
+        delete record[field];
       }
-    }
+    });
+
+    return changed;
   }
 
   /**
-   * Initialize data source dropdown with default value
+   * Re-apply the product catalog to every loaded transaction and recap dataset
+   * @returns {number} Number of records whose product fields changed
    */
-  initializeDataSourceDropdown() {
-    const sheetSelector = document.getElementById('sheet-selector');
-    if (sheetSelector) {
-      // Set default to "Current Data" (transactions)
-      sheetSelector.value = 'Data';
-      console.log('📊 Data source dropdown initialized to:', sheetSelector.value);
+  applyProductCatalogToAll() {
+    const changedRecords = this.updateAllRecords(record => this.applyProductCatalog(record));
+
+    if (changedRecords > 0) {
+      console.log(`🏷️ Product catalog updated ${changedRecords} records`);
     }
+    return changedRecords;
   }
 
-
-
   /**
-   * Update data range information display
+   * Show every raw product in the loaded datasets with its catalog entry, for review and editing
    */
-  async updateDataRangeInfo() {
-    if (!this.currentData || !this.currentData.records) return;
+  showProductCatalog() {
+    const productCounts = new Map();
+    [...Object.values(this.uploadedDatasets), ...Object.values(this.uploadedRecapDatasets)].forEach(dataset => {
+      (dataset.records || []).forEach(record => {
+        const raw = record['Product Type'] || record.product_type || record.Product || record.product;
+        if (raw) {
+          const trimmed = String(raw).trim().replace(/\s+/g, ' ');
+          productCounts.set(trimmed, (productCounts.get(trimmed) || 0) + 1);
+        }
+      });
+    });
 
-    // Calculate date range for main data
-    const mainDataRange = this.calculateDataRange(this.currentData.records);
-    const dataRangeElement = document.getElementById('data-range');
-    if (dataRangeElement && mainDataRange) {
-      dataRangeElement.textContent = mainDataRange;
+    // Saved entries for products not in the loaded data stay editable too
+    this.productCatalog.getEntries().forEach(entry => {
+      const present = [...productCounts.keys()].some(raw =>
+        this.productCatalog.getLookupKey(raw) === this.productCatalog.getLookupKey(entry.raw));
+      if (!present) productCounts.set(entry.raw, 0);
+    });
+
+    if (productCounts.size === 0) {
+      this.showNotification('Upload a dataset with a Product Type column first', 'warning');
+      return;
     }
 
-    // Load and display recap data range
-    this.updateRecapDataRange();
+    // Suggested (unsaved) products first, then by record count
+    const products = [...productCounts.entries()]
+      .map(([raw, count]) => ({ ...this.productCatalog.lookup(raw), raw, count }))
+      .sort((a, b) => a.saved - b.saved || b.count - a.count || a.raw.localeCompare(b.raw));
+    const unsavedCount = products.filter(entry => !entry.saved).length;
+
+    const options = (values, selected) => values.map(value =>
+      `<option value="${this.escapeHTML(value)}" ${value === selected ? 'selected' : ''}>${this.escapeHTML(value)}</option>`).join('');
+
+    const rows = products.map((entry, index) => `
+      <tr data-index="${index}">
+        <td class="product-catalog-raw">${this.escapeHTML(entry.raw)}<span>${this.formatNumber(entry.count)} records</span></td>
+        <td><input type="text" class="product-catalog-product" value="${this.escapeHTML(entry.product)}"></td>
+        <td><select class="dataset-select product-catalog-family">${options(this.productCatalog.families, entry.family)}</select></td>
+        <td><input type="text" class="product-catalog-grade" value="${this.escapeHTML(entry.grade)}"></td>
+        <td><input type="checkbox" class="product-catalog-dyed" ${entry.dyed ? 'checked' : ''}></td>
+        <td><select class="dataset-select product-catalog-segment">${options(this.productCatalog.segments, entry.segment)}</select></td>
+        <td>
+          ${entry.saved
+            ? `<button class="dataset-action-btn product-catalog-reset" data-index="${index}" title="Forget this entry and use the suggestion"><i class="fas fa-undo"></i></button>`
+            : '<span class="import-status import-status-coerced">suggested</span>'}
+        </td>
+      </tr>
+    `).join('');
+
+    const content = `
+      <div class="product-catalog">
+        <p class="import-report-note">${unsavedCount > 0
+          ? `${unsavedCount} product${unsavedCount === 1 ? ' has' : 's have'} not been reviewed yet - the suggested values are used until you save them.`
+          : 'Every product in the loaded data has a saved catalog entry.'}</p>
+        <table class="data-table">
+          <thead><tr><th>Raw product</th><th>Product</th><th>Family</th><th>Grade</th><th>Dyed</th><th>Segment</th><th></th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <button id="save-product-catalog" class="template-btn">
+          <i class="fas fa-save"></i> Save Catalog
+        </button>
+      </div>
+    `;
+
+    this.showModal('<i class="fas fa-tags"></i> Product Catalog', content);
+
+    const saveBtn = document.getElementById('save-product-catalog');
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => {
+        try {
+          document.querySelectorAll('.product-catalog tbody tr').forEach(row => {
+            this.productCatalog.saveEntry(products[Number(row.dataset.index)].raw, {
+              product: row.querySelector('.product-catalog-product').value,
+              family: row.querySelector('.product-catalog-family').value,
+              grade: row.querySelector('.product-catalog-grade').value,
+              dyed: row.querySelector('.product-catalog-dyed').checked,
+              segment: row.querySelector('.product-catalog-segment').value
+            });
+          });
+        } catch (error) {
+          this.showNotification(error.message, 'error');
+          return;
+        }
+
+        const changed = this.refreshProductCatalog();
+        this.showNotification(`Saved ${products.length} catalog entries (${this.formatNumber(changed)} records updated)`, 'success');
+        this.showProductCatalog();
+      });
+    }
+
+    document.querySelectorAll('.product-catalog-reset').forEach(button => {
+      button.addEventListener('click', () => {
+        this.productCatalog.removeEntry(products[Number(button.dataset.index)].raw);
+        this.refreshProductCatalog();
+        this.showProductCatalog();
+      });
+    });
   }
 
   /**
-   * Update recap data range information - CSV Only Mode
+   * Re-apply the catalog after it changes and refresh the product chart
    */
-  updateRecapDataRange() {
-    try {
-      const recapDataRangeElement = document.getElementById('recap-data-range');
-      if (!recapDataRangeElement) {
-        console.warn('⚠️ Recap data range element not found');
-        return;
-      }
-
-      // Check if we have dedicated recap data
-      if (this.currentRecapData && this.currentRecapData.records && this.currentRecapData.records.length > 0) {
-        const dataRange = this.calculateDataRange(this.currentRecapData.records);
-        recapDataRangeElement.textContent = `${dataRange.start} to ${dataRange.end} (${this.currentRecapData.records.length} recap records)`;
-        console.log('📊 Updated recap data range from dedicated recap data');
-      } else if (this.currentData && this.currentData.records && this.currentData.records.length > 0) {
-        // Fallback to main data range
-        const dataRange = this.calculateDataRange(this.currentData.records);
-        recapDataRangeElement.textContent = `${dataRange.start} to ${dataRange.end} (${this.currentData.records.length} main data records)`;
-        console.log('📊 Updated recap data range from main data');
-      } else {
-        recapDataRangeElement.textContent = 'No data available - please upload CSV files';
-        console.log('📊 No data available for recap range');
-      }
+  refreshProductCatalog() {
+    const changed = this.applyProductCatalogToAll();
 
-    } catch (error) {
-      console.error('❌ Error updating recap data range:', error);
-      const recapDataRangeElement = document.getElementById('recap-data-range');
-      if (recapDataRangeElement) {
-        recapDataRangeElement.textContent = 'Error loading data range';
-      }
+    if (changed > 0 && this.currentData) {
+      this.updateProductChart(document.getElementById('product-filter')?.value || 'all');
     }
+    return changed;
   }
 
   /**
-   * Calculate date range from records
+   * Parse a record's Customer-Address into Street, City, State, ZIP, PO Box and Address Status fields
+   * @returns {boolean} True if any address field changed
    */
-  calculateDataRange(records) {
-    if (!records || records.length === 0) return 'No data available';
-
-    // Extract valid dates from records
-    const dates = records
-      .map(record => record['Date'])
-      .filter(date => date && !isNaN(new Date(date).getTime()))
-      .map(date => new Date(date))
-      .sort((a, b) => a - b);
+  applyAddressFields(record) {
+    if (!this.addressParser) return false;
 
-    if (dates.length === 0) return 'No valid dates found';
+    const address = record['Customer-Address'] || record.Address || record.address;
+    if (!address) return false;
 
-    const startDate = dates[0];
-    const endDate = dates[dates.length - 1];
+    // Files with their own City/State columns keep them
+    if ((record.City || record.State) && !record['Address Status']) return false;
 
-    // Format dates nicely
-    const formatOptions = {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric'
+    const parsed = this.addressParser.parse(address);
+    const values = {
+      Street: parsed.street,
+      City: parsed.city,
+      State: parsed.state,
+      ZIP: parsed.zip,
+      'PO Box': parsed.poBox,
+      'Address Status': parsed.status
     };
+    let changed = false;
 
-    const startFormatted = startDate.toLocaleDateString('en-US', formatOptions);
-    const endFormatted = endDate.toLocaleDateString('en-US', formatOptions);
+    Object.entries(values).forEach(([field, value]) => {
+      if (record[field] === value) return;
+      record[field] = value;
+      changed = true;
+    });
 
-    if (startFormatted === endFormatted) {
-      return `${startFormatted} (${dates.length} records)`;
-    } else {
-      return `${startFormatted} to ${endFormatted} (${dates.length} records)`;
+    return changed;
+  }
+
+  /**
+   * Add the parsed address fields to a dataset's headers when its records have them
+   */
+  addAddressHeaders(headers, records) {
+    if (!this.addressParser || !records.some(record => record['Address Status'])) return headers;
+    return headers.concat(this.addressParser.recordFields.filter(field => !headers.includes(field)));
+  }
+
+  /**
+   * Get the location a record is grouped under
+   * @param {string} groupBy - 'city' (City, ST), 'state' or 'zip'
+   * @returns {string} Location, or '' if the record has none
+   */
+  getRecordLocation(record, groupBy = 'city') {
+    if (groupBy === 'state') {
+      return record.State || record.state || '';
+    }
+    if (groupBy === 'zip') {
+      // ZIP+4 is grouped under its five-digit ZIP
+      return String(record.ZIP || record.Zip || record.zip || '').slice(0, 5);
     }
+
+    if (record.Location || record.location) return record.Location || record.location;
+
+    const city = record.City || record.city;
+    const state = record.State || record.state;
+    if (city) return state ? `${city}, ${state}` : city;
+    return state || '';
+  }
+
+  /**
+   * Starter formulas offered in the calculated field editor
+   */
+  getCalculatedFieldPresets() {
+    return [
+      { name: 'Profit per Gallon', formula: '[Actual Profit By Item] / [Gallon Qty]' },
+      { name: 'Cost per Gallon', formula: '[Actual Cost by item] / [Gallon Qty]' },
+      { name: 'Margin %', formula: '[Actual Profit By Item] / [Sales] * 100' },
+      { name: 'Price vs Clear Cost', formula: '([Sales] - [Clear Cost]) / [Gallon Qty]' }
+    ];
+  }
+
+  /**
+   * Columns a calculated field's formula may reference - source columns plus the calculated fields defined before it
+   * @param {Object} dataset - Transaction dataset
+   * @param {string} fieldName - Calculated field being compiled, or null for a new field
+   */
+  getFormulaColumns(dataset, fieldName = null) {
+    const fields = dataset.calculatedFields || [];
+    const calculatedNames = fields.map(field => field.name);
+    const position = fieldName === null ? fields.length : calculatedNames.indexOf(fieldName);
+
+    return (dataset.headers || [])
+      .filter(header => !calculatedNames.includes(header))
+      .concat(calculatedNames.slice(0, position));
   }
 
   /**
-   * Show loading overlay with smooth transition
+   * Calculate every calculated field of a dataset onto its records and add the fields to its headers
+   * @returns {number} Number of calculated fields applied
    */
-  showLoading(message = 'Loading...') {
-    this.isLoading = true;
-    const overlay = document.getElementById('loading-overlay');
-    const messageElement = overlay?.querySelector('p');
+  applyCalculatedFields(dataset) {
+    const fields = dataset.calculatedFields || [];
+    if (!this.formulaEngine || fields.length === 0) return 0;
 
-    if (overlay) {
-      // Set message first
-      if (messageElement) {
-        messageElement.textContent = message;
+    let applied = 0;
+    fields.forEach(field => {
+      let compiled = null;
+      try {
+        compiled = this.formulaEngine.compile(field.formula, this.getFormulaColumns(dataset, field.name));
+        applied++;
+      } catch (error) {
+        // A column the formula uses is gone (e.g. after an append changed the headers) - leave the field blank
+        console.warn(`⚠️ Calculated field "${field.name}" could not be calculated:`, error.message);
       }
 
-      // Show overlay and trigger transition
-      overlay.style.display = 'flex';
+      dataset.records.forEach(record => {
+        record[field.name] = compiled ? this.formulaEngine.evaluate(compiled, record) : null;
+      });
 
-      // Force reflow to ensure display change is applied
-      overlay.offsetHeight;
+      if (!dataset.headers.includes(field.name)) {
+        dataset.headers.push(field.name);
+      }
+    });
 
-      // Add show class for smooth transition
-      overlay.classList.add('show');
+    return applied;
+  }
 
-      // Add loading states to other elements
-      this.addLoadingStates();
+  /**
+   * Add or replace a calculated field on the active dataset
+   * @param {string} name - Field name
+   * @param {string} formula - Formula over the dataset's columns
+   * @param {string} originalName - Name of the field being edited, or null for a new field
+   */
+  saveCalculatedField(name, formula, originalName = null) {
+    const dataset = this.currentData;
+    if (!dataset || !this.currentDataset || !this.uploadedDatasets[this.currentDataset]) {
+      throw new Error('Select an uploaded dataset first');
+    }
+
+    const fieldName = String(name || '').trim().replace(/\s+/g, ' ');
+    if (!fieldName) {
+      throw new Error('Field name is required');
+    }
+    if (/[[\]]/.test(fieldName)) {
+      throw new Error('Field name cannot contain [ or ]');
     }
+
+    const fields = dataset.calculatedFields || [];
+    const calculatedNames = fields.map(field => field.name);
+    const clashes = (dataset.headers || []).concat(calculatedNames)
+      .filter(header => header !== originalName)
+      .some(header => header.toLowerCase() === fieldName.toLowerCase());
+    if (clashes) {
+      throw new Error(`"${fieldName}" is already a column in this dataset`);
+    }
+
+    // An edited field keeps its position, so fields after it that use it still work
+    const position = originalName === null ? fields.length : calculatedNames.indexOf(originalName);
+    const columns = this.getFormulaColumns(dataset, originalName).filter(column => column !== originalName);
+    const compiled = this.formulaEngine.compile(formula, columns);
+
+    if (originalName !== null && originalName !== fieldName) {
+      const dependents = this.getCalculatedFieldDependents(dataset, originalName);
+      if (dependents.length > 0) {
+        throw new Error(`"${originalName}" is used by ${dependents.map(field => `"${field.name}"`).join(', ')} - it can't be renamed`);
+      }
+      this.removeCalculatedValues(dataset, originalName);
+    }
+
+    const updated = [...fields];
+    updated.splice(position, originalName === null ? 0 : 1, { name: fieldName, formula: compiled.formula });
+    dataset.calculatedFields = updated;
+
+    this.applyCalculatedFields(dataset);
+    this.persistDataset(this.currentDataset, dataset, 'transaction');
+    this.refreshCalculatedFieldViews();
+
+    console.log(`🧮 Saved calculated field "${fieldName}" = ${compiled.formula}`);
+    return compiled;
   }
 
   /**
-   * Hide loading overlay with smooth transition
+   * Remove a calculated field from the active dataset
    */
-  hideLoading() {
-    const overlay = document.getElementById('loading-overlay');
-    if (overlay) {
-      // Remove show class for smooth transition
-      overlay.classList.remove('show');
-
-      // Hide overlay after transition completes
-      setTimeout(() => {
-        if (!this.isLoading) {
-          overlay.style.display = 'none';
-        }
-      }, 300);
+  removeCalculatedField(name) {
+    const dataset = this.currentData;
+    const fields = dataset?.calculatedFields || [];
+    if (!fields.some(field => field.name === name)) return false;
 
-      // Remove loading states from other elements
-      this.removeLoadingStates();
+    const dependents = this.getCalculatedFieldDependents(dataset, name);
+    if (dependents.length > 0) {
+      throw new Error(`"${name}" is used by ${dependents.map(field => `"${field.name}"`).join(', ')} - remove those first`);
     }
 
-    this.isLoading = false;
+    dataset.calculatedFields = fields.filter(field => field.name !== name);
+    this.removeCalculatedValues(dataset, name);
+    this.persistDataset(this.currentDataset, dataset, 'transaction');
+    this.refreshCalculatedFieldViews();
+
+    console.log(`🗑️ Removed calculated field "${name}"`);
+    return true;
   }
 
   /**
-   * Add loading states to UI elements
+   * Find the calculated fields whose formulas use another calculated field
    */
-  addLoadingStates() {
-    // Add loading class to charts
-    const chartContainers = document.querySelectorAll('.chart-container');
-    chartContainers.forEach(container => {
-      container.classList.add('loading');
+  getCalculatedFieldDependents(dataset, name) {
+    return (dataset.calculatedFields || []).filter(field => {
+      if (field.name === name) return false;
+      try {
+        return this.formulaEngine.compile(field.formula, this.getFormulaColumns(dataset, field.name)).columns.includes(name);
+      } catch (error) {
+        return false;
+      }
     });
+  }
 
-    // Add loading class to KPI cards
-    const kpiCards = document.querySelectorAll('.kpi-card');
-    kpiCards.forEach(card => {
-      card.classList.add('updating');
+  /**
+   * Drop a calculated field's values and header from a dataset
+   */
+  removeCalculatedValues(dataset, name) {
+    dataset.records.forEach(record => {
+      delete record[name];
     });
 
-    // Add loading class to sheet selector
-    const sheetSelector = document.querySelector('.sheet-selector-container');
-    if (sheetSelector) {
-      sheetSelector.classList.add('loading');
+    const headerIndex = dataset.headers.indexOf(name);
+    if (headerIndex !== -1) {
+      dataset.headers.splice(headerIndex, 1);
     }
   }
 
   /**
-   * Remove loading states from UI elements
+   * Refresh the table, explorer, filters and chart builder after calculated fields change
    */
-  removeLoadingStates() {
-    // Remove loading class from charts
-    const chartContainers = document.querySelectorAll('.chart-container');
-    chartContainers.forEach(container => {
-      container.classList.remove('loading');
+  refreshCalculatedFieldViews() {
+    this.updateDataTable();
+    this.updateDataExplorer();
+    this.populateFilterDropdowns();
+
+    // The chart builder's field lists come from the selected dataset's headers
+    if (document.getElementById('chart-data-select')?.value) {
+      this.onChartDataSourceChange();
+    }
+  }
+
+  /**
+   * Show the active dataset's calculated fields with an editor for adding, testing and removing them
+   * @param {Object} draft - { name, formula, originalName } to pre-fill the editor with
+   */
+  showCalculatedFields(draft = {}) {
+    const dataset = this.currentData;
+    if (!dataset || !this.currentDataset || !this.uploadedDatasets[this.currentDataset]) {
+      this.showNotification('Upload or select a dataset first', 'warning');
+      return;
+    }
+
+    const fields = dataset.calculatedFields || [];
+    const originalName = draft.originalName ?? null;
+    const columns = this.getFormulaColumns(dataset, originalName).filter(column => column !== originalName);
+
+    // Presets whose columns exist in this dataset and that haven't been added yet
+    const presets = this.getCalculatedFieldPresets().filter(preset => {
+      if (fields.some(field => field.name.toLowerCase() === preset.name.toLowerCase())) return false;
+      try {
+        this.formulaEngine.compile(preset.formula, columns);
+        return true;
+      } catch (error) {
+        return false;
+      }
     });
 
-    // Remove loading class from KPI cards
-    const kpiCards = document.querySelectorAll('.kpi-card');
-    kpiCards.forEach(card => {
-      card.classList.remove('updating');
+    const formatResult = (value) => (value === null || value === undefined ? '—' : this.formatNumber(value));
+    const rows = fields.map((field, index) => `
+      <tr>
+        <td>${this.escapeHTML(field.name)}</td>
+        <td><code>${this.escapeHTML(field.formula)}</code></td>
+        <td>${formatResult(dataset.records.find(record => record[field.name] !== null && record[field.name] !== undefined)?.[field.name])}</td>
+        <td>
+          <button class="dataset-action-btn calculated-field-edit" data-index="${index}" title="Edit this field"><i class="fas fa-pen"></i></button>
+          <button class="dataset-action-btn calculated-field-remove" data-index="${index}" title="Remove this field"><i class="fas fa-trash"></i></button>
+        </td>
+      </tr>
+    `).join('');
+
+    const content = `
+      <div class="calculated-fields">
+        ${fields.length > 0
+          ? `<table class="data-table">
+              <thead><tr><th>Field</th><th>Formula</th><th>First value</th><th></th></tr></thead>
+              <tbody>${rows}</tbody>
+            </table>`
+          : `<p class="import-report-note">"${this.escapeHTML(this.currentDataset)}" has no calculated fields yet.</p>`}
+
+        <h4>${originalName !== null ? `Edit "${this.escapeHTML(originalName)}"` : 'Add a calculated field'}</h4>
+        ${presets.length > 0 && originalName === null ? `
+          <div class="calculated-field-presets">
+            ${presets.map((preset, index) => `<button class="template-btn calculated-field-preset" data-index="${index}">${this.escapeHTML(preset.name)}</button>`).join('')}
+          </div>` : ''}
+        <label for="calculated-field-name">Name</label>
+        <input type="text" id="calculated-field-name" class="calculated-field-input" value="${this.escapeHTML(draft.name || '')}" placeholder="Profit per Gallon">
+        <label for="calculated-field-formula">Formula</label>
+        <textarea id="calculated-field-formula" class="calculated-field-input" rows="3" placeholder="[Actual Profit By Item] / [Gallon Qty]">${this.escapeHTML(draft.formula || '')}</textarea>
+        <div class="calculated-field-columns">
+          <select id="calculated-field-column" class="dataset-select">
+            <option value="">Insert column...</option>
+            ${columns.map(column => `<option value="${this.escapeHTML(column)}">${this.escapeHTML(column)}</option>`).join('')}
+          </select>
+          <span class="calculated-field-help">Operators + - * / % = &lt;&gt; &lt; &gt; &lt;= &gt;=, functions ABS, ROUND, MIN, MAX, IF. Blank inputs and division by zero give a blank result.</span>
+        </div>
+        <div class="calculated-field-preview" id="calculated-field-preview"></div>
+        <button id="test-calculated-field" class="template-btn"><i class="fas fa-vial"></i> Test</button>
+        <button id="save-calculated-field" class="template-btn"><i class="fas fa-save"></i> ${originalName !== null ? 'Save Changes' : 'Add Field'}</button>
+      </div>
+    `;
+
+    this.showModal('<i class="fas fa-calculator"></i> Calculated Fields', content);
+
+    const nameInput = document.getElementById('calculated-field-name');
+    const formulaInput = document.getElementById('calculated-field-formula');
+    const preview = document.getElementById('calculated-field-preview');
+
+    // Compile the formula and show its result for the first few records
+    const testFormula = () => {
+      try {
+        const compiled = this.formulaEngine.compile(formulaInput.value, columns);
+        const samples = dataset.records.slice(0, 5).map(record => formatResult(this.formulaEngine.evaluate(compiled, record)));
+        preview.className = 'calculated-field-preview calculated-field-valid';
+        preview.textContent = `✓ Valid - first records: ${samples.join(', ')}`;
+        return true;
+      } catch (error) {
+        preview.className = 'calculated-field-preview calculated-field-error';
+        preview.textContent = error.message;
+        return false;
+      }
+    };
+
+    document.getElementById('test-calculated-field')?.addEventListener('click', testFormula);
+
+    document.getElementById('calculated-field-column')?.addEventListener('change', (e) => {
+      if (!e.target.value) return;
+      const reference = `[${e.target.value}]`;
+      const start = formulaInput.selectionStart ?? formulaInput.value.length;
+      const end = formulaInput.selectionEnd ?? formulaInput.value.length;
+      formulaInput.value = formulaInput.value.slice(0, start) + reference + formulaInput.value.slice(end);
+      formulaInput.focus();
+      e.target.value = '';
     });
 
-    // Remove loading class from sheet selector
-    const sheetSelector = document.querySelector('.sheet-selector-container');
-    if (sheetSelector) {
-      sheetSelector.classList.remove('loading');
-    }
+    document.querySelectorAll('.calculated-field-preset').forEach(button => {
+      button.addEventListener('click', () => {
+        const preset = presets[Number(button.dataset.index)];
+        nameInput.value = preset.name;
+        formulaInput.value = preset.formula;
+        testFormula();
+      });
+    });
+
+    document.getElementById('save-calculated-field')?.addEventListener('click', () => {
+      if (!testFormula()) return;
+
+      try {
+        this.saveCalculatedField(nameInput.value, formulaInput.value, originalName);
+      } catch (error) {
+        preview.className = 'calculated-field-preview calculated-field-error';
+        preview.textContent = error.message;
+        return;
+      }
+
+      this.showNotification(`Calculated field "${nameInput.value.trim()}" saved`, 'success');
+      this.showCalculatedFields();
+    });
+
+    document.querySelectorAll('.calculated-field-edit').forEach(button => {
+      button.addEventListener('click', () => {
+        const field = fields[Number(button.dataset.index)];
+        this.showCalculatedFields({ name: field.name, formula: field.formula, originalName: field.name });
+      });
+    });
+
+    document.querySelectorAll('.calculated-field-remove').forEach(button => {
+      button.addEventListener('click', () => {
+        const field = fields[Number(button.dataset.index)];
+        try {
+          this.removeCalculatedField(field.name);
+        } catch (error) {
+          this.showNotification(error.message, 'error');
+          return;
+        }
+        this.showNotification(`Removed calculated field "${field.name}"`, 'success');
+        this.showCalculatedFields();
+      });
+    });
   }
 
   /**
-   * Show error modal
+   * Read file content (CSV or Excel)
    */
-  showError(message) {
-    const modal = document.getElementById('error-modal');
-    const messageElement = document.getElementById('error-message');
+  readFileContent(file) {
+    const fileName = file.name.toLowerCase();
 
-    if (modal && messageElement) {
-      messageElement.textContent = message;
-      modal.classList.add('show');
+    if (fileName.endsWith('.csv')) {
+      return this.readCSVFile(file);
+    } else if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
+      return this.readExcelFile(file);
+    } else {
+      return Promise.reject(new Error('Unsupported file format'));
     }
   }
 
   /**
-   * Hide error modal
+   * Read a CSV or Excel file into parsed rows (header row first).
+   * CSV files are streamed through the parser worker with progress and cancel on the loading overlay.
    */
-  hideError() {
-    const modal = document.getElementById('error-modal');
-    if (modal) {
-      modal.classList.remove('show');
+  async readFileRows(file) {
+    const fileName = file.name.toLowerCase();
+
+    if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
+      const csvText = await this.readExcelFile(file);
+      return ChiefCSVParser.parseText(csvText);
+    }
+
+    if (!fileName.endsWith('.csv')) {
+      throw new Error('Unsupported file format');
+    }
+
+    this.showLoadingCancel(() => this.csvParser.cancel());
+
+    try {
+      return await this.csvParser.parseFile(file, {
+        onProgress: (loaded, total, rowCount) => {
+          const percent = total > 0 ? (loaded / total) * 100 : 100;
+          this.updateLoadingProgress(percent, `Reading ${file.name}... ${rowCount.toLocaleString()} rows`);
+        }
+      });
+    } finally {
+      this.hideLoadingCancel();
     }
   }
 
   /**
-   * Show notification toast
-   * @param {string} message - Notification message
-   * @param {string} type - Notification type: 'info', 'success', 'warning', 'error'
+   * Read CSV file content
    */
-  showNotification(message, type = 'info') {
-    // Create notification element if it doesn't exist
-    let notificationContainer = document.getElementById('notification-container');
-    if (!notificationContainer) {
-      notificationContainer = document.createElement('div');
-      notificationContainer.id = 'notification-container';
-      notificationContainer.className = 'notification-container';
-      document.body.appendChild(notificationContainer);
-    }
+  readCSVFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
 
-    // Create notification
-    const notification = document.createElement('div');
-    notification.className = `notification notification-${type}`;
+      reader.onload = (e) => {
+        resolve(e.target.result);
+      };
 
-    // Add icon based on type
-    const icons = {
-      info: 'fas fa-info-circle',
-      success: 'fas fa-check-circle',
-      warning: 'fas fa-exclamation-triangle',
-      error: 'fas fa-times-circle'
-    };
+      reader.onerror = () => {
+        reject(new Error('Failed to read CSV file'));
+      };
 
-    notification.innerHTML = `
-      <i class="${icons[type] || icons.info}"></i>
-      <span>${message}</span>
-      <button class="notification-close" onclick="this.parentElement.remove()">
-        <i class="fas fa-times"></i>
-      </button>
-    `;
+      reader.readAsText(file);
+    });
+  }
 
-    // Add to container
-    notificationContainer.appendChild(notification);
+  /**
+   * Read Excel file content and convert to CSV format
+   */
+  readExcelFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
 
-    // Auto-remove after 5 seconds
-    setTimeout(() => {
-      if (notification.parentElement) {
-        notification.remove();
-      }
-    }, 5000);
+      reader.onload = (e) => {
+        try {
+          const data = new Uint8Array(e.target.result);
+          const workbook = XLSX.read(data, { type: 'array' });
 
-    // Add slide-in animation
-    setTimeout(() => {
-      notification.classList.add('show');
-    }, 100);
-  }
+          // Get first sheet name
+          const firstSheetName = workbook.SheetNames[0];
+          const worksheet = workbook.Sheets[firstSheetName];
+
+          // Convert to CSV format
+          const csvText = XLSX.utils.sheet_to_csv(worksheet);
+
+          resolve(csvText);
+        } catch (error) {
+          reject(new Error('Failed to parse Excel file: ' + error.message));
+        }
+      };
 
+      reader.onerror = () => {
+        reject(new Error('Failed to read Excel file'));
+      };
 
+      reader.readAsArrayBuffer(file);
+    });
+  }
 
   /**
-   * Handle theme changes
+   * Get Excel sheet names for sheet selection
    */
-  onThemeChange(themeData) {
-    console.log('🎨 Dashboard received theme change to:', themeData.theme);
+  getExcelSheetNames(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
 
-    // Don't update chart manager here as it's already handled by theme manager
-    // This prevents double theme updates and recursion
-    console.log('🎨 Chart manager theme update handled by theme manager');
+      reader.onload = (e) => {
+        try {
+          const data = new Uint8Array(e.target.result);
+          const workbook = XLSX.read(data, { type: 'array' });
+          resolve(workbook.SheetNames);
+        } catch (error) {
+          reject(new Error('Failed to read Excel file: ' + error.message));
+        }
+      };
+
+      reader.onerror = () => {
+        reject(new Error('Failed to read Excel file'));
+      };
+
+      reader.readAsArrayBuffer(file);
+    });
   }
 
   /**
-   * Setup drag and drop listeners for enhanced file upload
+   * Read specific Excel sheet and convert to CSV
    */
-  setupDragAndDropListeners() {
-    const dragDropZone = document.getElementById('drag-drop-zone');
-    const fileInput = document.getElementById('csv-file');
-    const uploadBtn = document.getElementById('upload-csv');
+  readExcelSheet(file, sheetName) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
 
-    if (!dragDropZone || !fileInput) return;
+      reader.onload = (e) => {
+        try {
+          const data = new Uint8Array(e.target.result);
+          const workbook = XLSX.read(data, { type: 'array' });
 
-    // Click to browse files
-    dragDropZone.addEventListener('click', () => {
-      fileInput.click();
-    });
+          if (!workbook.SheetNames.includes(sheetName)) {
+            reject(new Error(`Sheet "${sheetName}" not found`));
+            return;
+          }
 
-    // File input change
-    fileInput.addEventListener('change', (e) => {
-      this.handleFileSelection(Array.from(e.target.files));
-    });
+          const worksheet = workbook.Sheets[sheetName];
+          const csvText = XLSX.utils.sheet_to_csv(worksheet);
 
-    // Drag and drop events
-    dragDropZone.addEventListener('dragover', (e) => {
-      e.preventDefault();
-      dragDropZone.classList.add('drag-over');
-    });
+          resolve(csvText);
+        } catch (error) {
+          reject(new Error('Failed to parse Excel sheet: ' + error.message));
+        }
+      };
 
-    dragDropZone.addEventListener('dragleave', (e) => {
-      e.preventDefault();
-      if (!dragDropZone.contains(e.relatedTarget)) {
-        dragDropZone.classList.remove('drag-over');
-      }
+      reader.onerror = () => {
+        reject(new Error('Failed to read Excel file'));
+      };
+
+      reader.readAsArrayBuffer(file);
     });
+  }
 
-    dragDropZone.addEventListener('drop', (e) => {
-      e.preventDefault();
-      dragDropZone.classList.remove('drag-over');
+  /**
+   * Read an Excel workbook
+   */
+  readExcelWorkbook(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
 
-      const files = Array.from(e.dataTransfer.files).filter(file => {
-        const fileName = file.name.toLowerCase();
-        return fileName.endsWith('.csv') || fileName.endsWith('.xlsx') || fileName.endsWith('.xls');
-      });
+      reader.onload = (e) => {
+        try {
+          const data = new Uint8Array(e.target.result);
+          resolve(XLSX.read(data, { type: 'array' }));
+        } catch (error) {
+          reject(new Error('Failed to parse Excel file: ' + error.message));
+        }
+      };
 
-      if (files.length === 0) {
-        this.showNotification('Please drop CSV or Excel files only', 'warning');
-        return;
-      }
+      reader.onerror = () => {
+        reject(new Error('Failed to read Excel file'));
+      };
 
-      this.handleFileSelection(files);
+      reader.readAsArrayBuffer(file);
     });
   }
 
   /**
-   * Setup column mapping modal listeners
+   * Get a worksheet's rows (header row first) as trimmed display text
    */
-  setupColumnMappingListeners() {
-    const modal = document.getElementById('column-mapping-modal');
-    const closeBtn = document.getElementById('column-mapping-close');
-    const cancelBtn = document.getElementById('cancel-mapping');
-    const backBtn = document.getElementById('back-to-upload');
-    const applyBtn = document.getElementById('apply-mapping');
-    const autoDetectBtn = document.getElementById('auto-detect-mapping');
-
-    if (closeBtn) {
-      closeBtn.addEventListener('click', () => this.hideColumnMappingModal());
+  getExcelSheetRows(workbook, sheetName) {
+    const worksheet = workbook.Sheets[sheetName];
+    if (!worksheet) {
+      throw new Error(`Sheet "${sheetName}" not found`);
     }
 
-    if (cancelBtn) {
-      cancelBtn.addEventListener('click', () => this.hideColumnMappingModal());
-    }
+    const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: '', blankrows: false });
+    return rows.map(row => {
+      const values = row.map(value => String(value).trim());
+      values.line = row.__rowNum__ + 1; // Sheet row, so skipped blank rows don't shift the numbers
+      return values;
+    });
+  }
 
-    if (backBtn) {
-      backBtn.addEventListener('click', () => this.goBackToUpload());
-    }
+  /**
+   * Work out how a sheet should be imported from its headers (and name, for recap tabs)
+   * @returns {string} 'transaction', 'gp', 'recap' or 'skip'
+   */
+  classifySheet(sheetName, headers) {
+    const lowerHeaders = headers.map(header => header.toLowerCase());
 
-    if (applyBtn) {
-      applyBtn.addEventListener('click', () => this.applyColumnMapping());
-    }
+    // GP workbooks: "Dates24"/"Dates25_1" columns and goal/rolling totals per segment
+    if (this.gpImporter.isGPLayout(headers)) return 'gp';
 
-    if (autoDetectBtn) {
-      autoDetectBtn.addEventListener('click', () => this.autoDetectColumnMapping());
-    }
+    const hasDate = lowerHeaders.some(header => header.includes('date'));
+    if (!hasDate) return 'skip';
 
-    // Close modal when clicking outside
-    if (modal) {
-      modal.addEventListener('click', (e) => {
-        if (e.target === modal) {
-          this.hideColumnMappingModal();
-        }
-      });
+    if (/recap/i.test(sheetName) || lowerHeaders.some(header => header.includes('recap'))) {
+      return 'recap';
     }
-  }
 
-  /**
-   * Handle file selection from drag-drop or file input
-   */
-  handleFileSelection(files) {
-    this.selectedFiles = files;
-    this.updateFileList();
-    this.updateUploadButton();
+    return 'transaction';
   }
 
   /**
-   * Update the file list display
+   * Show the sheet picker for a multi-sheet workbook
    */
-  updateFileList() {
-    const fileList = document.getElementById('file-list');
-    const fileItems = document.getElementById('file-items');
+  showSheetPicker(file, workbook) {
+    const workbookName = file.name.replace(/\.(xlsx|xls)$/i, '');
+    const kindLabels = { transaction: 'Transactions', gp: 'GP (goal vs. actual)', recap: 'Recap', skip: 'Skip' };
 
-    if (!fileList || !fileItems) return;
+    const sheets = workbook.SheetNames.map(sheetName => {
+      const rows = this.getExcelSheetRows(workbook, sheetName);
+      const headers = rows[0] || [];
+      return { sheetName, rows: Math.max(rows.length - 1, 0), headers, kind: this.classifySheet(sheetName, headers) };
+    });
 
-    if (this.selectedFiles.length === 0) {
-      fileList.style.display = 'none';
-      return;
-    }
+    const sheetRows = sheets.map((sheet, index) => `
+      <tr>
+        <td><input type="checkbox" class="sheet-picker-check" data-index="${index}" ${sheet.kind !== 'skip' ? 'checked' : ''}></td>
+        <td><strong>${this.escapeHTML(sheet.sheetName)}</strong></td>
+        <td>${this.formatNumber(sheet.rows)}</td>
+        <td>
+          <select class="dataset-select sheet-picker-kind" data-index="${index}">
+            ${Object.entries(kindLabels).map(([kind, label]) =>
+              `<option value="${kind}" ${kind === sheet.kind ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+        </td>
+        <td class="sheet-picker-headers">${this.escapeHTML(sheet.headers.slice(0, 5).join(', '))}${sheet.headers.length > 5 ? '…' : ''}</td>
+      </tr>
+    `).join('');
+
+    const content = `
+      <div class="sheet-picker">
+        <p>Choose the sheets to import from <strong>${this.escapeHTML(file.name)}</strong>. Each sheet becomes a dataset
+          grouped under "${this.escapeHTML(workbookName)}"; the import type was detected from its headers.</p>
+        <table class="data-table">
+          <thead><tr><th></th><th>Sheet</th><th>Rows</th><th>Import as</th><th>Columns</th></tr></thead>
+          <tbody>${sheetRows}</tbody>
+        </table>
+        <button id="import-selected-sheets" class="template-btn">
+          <i class="fas fa-file-import"></i> Import Selected Sheets
+        </button>
+      </div>
+    `;
 
-    fileList.style.display = 'block';
-    fileItems.innerHTML = '';
+    this.showModal('<i class="fas fa-file-excel"></i> Import Workbook', content);
+
+    const importBtn = document.getElementById('import-selected-sheets');
+    if (importBtn) {
+      importBtn.addEventListener('click', () => {
+        const selections = [];
+        document.querySelectorAll('.sheet-picker-check').forEach(checkbox => {
+          const index = Number(checkbox.dataset.index);
+          const kindSelect = document.querySelector(`.sheet-picker-kind[data-index="${index}"]`);
+          const kind = kindSelect ? kindSelect.value : sheets[index].kind;
+          if (checkbox.checked && kind !== 'skip') {
+            selections.push({ sheetName: sheets[index].sheetName, kind });
+          }
+        });
 
-    this.selectedFiles.forEach((file, index) => {
-      const fileItem = document.createElement('div');
-      fileItem.className = 'file-item';
+        if (selections.length === 0) {
+          this.showNotification('Select at least one sheet to import', 'warning');
+          return;
+        }
 
-      // Determine file icon based on extension
-      const fileName = file.name.toLowerCase();
-      let fileIcon = 'fas fa-file';
-      if (fileName.endsWith('.csv')) {
-        fileIcon = 'fas fa-file-csv';
-      } else if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
-        fileIcon = 'fas fa-file-excel';
-      }
+        // Re-importing a workbook would replace its datasets along with their calculated fields and reviews
+        const replaced = this.getWorkbookSheetsToReplace(workbookName, selections);
+        if (replaced.length > 0 && !window.confirm(`Replace the existing datasets ${replaced.map(name => `"${name}"`).join(', ')}? ` +
+          'Their calculated fields, outlier reviews and excluded duplicates will be lost.')) {
+          return;
+        }
 
-      fileItem.innerHTML = `
-        <div class="file-info">
-          <i class="${fileIcon} file-icon"></i>
-          <span class="file-name">${file.name}</span>
-          <span class="file-size">(${this.formatFileSize(file.size)})</span>
-        </div>
-        <button class="file-remove" onclick="dashboard.removeFile(${index})" title="Remove file">
-          <i class="fas fa-times"></i>
-        </button>
-      `;
-      fileItems.appendChild(fileItem);
-    });
+        importBtn.closest('.modal-overlay')?.remove();
+        this.importWorkbookSheets(file, workbook, selections);
+      });
+    }
   }
 
   /**
-   * Remove a file from selection
+   * Find the datasets an import of the selected sheets would replace
+   * Transaction sheets appended to an existing dataset replace nothing
+   * @returns {string[]} Dataset names
    */
-  removeFile(index) {
-    this.selectedFiles.splice(index, 1);
-    this.updateFileList();
-    this.updateUploadButton();
-  }
+  getWorkbookSheetsToReplace(workbookName, selections) {
+    const appendTarget = this.getAppendTarget();
+    const collections = { transaction: this.uploadedDatasets, recap: this.uploadedRecapDatasets, gp: this.uploadedGPDatasets };
 
-  /**
-   * Format file size for display
-   */
-  formatFileSize(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    return selections
+      .filter(({ kind }) => !(kind === 'transaction' && appendTarget))
+      .map(({ sheetName, kind }) => ({ datasetName: `${workbookName} / ${sheetName}`, kind }))
+      .filter(({ datasetName, kind }) => collections[kind]?.[datasetName])
+      .map(({ datasetName }) => datasetName);
   }
 
   /**
-   * Update upload button state and drag-drop zone
+   * Import the selected workbook sheets as linked datasets
+   * In append mode transaction sheets are merged into the chosen dataset instead
+   * @param {File} file - Workbook file
+   * @param {Object} workbook - Parsed XLSX workbook
+   * @param {Array} selections - [{ sheetName, kind }]
    */
-  updateUploadButton() {
-    const uploadBtn = document.getElementById('upload-csv');
-    const dragDropZone = document.getElementById('drag-drop-zone');
+  async importWorkbookSheets(file, workbook, selections) {
+    const workbookName = file.name.replace(/\.(xlsx|xls)$/i, '');
+    const appendTarget = this.getAppendTarget();
+    const imported = { transaction: [], recap: [], gp: [] };
+    const appended = [];
+    const failed = [];
+    let issueCount = 0;
 
-    if (uploadBtn) {
-      uploadBtn.disabled = this.selectedFiles.length === 0;
-    }
+    this.showLoading(`Importing ${selections.length} sheets from ${file.name}...`);
 
-    // Update drag-drop zone appearance based on file selection
-    if (dragDropZone) {
-      if (this.selectedFiles.length > 0) {
-        dragDropZone.classList.add('has-files');
-        const content = dragDropZone.querySelector('.drag-drop-content');
-        if (content) {
-          content.innerHTML = `
-            <i class="fas fa-check-circle drag-drop-icon" style="color: var(--chief-success, #10b981);"></i>
-            <h3>${this.selectedFiles.length} file(s) selected</h3>
-            <p>Click "Upload CSV" to proceed with column mapping</p>
-            <div class="supported-formats">
-              <span>Ready to process</span>
-            </div>
-          `;
+    for (const { sheetName, kind } of selections) {
+      const datasetName = `${workbookName} / ${sheetName}`;
+
+      try {
+        const rows = this.getExcelSheetRows(workbook, sheetName);
+        let processedData;
+
+        if (kind === 'gp') {
+          processedData = this.processGPSheetRows(rows, datasetName);
+          this.uploadedGPDatasets[datasetName] = processedData;
+        } else if (kind === 'recap') {
+          processedData = this.processRecapCSVData(rows, datasetName);
+          this.uploadedRecapDatasets[datasetName] = processedData;
+        } else {
+          processedData = this.processCSVData(rows, datasetName);
+
+          if (appendTarget) {
+            const result = this.appendToDataset(appendTarget.datasetName, processedData, appendTarget.keyField, `${file.name} - ${sheetName}`);
+            this.persistDataset(appendTarget.datasetName, this.uploadedDatasets[appendTarget.datasetName]);
+            issueCount += processedData.importReport?.issues.length || 0;
+            appended.push(`${sheetName}: ${result.added} added, ${result.updated} updated, ${result.skipped} skipped`);
+            this.warnAboutDateFormat(appendTarget.datasetName, processedData);
+            continue;
+          }
+          this.uploadedDatasets[datasetName] = processedData;
         }
-      } else {
-        dragDropZone.classList.remove('has-files');
-        const content = dragDropZone.querySelector('.drag-drop-content');
-        if (content) {
-          content.innerHTML = `
-            <i class="fas fa-cloud-upload-alt drag-drop-icon"></i>
-            <h3>Drag & Drop CSV Files Here</h3>
-            <p>or click to browse files</p>
-            <div class="supported-formats">
-              <span>Supports: CSV, Excel (.xlsx, .xls) files</span>
-            </div>
-          `;
+
+        processedData.workbook = workbookName;
+        processedData.sheetName = sheetName;
+        processedData.source = `Excel Upload (${file.name} - ${sheetName})`;
+        issueCount += processedData.importReport?.issues.length || 0;
+
+        this.persistDataset(datasetName, processedData, kind);
+        imported[kind].push(datasetName);
+        if (kind !== 'gp') {
+          this.warnAboutDateFormat(datasetName, processedData);
         }
+      } catch (error) {
+        console.error(`❌ Error importing sheet "${sheetName}":`, error);
+        failed.push(`${sheetName} (${error.message})`);
       }
     }
+
+    // Activate the first imported transaction sheet, or the dataset the sheets were appended to
+    const datasetName = imported.transaction[0] || (appended.length > 0 ? appendTarget.datasetName : null);
+    if (datasetName) {
+      this.currentData = this.uploadedDatasets[datasetName];
+      this.currentDataset = datasetName;
+
+      this.updateDatasetSwitcher(datasetName);
+      this.updateKPIs();
+      this.updateCharts();
+      this.updateDataTable();
+      this.updateLastUpdated();
+      this.updateDataExplorer();
+      this.populateFilterDropdowns();
+    }
+
+    if (imported.gp.length > 0) {
+      this.loadGPCharts();
+    }
+
+    if (imported.recap.length > 0) {
+      const datasetName = imported.recap[0];
+      this.currentRecapData = this.uploadedRecapDatasets[datasetName];
+      this.currentRecapDataset = datasetName;
+      this.updateRecapDatasetSwitcher(datasetName);
+      this.updateRecapDataRange();
+    }
+
+    this.hideLoading();
+
+    // Clear selections
+    this.selectedFiles = [];
+    this.updateFileList();
+    this.updateUploadButton();
+
+    const parts = [];
+    if (imported.transaction.length) parts.push(`${imported.transaction.length} transaction`);
+    if (imported.gp.length) parts.push(`${imported.gp.length} GP`);
+    if (imported.recap.length) parts.push(`${imported.recap.length} recap`);
+
+    const summary = [];
+    if (parts.length > 0) summary.push(`Imported ${parts.join(', ')} sheet(s) from "${workbookName}"`);
+    if (appended.length > 0) summary.push(`Appended to "${appendTarget.datasetName}" - ${appended.join('; ')}`);
+
+    if (summary.length > 0) {
+      this.showNotification(summary.join('. ') +
+        (issueCount > 0 ? ` - ${issueCount} rows need attention, see each dataset's import report` : ''), 'success');
+    }
+    if (failed.length > 0) {
+      this.showNotification(`Could not import: ${failed.join('; ')}`, 'error');
+    }
   }
 
   /**
-   * Enhanced CSV upload handler with column mapping
+   * Import a GP (goal vs. actual) file as a GP dataset
+   * @param {File} file - Uploaded file
+   * @param {string[][]} rows - Parsed rows, header row first
    */
-  async handleEnhancedCSVUpload() {
-    if (this.selectedFiles.length === 0) {
-      this.showNotification('Please select CSV files first', 'warning');
-      return;
-    }
-
-    // For now, process the first file (can be extended for multiple files)
-    const file = this.selectedFiles[0];
+  importGPFile(file, rows) {
+    const datasetNameInput = document.getElementById('dataset-name');
+    const datasetName = (datasetNameInput && datasetNameInput.value.trim()) ||
+      file.name.replace(/\.(csv|xlsx|xls)$/i, '');
 
     try {
-      const fileName = file.name.toLowerCase();
-      const fileType = fileName.endsWith('.csv') ? 'CSV' : 'Excel';
-
-      this.showLoading(`Analyzing ${fileType} structure...`);
+      const processedData = this.processGPSheetRows(rows, datasetName);
+      processedData.source = `GP Upload (${file.name})`;
 
-      // Read and analyze the file
-      const csvText = await this.readFileContent(file);
-      const analysis = this.analyzeCSVStructure(csvText);
+      this.uploadedGPDatasets[datasetName] = processedData;
+      this.persistDataset(datasetName, processedData, 'gp');
+      this.loadGPCharts();
 
       this.hideLoading();
 
-      // Show column mapping modal
-      this.showColumnMappingModal(file, analysis);
+      // Clear selections
+      this.selectedFiles = [];
+      this.updateFileList();
+      this.updateUploadButton();
+      if (datasetNameInput) datasetNameInput.value = '';
+
+      const { segments, years, points } = processedData.gp;
+      const dates = new Set(points.map(point => point.date.getTime())).size;
+      this.showNotification(`Imported GP data "${datasetName}": ${segments.length} segments × ${dates} dates (${years.join(', ')})`, 'success');
 
+      if (processedData.gp.ignoredColumns.length > 0) {
+        this.showNotification(`Ignored unrecognized GP columns: ${processedData.gp.ignoredColumns.join(', ')}`, 'warning');
+      }
     } catch (error) {
       this.hideLoading();
-      console.error('❌ Error analyzing file:', error);
-      this.showNotification('Error analyzing file: ' + error.message, 'error');
+      console.error('❌ Error importing GP file:', error);
+      this.showNotification('Error importing GP file: ' + error.message, 'error');
     }
   }
 
   /**
-   * Handle CSV file upload - Local Processing Only (Legacy method)
+   * Process GP (goal vs. actual) rows into a dataset with the normalized segment × date model
    */
-  async handleCSVUpload() {
-    const fileInput = document.getElementById('csv-file');
-    const datasetNameInput = document.getElementById('dataset-name');
-    const file = fileInput.files[0];
-
-    if (!file) {
-      this.showNotification('Please select a CSV file first', 'warning');
-      return;
+  processGPSheetRows(rows, datasetName = 'GP Upload') {
+    if (rows.length < 2) {
+      throw new Error('GP sheet must have at least a header row and one data row');
     }
 
-    if (!file.name.toLowerCase().endsWith('.csv')) {
-      this.showNotification('Please select a valid CSV file', 'error');
-      return;
+    const headers = rows[0];
+    const dateDetection = this.detectColumnDateFormat(rows, this.gpImporter.getDateColumnIndex(headers));
+    const dateFormat = dateDetection?.format || 'MDY';
+
+    const gp = this.gpImporter.parseRows(rows, {
+      parseDate: value => (value && String(value).trim() ? this.parseCSVDate(value, dateFormat) : null),
+      parseNumber: value => this.parseCSVNumber(value)
+    });
+
+    const records = rows.slice(1)
+      .filter(values => values.length === headers.length && values.some(value => value !== ''))
+      .map(values => {
+        const record = {};
+        headers.forEach((header, index) => {
+          record[header] = values[index];
+        });
+        return record;
+      });
+
+    console.log(`✅ Processed ${records.length} GP rows from ${datasetName}`);
+
+    return {
+      records,
+      headers,
+      source: `GP Upload (${datasetName})`,
+      datasetName,
+      uploadedAt: new Date().toISOString(),
+      type: 'gp',
+      dateFormat,
+      dateDetection,
+      gp
+    };
+  }
+
+  /**
+   * Process CSV data into dashboard format
+   */
+  processCSVData(rows, datasetName = 'CSV Upload') {
+    if (rows.length < 2) {
+      throw new Error('CSV file must have at least a header row and one data row');
     }
 
-    // Get dataset name (use filename if not provided)
-    let datasetName = datasetNameInput.value.trim();
-    if (!datasetName) {
-      datasetName = file.name.replace('.csv', '');
+    // Header row
+    const headers = rows[0];
+    console.log('📊 CSV Headers:', headers);
+
+    // Detect the date format from every value in the date column
+    const dateDetection = this.detectDatasetDateFormat(rows, headers);
+    const dateFormat = dateDetection?.format || 'MDY';
+
+    // Data rows - rejected and coerced rows are collected in the import report
+    const importReport = this.createImportReport(datasetName, headers);
+    const records = [];
+    for (let i = 1; i < rows.length; i++) {
+      const record = this.buildCSVRecord(headers, rows[i], rows[i].line || i + 1, importReport, { dateFormat });
+      if (record) {
+        records.push(record);
+      }
     }
 
-    try {
-      this.showLoading(`Processing ${datasetName}...`);
+    console.log(`✅ Processed ${records.length} records from CSV`);
 
-      // Read the CSV file
-      const csvText = await this.readCSVFile(file);
+    // Calculate summary statistics
+    const summary = this.calculateSummaryFromRecords(records);
 
-      // Parse and process the CSV data
-      const processedData = this.processCSVData(csvText, datasetName);
+    return {
+      records,
+      headers: this.addAddressHeaders(headers, records),
+      summary,
+      source: `CSV Upload (${datasetName})`,
+      datasetName: datasetName,
+      uploadedAt: new Date().toISOString(),
+      dateFormat,
+      dateDetection,
+      importReport
+    };
+  }
 
-      // Store the dataset locally
-      this.uploadedDatasets[datasetName] = processedData;
-      this.currentData = processedData;
-      this.currentDataset = datasetName;
+  /**
+   * Process Recap CSV data into dashboard format
+   */
+  processRecapCSVData(rows, datasetName = 'Recap CSV Upload') {
+    if (rows.length < 2) {
+      throw new Error('Recap CSV file must have at least a header row and one data row');
+    }
 
-      // Update local dashboard
-      this.updateDatasetSwitcher(datasetName);
-      this.updateKPIs();
-      this.updateCharts();
-      this.updateDataTable();
-      this.updateLastUpdated();
+    // Header row
+    const headers = rows[0];
+    console.log('📊 Recap CSV Headers:', headers);
 
-      // Update data explorer with new data
-      this.updateDataExplorer();
+    const dateDetection = this.detectDatasetDateFormat(rows, headers);
+    const dateFormat = dateDetection?.format || 'MDY';
 
-      // Populate filter dropdowns
-      this.populateFilterDropdowns();
+    // Data rows - reuse the transaction record builder
+    const importReport = this.createImportReport(datasetName, headers);
+    const records = [];
+    for (let i = 1; i < rows.length; i++) {
+      const record = this.buildCSVRecord(headers, rows[i], rows[i].line || i + 1, importReport, { dateFormat });
+      if (record) {
+        records.push(record);
+      }
+    }
 
-      this.hideLoading();
+    console.log(`✅ Processed ${records.length} recap records from CSV`);
 
-      // Show success message
-      this.showNotification(`Dataset "${datasetName}" uploaded successfully!
-        📊 Processed ${processedData.records.length} records`, 'success');
+    // Calculate recap-specific summary statistics - reuse existing method
+    const summary = this.calculateSummaryFromRecords(records);
 
-      // Clear the inputs
-      fileInput.value = '';
-      datasetNameInput.value = '';
+    return {
+      records,
+      headers: this.addAddressHeaders(headers, records),
+      summary,
+      source: `Recap CSV Upload (${datasetName})`,
+      datasetName: datasetName,
+      uploadedAt: new Date().toISOString(),
+      type: 'recap',
+      dateFormat,
+      dateDetection,
+      importReport
+    };
+  }
 
-    } catch (error) {
-      this.hideLoading();
-      console.error('❌ Error processing CSV file:', error);
-      this.showNotification('Error processing CSV file: ' + error.message, 'error');
+  /**
+   * Switch to a different recap dataset
+   */
+  switchRecapDataset(datasetName) {
+    if (!datasetName || !this.uploadedRecapDatasets || !this.uploadedRecapDatasets[datasetName]) {
+      console.log('📊 No recap dataset selected or dataset not found');
+      this.currentRecapData = null;
+      this.currentRecapDataset = null;
+      this.updateRecapDataRange();
+      return;
     }
+
+    console.log(`📊 Switching to recap dataset: ${datasetName}`);
+    this.currentRecapData = this.uploadedRecapDatasets[datasetName];
+    this.currentRecapDataset = datasetName;
+
+    // Update recap data range info
+    this.updateRecapDataRange();
+
+    this.showNotification(`Switched to recap dataset: ${datasetName}`, 'success');
   }
 
   /**
-   * Handle Recap CSV file upload - Local Processing Only
+   * Update recap dataset switcher dropdown
    */
-  async handleRecapCSVUpload() {
-    const fileInput = document.getElementById('recap-csv-file');
-    const datasetNameInput = document.getElementById('recap-dataset-name');
-    const file = fileInput.files[0];
+  updateRecapDatasetSwitcher(selectedDataset = null) {
+    const switcher = document.getElementById('recap-dataset-switcher');
+    const selector = document.getElementById('recap-dataset-selector');
 
-    if (!file) {
-      this.showNotification('Please select a recap CSV file first', 'warning');
+    if (!switcher || !selector) {
+      console.warn('⚠️ Recap dataset switcher elements not found');
       return;
     }
 
-    if (!file.name.toLowerCase().endsWith('.csv')) {
-      this.showNotification('Please select a valid CSV file', 'error');
+    // Clear existing options
+    selector.innerHTML = '<option value="">No recap data uploaded</option>';
+
+    // Add uploaded recap datasets
+    if (this.uploadedRecapDatasets && Object.keys(this.uploadedRecapDatasets).length > 0) {
+      this.appendDatasetOptions(selector, this.uploadedRecapDatasets, selectedDataset);
+
+      // Show the switcher
+      switcher.style.display = 'block';
+    } else {
+      // Hide the switcher if no datasets
+      switcher.style.display = 'none';
+    }
+  }
+
+  /**
+   * Update recap data range information
+   */
+  updateRecapDataRange() {
+    const rangeElement = document.getElementById('recap-data-range');
+
+    if (!rangeElement) {
+      console.warn('⚠️ Recap data range element not found');
       return;
     }
 
-    // Get dataset name (use filename if not provided)
-    let datasetName = datasetNameInput.value.trim();
-    if (!datasetName) {
-      datasetName = file.name.replace('.csv', '') + ' (Recap)';
+    if (!this.currentRecapData || !this.currentRecapData.records || this.currentRecapData.records.length === 0) {
+      rangeElement.textContent = 'No recap data available';
+      return;
     }
 
     try {
-      this.showLoading('Analyzing recap CSV structure...');
+      const dataRange = this.calculateDataRange(this.currentRecapData.records);
+      rangeElement.textContent = `${dataRange.start} to ${dataRange.end} (${this.currentRecapData.records.length} records)`;
+    } catch (error) {
+      console.error('❌ Error calculating recap data range:', error);
+      rangeElement.textContent = `${this.currentRecapData.records.length} records available`;
+    }
+  }
 
-      // Read and analyze the CSV file using enhanced system
-      const csvText = await this.readCSVFile(file);
-      const analysis = this.analyzeCSVStructure(csvText);
+  /**
+   * Parse a single CSV row handling quoted values and commas
+   */
+  parseCSVRow(row) {
+    return ChiefCSVParser.parseText(row)[0] || [''];
+  }
 
-      this.hideLoading();
+  /**
+   * Advanced data validation system
+   * @param {Object} outlierReviews - The dataset's outlier review decisions; reviewed outliers aren't reported as issues
+   */
+  validateDataQuality(records, headers, outlierReviews = {}) {
+    const validation = {
+      errors: [],
+      warnings: [],
+      suggestions: [],
+      quality: {
+        completeness: 0,
+        consistency: 0,
+        accuracy: 0,
+        overall: 0
+      },
+      fieldAnalysis: {}
+    };
 
-      // Set flag to indicate this is a recap upload
-      this.isRecapUpload = true;
-      this.recapDatasetName = datasetName;
+    // Analyze each field
+    headers.forEach(header => {
+      const fieldData = records.map(record => record[header]);
+      const fieldAnalysis = this.analyzeField(header, fieldData);
+      validation.fieldAnalysis[header] = fieldAnalysis;
 
-      // Show column mapping modal for recap data
-      this.showColumnMappingModal(file, analysis);
+      // Add field-specific errors and warnings
+      [...fieldAnalysis.errors, ...fieldAnalysis.warnings, ...fieldAnalysis.suggestions]
+        .forEach(issue => this.addValidationIssue(validation, issue));
+    });
 
-    } catch (error) {
-      this.hideLoading();
-      console.error('❌ Error analyzing recap CSV file:', error);
-      this.showNotification('Error analyzing recap CSV file: ' + error.message, 'error');
-    }
+    // Calculate overall quality scores
+    validation.quality = this.calculateDataQuality(validation.fieldAnalysis);
+
+    // Add general data validation rules
+    this.validateGeneralRules(records, validation);
+
+    // Values that are unusual for their product family, customer or month
+    this.validateOutliers(records, validation, outlierReviews);
+
+    // The same delivery exported twice
+    this.validateDuplicates(records, validation);
+
+    // Lines costed on the wrong replacement-cost column
+    this.validateCostBasis(records, headers, validation);
+
+    return validation;
+  }
+
+  /**
+   * File an issue under errors (high), warnings (medium) or suggestions (low) by its severity, so every check is
+   * counted the same way
+   */
+  addValidationIssue(validation, issue) {
+    const buckets = { high: validation.errors, medium: validation.warnings, low: validation.suggestions };
+    (buckets[issue.severity] || validation.warnings).push(issue);
   }
 
   /**
-   * Update the dataset switcher dropdown
+   * Run the segment-aware outlier check and report outliers nobody has reviewed yet
+   * Sets validation.outliers to the detector result, with each flag's review key and status
    */
-  updateDatasetSwitcher(activeDataset) {
-    const switcher = document.getElementById('dataset-switcher');
-    const select = document.getElementById('active-dataset');
-    const info = document.getElementById('dataset-info');
+  validateOutliers(records, validation, outlierReviews = {}) {
+    if (!this.outlierDetector) return;
 
-    // Show the switcher
-    switcher.style.display = 'flex';
+    const detection = this.outlierDetector.detect(records);
+    detection.flags.forEach(flag => {
+      flag.key = this.getOutlierReviewKey(records[flag.index], flag.metric);
+      flag.status = outlierReviews[flag.key]?.status || 'open';
+    });
+    validation.outliers = detection;
 
-    // Clear and populate the select
-    select.innerHTML = '<option value="">Select Dataset...</option>';
+    const { segmentBy, method } = this.outlierDetector.settings;
+    const segmentText = segmentBy.length > 0
+      ? segmentBy.map(key => this.outlierDetector.segmentOptions[key].toLowerCase()).join(' and ')
+      : 'dataset';
 
-    Object.keys(this.uploadedDatasets).forEach(name => {
-      const option = document.createElement('option');
-      option.value = name;
-      option.textContent = name;
-      option.selected = name === activeDataset;
-      select.appendChild(option);
+    const byMetric = new Map();
+    detection.flags.filter(flag => flag.status === 'open').forEach(flag => {
+      if (!byMetric.has(flag.metric)) byMetric.set(flag.metric, []);
+      byMetric.get(flag.metric).push(flag);
     });
 
-    // Update info
-    const datasetCount = Object.keys(this.uploadedDatasets).length;
-    const currentRecords = this.uploadedDatasets[activeDataset]?.records.length || 0;
-    info.textContent = `${datasetCount} datasets uploaded, ${currentRecords} records in "${activeDataset}"`;
+    byMetric.forEach(flags => {
+      this.addValidationIssue(validation, {
+        type: 'OUTLIERS_DETECTED',
+        field: flags[0].metricLabel,
+        message: `${flags.length} unreviewed ${flags[0].metricLabel.toLowerCase()} outlier(s) for their ${segmentText} (${this.outlierDetector.methods[method]})`,
+        severity: 'low',
+        count: flags.length,
+        values: flags.map(flag => flag.value),
+        recordIndices: flags.map(flag => flag.index)
+      });
+    });
   }
 
   /**
-   * Switch to a different dataset
+   * Report duplicate transactions that haven't been excluded yet
    */
-  switchDataset(datasetName) {
-    if (!datasetName || !this.uploadedDatasets[datasetName]) {
-      return;
-    }
+  validateDuplicates(records, validation) {
+    if (!this.duplicateDetector) return;
 
-    try {
-      this.showLoading(`Switching to ${datasetName}...`);
+    const pairs = this.duplicateDetector.detect(records);
+    validation.duplicates = pairs;
+    if (pairs.length === 0) return;
 
-      // Set as current data
-      this.currentData = this.uploadedDatasets[datasetName];
+    const exact = pairs.filter(pair => pair.match === 'exact').length;
+    this.addValidationIssue(validation, {
+      type: 'DUPLICATE_TRANSACTIONS',
+      field: 'Transactions',
+      message: `${pairs.length} possible duplicate transaction(s) (${exact} exact, ${pairs.length - exact} near) - review them with the duplicates button`,
+      severity: 'medium',
+      count: pairs.length,
+      recordIndices: pairs.map(pair => pair.duplicate)
+    });
+  }
 
-      // Update all dashboard components
-      this.updateKPIs();
-      this.updateCharts();
-      this.updateDataTable();
-      this.updateLastUpdated();
+  /**
+   * Report lines costed on a different replacement-cost column than their product calls for
+   */
+  validateCostBasis(records, headers, validation) {
+    if (!this.costBasisAnalyzer || !this.costBasisAnalyzer.hasCostColumns(headers)) return;
 
-      // Update info
-      this.updateDatasetSwitcher(datasetName);
+    const lines = records.map((record, index) => ({ index, ...this.costBasisAnalyzer.classify(record) }));
+    const issues = [
+      { status: 'mismatch', type: 'COST_BASIS_MISMATCH', severity: 'medium', text: 'costed on the wrong basis for their product (e.g. dyed product at clear cost)' },
+      { status: 'unmatched', type: 'COST_BASIS_UNMATCHED', severity: 'low', text: 'whose actual cost matches none of the Unleaded, Clear or Dyed cost columns' }
+    ];
 
-      // Update data explorer with new data
-      this.updateDataExplorer();
+    issues.forEach(({ status, type, severity, text }) => {
+      const indices = lines.filter(line => line.status === status).map(line => line.index);
+      if (indices.length === 0) return;
+
+      this.addValidationIssue(validation, {
+        type,
+        field: this.costBasisAnalyzer.costField,
+        message: `${indices.length} line(s) ${text}`,
+        severity,
+        count: indices.length,
+        recordIndices: indices
+      });
+    });
+  }
 
-      // Update filter dropdowns
-      this.populateFilterDropdowns();
+  /**
+   * Key an outlier review decision by check and record fingerprint, so it survives re-sorting and appends
+   */
+  getOutlierReviewKey(record, metric) {
+    return `${metric}|${this.datasetMerger.getRecordKey(record)}`;
+  }
 
-      this.hideLoading();
-      this.showNotification(`Switched to dataset "${datasetName}"`, 'success');
+  /**
+   * Analyze individual field quality
+   */
+  analyzeField(fieldName, values) {
+    const analysis = {
+      fieldName,
+      totalValues: values.length,
+      emptyValues: 0,
+      uniqueValues: 0,
+      dataType: 'unknown',
+      errors: [],
+      warnings: [],
+      suggestions: [],
+      patterns: [],
+      outliers: []
+    };
 
-    } catch (error) {
-      this.hideLoading();
-      console.error('❌ Error switching dataset:', error);
-      this.showNotification('Error switching dataset: ' + error.message, 'error');
+    // Record index of each non-empty value, so issues can point at the rows they came from
+    const nonEmptyValues = [];
+    const nonEmptyIndices = [];
+    const emptyIndices = [];
+    values.forEach((v, index) => {
+      if (v !== null && v !== undefined && v.toString().trim() !== '') {
+        nonEmptyValues.push(v);
+        nonEmptyIndices.push(index);
+      } else {
+        emptyIndices.push(index);
+      }
+    });
+    analysis.emptyValues = emptyIndices.length;
+    analysis.uniqueValues = new Set(nonEmptyValues).size;
+
+    if (nonEmptyValues.length === 0) {
+      analysis.errors.push({
+        type: 'EMPTY_FIELD',
+        field: fieldName,
+        message: `Field "${fieldName}" contains no data`,
+        severity: 'high',
+        recordIndices: emptyIndices
+      });
+      return analysis;
     }
-  }
 
+    // Detect data type and validate
+    analysis.dataType = this.detectDataType(nonEmptyValues);
+
+    // Type-specific validation
+    switch (analysis.dataType) {
+      case 'date':
+        this.validateDateField(fieldName, nonEmptyValues, analysis, nonEmptyIndices);
+        break;
+      case 'currency':
+      case 'number':
+        this.validateNumericField(fieldName, nonEmptyValues, analysis, nonEmptyIndices);
+        break;
+      case 'text':
+        this.validateTextField(fieldName, nonEmptyValues, analysis, nonEmptyIndices);
+        break;
+    }
+
+    // Check completeness
+    const completeness = (nonEmptyValues.length / values.length) * 100;
+    if (completeness < 80) {
+      analysis.warnings.push({
+        type: 'LOW_COMPLETENESS',
+        field: fieldName,
+        message: `Field "${fieldName}" is only ${completeness.toFixed(1)}% complete`,
+        severity: 'medium',
+        recordIndices: emptyIndices
+      });
+    }
+
+    // Check for duplicates in key fields
+    if (this.isKeyField(fieldName) && analysis.uniqueValues < nonEmptyValues.length) {
+      const valueCounts = new Map();
+      nonEmptyValues.forEach(value => valueCounts.set(value, (valueCounts.get(value) || 0) + 1));
+
+      analysis.warnings.push({
+        type: 'DUPLICATE_VALUES',
+        field: fieldName,
+        message: `Field "${fieldName}" contains duplicate values`,
+        severity: 'medium',
+        recordIndices: nonEmptyIndices.filter((index, position) => valueCounts.get(nonEmptyValues[position]) > 1)
+      });
+    }
 
+    return analysis;
+  }
 
   /**
-   * Read file content (CSV or Excel)
+   * Validate date fields
    */
-  readFileContent(file) {
-    const fileName = file.name.toLowerCase();
+  validateDateField(fieldName, values, analysis, indices = []) {
+    let invalidDates = 0;
+    let futureDates = 0;
+    let oldDates = 0;
+    const currentYear = new Date().getFullYear();
+    const rows = { invalid: [], future: [], old: [] };
 
-    if (fileName.endsWith('.csv')) {
-      return this.readCSVFile(file);
-    } else if (fileName.endsWith('.xlsx') || fileName.endsWith('.xls')) {
-      return this.readExcelFile(file);
-    } else {
-      return Promise.reject(new Error('Unsupported file format'));
+    values.forEach((value, index) => {
+      const date = new Date(value);
+
+      if (isNaN(date.getTime())) {
+        invalidDates++;
+        rows.invalid.push(indices[index]);
+      } else {
+        const year = date.getFullYear();
+        if (year > currentYear + 1) {
+          futureDates++;
+          rows.future.push(indices[index]);
+        } else if (year < 1900) {
+          oldDates++;
+          rows.old.push(indices[index]);
+        }
+      }
+    });
+
+    if (invalidDates > 0) {
+      analysis.errors.push({
+        type: 'INVALID_DATES',
+        field: fieldName,
+        message: `${invalidDates} invalid date(s) found in "${fieldName}"`,
+        severity: 'high',
+        count: invalidDates,
+        recordIndices: rows.invalid
+      });
+    }
+
+    if (futureDates > 0) {
+      analysis.warnings.push({
+        type: 'FUTURE_DATES',
+        field: fieldName,
+        message: `${futureDates} future date(s) found in "${fieldName}"`,
+        severity: 'low',
+        count: futureDates,
+        recordIndices: rows.future
+      });
+    }
+
+    if (oldDates > 0) {
+      analysis.warnings.push({
+        type: 'OLD_DATES',
+        field: fieldName,
+        message: `${oldDates} very old date(s) found in "${fieldName}"`,
+        severity: 'low',
+        count: oldDates,
+        recordIndices: rows.old
+      });
     }
   }
 
   /**
-   * Read CSV file content
+   * Validate numeric fields
    */
-  readCSVFile(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-
-      reader.onload = (e) => {
-        resolve(e.target.result);
-      };
+  validateNumericField(fieldName, values, analysis, indices = []) {
+    let invalidNumbers = 0;
+    let negativeValues = 0;
+    let zeroValues = 0;
+    const numericValues = [];
+    const rows = { invalid: [], negative: [] };
 
-      reader.onerror = () => {
-        reject(new Error('Failed to read CSV file'));
-      };
+    values.forEach((value, index) => {
+      const num = parseFloat(value.toString().replace(/[$,]/g, ''));
 
-      reader.readAsText(file);
+      if (isNaN(num)) {
+        invalidNumbers++;
+        rows.invalid.push(indices[index]);
+      } else {
+        numericValues.push(num);
+        if (num < 0) {
+          negativeValues++;
+          rows.negative.push(indices[index]);
+        }
+        if (num === 0) zeroValues++;
+      }
     });
+
+    if (invalidNumbers > 0) {
+      analysis.errors.push({
+        type: 'INVALID_NUMBERS',
+        field: fieldName,
+        message: `${invalidNumbers} invalid number(s) found in "${fieldName}"`,
+        severity: 'high',
+        count: invalidNumbers,
+        recordIndices: rows.invalid
+      });
+    }
+
+    // Check for negative values in fields that shouldn't have them
+    if (this.shouldBePositive(fieldName) && negativeValues > 0) {
+      analysis.warnings.push({
+        type: 'NEGATIVE_VALUES',
+        field: fieldName,
+        message: `${negativeValues} negative value(s) found in "${fieldName}"`,
+        severity: 'medium',
+        count: negativeValues,
+        recordIndices: rows.negative
+      });
+    }
   }
 
   /**
-   * Read Excel file content and convert to CSV format
+   * Validate text fields
    */
-  readExcelFile(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-
-      reader.onload = (e) => {
-        try {
-          const data = new Uint8Array(e.target.result);
-          const workbook = XLSX.read(data, { type: 'array' });
+  validateTextField(fieldName, values, analysis, indices = []) {
+    let emptyStrings = 0;
+    let inconsistentCase = 0;
+    const inconsistentRows = [];
+    const patterns = {};
 
-          // Get first sheet name
-          const firstSheetName = workbook.SheetNames[0];
-          const worksheet = workbook.Sheets[firstSheetName];
+    values.forEach((value, index) => {
+      const str = value.toString().trim();
 
-          // Convert to CSV format
-          const csvText = XLSX.utils.sheet_to_csv(worksheet);
+      if (str === '') {
+        emptyStrings++;
+        return;
+      }
 
-          resolve(csvText);
-        } catch (error) {
-          reject(new Error('Failed to parse Excel file: ' + error.message));
+      // Check for inconsistent casing in name fields
+      if (this.isNameField(fieldName)) {
+        const hasLower = /[a-z]/.test(str);
+        const hasUpper = /[A-Z]/.test(str);
+        if (hasLower && !hasUpper) {
+          inconsistentCase++;
+          inconsistentRows.push(indices[index]);
         }
-      };
-
-      reader.onerror = () => {
-        reject(new Error('Failed to read Excel file'));
-      };
+      }
 
-      reader.readAsArrayBuffer(file);
+      // Detect common patterns
+      const pattern = this.detectTextPattern(str);
+      patterns[pattern] = (patterns[pattern] || 0) + 1;
     });
+
+    if (inconsistentCase > values.length * 0.1) {
+      analysis.suggestions.push({
+        type: 'INCONSISTENT_CASE',
+        field: fieldName,
+        message: `Consider standardizing case in "${fieldName}"`,
+        severity: 'low',
+        count: inconsistentCase,
+        recordIndices: inconsistentRows
+      });
+    }
+
+    analysis.patterns = Object.entries(patterns)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, 5)
+      .map(([pattern, count]) => ({ pattern, count }));
   }
 
   /**
-   * Get Excel sheet names for sheet selection
+   * Helper methods for field type detection
    */
-  getExcelSheetNames(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
+  isKeyField(fieldName) {
+    const keyFields = ['id', 'key', 'number', 'code'];
+    return keyFields.some(key => fieldName.toLowerCase().includes(key));
+  }
 
-      reader.onload = (e) => {
-        try {
-          const data = new Uint8Array(e.target.result);
-          const workbook = XLSX.read(data, { type: 'array' });
-          resolve(workbook.SheetNames);
-        } catch (error) {
-          reject(new Error('Failed to read Excel file: ' + error.message));
-        }
-      };
+  isFinancialField(fieldName) {
+    const financialFields = ['sales', 'cost', 'profit', 'price', 'amount', 'revenue'];
+    return financialFields.some(field => fieldName.toLowerCase().includes(field));
+  }
 
-      reader.onerror = () => {
-        reject(new Error('Failed to read Excel file'));
-      };
+  shouldBePositive(fieldName) {
+    const positiveFields = ['sales', 'quantity', 'qty', 'gallon', 'amount'];
+    return positiveFields.some(field => fieldName.toLowerCase().includes(field));
+  }
 
-      reader.readAsArrayBuffer(file);
-    });
+  isNameField(fieldName) {
+    const nameFields = ['name', 'customer', 'driver', 'client'];
+    return nameFields.some(field => fieldName.toLowerCase().includes(field));
+  }
+
+  detectTextPattern(text) {
+    if (/^\d+$/.test(text)) return 'numeric';
+    if (/^[A-Z]+$/.test(text)) return 'uppercase';
+    if (/^[a-z]+$/.test(text)) return 'lowercase';
+    if (/^[A-Z][a-z]+$/.test(text)) return 'title_case';
+    if (/^\w+@\w+\.\w+$/.test(text)) return 'email';
+    if (/^\d{3}-\d{3}-\d{4}$/.test(text)) return 'phone';
+    return 'mixed';
   }
 
   /**
-   * Read specific Excel sheet and convert to CSV
+   * Calculate overall data quality scores
    */
-  readExcelSheet(file, sheetName) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
+  calculateDataQuality(fieldAnalysis) {
+    const fields = Object.values(fieldAnalysis);
+    if (fields.length === 0) return { completeness: 0, consistency: 0, accuracy: 0, overall: 0 };
 
-      reader.onload = (e) => {
-        try {
-          const data = new Uint8Array(e.target.result);
-          const workbook = XLSX.read(data, { type: 'array' });
+    // Completeness: percentage of non-empty values
+    const completeness = fields.reduce((sum, field) => {
+      return sum + ((field.totalValues - field.emptyValues) / field.totalValues);
+    }, 0) / fields.length * 100;
 
-          if (!workbook.SheetNames.includes(sheetName)) {
-            reject(new Error(`Sheet "${sheetName}" not found`));
-            return;
-          }
+    // Consistency: based on data type consistency and patterns
+    const consistency = fields.reduce((sum, field) => {
+      const typeConsistency = field.dataType !== 'unknown' ? 1 : 0;
+      return sum + typeConsistency;
+    }, 0) / fields.length * 100;
 
-          const worksheet = workbook.Sheets[sheetName];
-          const csvText = XLSX.utils.sheet_to_csv(worksheet);
+    // Accuracy: based on validation errors
+    const totalErrors = fields.reduce((sum, field) => sum + field.errors.length, 0);
+    const accuracy = Math.max(0, 100 - (totalErrors / fields.length * 10));
 
-          resolve(csvText);
-        } catch (error) {
-          reject(new Error('Failed to parse Excel sheet: ' + error.message));
-        }
-      };
+    const overall = (completeness + consistency + accuracy) / 3;
 
-      reader.onerror = () => {
-        reject(new Error('Failed to read Excel file'));
-      };
+    return {
+      completeness: Math.round(completeness),
+      consistency: Math.round(consistency),
+      accuracy: Math.round(accuracy),
+      overall: Math.round(overall)
+    };
+  }
 
-      reader.readAsArrayBuffer(file);
+  /**
+   * Validate records against the configurable business rules
+   */
+  validateGeneralRules(records, validation) {
+    if (!this.businessRules) return;
+
+    // Per-rule report; failing rules are also listed as errors (high), warnings (medium) or suggestions (low)
+    validation.ruleResults = this.businessRules.evaluate(records, Object.keys(validation.fieldAnalysis));
+
+    validation.ruleResults.forEach(result => {
+      if (result.status !== 'failed') return;
+
+      const { rule } = result;
+      this.addValidationIssue(validation, {
+        type: rule.type === 'required' ? 'MISSING_REQUIRED_FIELDS' : 'RULE_VIOLATION',
+        ruleId: rule.id,
+        message: rule.type === 'required' ? result.reason : `${rule.name}: ${result.reason}`,
+        severity: rule.severity,
+        count: result.violationCount,
+        recordIndices: result.indices
+      });
     });
   }
 
   /**
-   * Process CSV data into dashboard format
+   * Show the business rules with an editor and a per-rule report for the active dataset
+   * @param {Object} options - { editId, draft, report } - rule to edit, JSON to pre-fill, rule results to show
    */
-  processCSVData(csvText, datasetName = 'CSV Upload') {
-    const lines = csvText.split('\n').filter(line => line.trim());
+  showBusinessRules(options = {}) {
+    const rules = this.businessRules.getRules();
+    const editing = rules.find(rule => rule.id === options.editId) || null;
+    const template = {
+      name: 'New rule',
+      severity: 'medium',
+      type: 'check',
+      when: [{ field: 'ProductFamily', operator: 'equals', value: 'Diesel' }],
+      check: [{ field: 'Gallon Qty', operator: 'gt', value: 0 }]
+    };
+    const draft = options.draft ?? JSON.stringify(editing ? (({ id, ...rule }) => rule)(editing) : template, null, 2);
+
+    const severityBadge = (severity) => `<span class="rule-severity rule-severity-${severity}">${severity}</span>`;
+
+    const ruleRows = rules.map((rule, index) => `
+      <tr>
+        <td><input type="checkbox" class="business-rule-enabled" data-index="${index}" ${rule.enabled ? 'checked' : ''} title="Run this rule"></td>
+        <td>${this.escapeHTML(rule.name)}</td>
+        <td>${severityBadge(rule.severity)}</td>
+        <td>${rule.type}</td>
+        <td>
+          <button class="dataset-action-btn business-rule-edit" data-index="${index}" title="Edit this rule"><i class="fas fa-pen"></i></button>
+          <button class="dataset-action-btn business-rule-remove" data-index="${index}" title="Delete this rule"><i class="fas fa-trash"></i></button>
+        </td>
+      </tr>
+    `).join('');
+
+    const reportRows = (options.report || []).map(result => `
+      <tr>
+        <td>${this.escapeHTML(result.rule.name)}</td>
+        <td>${severityBadge(result.rule.severity)}</td>
+        <td><span class="rule-status rule-status-${result.status}">${result.status}</span></td>
+        <td>${this.formatNumber(result.checked)}</td>
+        <td>${this.formatNumber(result.violationCount)}</td>
+        <td class="business-rule-details">
+          ${this.escapeHTML(result.reason)}
+          ${result.violations.length > 0 ? `
+            <details>
+              <summary>First ${Math.min(result.violations.length, 20)} rows</summary>
+              <ul>${result.violations.slice(0, 20).map(violation =>
+                `<li>Row ${this.getSourceRowLabel({ 'Source Row': violation.row, 'Source File': violation.source }, this.currentData)}: ${this.escapeHTML(violation.message)}</li>`).join('')}</ul>
+            </details>` : ''}
+        </td>
+      </tr>
+    `).join('');
+
+    const content = `
+      <div class="business-rules">
+        <table class="data-table">
+          <thead><tr><th>On</th><th>Rule</th><th>Severity</th><th>Type</th><th></th></tr></thead>
+          <tbody>${ruleRows || '<tr><td colspan="5">No rules defined</td></tr>'}</tbody>
+        </table>
+        <div class="business-rules-actions">
+          <button id="run-business-rules" class="template-btn"><i class="fas fa-play"></i> Check Active Dataset</button>
+          <button id="new-business-rule" class="template-btn"><i class="fas fa-plus"></i> New Rule</button>
+          <button id="export-business-rules" class="template-btn"><i class="fas fa-download"></i> Export</button>
+          <button id="import-business-rules" class="template-btn"><i class="fas fa-upload"></i> Import</button>
+          <input type="file" id="import-business-rules-input" accept=".json,application/json" style="display: none;">
+          <button id="reset-business-rules" class="template-btn"><i class="fas fa-undo"></i> Restore Defaults</button>
+        </div>
 
-    if (lines.length < 2) {
-      throw new Error('CSV file must have at least a header row and one data row');
-    }
+        ${options.report ? `
+          <h4>Results for "${this.escapeHTML(this.currentDataset || '')}"</h4>
+          <table class="data-table">
+            <thead><tr><th>Rule</th><th>Severity</th><th>Status</th><th>Rows checked</th><th>Violations</th><th>Details</th></tr></thead>
+            <tbody>${reportRows || '<tr><td colspan="6">No enabled rules</td></tr>'}</tbody>
+          </table>` : ''}
+
+        <h4>${editing ? `Edit "${this.escapeHTML(editing.name)}"` : 'New rule'}</h4>
+        <p class="import-report-note">
+          Conditions read a <code>field</code> or a <code>formula</code> and compare it with an operator:
+          ${Object.keys(this.businessRules.operators).join(', ')}.
+          A row is checked when every <code>when</code> condition matches and no <code>unless</code> condition does;
+          it violates the rule when any <code>check</code> condition fails.
+        </p>
+        <textarea id="business-rule-json" class="business-rule-json" rows="14" spellcheck="false">${this.escapeHTML(draft)}</textarea>
+        <div class="calculated-field-preview calculated-field-error" id="business-rule-error"></div>
+        <button id="save-business-rule" class="template-btn"><i class="fas fa-save"></i> ${editing ? 'Save Rule' : 'Add Rule'}</button>
+      </div>
+    `;
 
-    // Parse header row
-    const headers = this.parseCSVRow(lines[0]);
-    console.log('📊 CSV Headers:', headers);
+    this.showModal('<i class="fas fa-clipboard-check"></i> Business Rules', content);
 
-    // Parse data rows
-    const records = [];
-    for (let i = 1; i < lines.length; i++) {
-      const values = this.parseCSVRow(lines[i]);
+    const jsonInput = document.getElementById('business-rule-json');
+    const errorElement = document.getElementById('business-rule-error');
 
-      if (values.length !== headers.length) {
-        console.warn(`⚠️ Row ${i + 1} has ${values.length} columns, expected ${headers.length}. Skipping.`);
-        continue;
+    document.getElementById('save-business-rule')?.addEventListener('click', () => {
+      let saved;
+      try {
+        const rule = JSON.parse(jsonInput.value);
+        saved = this.businessRules.saveRule(editing && !rule.id ? { ...rule, id: editing.id } : rule, editing ? editing.id : null);
+      } catch (error) {
+        errorElement.textContent = error instanceof SyntaxError ? `Rule is not valid JSON: ${error.message}` : error.message;
+        return;
       }
 
-      // Create record object
-      const record = {};
-      headers.forEach((header, index) => {
-        record[header] = values[index];
-      });
-
-      // Process the record (parse numbers, dates, etc.)
-      this.processCSVRecord(record);
+      this.showNotification(`Rule "${saved.name}" saved`, 'success');
+      this.showBusinessRules({ report: options.report ? this.runBusinessRules() : undefined });
+    });
 
-      // Skip empty records
-      if (!this.isEmptyCSVRecord(record)) {
-        records.push(record);
+    document.getElementById('run-business-rules')?.addEventListener('click', () => {
+      const report = this.runBusinessRules();
+      if (report) {
+        this.showBusinessRules({ editId: options.editId, draft: jsonInput.value, report });
       }
-    }
-
-    console.log(`✅ Processed ${records.length} records from CSV`);
-
-    // Calculate summary statistics
-    const summary = this.calculateSummaryFromRecords(records);
+    });
 
-    return {
-      records,
-      headers,
-      summary,
-      source: `CSV Upload (${datasetName})`,
-      datasetName: datasetName,
-      uploadedAt: new Date().toISOString()
-    };
-  }
+    document.getElementById('new-business-rule')?.addEventListener('click', () => {
+      this.showBusinessRules({ report: options.report });
+    });
 
-  /**
-   * Process Recap CSV data into dashboard format
-   */
-  processRecapCSVData(csvText, datasetName = 'Recap CSV Upload') {
-    const lines = csvText.split('\n').filter(line => line.trim());
+    document.getElementById('export-business-rules')?.addEventListener('click', () => {
+      const blob = new Blob([this.businessRules.exportRules()], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.setAttribute('href', url);
+      link.setAttribute('download', `chief-business-rules-${new Date().toISOString().split('T')[0]}.json`);
+      link.style.visibility = 'hidden';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    });
 
-    if (lines.length < 2) {
-      throw new Error('Recap CSV file must have at least a header row and one data row');
-    }
+    const importInput = document.getElementById('import-business-rules-input');
+    document.getElementById('import-business-rules')?.addEventListener('click', () => importInput?.click());
+    importInput?.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
 
-    // Parse header row
-    const headers = this.parseCSVRow(lines[0]);
-    console.log('📊 Recap CSV Headers:', headers);
+      try {
+        const imported = this.businessRules.importRules(await file.text());
+        this.showNotification(`Imported ${imported} business rule${imported === 1 ? '' : 's'}`, 'success');
+        this.showBusinessRules();
+      } catch (error) {
+        console.error('❌ Failed to import business rules:', error);
+        this.showNotification(error.message, 'error');
+      }
+    });
 
-    // Parse data rows
-    const records = [];
-    for (let i = 1; i < lines.length; i++) {
-      const values = this.parseCSVRow(lines[i]);
+    document.getElementById('reset-business-rules')?.addEventListener('click', () => {
+      if (!window.confirm('Replace all business rules with the defaults?')) return;
+      this.businessRules.resetRules();
+      this.showBusinessRules();
+    });
 
-      if (values.length !== headers.length) {
-        console.warn(`⚠️ Recap row ${i + 1} has ${values.length} columns, expected ${headers.length}. Skipping.`);
-        continue;
-      }
+    document.querySelectorAll('.business-rule-enabled').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        this.businessRules.setEnabled(rules[Number(checkbox.dataset.index)].id, checkbox.checked);
+      });
+    });
 
-      // Create record object
-      const record = {};
-      headers.forEach((header, index) => {
-        record[header] = values[index];
+    document.querySelectorAll('.business-rule-edit').forEach(button => {
+      button.addEventListener('click', () => {
+        this.showBusinessRules({ editId: rules[Number(button.dataset.index)].id, report: options.report });
       });
+    });
 
-      // Process the record (parse numbers, dates, etc.) - reuse existing method
-      this.processCSVRecord(record);
+    document.querySelectorAll('.business-rule-remove').forEach(button => {
+      button.addEventListener('click', () => {
+        const rule = rules[Number(button.dataset.index)];
+        if (!window.confirm(`Delete rule "${rule.name}"?`)) return;
+        this.businessRules.removeRule(rule.id);
+        this.showBusinessRules({ report: options.report });
+      });
+    });
+  }
 
-      // Skip empty records
-      if (!this.isEmptyCSVRecord(record)) {
-        records.push(record);
-      }
+  /**
+   * Run the data quality validation on the active dataset
+   * @returns {Array|null} Per-rule results, or null if no dataset is loaded
+   */
+  runBusinessRules() {
+    if (!this.currentData || !this.currentData.records || !this.currentData.headers) {
+      this.showNotification('Upload or select a dataset first', 'warning');
+      return null;
     }
 
-    console.log(`✅ Processed ${records.length} recap records from CSV`);
-
-    // Calculate recap-specific summary statistics - reuse existing method
-    const summary = this.calculateSummaryFromRecords(records);
-
-    return {
-      records,
-      headers,
-      summary,
-      source: `Recap CSV Upload (${datasetName})`,
-      datasetName: datasetName,
-      uploadedAt: new Date().toISOString(),
-      type: 'recap'
-    };
+    const validation = this.validateDataQuality(this.currentData.records, this.currentData.headers);
+    const failed = validation.ruleResults.filter(result => result.status === 'failed').length;
+    console.log(`📋 Business rules: ${failed} of ${validation.ruleResults.length} rules failed on "${this.currentDataset}"`);
+    return validation.ruleResults;
   }
 
   /**
-   * Switch to a different recap dataset
+   * Check a stored dataset's data quality and show the results in the Data Quality section
+   * @param {string} datasetName - Dataset to check, defaults to the active dataset
    */
-  switchRecapDataset(datasetName) {
-    if (!datasetName || !this.uploadedRecapDatasets || !this.uploadedRecapDatasets[datasetName]) {
-      console.log('📊 No recap dataset selected or dataset not found');
-      this.currentRecapData = null;
-      this.currentRecapDataset = null;
-      this.updateRecapDataRange();
-      return;
+  updateDataQuality(datasetName = this.currentDataset) {
+    const select = document.getElementById('quality-dataset-select');
+    const content = document.getElementById('data-quality-content');
+    if (!content) return;
+
+    if (select) {
+      select.innerHTML = '';
+      this.appendDatasetOptions(select, this.uploadedDatasets, datasetName);
     }
 
-    console.log(`📊 Switching to recap dataset: ${datasetName}`);
-    this.currentRecapData = this.uploadedRecapDatasets[datasetName];
-    this.currentRecapDataset = datasetName;
+    const dataset = datasetName ? this.uploadedDatasets[datasetName] : null;
+    if (!dataset || !dataset.records || !dataset.headers) {
+      content.innerHTML = '<p class="data-quality-empty">Upload a dataset to see its data quality.</p>';
+      return;
+    }
 
-    // Update recap data range info
-    this.updateRecapDataRange();
+    const validation = this.validateDataQuality(dataset.records, dataset.headers, dataset.outlierReviews || {});
+    const result = {
+      datasetName,
+      dataset,
+      validation,
+      issues: [...validation.errors, ...validation.warnings, ...validation.suggestions],
+      checkedAt: new Date()
+    };
+    this.dataQualityResults[datasetName] = result;
+    this.renderDataQuality(result);
 
-    this.showNotification(`Switched to recap dataset: ${datasetName}`, 'success');
+    console.log(`🩺 Data quality for "${datasetName}": ${validation.quality.overall}% overall, ${result.issues.length} issues`);
   }
 
   /**
-   * Update recap dataset switcher dropdown
+   * Show a data quality result in the Data Quality section and wire up its buttons
+   * @param {Object} result - Entry from this.dataQualityResults
    */
-  updateRecapDatasetSwitcher(selectedDataset = null) {
-    const switcher = document.getElementById('recap-dataset-switcher');
-    const selector = document.getElementById('recap-dataset-selector');
+  renderDataQuality(result) {
+    const content = document.getElementById('data-quality-content');
+    if (!content) return;
 
-    if (!switcher || !selector) {
-      console.warn('⚠️ Recap dataset switcher elements not found');
-      return;
-    }
+    const { datasetName, validation } = result;
+    content.innerHTML = this.buildDataQualityReport(result, true);
 
-    // Clear existing options
-    selector.innerHTML = '<option value="">No recap data uploaded</option>';
+    content.querySelectorAll('.quality-view-rows').forEach(button => {
+      button.addEventListener('click', () => {
+        this.showIssueRecords(datasetName, result.issues[Number(button.dataset.issue)]);
+      });
+    });
 
-    // Add uploaded recap datasets
-    if (this.uploadedRecapDatasets && Object.keys(this.uploadedRecapDatasets).length > 0) {
-      Object.keys(this.uploadedRecapDatasets).forEach(datasetName => {
-        const option = document.createElement('option');
-        option.value = datasetName;
-        option.textContent = datasetName;
-        if (datasetName === selectedDataset) {
-          option.selected = true;
-        }
-        selector.appendChild(option);
+    document.getElementById('outlier-status-filter')?.addEventListener('change', (e) => {
+      this.outlierStatusFilter = e.target.value;
+      this.renderDataQuality(result);
+    });
+
+    content.querySelectorAll('.outlier-view').forEach(button => {
+      button.addEventListener('click', () => {
+        const flag = validation.outliers.flags[Number(button.dataset.flag)];
+        this.showIssueRecords(datasetName, {
+          message: `${flag.metricLabel} outlier in ${flag.segment}`,
+          recordIndices: [flag.index]
+        });
       });
+    });
 
-      // Show the switcher
-      switcher.style.display = 'block';
-    } else {
-      // Hide the switcher if no datasets
-      switcher.style.display = 'none';
-    }
+    content.querySelectorAll('.outlier-review').forEach(button => {
+      button.addEventListener('click', () => {
+        this.reviewOutlier(datasetName, validation.outliers.flags[Number(button.dataset.flag)], button.dataset.status);
+      });
+    });
   }
 
   /**
-   * Update recap data range information
+   * Record a review decision for a flagged outlier and re-check the dataset
+   * @param {string} datasetName - Dataset the outlier belongs to
+   * @param {Object} flag - Flag from validation.outliers.flags
+   * @param {string} status - 'accepted' (the value is correct), 'ignored' (not worth reviewing) or 'open' to undo
    */
-  updateRecapDataRange() {
-    const rangeElement = document.getElementById('recap-data-range');
+  reviewOutlier(datasetName, flag, status) {
+    const dataset = this.uploadedDatasets[datasetName];
+    if (!dataset || !flag) return;
 
-    if (!rangeElement) {
-      console.warn('⚠️ Recap data range element not found');
-      return;
-    }
-
-    if (!this.currentRecapData || !this.currentRecapData.records || this.currentRecapData.records.length === 0) {
-      rangeElement.textContent = 'No recap data available';
-      return;
-    }
-
-    try {
-      const dataRange = this.calculateDataRange(this.currentRecapData.records);
-      rangeElement.textContent = `${dataRange.start} to ${dataRange.end} (${this.currentRecapData.records.length} records)`;
-    } catch (error) {
-      console.error('❌ Error calculating recap data range:', error);
-      rangeElement.textContent = `${this.currentRecapData.records.length} records available`;
+    const reviews = { ...(dataset.outlierReviews || {}) };
+    if (status === 'open') {
+      delete reviews[flag.key];
+    } else {
+      reviews[flag.key] = { status, metric: flag.metric, reviewedAt: new Date().toISOString() };
     }
+    dataset.outlierReviews = reviews;
+    this.persistDataset(datasetName, dataset, 'transaction');
+
+    this.updateDataQuality(datasetName);
   }
 
   /**
-   * Parse a CSV row handling quoted values and commas
+   * Build the reviewable list of flagged outliers
+   * @param {Object} result - Entry from this.dataQualityResults
+   * @param {boolean} interactive - Include the status filter and review buttons (left out of the printed report)
    */
-  parseCSVRow(row) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-
-    for (let i = 0; i < row.length; i++) {
-      const char = row[i];
-
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
-        result.push(current.trim());
-        current = '';
-      } else {
-        current += char;
-      }
-    }
+  buildOutlierReviewList(result, interactive) {
+    const detection = result.validation.outliers;
+    if (!detection) return '<p class="import-report-note">Outlier checks are not available.</p>';
 
-    // Add the last field
-    result.push(current.trim());
+    const detector = this.outlierDetector;
+    const { segmentBy, method, metrics } = detector.settings;
+    const counts = { open: 0, accepted: 0, ignored: 0 };
+    detection.flags.forEach(flag => counts[flag.status]++);
 
-    return result;
+    const statusFilter = interactive ? this.outlierStatusFilter : 'open';
+    const shown = detection.flags
+      .map((flag, position) => ({ flag, position }))
+      .filter(({ flag }) => statusFilter === 'all' || flag.status === statusFilter);
+    const limit = 200;
+
+    const formatValue = (flag, value) => (detector.metrics[flag.metric].perGallon
+      ? `$${value.toFixed(3)}`
+      : this.formatNumber(Math.round(value * 100) / 100));
+    const statusLabels = { open: 'Open', accepted: 'Accepted', ignored: 'Ignored' };
+    const reviewButtons = (flag, position) => ['accepted', 'ignored', 'open']
+      .filter(status => status !== flag.status)
+      .map(status => `
+        <button class="dataset-action-btn outlier-review" data-flag="${position}" data-status="${status}"
+          title="${status === 'accepted' ? 'The value is correct' : status === 'ignored' ? 'Stop flagging this value' : 'Review again'}">
+          <i class="fas ${status === 'accepted' ? 'fa-check' : status === 'ignored' ? 'fa-eye-slash' : 'fa-undo'}"></i>
+        </button>`)
+      .join('');
+
+    const rows = shown.slice(0, limit).map(({ flag, position }) => {
+      const record = result.dataset.records[flag.index];
+      return `
+        <tr>
+          <td>${this.getSourceRowLabel(record, result.dataset)}</td>
+          <td>${record.Date ? new Date(record.Date).toLocaleDateString('en-US') : ''}</td>
+          <td>${this.escapeHTML(record.Customer ?? record.customer ?? '')}</td>
+          <td>${this.escapeHTML(record.ProductName || record['Product Type'] || '')}</td>
+          <td>${this.escapeHTML(flag.metricLabel)}</td>
+          <td class="outlier-${flag.direction}">${formatValue(flag, flag.value)}</td>
+          <td>${this.escapeHTML(flag.segment)}</td>
+          <td>${formatValue(flag, flag.median)}</td>
+          <td>${formatValue(flag, flag.lower)} – ${formatValue(flag, flag.upper)}</td>
+          <td>${flag.score.toFixed(1)}</td>
+          <td><span class="outlier-status outlier-status-${flag.status}">${statusLabels[flag.status]}</span></td>
+          ${interactive ? `
+            <td class="outlier-actions">
+              <button class="dataset-action-btn outlier-view" data-flag="${position}" title="Show this transaction"><i class="fas fa-search"></i></button>
+              ${reviewButtons(flag, position)}
+            </td>` : ''}
+        </tr>
+      `;
+    }).join('');
+
+    const segmentText = segmentBy.length > 0
+      ? segmentBy.map(key => detector.segmentOptions[key].toLowerCase()).join(' + ')
+      : 'whole dataset';
+    const settingsText = `${metrics.map(key => detector.metrics[key].label.toLowerCase()).join(', ')} by ${segmentText}, ${detector.methods[method].toLowerCase()}`;
+
+    return `
+      <p class="import-report-note">
+        Checking ${this.escapeHTML(settingsText)}: ${counts.open} open, ${counts.accepted} accepted, ${counts.ignored} ignored.
+        ${detection.skippedRecords > 0 ? `${this.formatNumber(detection.skippedRecords)} values in segments too small to judge were skipped.` : ''}
+      </p>
+      ${interactive ? `
+        <div class="outlier-filter">
+          <label for="outlier-status-filter">Show</label>
+          <select id="outlier-status-filter" class="dataset-select">
+            ${['open', 'accepted', 'ignored', 'all'].map(status => `
+              <option value="${status}" ${status === statusFilter ? 'selected' : ''}>${statusLabels[status] || 'All'}</option>
+            `).join('')}
+          </select>
+        </div>` : ''}
+      ${rows
+        ? `<table class="data-table outlier-table">
+            <thead><tr>
+              <th>#</th><th>Date</th><th>Customer</th><th>Product</th><th>Check</th><th>Value</th><th>Segment</th>
+              <th>Segment median</th><th>Normal range</th><th>Score</th><th>Status</th>${interactive ? '<th></th>' : ''}
+            </tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+          ${shown.length > limit ? `<p class="import-report-note">Showing the ${limit} most extreme of ${this.formatNumber(shown.length)} outliers.</p>` : ''}`
+        : `<p class="import-report-note">No ${statusFilter === 'all' ? '' : `${statusFilter} `}outliers.</p>`}
+    `;
   }
 
   /**
-   * Advanced data validation system
-   */
-  validateDataQuality(records, headers) {
-    const validation = {
-      errors: [],
-      warnings: [],
-      suggestions: [],
-      quality: {
-        completeness: 0,
-        consistency: 0,
-        accuracy: 0,
-        overall: 0
-      },
-      fieldAnalysis: {}
-    };
+   * Show the outlier detection settings
+   */
+  showOutlierSettings() {
+    const detector = this.outlierDetector;
+    const settings = detector.settings;
+    const checkboxes = (name, options, selected) => Object.entries(options).map(([key, option]) => `
+      <label class="outlier-setting-option">
+        <input type="checkbox" name="${name}" value="${key}" ${selected.includes(key) ? 'checked' : ''}>
+        ${this.escapeHTML(option.label || option)}
+      </label>
+    `).join('');
+
+    const content = `
+      <div class="outlier-settings">
+        <h4>Compare each transaction with others in the same</h4>
+        <div class="outlier-setting-options">${checkboxes('outlier-segment', detector.segmentOptions, settings.segmentBy)}</div>
+        <p class="import-report-note">Leave all unticked to compare against the whole dataset.</p>
+
+        <h4>Values to check</h4>
+        <div class="outlier-setting-options">${checkboxes('outlier-metric', detector.metrics, settings.metrics)}</div>
+
+        <h4>Method</h4>
+        <select id="outlier-method" class="dataset-select">
+          ${Object.entries(detector.methods).map(([key, label]) => `<option value="${key}" ${key === settings.method ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+        <div class="outlier-setting-numbers">
+          <label>Robust z-score cut-off <input type="number" id="outlier-z-threshold" step="0.1" min="0.1" value="${settings.zThreshold}"></label>
+          <label>IQR multiplier <input type="number" id="outlier-iqr-multiplier" step="0.1" min="0.1" value="${settings.iqrMultiplier}"></label>
+          <label>Smallest segment checked <input type="number" id="outlier-min-segment" step="1" min="1" value="${settings.minSegmentSize}"></label>
+        </div>
 
-    // Analyze each field
-    headers.forEach(header => {
-      const fieldData = records.map(record => record[header]);
-      const fieldAnalysis = this.analyzeField(header, fieldData);
-      validation.fieldAnalysis[header] = fieldAnalysis;
+        <button id="save-outlier-settings" class="template-btn"><i class="fas fa-save"></i> Save and Re-check</button>
+      </div>
+    `;
 
-      // Add field-specific errors and warnings
-      validation.errors.push(...fieldAnalysis.errors);
-      validation.warnings.push(...fieldAnalysis.warnings);
-      validation.suggestions.push(...fieldAnalysis.suggestions);
-    });
+    this.showModal('<i class="fas fa-sliders-h"></i> Outlier Settings', content);
 
-    // Calculate overall quality scores
-    validation.quality = this.calculateDataQuality(validation.fieldAnalysis);
+    document.getElementById('save-outlier-settings')?.addEventListener('click', (e) => {
+      const checked = (name) => [...document.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
 
-    // Add general data validation rules
-    this.validateGeneralRules(records, validation);
+      try {
+        detector.saveSettings({
+          segmentBy: checked('outlier-segment'),
+          metrics: checked('outlier-metric'),
+          method: document.getElementById('outlier-method').value,
+          zThreshold: document.getElementById('outlier-z-threshold').value,
+          iqrMultiplier: document.getElementById('outlier-iqr-multiplier').value,
+          minSegmentSize: document.getElementById('outlier-min-segment').value
+        });
+      } catch (error) {
+        this.showNotification(error.message, 'error');
+        return;
+      }
 
-    return validation;
+      e.target.closest('.modal-overlay')?.remove();
+      this.updateDataQuality(document.getElementById('quality-dataset-select')?.value || this.currentDataset);
+      this.showNotification('Outlier settings saved', 'success');
+    });
   }
 
   /**
-   * Analyze individual field quality
+   * Score each field on completeness and on the share of its values without issues
+   * @returns {Array} [{ field, dataType, completeness, validity, score, issueCount }]
    */
-  analyzeField(fieldName, values) {
-    const analysis = {
-      fieldName,
-      totalValues: values.length,
-      emptyValues: 0,
-      uniqueValues: 0,
-      dataType: 'unknown',
-      errors: [],
-      warnings: [],
-      suggestions: [],
-      patterns: [],
-      outliers: []
-    };
+  getFieldQualityScores(validation) {
+    return Object.values(validation.fieldAnalysis).map(analysis => {
+      const total = analysis.totalValues || 1;
+      const filled = analysis.totalValues - analysis.emptyValues;
+      const issues = [...analysis.errors, ...analysis.warnings, ...analysis.suggestions];
 
-    const nonEmptyValues = values.filter(v => v !== null && v !== undefined && v.toString().trim() !== '');
-    analysis.emptyValues = values.length - nonEmptyValues.length;
-    analysis.uniqueValues = new Set(nonEmptyValues).size;
+      // Rows flagged by value checks - missing values already count against completeness
+      const flagged = new Set();
+      issues
+        .filter(issue => issue.type !== 'EMPTY_FIELD' && issue.type !== 'LOW_COMPLETENESS')
+        .forEach(issue => (issue.recordIndices || []).forEach(index => flagged.add(index)));
 
-    if (nonEmptyValues.length === 0) {
-      analysis.errors.push({
-        type: 'EMPTY_FIELD',
-        field: fieldName,
-        message: `Field "${fieldName}" contains no data`,
-        severity: 'high'
-      });
-      return analysis;
-    }
+      const completeness = (filled / total) * 100;
+      const validity = filled > 0 ? 100 - (flagged.size / filled) * 100 : 0;
 
-    // Detect data type and validate
-    analysis.dataType = this.detectDataType(nonEmptyValues);
+      return {
+        field: analysis.fieldName,
+        dataType: analysis.dataType,
+        completeness: Math.round(completeness),
+        validity: Math.round(validity),
+        score: Math.round((completeness + validity) / 2),
+        issueCount: issues.length
+      };
+    });
+  }
 
-    // Type-specific validation
-    switch (analysis.dataType) {
-      case 'date':
-        this.validateDateField(fieldName, nonEmptyValues, analysis);
-        break;
-      case 'currency':
-      case 'number':
-        this.validateNumericField(fieldName, nonEmptyValues, analysis);
-        break;
-      case 'text':
-        this.validateTextField(fieldName, nonEmptyValues, analysis);
-        break;
+  /**
+   * Show duplicate candidates side by side, with the dataset's excluded duplicates
+   * @param {string} datasetName - Dataset to check, defaults to the active dataset
+   */
+  showDuplicates(datasetName = this.currentDataset) {
+    const dataset = datasetName ? this.uploadedDatasets[datasetName] : null;
+    if (!dataset || !dataset.records) {
+      this.showNotification('Upload or select a dataset first', 'warning');
+      return;
     }
 
-    // Check completeness
-    const completeness = (nonEmptyValues.length / values.length) * 100;
-    if (completeness < 80) {
-      analysis.warnings.push({
-        type: 'LOW_COMPLETENESS',
-        field: fieldName,
-        message: `Field "${fieldName}" is only ${completeness.toFixed(1)}% complete`,
-        severity: 'medium'
-      });
-    }
+    const detector = this.duplicateDetector;
+    const calculatedNames = (dataset.calculatedFields || []).map(field => field.name);
+    const pairs = detector.detect(dataset.records, calculatedNames);
+    const exclusions = dataset.excludedDuplicates || [];
+    const limit = 50;
+    const fields = dataset.headers.filter(header => !this.addressParser.recordFields.includes(header));
 
-    // Check for duplicates in key fields
-    if (this.isKeyField(fieldName) && analysis.uniqueValues < nonEmptyValues.length) {
-      analysis.warnings.push({
-        type: 'DUPLICATE_VALUES',
-        field: fieldName,
-        message: `Field "${fieldName}" contains duplicate values`,
-        severity: 'medium'
-      });
-    }
+    const formatField = (record, field) => {
+      const value = record[field];
+      if (value === null || value === undefined || value === '') return '';
+      if (value instanceof Date || field === 'Date') return new Date(value).toLocaleDateString('en-US');
+      return typeof value === 'number' ? this.formatNumber(Math.round(value * 100) / 100) : String(value);
+    };
 
-    return analysis;
-  }
+    const pairCards = pairs.slice(0, limit).map((pair, position) => {
+      const keep = dataset.records[pair.keep];
+      const duplicate = dataset.records[pair.duplicate];
+      const keepRow = this.getSourceRowLabel(keep, dataset);
+      const duplicateRow = this.getSourceRowLabel(duplicate, dataset);
+      const rows = fields.map(field => {
+        const differs = this.datasetMerger.normalizeValue(keep[field]) !== this.datasetMerger.normalizeValue(duplicate[field]);
+        return `
+          <tr class="${differs ? 'duplicate-differs' : ''}">
+            <td>${this.escapeHTML(field)}</td>
+            <td>${this.escapeHTML(formatField(keep, field))}</td>
+            <td>${this.escapeHTML(formatField(duplicate, field))}</td>
+          </tr>
+        `;
+      }).join('');
 
-  /**
-   * Validate date fields
-   */
-  validateDateField(fieldName, values, analysis) {
-    let invalidDates = 0;
-    let futureDates = 0;
-    let oldDates = 0;
-    const currentYear = new Date().getFullYear();
+      return `
+        <div class="duplicate-pair">
+          <div class="duplicate-pair-header">
+            <span class="duplicate-match duplicate-match-${pair.match}">${pair.match === 'exact' ? 'Exact copy' : 'Near duplicate'}</span>
+            <span>Rows ${keepRow} and ${duplicateRow}${pair.salesDifference !== 0 ? ` - sales differ by ${this.formatCurrency(pair.salesDifference)}` : ''}</span>
+            <button class="template-btn duplicate-exclude" data-pair="${position}"><i class="fas fa-ban"></i> Exclude Row ${duplicateRow}</button>
+          </div>
+          <table class="data-table duplicate-compare">
+            <thead><tr><th>Field</th><th>Row ${keepRow} (kept)</th><th>Row ${duplicateRow}</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      `;
+    }).join('');
 
-    values.forEach((value, index) => {
-      const date = new Date(value);
+    const exclusionRows = exclusions.map((exclusion, position) => `
+      <tr>
+        <td>${this.getSourceRowLabel(exclusion.record, dataset)}</td>
+        <td>${this.escapeHTML(formatField(exclusion.record, 'Date'))}</td>
+        <td>${this.escapeHTML(exclusion.record.Customer || '')}</td>
+        <td>${this.escapeHTML(exclusion.record['Product Type'] || '')}</td>
+        <td>${this.formatNumber(exclusion.record['Gallon Qty'])}</td>
+        <td>${this.formatCurrency(detector.getSales(exclusion.record))}</td>
+        <td>${exclusion.match}</td>
+        <td>${new Date(exclusion.excludedAt).toLocaleDateString('en-US')}</td>
+        <td><button class="dataset-action-btn duplicate-restore" data-exclusion="${position}" title="Put this transaction back"><i class="fas fa-undo"></i></button></td>
+      </tr>
+    `).join('');
+
+    const exactCount = pairs.filter(pair => pair.match === 'exact').length;
+    const content = `
+      <div class="duplicates">
+        <p class="import-report-note">
+          Records with the same date, customer, product and gallons are compared. Sales may differ by up to
+          <input type="number" id="duplicate-tolerance" class="duplicate-tolerance" min="0" step="0.01" value="${detector.settings.salesTolerance}"> dollars or
+          <input type="number" id="duplicate-tolerance-percent" class="duplicate-tolerance" min="0" step="0.1" value="${detector.settings.salesTolerancePercent}"> %,
+          whichever is larger.
+          <button id="rescan-duplicates" class="template-btn"><i class="fas fa-sync-alt"></i> Re-check</button>
+        </p>
+
+        <h4>Candidates in "${this.escapeHTML(datasetName)}" (${pairs.length})</h4>
+        ${pairs.length > 0 ? `
+          <p class="import-report-note">
+            ${exactCount} exact, ${pairs.length - exactCount} near. Excluded rows are removed from every total and chart, and saved with the dataset.
+            ${exactCount > 0 ? `<button id="exclude-exact-duplicates" class="template-btn"><i class="fas fa-ban"></i> Exclude All ${exactCount} Exact Copies</button>` : ''}
+          </p>
+          ${pairCards}
+          ${pairs.length > limit ? `<p class="import-report-note">Showing the first ${limit} of ${pairs.length} candidates.</p>` : ''}
+        ` : '<p class="import-report-note">No duplicate transactions found.</p>'}
+
+        <h4>Excluded (${exclusions.length})</h4>
+        ${exclusions.length > 0
+          ? `<table class="data-table">
+              <thead><tr><th>Row</th><th>Date</th><th>Customer</th><th>Product</th><th>Gallons</th><th>Sales</th><th>Match</th><th>Excluded</th><th></th></tr></thead>
+              <tbody>${exclusionRows}</tbody>
+            </table>`
+          : '<p class="import-report-note">No transactions have been excluded.</p>'}
+      </div>
+    `;
 
-      if (isNaN(date.getTime())) {
-        invalidDates++;
-      } else {
-        const year = date.getFullYear();
-        if (year > currentYear + 1) {
-          futureDates++;
-        } else if (year < 1900) {
-          oldDates++;
-        }
+    this.showModal('<i class="fas fa-clone"></i> Duplicate Transactions', content);
+
+    document.getElementById('rescan-duplicates')?.addEventListener('click', () => {
+      try {
+        detector.saveSettings({
+          salesTolerance: document.getElementById('duplicate-tolerance').value,
+          salesTolerancePercent: document.getElementById('duplicate-tolerance-percent').value
+        });
+      } catch (error) {
+        this.showNotification(error.message, 'error');
+        return;
       }
+      this.showDuplicates(datasetName);
     });
 
-    if (invalidDates > 0) {
-      analysis.errors.push({
-        type: 'INVALID_DATES',
-        field: fieldName,
-        message: `${invalidDates} invalid date(s) found in "${fieldName}"`,
-        severity: 'high',
-        count: invalidDates
-      });
-    }
+    document.getElementById('exclude-exact-duplicates')?.addEventListener('click', () => {
+      this.excludeDuplicates(datasetName, pairs.filter(pair => pair.match === 'exact'));
+    });
 
-    if (futureDates > 0) {
-      analysis.warnings.push({
-        type: 'FUTURE_DATES',
-        field: fieldName,
-        message: `${futureDates} future date(s) found in "${fieldName}"`,
-        severity: 'low',
-        count: futureDates
-      });
-    }
+    document.querySelectorAll('.duplicate-exclude').forEach(button => {
+      button.addEventListener('click', () => this.excludeDuplicates(datasetName, [pairs[Number(button.dataset.pair)]]));
+    });
 
-    if (oldDates > 0) {
-      analysis.warnings.push({
-        type: 'OLD_DATES',
-        field: fieldName,
-        message: `${oldDates} very old date(s) found in "${fieldName}"`,
-        severity: 'low',
-        count: oldDates
-      });
-    }
+    document.querySelectorAll('.duplicate-restore').forEach(button => {
+      button.addEventListener('click', () => this.restoreDuplicate(datasetName, Number(button.dataset.exclusion)));
+    });
   }
 
   /**
-   * Validate numeric fields
+   * Remove duplicate records from a dataset, keeping them in its excluded list so they can be put back
+   * @param {string} datasetName - Dataset name
+   * @param {Array} pairs - Candidates from ChiefDuplicateDetector.detect()
    */
-  validateNumericField(fieldName, values, analysis) {
-    let invalidNumbers = 0;
-    let negativeValues = 0;
-    let zeroValues = 0;
-    const numericValues = [];
+  excludeDuplicates(datasetName, pairs) {
+    const dataset = this.uploadedDatasets[datasetName];
+    if (!dataset || pairs.length === 0) return;
 
-    values.forEach(value => {
-      const num = parseFloat(value.toString().replace(/[$,]/g, ''));
+    const exclusions = pairs.map(pair => this.duplicateDetector.createExclusion(dataset.records, pair));
+    const removed = new Set(pairs.map(pair => pair.duplicate));
 
-      if (isNaN(num)) {
-        invalidNumbers++;
-      } else {
-        numericValues.push(num);
-        if (num < 0) negativeValues++;
-        if (num === 0) zeroValues++;
-      }
-    });
+    dataset.records = dataset.records.filter((record, index) => !removed.has(index));
+    dataset.excludedDuplicates = [...(dataset.excludedDuplicates || []), ...exclusions];
+    this.saveDuplicateChanges(datasetName);
 
-    if (invalidNumbers > 0) {
-      analysis.errors.push({
-        type: 'INVALID_NUMBERS',
-        field: fieldName,
-        message: `${invalidNumbers} invalid number(s) found in "${fieldName}"`,
-        severity: 'high',
-        count: invalidNumbers
-      });
-    }
+    this.showNotification(`Excluded ${removed.size} duplicate transaction${removed.size === 1 ? '' : 's'}`, 'success');
+    this.showDuplicates(datasetName);
+  }
 
-    // Check for outliers in financial fields
-    if (this.isFinancialField(fieldName) && numericValues.length > 0) {
-      const outliers = this.detectOutliers(numericValues);
-      if (outliers.length > 0) {
-        analysis.warnings.push({
-          type: 'OUTLIERS_DETECTED',
-          field: fieldName,
-          message: `${outliers.length} potential outlier(s) detected in "${fieldName}"`,
-          severity: 'low',
-          count: outliers.length,
-          values: outliers
-        });
+  /**
+   * Put an excluded duplicate back into its dataset
+   * @param {string} datasetName - Dataset name
+   * @param {number} position - Index in the dataset's excluded list
+   */
+  restoreDuplicate(datasetName, position) {
+    const dataset = this.uploadedDatasets[datasetName];
+    const exclusion = dataset?.excludedDuplicates?.[position];
+    if (!exclusion) return;
+
+    // Put it back among the rows of the upload it came from, before the first one that came after it in the file -
+    // row numbers restart with every appended file
+    const restored = exclusion.record;
+    const sameUpload = (record) => record['Source File'] === restored['Source File'] && record['Source Upload'] === restored['Source Upload'];
+    let insertAt = -1;
+    if (restored['Source Row'] !== undefined) {
+      insertAt = dataset.records.findIndex(record => sameUpload(record) && record['Source Row'] > restored['Source Row']);
+      if (insertAt === -1) {
+        const last = dataset.records.findLastIndex(sameUpload);
+        insertAt = last === -1 ? -1 : last + 1;
       }
     }
+    dataset.records = insertAt === -1
+      ? [...dataset.records, restored]
+      : [...dataset.records.slice(0, insertAt), restored, ...dataset.records.slice(insertAt)];
+    dataset.excludedDuplicates = dataset.excludedDuplicates.filter((entry, index) => index !== position);
+    this.saveDuplicateChanges(datasetName);
 
-    // Check for negative values in fields that shouldn't have them
-    if (this.shouldBePositive(fieldName) && negativeValues > 0) {
-      analysis.warnings.push({
-        type: 'NEGATIVE_VALUES',
-        field: fieldName,
-        message: `${negativeValues} negative value(s) found in "${fieldName}"`,
-        severity: 'medium',
-        count: negativeValues
-      });
-    }
+    this.showNotification('Transaction restored', 'success');
+    this.showDuplicates(datasetName);
   }
 
   /**
-   * Validate text fields
+   * Re-summarize and save a dataset after its excluded duplicates change, then refresh the views showing it
    */
-  validateTextField(fieldName, values, analysis) {
-    let emptyStrings = 0;
-    let inconsistentCase = 0;
-    const patterns = {};
-
-    values.forEach(value => {
-      const str = value.toString().trim();
+  saveDuplicateChanges(datasetName) {
+    const dataset = this.uploadedDatasets[datasetName];
+    dataset.summary = this.calculateSummaryFromRecords(dataset.records);
+    this.persistDataset(datasetName, dataset, 'transaction');
 
-      if (str === '') {
-        emptyStrings++;
-        return;
-      }
+    // Row positions have changed
+    if (this.tableFocus && this.tableFocus.dataset === dataset) {
+      this.tableFocus = null;
+    }
 
-      // Check for inconsistent casing in name fields
-      if (this.isNameField(fieldName)) {
-        const hasLower = /[a-z]/.test(str);
-        const hasUpper = /[A-Z]/.test(str);
-        if (hasLower && !hasUpper) {
-          inconsistentCase++;
-        }
-      }
+    if (datasetName === this.currentDataset) {
+      this.updateKPIs();
+      this.updateCharts();
+      this.updateDataTable();
+      this.updateDataExplorer();
+      this.populateFilterDropdowns();
+    }
+    this.updateDataQuality(document.getElementById('quality-dataset-select')?.value || this.currentDataset);
+  }
 
-      // Detect common patterns
-      const pattern = this.detectTextPattern(str);
-      patterns[pattern] = (patterns[pattern] || 0) + 1;
-    });
+  /**
+   * Show which cost basis each line was costed on, the lines on the wrong basis and margins under each basis
+   * @param {string} groupBy - 'customer' or 'month' for the margin comparison
+   */
+  showCostBasisAudit(groupBy = 'customer') {
+    const dataset = this.currentData;
+    if (!dataset || !this.currentDataset || !this.uploadedDatasets[this.currentDataset]) {
+      this.showNotification('Upload or select a dataset first', 'warning');
+      return;
+    }
 
-    if (inconsistentCase > values.length * 0.1) {
-      analysis.suggestions.push({
-        type: 'INCONSISTENT_CASE',
-        field: fieldName,
-        message: `Consider standardizing case in "${fieldName}"`,
-        severity: 'low',
-        count: inconsistentCase
-      });
+    const analyzer = this.costBasisAnalyzer;
+    if (!analyzer.hasCostColumns(dataset.headers)) {
+      this.showNotification(`"${this.currentDataset}" has no ${analyzer.costField} and Unleaded/Clear/Dyed cost columns`, 'warning');
+      return;
     }
 
-    analysis.patterns = Object.entries(patterns)
-      .sort(([, a], [, b]) => b - a)
-      .slice(0, 5)
-      .map(([pattern, count]) => ({ pattern, count }));
-  }
+    const audit = analyzer.analyze(dataset.records, groupBy);
+    const basisKeys = Object.keys(analyzer.bases);
+    const basisLabel = (key) => (key === 'none' ? 'No match' : analyzer.bases[key].label);
+    const marginCell = (sales, cost) => {
+      const margin = sales - cost;
+      return `${this.formatCurrency(margin)} <span class="cost-basis-percent">${sales !== 0 ? ((margin / sales) * 100).toFixed(1) : '0.0'}%</span>`;
+    };
+
+    const matrixRows = basisKeys.filter(key => audit.matrix[key]).map(expected => [expected, audit.matrix[expected]]).map(([expected, row]) => `
+      <tr>
+        <td>${basisLabel(expected)}</td>
+        ${[...basisKeys, 'none'].map(key => `
+          <td class="${key === expected ? 'cost-basis-expected' : row[key] ? 'cost-basis-wrong' : ''}">${this.formatNumber(row[key] || 0)}</td>
+        `).join('')}
+      </tr>
+    `).join('');
+
+    const mismatches = audit.lines.filter(line => line.status === 'mismatch');
+    const mismatchRows = mismatches.slice(0, 100).map(line => {
+      const record = dataset.records[line.index];
+      const actual = ChiefFormulaEngine.toNumber(record[analyzer.costField]);
+      const expectedCost = ChiefFormulaEngine.toNumber(record[analyzer.bases[line.expected].field]);
+      return `
+        <tr>
+          <td>${this.getSourceRowLabel(record, dataset)}</td>
+          <td>${record.Date ? new Date(record.Date).toLocaleDateString('en-US') : ''}</td>
+          <td>${this.escapeHTML(record.Customer || '')}</td>
+          <td>${this.escapeHTML(record.ProductName || record['Product Type'] || '')}</td>
+          <td>${this.formatNumber(record['Gallon Qty'])}</td>
+          <td>${basisLabel(line.basis)} ${this.formatCurrency(actual)}</td>
+          <td>${basisLabel(line.expected)} ${expectedCost === null ? '—' : this.formatCurrency(expectedCost)}</td>
+          <td>${expectedCost === null ? '—' : this.formatCurrency(expectedCost - actual)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    const groupRows = audit.groups.slice(0, 100).map(group => `
+      <tr>
+        <td>${this.escapeHTML(group.key)}</td>
+        <td>${this.formatNumber(group.lines)}</td>
+        <td>${group.mismatches > 0 ? `<span class="cost-basis-wrong">${this.formatNumber(group.mismatches)}</span>` : '0'}</td>
+        <td>${this.formatCurrency(group.sales)}</td>
+        <td>${marginCell(group.sales, group.actualCost)}</td>
+        ${basisKeys.map(key => `<td>${marginCell(group.sales, group.costs[key])}</td>`).join('')}
+      </tr>
+    `).join('');
+
+    const content = `
+      <div class="cost-basis-audit">
+        <p class="import-report-note">
+          ${this.formatNumber(audit.counts.match)} lines on the expected basis, ${this.formatNumber(audit.counts.mismatch)} on the wrong basis,
+          ${this.formatNumber(audit.counts.unmatched)} matching no cost column, ${this.formatNumber(audit.counts.notAudited)} not audited
+          (products without a set basis). Gasoline is costed at Unleaded, clear diesel and jet fuel at Clear, dyed diesel at Dyed.
+        </p>
+
+        <h4>Costed at</h4>
+        <table class="data-table">
+          <thead><tr><th>Should be</th>${[...basisKeys, 'none'].map(key => `<th>${basisLabel(key)}</th>`).join('')}</tr></thead>
+          <tbody>${matrixRows}</tbody>
+        </table>
+
+        <h4>Lines on the wrong basis (${this.formatNumber(mismatches.length)})</h4>
+        ${mismatches.length > 0 ? `
+          <button id="view-cost-basis-lines" class="template-btn"><i class="fas fa-search"></i> Show in Transactions Table</button>
+          <table class="data-table">
+            <thead><tr><th>#</th><th>Date</th><th>Customer</th><th>Product</th><th>Gallons</th><th>Costed at</th><th>Should be</th><th>Difference</th></tr></thead>
+            <tbody>${mismatchRows}</tbody>
+          </table>
+          ${mismatches.length > 100 ? `<p class="import-report-note">Showing the first 100 of ${this.formatNumber(mismatches.length)} lines.</p>` : ''}
+        ` : '<p class="import-report-note">Every audited line is costed on its expected basis.</p>'}
+
+        <h4>
+          Margin under each cost basis by
+          <select id="cost-basis-group" class="dataset-select">
+            <option value="customer" ${groupBy === 'customer' ? 'selected' : ''}>Customer</option>
+            <option value="month" ${groupBy === 'month' ? 'selected' : ''}>Month</option>
+          </select>
+        </h4>
+        <table class="data-table">
+          <thead><tr>
+            <th>${groupBy === 'month' ? 'Month' : 'Customer'}</th><th>Lines</th><th>Wrong basis</th><th>Sales</th><th>Actual margin</th>
+            ${basisKeys.map(key => `<th>At ${basisLabel(key)}</th>`).join('')}
+          </tr></thead>
+          <tbody>${groupRows}</tbody>
+        </table>
+        ${audit.groups.length > 100 ? `<p class="import-report-note">Showing the 100 largest of ${this.formatNumber(audit.groups.length)} customers.</p>` : ''}
+      </div>
+    `;
 
-  /**
-   * Detect statistical outliers
-   */
-  detectOutliers(values) {
-    if (values.length < 4) return [];
+    this.showModal('<i class="fas fa-balance-scale"></i> Cost Basis Audit', content);
 
-    const sorted = [...values].sort((a, b) => a - b);
-    const q1 = sorted[Math.floor(sorted.length * 0.25)];
-    const q3 = sorted[Math.floor(sorted.length * 0.75)];
-    const iqr = q3 - q1;
-    const lowerBound = q1 - 1.5 * iqr;
-    const upperBound = q3 + 1.5 * iqr;
+    document.getElementById('cost-basis-group')?.addEventListener('change', (e) => this.showCostBasisAudit(e.target.value));
 
-    return values.filter(value => value < lowerBound || value > upperBound);
+    document.getElementById('view-cost-basis-lines')?.addEventListener('click', (e) => {
+      e.target.closest('.modal-overlay')?.remove();
+      this.showIssueRecords(this.currentDataset, {
+        message: `${mismatches.length} line(s) costed on the wrong basis`,
+        recordIndices: mismatches.map(line => line.index)
+      });
+    });
   }
 
   /**
-   * Helper methods for field type detection
+   * Build the data quality report HTML
+   * @param {Object} result - Entry from this.dataQualityResults
+   * @param {boolean} interactive - Include "View rows" buttons (left out of the printed report)
    */
-  isKeyField(fieldName) {
-    const keyFields = ['id', 'key', 'number', 'code'];
-    return keyFields.some(key => fieldName.toLowerCase().includes(key));
-  }
+  buildDataQualityReport(result, interactive) {
+    const { validation, issues, dataset } = result;
+    const severityOrder = { high: 0, medium: 1, low: 2 };
+    const typeLabel = (type) => type.charAt(0) + type.slice(1).toLowerCase().replace(/_/g, ' ');
+    const scoreClass = (score) => (score >= 90 ? 'good' : score >= 70 ? 'fair' : 'poor');
+    const severityBadge = (severity) => `<span class="rule-severity rule-severity-${severity}">${severity}</span>`;
+    const viewButton = (issue) => (interactive && issue.recordIndices && issue.recordIndices.length > 0
+      ? `<button class="template-btn quality-view-rows" data-issue="${issues.indexOf(issue)}">
+          <i class="fas fa-search"></i> View ${this.formatNumber(issue.recordIndices.length)} row${issue.recordIndices.length === 1 ? '' : 's'}
+        </button>`
+      : '');
 
-  isFinancialField(fieldName) {
-    const financialFields = ['sales', 'cost', 'profit', 'price', 'amount', 'revenue'];
-    return financialFields.some(field => fieldName.toLowerCase().includes(field));
-  }
+    const scoreCards = ['overall', 'completeness', 'consistency', 'accuracy'].map(key => `
+      <div class="quality-score quality-score-${scoreClass(validation.quality[key])}">
+        <div class="quality-score-value">${validation.quality[key]}%</div>
+        <div class="quality-score-label">${key.charAt(0).toUpperCase() + key.slice(1)}</div>
+      </div>
+    `).join('');
+
+    const fieldRows = this.getFieldQualityScores(validation).map(field => `
+      <tr>
+        <td>${this.escapeHTML(field.field)}</td>
+        <td>${field.dataType}</td>
+        <td>${field.completeness}%</td>
+        <td>${field.validity}%</td>
+        <td>
+          <div class="quality-bar"><div class="quality-bar-fill quality-score-${scoreClass(field.score)}" style="width: ${field.score}%"></div></div>
+          ${field.score}%
+        </td>
+        <td>${field.issueCount}</td>
+      </tr>
+    `).join('');
+
+    // Issues grouped by type, worst severity first
+    const groups = new Map();
+    issues.forEach(issue => {
+      if (!groups.has(issue.type)) groups.set(issue.type, []);
+      groups.get(issue.type).push(issue);
+    });
+    const issueGroups = [...groups.entries()]
+      .map(([type, groupIssues]) => ({
+        type,
+        issues: groupIssues,
+        severity: groupIssues.map(issue => issue.severity).sort((a, b) => severityOrder[a] - severityOrder[b])[0]
+      }))
+      .sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity] || a.type.localeCompare(b.type))
+      .map(group => `
+        <details class="quality-issue-group" ${group.severity === 'high' || !interactive ? 'open' : ''}>
+          <summary>${severityBadge(group.severity)} ${typeLabel(group.type)} <span class="quality-issue-count">(${group.issues.length})</span></summary>
+          <ul>
+            ${group.issues.map(issue => `
+              <li>
+                <span>${this.escapeHTML(issue.message)}</span>
+                ${viewButton(issue)}
+              </li>
+            `).join('')}
+          </ul>
+        </details>
+      `).join('');
+
+    return `
+      <div class="quality-summary">
+        <p class="import-report-note">
+          ${this.formatNumber(dataset.records.length)} records in "${this.escapeHTML(result.datasetName)}" checked ${result.checkedAt.toLocaleString('en-US')} -
+          ${validation.errors.length} errors, ${validation.warnings.length} warnings, ${validation.suggestions.length} suggestions
+        </p>
+        <div class="quality-scores">${scoreCards}</div>
+      </div>
 
-  shouldBePositive(fieldName) {
-    const positiveFields = ['sales', 'quantity', 'qty', 'gallon', 'amount'];
-    return positiveFields.some(field => fieldName.toLowerCase().includes(field));
-  }
+      <h3>Issues</h3>
+      ${issueGroups || '<p class="import-report-note">No issues found.</p>'}
 
-  isNameField(fieldName) {
-    const nameFields = ['name', 'customer', 'driver', 'client'];
-    return nameFields.some(field => fieldName.toLowerCase().includes(field));
-  }
+      <h3>Outliers</h3>
+      ${this.buildOutlierReviewList(result, interactive)}
 
-  detectTextPattern(text) {
-    if (/^\d+$/.test(text)) return 'numeric';
-    if (/^[A-Z]+$/.test(text)) return 'uppercase';
-    if (/^[a-z]+$/.test(text)) return 'lowercase';
-    if (/^[A-Z][a-z]+$/.test(text)) return 'title_case';
-    if (/^\w+@\w+\.\w+$/.test(text)) return 'email';
-    if (/^\d{3}-\d{3}-\d{4}$/.test(text)) return 'phone';
-    return 'mixed';
+      <h3>Fields</h3>
+      <table class="data-table">
+        <thead><tr><th>Field</th><th>Type</th><th>Complete</th><th>Valid</th><th>Score</th><th>Issues</th></tr></thead>
+        <tbody>${fieldRows}</tbody>
+      </table>
+    `;
   }
 
   /**
-   * Calculate overall data quality scores
+   * Show the records behind a data quality issue in the transactions table
    */
-  calculateDataQuality(fieldAnalysis) {
-    const fields = Object.values(fieldAnalysis);
-    if (fields.length === 0) return { completeness: 0, consistency: 0, accuracy: 0, overall: 0 };
-
-    // Completeness: percentage of non-empty values
-    const completeness = fields.reduce((sum, field) => {
-      return sum + ((field.totalValues - field.emptyValues) / field.totalValues);
-    }, 0) / fields.length * 100;
+  showIssueRecords(datasetName, issue) {
+    if (!issue || !issue.recordIndices || issue.recordIndices.length === 0) return;
 
-    // Consistency: based on data type consistency and patterns
-    const consistency = fields.reduce((sum, field) => {
-      const typeConsistency = field.dataType !== 'unknown' ? 1 : 0;
-      return sum + typeConsistency;
-    }, 0) / fields.length * 100;
+    if (datasetName !== this.currentDataset) {
+      this.switchDataset(datasetName);
+    }
 
-    // Accuracy: based on validation errors
-    const totalErrors = fields.reduce((sum, field) => sum + field.errors.length, 0);
-    const accuracy = Math.max(0, 100 - (totalErrors / fields.length * 10));
+    this.tableFocus = {
+      dataset: this.uploadedDatasets[datasetName],
+      label: issue.message,
+      indices: issue.recordIndices
+    };
+    this.updateDataTable();
 
-    const overall = (completeness + consistency + accuracy) / 3;
+    document.querySelector('.tables-section')?.scrollIntoView({ behavior: 'smooth' });
+  }
 
-    return {
-      completeness: Math.round(completeness),
-      consistency: Math.round(consistency),
-      accuracy: Math.round(accuracy),
-      overall: Math.round(overall)
-    };
+  /**
+   * Go back to showing recent transactions in the table
+   */
+  clearTableFocus() {
+    this.tableFocus = null;
+    this.updateDataTable();
   }
 
   /**
-   * Validate general business rules
+   * Open the data quality report for the selected dataset in a printable window
    */
-  validateGeneralRules(records, validation) {
-    // Check for required field combinations
-    const requiredFields = ['Date', 'Sales'];
-    const missingRequired = requiredFields.filter(field =>
-      !Object.keys(validation.fieldAnalysis).includes(field)
-    );
-
-    if (missingRequired.length > 0) {
-      validation.errors.push({
-        type: 'MISSING_REQUIRED_FIELDS',
-        message: `Missing required fields: ${missingRequired.join(', ')}`,
-        severity: 'high',
-        fields: missingRequired
-      });
+  printDataQualityReport() {
+    const datasetName = document.getElementById('quality-dataset-select')?.value || this.currentDataset;
+    const result = this.dataQualityResults[datasetName];
+    if (!result) {
+      this.showNotification('Upload or select a dataset first', 'warning');
+      return;
     }
 
-    // Check for logical inconsistencies
-    records.forEach((record, index) => {
-      if (record.Sales && record['Actual Cost by item'] && record['Actual Profit By Item']) {
-        const sales = parseFloat(record.Sales) || 0;
-        const cost = parseFloat(record['Actual Cost by item']) || 0;
-        const profit = parseFloat(record['Actual Profit By Item']) || 0;
-
-        const expectedProfit = sales - cost;
-        const difference = Math.abs(profit - expectedProfit);
-
-        if (difference > 0.01) { // Allow for small rounding differences
-          validation.warnings.push({
-            type: 'PROFIT_CALCULATION_MISMATCH',
-            message: `Row ${index + 2}: Profit calculation doesn't match (Sales - Cost)`,
-            severity: 'medium',
-            row: index + 2,
-            expected: expectedProfit,
-            actual: profit
-          });
-        }
-      }
-    });
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) {
+      this.showNotification('Allow pop-ups for this page to print the report', 'warning');
+      return;
+    }
+
+    reportWindow.document.write(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Data Quality Report - ${this.escapeHTML(datasetName)}</title>
+        <style>
+          body { font-family: Arial, sans-serif; color: #1f2937; margin: 2rem; }
+          h1 { margin-bottom: 0.25rem; }
+          h3 { margin-top: 1.5rem; border-bottom: 1px solid #d1d5db; padding-bottom: 0.25rem; }
+          table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+          th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e5e7eb; }
+          .quality-scores { display: flex; gap: 1rem; }
+          .quality-score { border: 1px solid #d1d5db; border-radius: 6px; padding: 0.5rem 1rem; text-align: center; }
+          .quality-score-value { font-size: 1.5rem; font-weight: bold; }
+          .quality-bar { display: none; }
+          .rule-severity { font-weight: bold; text-transform: uppercase; font-size: 0.75rem; }
+          details > summary { list-style: none; font-weight: bold; }
+          li { margin: 0.25rem 0; }
+        </style>
+      </head>
+      <body>
+        <h1>Chief Petroleum - Data Quality Report</h1>
+        <p>${this.escapeHTML(datasetName)}</p>
+        ${this.buildDataQualityReport(result, false)}
+      </body>
+      </html>
+    `);
+    reportWindow.document.close();
+    reportWindow.focus();
+    reportWindow.print();
   }
 
   /**
    * Analyze CSV structure for column mapping
    */
-  analyzeCSVStructure(csvText) {
-    const lines = csvText.split('\n').filter(line => line.trim());
-
-    if (lines.length < 2) {
+  analyzeCSVStructure(rows) {
+    if (rows.length < 2) {
       throw new Error('CSV file must have at least a header row and one data row');
     }
 
-    const headers = this.parseCSVRow(lines[0]);
+    const headers = rows[0];
     const sampleRows = [];
 
     // Analyze first 5 rows for data types
-    for (let i = 1; i < Math.min(6, lines.length); i++) {
-      const values = this.parseCSVRow(lines[i]);
+    for (let i = 1; i < Math.min(6, rows.length); i++) {
+      const values = rows[i];
       if (values.length === headers.length) {
         const row = {};
         headers.forEach((header, index) => {
@@ -2588,7 +6128,7 @@ class ChiefDashboard {
     }
 
     // Detect column types and suggest mappings
-    const columnAnalysis = headers.map(header => {
+    const columnAnalysis = headers.map((header, index) => {
       const samples = sampleRows.map(row => row[header]).filter(val => val && val.trim());
       const dataType = this.detectDataType(samples);
       const suggestedMapping = this.suggestColumnMapping(header, dataType, samples);
@@ -2598,7 +6138,9 @@ class ChiefDashboard {
         dataType,
         samples: samples.slice(0, 3), // First 3 non-empty samples
         suggestedMapping,
-        confidence: this.calculateMappingConfidence(header, dataType)
+        confidence: this.calculateMappingConfidence(header, dataType),
+        // Date format is detected from every value in the column, not just the samples
+        dateFormat: dataType === 'date' ? this.detectColumnDateFormat(rows, index) : null
       };
     });
 
@@ -2606,7 +6148,7 @@ class ChiefDashboard {
       headers,
       sampleRows: sampleRows.slice(0, 3),
       columnAnalysis,
-      totalRows: lines.length - 1
+      totalRows: rows.length - 1
     };
   }
 
@@ -2631,8 +6173,8 @@ class ChiefDashboard {
       else if (!isNaN(parseFloat(cleaned)) && isFinite(cleaned)) {
         numberCount++;
       }
-      // Check for dates
-      else if (!isNaN(Date.parse(cleaned))) {
+      // Check for dates (Date.parse can't read day-first dates like 25/12/2024)
+      else if (this.matchNumericDate(cleaned) || !isNaN(Date.parse(cleaned))) {
         dateCount++;
       }
     });
@@ -2728,11 +6270,12 @@ class ChiefDashboard {
   /**
    * Show column mapping modal
    */
-  showColumnMappingModal(file, analysis) {
+  showColumnMappingModal(file, analysis, rows = null) {
     const modal = document.getElementById('column-mapping-modal');
     if (!modal) return;
 
-    this.pendingUpload = { file, analysis };
+    // Keep the parsed rows so applying the mapping doesn't parse the file again
+    this.pendingUpload = { file, analysis, rows };
 
     // Update modal title and instructions based on upload type
     const modalTitle = modal.querySelector('.modal-header h2');
@@ -2758,6 +6301,10 @@ class ChiefDashboard {
     // Apply auto-detected mappings
     this.applyAutoDetectedMappings(analysis.columnAnalysis);
 
+    // A saved template built from the same headers overrides auto-detection
+    this.updateMappingTemplateSelect();
+    this.applyMatchingMappingTemplate(analysis.columnAnalysis);
+
     modal.style.display = 'flex';
   }
 
@@ -2771,6 +6318,7 @@ class ChiefDashboard {
     }
     this.pendingUpload = null;
     this.columnMappings = {};
+    this.dateFormatOverride = null;
 
     // Reset flags
     this.isRecapUpload = false;
@@ -2806,8 +6354,11 @@ class ChiefDashboard {
 
   /**
    * Process individual CSV record (parse dates, numbers, etc.)
+   * @param {Object} record - Record keyed by header
+   * @param {Function} onCoerce - Optional callback receiving a reason for each value that had to be coerced
+   * @param {string} dateFormat - Order of numeric dates: 'MDY', 'DMY' or 'YMD'
    */
-  processCSVRecord(record) {
+  processCSVRecord(record, onCoerce = null, dateFormat = 'MDY') {
     // Common field mappings and processing
     const dateFields = ['Date', 'date', 'DATE', 'Transaction Date', 'Order Date'];
     const numberFields = ['Sales', 'sales', 'Gallon Qty', 'gallon_qty', 'Actual Profit By Item', 'profit', 'Actual Cost by item', 'cost'];
@@ -2815,7 +6366,12 @@ class ChiefDashboard {
     // Process date fields
     for (const field of dateFields) {
       if (record[field]) {
-        record['Date'] = this.parseCSVDate(record[field]);
+        const rawDate = record[field];
+        record['Original Date'] = rawDate; // Kept so the dataset's date format can be changed after import
+        record['Date'] = this.parseCSVDate(rawDate, dateFormat);
+        if (!record['Date'] && onCoerce) {
+          onCoerce(`${field}: could not parse date "${rawDate}" as ${this.getDateFormatLabel(dateFormat)} - left blank`);
+        }
         break;
       }
     }
@@ -2823,8 +6379,12 @@ class ChiefDashboard {
     // Process number fields
     numberFields.forEach(field => {
       if (record[field]) {
+        const rawValue = record[field];
         const standardField = this.mapToStandardField(field);
-        record[standardField] = this.parseCSVNumber(record[field]);
+        record[standardField] = this.parseCSVNumber(rawValue);
+        if (onCoerce && !this.isNumericCSVValue(rawValue)) {
+          onCoerce(`${field}: non-numeric value "${rawValue}" treated as 0`);
+        }
       }
     });
 
@@ -2854,9 +6414,16 @@ class ChiefDashboard {
       columnItem.dataset.columnIndex = index;
       columnItem.dataset.columnName = column.name;
 
+      let dateBadge = '';
+      if (column.dateFormat?.conflicting) {
+        dateBadge = '<span class="date-format-badge" title="Some values are month-first and others day-first">Mixed date formats</span>';
+      } else if (column.dateFormat?.ambiguous) {
+        dateBadge = '<span class="date-format-badge" title="Every value fits both MM/DD and DD/MM - check the date format below">Ambiguous date</span>';
+      }
+
       columnItem.innerHTML = `
         <div class="column-info">
-          <div class="column-name">${column.name}</div>
+          <div class="column-name">${column.name} ${dateBadge}</div>
           <div class="column-type">${column.dataType} • ${column.samples.length} samples</div>
         </div>
         <i class="fas fa-grip-vertical"></i>
@@ -2953,79 +6520,387 @@ class ChiefDashboard {
    * Update mapping display
    */
   updateMappingDisplay() {
+    this.updateDateFormatSetting();
+
     // Clear all mapping displays first
     const allStatusElements = document.querySelectorAll('[id^="mapping-"]');
     allStatusElements.forEach(element => {
       element.innerHTML = '<i class="fas fa-circle-notch"></i>';
     });
 
-    // Update visual indicators for mapped fields
-    Object.entries(this.columnMappings).forEach(([csvColumn, dashboardField]) => {
-      const statusElement = document.getElementById(`mapping-${dashboardField.replace(/\s+/g, '-')}`);
-      if (statusElement) {
-        statusElement.innerHTML = `
-          <i class="fas fa-check-circle" style="color: var(--chief-success, #10b981);"></i>
-          <small>${csvColumn}</small>
-          <button class="remove-mapping-btn" data-csv-column="${csvColumn}" data-dashboard-field="${dashboardField}" title="Remove mapping">
-            <i class="fas fa-times"></i>
-          </button>
-        `;
+    // Update visual indicators for mapped fields
+    Object.entries(this.columnMappings).forEach(([csvColumn, dashboardField]) => {
+      const statusElement = document.getElementById(`mapping-${dashboardField.replace(/\s+/g, '-')}`);
+      if (statusElement) {
+        statusElement.innerHTML = `
+          <i class="fas fa-check-circle" style="color: var(--chief-success, #10b981);"></i>
+          <small>${csvColumn}</small>
+          <button class="remove-mapping-btn" data-csv-column="${csvColumn}" data-dashboard-field="${dashboardField}" title="Remove mapping">
+            <i class="fas fa-times"></i>
+          </button>
+        `;
+
+        // Add event listener to the remove button
+        const removeBtn = statusElement.querySelector('.remove-mapping-btn');
+        if (removeBtn) {
+          removeBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const csvCol = removeBtn.dataset.csvColumn;
+            const dashField = removeBtn.dataset.dashboardField;
+            this.removeColumnMapping(csvCol, dashField);
+          });
+        }
+      }
+    });
+  }
+
+  /**
+   * Get the date format detection for the column currently mapped to Date
+   */
+  getMappedDateDetection() {
+    const dateColumn = Object.keys(this.columnMappings).find(column => this.columnMappings[column] === 'Date');
+    const column = this.pendingUpload?.analysis?.columnAnalysis.find(c => c.name === dateColumn);
+    return column?.dateFormat || null;
+  }
+
+  /**
+   * Get the date format the pending upload will be imported with
+   */
+  getMappingDateFormat() {
+    return this.dateFormatOverride || this.getMappedDateDetection()?.format || 'MDY';
+  }
+
+  /**
+   * Sync the date format selector and status with the mapped Date column
+   */
+  updateDateFormatSetting() {
+    const select = document.getElementById('date-format-select');
+    const status = document.getElementById('date-format-status');
+    if (!select || !status) return;
+
+    const detection = this.getMappedDateDetection();
+    select.value = this.getMappingDateFormat();
+    status.classList.remove('warning');
+
+    if (this.dateFormatOverride) {
+      status.textContent = detection && detection.format !== this.dateFormatOverride
+        ? `Set manually (detected ${this.getDateFormatLabel(detection.format)})`
+        : 'Set manually';
+    } else if (!detection) {
+      status.textContent = 'No numeric dates detected in the Date column';
+    } else if (detection.conflicting) {
+      status.textContent = `⚠️ Mixed formats: ${detection.counts.MDY} values are month-first and ${detection.counts.DMY} day-first - rows that don't fit will be reported`;
+      status.classList.add('warning');
+    } else if (detection.ambiguous) {
+      status.textContent = `⚠️ Ambiguous: all ${this.formatNumber(detection.matched)} dates fit both MM/DD and DD/MM - check the format`;
+      status.classList.add('warning');
+    } else {
+      status.textContent = `Detected from ${this.formatNumber(detection.matched)} values`;
+    }
+  }
+
+  /**
+   * Remove a column mapping
+   */
+  removeColumnMapping(csvColumn, dashboardField) {
+    delete this.columnMappings[csvColumn];
+    this.updateMappingDisplay();
+    this.updateMappingPreview(this.pendingUpload?.analysis?.sampleRows || []);
+    console.log(`🗑️ Removed mapping: ${csvColumn} → ${dashboardField}`);
+    this.showNotification(`Removed mapping: ${csvColumn} → ${dashboardField}`, 'info');
+  }
+
+  /**
+   * Auto-detect column mappings
+   */
+  autoDetectColumnMapping() {
+    if (!this.pendingUpload) return;
+
+    this.columnMappings = {};
+
+    this.pendingUpload.analysis.columnAnalysis.forEach(column => {
+      if (column.suggestedMapping && column.confidence > 0.5) {
+        this.columnMappings[column.name] = column.suggestedMapping;
+      }
+    });
+
+    this.updateMappingDisplay();
+    this.showNotification(`Auto-detected ${Object.keys(this.columnMappings).length} column mappings`, 'success');
+  }
+
+  /**
+   * Apply auto-detected mappings on modal open
+   */
+  applyAutoDetectedMappings(columnAnalysis) {
+    columnAnalysis.forEach(column => {
+      if (column.suggestedMapping && column.confidence > 0.7) {
+        this.columnMappings[column.name] = column.suggestedMapping;
+      }
+    });
+
+    this.updateMappingDisplay();
+  }
+
+  /**
+   * Set up save/load/delete/import/export for mapping templates
+   */
+  setupMappingTemplateListeners() {
+    const saveBtn = document.getElementById('save-mapping-template');
+    const loadBtn = document.getElementById('load-mapping-template');
+    const deleteBtn = document.getElementById('delete-mapping-template');
+    const exportBtn = document.getElementById('export-mapping-templates');
+    const importBtn = document.getElementById('import-mapping-templates');
+    const importInput = document.getElementById('mapping-template-file');
+
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => this.saveMappingTemplate());
+    }
+
+    if (loadBtn) {
+      loadBtn.addEventListener('click', () => this.loadMappingTemplate());
+    }
+
+    if (deleteBtn) {
+      deleteBtn.addEventListener('click', () => this.deleteMappingTemplate());
+    }
+
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => this.exportMappingTemplates());
+    }
+
+    if (importBtn && importInput) {
+      importBtn.addEventListener('click', () => importInput.click());
+      importInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (file) {
+          await this.importMappingTemplates(file);
+        }
+        importInput.value = '';
+      });
+    }
+  }
+
+  /**
+   * Refresh the saved template dropdown in the mapping modal
+   */
+  updateMappingTemplateSelect(selectedName = null) {
+    const select = document.getElementById('mapping-template-select');
+    if (!select || !this.mappingTemplates) return;
+
+    const names = this.mappingTemplates.getTemplateNames();
+    const current = selectedName || select.value;
+
+    select.innerHTML = '';
+    if (names.length === 0) {
+      select.innerHTML = '<option value="">No saved templates</option>';
+    }
+    names.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+
+    if (current && names.includes(current)) {
+      select.value = current;
+    }
+  }
+
+  /**
+   * Show which template (if any) is applied to the pending upload
+   */
+  updateMappingTemplateStatus(message) {
+    const status = document.getElementById('mapping-template-status');
+    if (!status) return;
+
+    status.textContent = message || '';
+    status.style.display = message ? 'block' : 'none';
+  }
+
+  /**
+   * Apply a saved template automatically when the file's headers match it exactly
+   */
+  applyMatchingMappingTemplate(columnAnalysis) {
+    this.updateMappingTemplateStatus('');
+    if (!this.mappingTemplates) return;
+
+    const headers = columnAnalysis.map(column => column.name);
+    const template = this.mappingTemplates.findMatchingTemplate(headers);
+    if (!template) return;
+
+    const missing = this.applyMappingTemplate(template);
+    this.updateMappingTemplateSelect(template.name);
+
+    if (missing.length > 0) {
+      this.updateMappingTemplateStatus(`Headers match saved template "${template.name}" - its mappings were applied automatically. Columns not found in this file: ${missing.join(', ')}`);
+      this.showNotification(`Applied saved mapping template "${template.name}" - ${missing.length} columns not found`, 'warning');
+    } else {
+      this.updateMappingTemplateStatus(`Headers match saved template "${template.name}" - its mappings were applied automatically.`);
+      this.showNotification(`Applied saved mapping template "${template.name}"`, 'info');
+    }
+  }
+
+  /**
+   * Replace the current mappings with a template's mappings for columns present in the pending file
+   * @returns {string[]} Template columns missing from the pending file
+   */
+  applyMappingTemplate(template) {
+    const headers = this.pendingUpload?.analysis?.columnAnalysis.map(column => column.name) || [];
+    const missing = [];
+
+    this.columnMappings = {};
+    this.dateFormatOverride = template.dateFormat || null;
+    Object.entries(template.mappings).forEach(([csvColumn, dashboardField]) => {
+      // Match the way templates are found, so a header differing only in case or spacing still maps
+      const column = this.mappingTemplates.findColumn(headers, csvColumn);
+      if (column !== null) {
+        this.columnMappings[column] = dashboardField;
+      } else {
+        missing.push(csvColumn);
+      }
+    });
+
+    this.updateMappingDisplay();
+    this.updateMappingPreview(this.pendingUpload?.analysis?.sampleRows || []);
+    return missing;
+  }
+
+  /**
+   * Save the current mappings as a named template
+   */
+  saveMappingTemplate() {
+    if (!this.pendingUpload || !this.mappingTemplates) return;
+
+    if (Object.keys(this.columnMappings).length === 0) {
+      this.showNotification('Map at least one column before saving a template', 'warning');
+      return;
+    }
+
+    const select = document.getElementById('mapping-template-select');
+    const suggestedName = (select && select.value) || this.pendingUpload.file.name.replace(/\.[^.]+$/, '');
+    const input = window.prompt('Save mapping template as:', suggestedName);
+    if (input === null) return;
+
+    const name = input.trim();
+    if (!name) {
+      this.showNotification('Template name cannot be empty', 'warning');
+      return;
+    }
+
+    if (this.mappingTemplates.getTemplate(name) && !window.confirm(`Replace the existing template "${name}"?`)) {
+      return;
+    }
+
+    try {
+      const headers = this.pendingUpload.analysis.columnAnalysis.map(column => column.name);
+      this.mappingTemplates.saveTemplate(name, this.columnMappings, headers, this.dateFormatOverride);
+      this.updateMappingTemplateSelect(name);
+      this.updateMappingTemplateStatus(`Saved as template "${name}". Files with the same headers will use it automatically.`);
+      this.showNotification(`Mapping template "${name}" saved`, 'success');
+    } catch (error) {
+      console.error('❌ Failed to save mapping template:', error);
+      this.showNotification('Failed to save mapping template: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Apply the template selected in the dropdown
+   */
+  loadMappingTemplate() {
+    if (!this.pendingUpload || !this.mappingTemplates) return;
+
+    const select = document.getElementById('mapping-template-select');
+    const template = select ? this.mappingTemplates.getTemplate(select.value) : null;
+    if (!template) {
+      this.showNotification('No saved mapping template selected', 'warning');
+      return;
+    }
+
+    const missing = this.applyMappingTemplate(template);
+    const applied = Object.keys(this.columnMappings).length;
 
-        // Add event listener to the remove button
-        const removeBtn = statusElement.querySelector('.remove-mapping-btn');
-        if (removeBtn) {
-          removeBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            const csvCol = removeBtn.dataset.csvColumn;
-            const dashField = removeBtn.dataset.dashboardField;
-            this.removeColumnMapping(csvCol, dashField);
-          });
-        }
-      }
-    });
+    if (missing.length > 0) {
+      this.updateMappingTemplateStatus(`Loaded template "${template.name}". Columns not found in this file: ${missing.join(', ')}`);
+      this.showNotification(`Loaded "${template.name}" - ${applied} mappings applied, ${missing.length} columns not found`, 'warning');
+    } else {
+      this.updateMappingTemplateStatus(`Loaded template "${template.name}".`);
+      this.showNotification(`Loaded mapping template "${template.name}" (${applied} mappings)`, 'success');
+    }
   }
 
   /**
-   * Remove a column mapping
+   * Delete the template selected in the dropdown
    */
-  removeColumnMapping(csvColumn, dashboardField) {
-    delete this.columnMappings[csvColumn];
-    this.updateMappingDisplay();
-    this.updateMappingPreview(this.pendingUpload?.analysis?.sampleRows || []);
-    console.log(`🗑️ Removed mapping: ${csvColumn} → ${dashboardField}`);
-    this.showNotification(`Removed mapping: ${csvColumn} → ${dashboardField}`, 'info');
+  deleteMappingTemplate() {
+    if (!this.mappingTemplates) return;
+
+    const select = document.getElementById('mapping-template-select');
+    const name = select ? select.value : '';
+    if (!name || !this.mappingTemplates.getTemplate(name)) {
+      this.showNotification('No saved mapping template selected', 'warning');
+      return;
+    }
+
+    if (!window.confirm(`Delete mapping template "${name}"?`)) return;
+
+    this.mappingTemplates.deleteTemplate(name);
+    this.updateMappingTemplateSelect();
+    this.updateMappingTemplateStatus('');
+    this.showNotification(`Mapping template "${name}" deleted`, 'success');
   }
 
   /**
-   * Auto-detect column mappings
+   * Download all saved templates as a JSON file
    */
-  autoDetectColumnMapping() {
-    if (!this.pendingUpload) return;
+  exportMappingTemplates() {
+    if (!this.mappingTemplates) return;
 
-    this.columnMappings = {};
+    if (this.mappingTemplates.getTemplateNames().length === 0) {
+      this.showNotification('There are no saved mapping templates to export', 'warning');
+      return;
+    }
 
-    this.pendingUpload.analysis.columnAnalysis.forEach(column => {
-      if (column.suggestedMapping && column.confidence > 0.5) {
-        this.columnMappings[column.name] = column.suggestedMapping;
-      }
-    });
+    const blob = new Blob([this.mappingTemplates.exportTemplates()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', `chief-mapping-templates-${new Date().toISOString().split('T')[0]}.json`);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
 
-    this.updateMappingDisplay();
-    this.showNotification(`Auto-detected ${Object.keys(this.columnMappings).length} column mappings`, 'success');
+    this.showNotification('Mapping templates exported', 'success');
   }
 
   /**
-   * Apply auto-detected mappings on modal open
+   * Import templates from a previously exported JSON file
    */
-  applyAutoDetectedMappings(columnAnalysis) {
-    columnAnalysis.forEach(column => {
-      if (column.suggestedMapping && column.confidence > 0.7) {
-        this.columnMappings[column.name] = column.suggestedMapping;
+  async importMappingTemplates(file) {
+    if (!this.mappingTemplates) return;
+
+    try {
+      const jsonText = await file.text();
+      const imported = this.mappingTemplates.importTemplates(jsonText);
+      this.updateMappingTemplateSelect();
+
+      if (imported === 0) {
+        this.showNotification('No valid mapping templates found in that file', 'warning');
+        return;
       }
-    });
 
-    this.updateMappingDisplay();
+      this.showNotification(`Imported ${imported} mapping template${imported === 1 ? '' : 's'}`, 'success');
+
+      // The imported set may contain a template for the file being mapped
+      if (this.pendingUpload) {
+        this.applyMatchingMappingTemplate(this.pendingUpload.analysis.columnAnalysis);
+      }
+    } catch (error) {
+      console.error('❌ Failed to import mapping templates:', error);
+      this.showNotification('Failed to import mapping templates: ' + error.message, 'error');
+    }
   }
 
   /**
@@ -3077,22 +6952,32 @@ class ChiefDashboard {
   async applyColumnMapping() {
     if (!this.pendingUpload) return;
 
+    // Capture upload state before hiding the modal resets it
+    const { file, rows: parsedRows } = this.pendingUpload;
+    const mappings = { ...this.columnMappings };
+    const dateFormat = this.getMappingDateFormat();
+    const isRecapUpload = this.isRecapUpload;
+    const appendTarget = isRecapUpload ? null : this.getAppendTarget();
+    const recapDatasetName = this.recapDatasetName;
+
     try {
       this.hideColumnMappingModal();
 
-      const { file } = this.pendingUpload;
-      const csvText = await this.readCSVFile(file);
+      if (!parsedRows) {
+        this.showLoading(`Reading ${file.name}...`);
+      }
+      const rows = parsedRows || await this.readFileRows(file);
 
       // Check if this is a recap upload
-      if (this.isRecapUpload) {
+      if (isRecapUpload) {
         this.showLoading('Processing recap CSV with column mappings...');
 
         // Process as recap data with custom mappings
-        const processedData = this.processCSVDataWithMapping(csvText, this.columnMappings, file.name);
+        const processedData = this.processCSVDataWithMapping(rows, mappings, file.name, dateFormat);
         processedData.type = 'recap'; // Mark as recap data
 
         // Get dataset name
-        let datasetName = this.recapDatasetName || file.name.replace('.csv', '') + ' (Recap)';
+        let datasetName = recapDatasetName || file.name.replace('.csv', '') + ' (Recap)';
 
         // Store the recap dataset separately
         if (!this.uploadedRecapDatasets) {
@@ -3101,6 +6986,7 @@ class ChiefDashboard {
         this.uploadedRecapDatasets[datasetName] = processedData;
         this.currentRecapData = processedData;
         this.currentRecapDataset = datasetName;
+        this.persistDataset(datasetName, processedData, 'recap');
 
         // Update recap dataset switcher
         this.updateRecapDatasetSwitcher(datasetName);
@@ -3111,6 +6997,7 @@ class ChiefDashboard {
 
         this.showNotification(`Recap dataset "${datasetName}" uploaded successfully with custom mappings!
           📊 Processed ${processedData.records.length} recap records`, 'success');
+        this.showImportReportIfNeeded(processedData.importReport);
 
         // Clear recap inputs
         const fileInput = document.getElementById('recap-csv-file');
@@ -3122,19 +7009,33 @@ class ChiefDashboard {
         this.showLoading('Processing CSV with column mappings...');
 
         // Process as regular data with custom mappings
-        const processedData = this.processCSVDataWithMapping(csvText, this.columnMappings, file.name);
-
-        // Get dataset name
+        const processedData = this.processCSVDataWithMapping(rows, mappings, file.name, dateFormat);
         const datasetNameInput = document.getElementById('dataset-name');
-        let datasetName = datasetNameInput ? datasetNameInput.value.trim() : '';
-        if (!datasetName) {
-          datasetName = file.name.replace('.csv', '');
+        let datasetName;
+        let message;
+
+        if (appendTarget) {
+          // Merge into the existing dataset
+          datasetName = appendTarget.datasetName;
+          const result = this.appendToDataset(datasetName, processedData, appendTarget.keyField, file.name);
+          message = `Appended "${file.name}" to "${datasetName}":
+            ${result.added} added, ${result.updated} updated, ${result.skipped} skipped as duplicates`;
+        } else {
+          // Get dataset name
+          datasetName = datasetNameInput ? datasetNameInput.value.trim() : '';
+          if (!datasetName) {
+            datasetName = file.name.replace('.csv', '');
+          }
+
+          // Store the dataset
+          this.uploadedDatasets[datasetName] = processedData;
+          message = `Dataset "${datasetName}" uploaded successfully with custom mappings!
+            📊 Processed ${processedData.records.length} records`;
         }
 
-        // Store the dataset
-        this.uploadedDatasets[datasetName] = processedData;
-        this.currentData = processedData;
+        this.currentData = this.uploadedDatasets[datasetName];
         this.currentDataset = datasetName;
+        this.persistDataset(datasetName, this.currentData);
 
         // Update dashboard
         this.updateDatasetSwitcher(datasetName);
@@ -3145,8 +7046,8 @@ class ChiefDashboard {
         this.updateDataExplorer();
         this.populateFilterDropdowns();
 
-        this.showNotification(`Dataset "${datasetName}" uploaded successfully with custom mappings!
-          📊 Processed ${processedData.records.length} records`, 'success');
+        this.showNotification(message, 'success');
+        this.showImportReportIfNeeded(processedData.importReport);
 
         // Clear selections
         this.selectedFiles = [];
@@ -3164,8 +7065,12 @@ class ChiefDashboard {
 
     } catch (error) {
       this.hideLoading();
-      console.error('❌ Error processing CSV with mappings:', error);
-      this.showNotification('Error processing CSV: ' + error.message, 'error');
+      if (ChiefCSVParser.isCancelled(error)) {
+        this.showNotification('Upload cancelled', 'info');
+      } else {
+        console.error('❌ Error processing CSV with mappings:', error);
+        this.showNotification('Error processing CSV: ' + error.message, 'error');
+      }
 
       // Reset flags on error
       this.isRecapUpload = false;
@@ -3176,36 +7081,27 @@ class ChiefDashboard {
   /**
    * Process CSV data with custom column mappings
    */
-  processCSVDataWithMapping(csvText, mappings, fileName = 'CSV Upload') {
-    const lines = csvText.split('\n').filter(line => line.trim());
-
-    if (lines.length < 2) {
+  processCSVDataWithMapping(rows, mappings, fileName = 'CSV Upload', dateFormat = null) {
+    if (rows.length < 2) {
       throw new Error('CSV file must have at least a header row and one data row');
     }
 
-    const originalHeaders = this.parseCSVRow(lines[0]);
-    const records = [];
-
-    for (let i = 1; i < lines.length; i++) {
-      const values = this.parseCSVRow(lines[i]);
+    const originalHeaders = rows[0];
 
-      if (values.length !== originalHeaders.length) {
-        console.warn(`⚠️ Row ${i + 1} has ${values.length} columns, expected ${originalHeaders.length}. Skipping.`);
-        continue;
-      }
-
-      const record = {};
-
-      // Apply mappings
-      originalHeaders.forEach((header, index) => {
-        const mappedField = mappings[header] || header;
-        record[mappedField] = values[index];
-      });
+    // Use the chosen date format, otherwise detect it from the column mapped to Date
+    const dateColumn = Object.keys(mappings).find(header => mappings[header] === 'Date');
+    const dateDetection = dateColumn
+      ? this.detectColumnDateFormat(rows, originalHeaders.indexOf(dateColumn))
+      : this.detectDatasetDateFormat(rows, originalHeaders);
+    const resolvedDateFormat = dateFormat || dateDetection?.format || 'MDY';
 
-      // Process the record
-      this.processCSVRecord(record);
+    const importReport = this.createImportReport(fileName, originalHeaders);
+    const records = [];
 
-      if (!this.isEmptyCSVRecord(record)) {
+    for (let i = 1; i < rows.length; i++) {
+      // Apply mappings and process the record
+      const record = this.buildCSVRecord(originalHeaders, rows[i], rows[i].line || i + 1, importReport, { mappings, dateFormat: resolvedDateFormat });
+      if (record) {
         records.push(record);
       }
     }
@@ -3216,14 +7112,17 @@ class ChiefDashboard {
 
     return {
       records,
-      headers: Object.values(mappings).concat(
+      headers: this.addAddressHeaders(Object.values(mappings).concat(
         originalHeaders.filter(h => !mappings[h])
-      ),
+      ), records),
       summary,
       source: `CSV Upload (${fileName})`,
       datasetName: fileName.replace('.csv', ''),
       uploadedAt: new Date().toISOString(),
-      mappings: mappings
+      mappings: mappings,
+      dateFormat: resolvedDateFormat,
+      dateDetection,
+      importReport
     };
   }
 
@@ -3242,34 +7141,160 @@ class ChiefDashboard {
 
   /**
    * Parse date from CSV (handles common date formats)
-   */
-  parseCSVDate(dateStr) {
-    if (!dateStr || dateStr.trim() === '') return null;
+   * @param {string} dateStr - Raw date value
+   * @param {string} format - Order of numeric dates: 'MDY', 'DMY' or 'YMD'
+   */
+  parseCSVDate(dateStr, format = 'MDY') {
+    if (!dateStr || String(dateStr).trim() === '') return null;
+
+    const cleanDate = String(dateStr).trim();
+
+    // Numeric dates are read in the dataset's format so 03/04/2025 isn't always month-first
+    const parts = this.matchNumericDate(cleanDate);
+    if (parts) {
+      let year, month, day;
+      if (parts.yearFirst) {
+        [year, month, day] = parts.values;
+      } else if (format === 'DMY') {
+        [day, month, year] = parts.values;
+      } else {
+        [month, day, year] = parts.values;
+      }
 
-    const cleanDate = dateStr.trim();
+      year = this.expandTwoDigitYear(year);
+      const date = new Date(year, month - 1, day);
 
-    // Try standard JavaScript date parsing first
-    let date = new Date(cleanDate);
+      // Reject impossible dates such as 02/30 instead of letting them roll over
+      if (date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day) {
+        return date;
+      }
+
+      console.warn('Could not parse date:', dateStr);
+      return null;
+    }
+
+    // Text dates such as "Jan 5, 2025"
+    const date = new Date(cleanDate);
     if (!isNaN(date.getTime()) && date.getFullYear() > 1900 && date.getFullYear() < 2100) {
       return date;
     }
 
-    // Try MM/DD/YYYY format
-    const mmddyyyy = cleanDate.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-    if (mmddyyyy) {
-      date = new Date(mmddyyyy[3], mmddyyyy[1] - 1, mmddyyyy[2]);
-      if (!isNaN(date.getTime())) return date;
+    console.warn('Could not parse date:', dateStr);
+    return null;
+  }
+
+  /**
+   * Split a numeric date (1/2/2025, 01-02-25, 2025-01-02, optionally followed by a time)
+   * @returns {Object|null} { values: [number, number, number], yearFirst }
+   */
+  matchNumericDate(value) {
+    const match = String(value).trim().match(/^(\d{1,4})[\/.-](\d{1,2})[\/.-](\d{1,4})(?:[ T].*)?$/);
+    if (!match) return null;
+
+    const yearFirst = match[1].length === 4;
+    if (!yearFirst && match[3].length !== 2 && match[3].length !== 4) return null;
+
+    return {
+      values: [Number(match[1]), Number(match[2]), Number(match[3])],
+      yearFirst
+    };
+  }
+
+  /**
+   * Expand two-digit years (25 → 2025, 99 → 1999)
+   */
+  expandTwoDigitYear(year) {
+    if (year >= 100) return year;
+    return year < 50 ? 2000 + year : 1900 + year;
+  }
+
+  /**
+   * Get the display label for a date format
+   */
+  getDateFormatLabel(format) {
+    const labels = {
+      MDY: 'MM/DD/YYYY',
+      DMY: 'DD/MM/YYYY',
+      YMD: 'YYYY-MM-DD'
+    };
+    return labels[format] || labels.MDY;
+  }
+
+  /**
+   * Detect the date format of a column from all of its values
+   * @param {string[]} values - Non-empty column values
+   * @returns {Object} { format, ambiguous, conflicting, counts, matched, checked }
+   */
+  detectDateFormat(values) {
+    const counts = { MDY: 0, DMY: 0, YMD: 0, either: 0 };
+    let matched = 0;
+
+    values.forEach(value => {
+      const parts = this.matchNumericDate(value);
+      if (!parts) return;
+
+      matched++;
+      if (parts.yearFirst) {
+        counts.YMD++;
+        return;
+      }
+
+      const [first, second] = parts.values;
+      if (first > 12 && second <= 12) {
+        counts.DMY++;
+      } else if (second > 12 && first <= 12) {
+        counts.MDY++;
+      } else if (first <= 12 && second <= 12) {
+        counts.either++;
+      }
+    });
+
+    let format = 'MDY';
+    if (counts.YMD > matched / 2) {
+      format = 'YMD';
+    } else if (counts.DMY > counts.MDY) {
+      format = 'DMY';
     }
 
-    // Try DD/MM/YYYY format
-    const ddmmyyyy = cleanDate.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-    if (ddmmyyyy) {
-      date = new Date(ddmmyyyy[3], ddmmyyyy[2] - 1, ddmmyyyy[1]);
-      if (!isNaN(date.getTime())) return date;
+    return {
+      format,
+      // No value settles month vs. day - we fall back to US month-first
+      ambiguous: format !== 'YMD' && counts.either > 0 && counts.MDY === 0 && counts.DMY === 0,
+      // Values disagree - some can only be month-first, others only day-first
+      conflicting: counts.MDY > 0 && counts.DMY > 0,
+      counts,
+      matched,
+      checked: values.length
+    };
+  }
+
+  /**
+   * Detect the date format of one CSV column, or null if it doesn't hold numeric dates
+   * @param {string[][]} rows - Parsed rows, header row first
+   * @param {number} columnIndex - Column index
+   */
+  detectColumnDateFormat(rows, columnIndex) {
+    if (columnIndex < 0) return null;
+
+    const values = [];
+    for (let i = 1; i < rows.length; i++) {
+      const value = rows[i][columnIndex];
+      if (value && value.trim()) {
+        values.push(value);
+      }
     }
 
-    console.warn('Could not parse date:', dateStr);
-    return null;
+    const detection = this.detectDateFormat(values);
+    return detection.checked > 0 && detection.matched / detection.checked >= 0.7 ? detection : null;
+  }
+
+  /**
+   * Detect the date format of the column processCSVRecord reads dates from
+   */
+  detectDatasetDateFormat(rows, headers) {
+    const dateFields = ['Date', 'date', 'DATE', 'Transaction Date', 'Order Date'];
+    const dateColumn = dateFields.find(field => headers.includes(field));
+    return dateColumn ? this.detectColumnDateFormat(rows, headers.indexOf(dateColumn)) : null;
   }
 
   /**
@@ -3310,6 +7335,18 @@ class ChiefDashboard {
     return new Intl.NumberFormat('en-US').format(value || 0);
   }
 
+  /**
+   * Escape text from uploaded files before inserting it as HTML
+   */
+  escapeHTML(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   /**
    * Check if CSV record is empty
    */
@@ -3318,6 +7355,230 @@ class ChiefDashboard {
     return values.every(v => !v || v.toString().trim() === '');
   }
 
+  /**
+   * Check whether a raw CSV value holds a number (accounting dashes for zero count as numeric)
+   */
+  isNumericCSVValue(value) {
+    if (typeof value === 'number') return !isNaN(value);
+
+    const cleaned = String(value).replace(/[$,\s()]/g, '');
+    return cleaned === '-' || /^-?(\d+\.?\d*|\.\d+)%?$/.test(cleaned);
+  }
+
+  /**
+   * Create an empty import report for an upload
+   * @param {string} fileName - Uploaded file name
+   * @param {string[]} headers - Original CSV headers
+   */
+  createImportReport(fileName, headers) {
+    return {
+      fileName,
+      headers: [...headers],
+      totalRows: 0,
+      importedRows: 0,
+      issues: [], // { row, status: 'rejected' | 'coerced', reasons, values }
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Add a rejected or coerced row to an import report
+   * @param {number} row - Spreadsheet row number (header is row 1)
+   */
+  addImportIssue(report, row, status, reasons, values) {
+    report.issues.push({ row, status, reasons, values: [...values] });
+  }
+
+  /**
+   * Row a record came from in its source file (header is row 1), or '—' for records saved before it was kept
+   * Once a dataset has had files appended, row numbers repeat across files, so the file is named too
+   * @param {Object} record - Dataset record
+   * @param {Object} dataset - Dataset the record belongs to
+   * @returns {string} HTML-escaped label
+   */
+  getSourceRowLabel(record, dataset = null) {
+    const row = record?.['Source Row'];
+    if (row === undefined || row === null) return '—';
+    if (!record['Source File'] || !(dataset?.mergeHistory?.length > 0)) return String(row);
+    return `${row} (${this.escapeHTML(record['Source File'])})`;
+  }
+
+  /**
+   * Build a record from a CSV row, recording rejections and coercions in the import report
+   * @param {string[]} headers - Original CSV headers
+   * @param {string[]} values - Row values
+   * @param {number} row - Source line the row starts on (header is line 1), as set by the CSV parser
+   * @param {Object} report - Import report
+   * @param {Object} options - { mappings: CSV column → dashboard field, dateFormat }
+   * @returns {Object|null} Processed record, or null if the row was rejected
+   */
+  buildCSVRecord(headers, values, row, report, { mappings = null, dateFormat = 'MDY' } = {}) {
+    report.totalRows++;
+
+    if (values.length !== headers.length) {
+      console.warn(`⚠️ Row ${row} has ${values.length} columns, expected ${headers.length}. Skipping.`);
+      this.addImportIssue(report, row, 'rejected', [`Expected ${headers.length} columns, found ${values.length}`], values);
+      return null;
+    }
+
+    // Create record object
+    const record = {};
+    headers.forEach((header, index) => {
+      const field = mappings ? (mappings[header] || header) : header;
+      record[field] = values[index];
+    });
+    record['Source Row'] = row; // Shown wherever a record is listed, so rows still match the file after rows are removed or appended
+    record['Source File'] = report.fileName;
+    record['Source Upload'] = report.createdAt; // Tells apart rows of two uploads of the same file
+
+    // Process the record (parse numbers, dates, etc.)
+    const coercions = [];
+    this.processCSVRecord(record, reason => coercions.push(reason), dateFormat);
+
+    // Skip empty records
+    if (this.isEmptyCSVRecord(record)) {
+      this.addImportIssue(report, row, 'rejected', ['Blank row'], values);
+      return null;
+    }
+
+    if (coercions.length > 0) {
+      this.addImportIssue(report, row, 'coerced', coercions, values);
+    }
+
+    this.applyCustomerAlias(record);
+    this.applyProductCatalog(record);
+    this.applyAddressFields(record);
+
+    report.importedRows++;
+    return record;
+  }
+
+  /**
+   * Summarize an import report by status and reason
+   */
+  summarizeImportReport(report) {
+    const rejected = report.issues.filter(issue => issue.status === 'rejected').length;
+    const coerced = report.issues.filter(issue => issue.status === 'coerced').length;
+    const reasonCounts = {};
+
+    report.issues.forEach(issue => {
+      issue.reasons.forEach(reason => {
+        // Group by the part before any quoted value so similar problems collapse together
+        const key = `${issue.status === 'rejected' ? 'Rejected' : 'Coerced'}: ${reason.replace(/\s*"[^"]*"/g, '')}`;
+        reasonCounts[key] = (reasonCounts[key] || 0) + 1;
+      });
+    });
+
+    return { rejected, coerced, reasonCounts };
+  }
+
+  /**
+   * Show the import report after an upload if any rows were rejected or coerced
+   */
+  showImportReportIfNeeded(report) {
+    if (report && report.issues.length > 0) {
+      this.showImportReport(report);
+    }
+  }
+
+  /**
+   * Show the import report for the active dataset
+   */
+  showActiveImportReport() {
+    const report = this.currentData?.importReport;
+    if (!report) {
+      this.showNotification('No import report is available for this dataset', 'info');
+      return;
+    }
+
+    this.showImportReport(report);
+  }
+
+  /**
+   * Show an import report summary with a download link for the problem rows
+   */
+  showImportReport(report) {
+    const { rejected, coerced, reasonCounts } = this.summarizeImportReport(report);
+    const previewLimit = 50;
+
+    const reasonRows = Object.entries(reasonCounts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([reason, count]) => `<tr><td>${this.escapeHTML(reason)}</td><td>${this.formatNumber(count)}</td></tr>`)
+      .join('');
+
+    const issueRows = report.issues.slice(0, previewLimit)
+      .map(issue => `
+        <tr>
+          <td>${issue.row}</td>
+          <td><span class="import-status import-status-${issue.status}">${issue.status}</span></td>
+          <td>${issue.reasons.map(reason => this.escapeHTML(reason)).join('<br>')}</td>
+        </tr>
+      `).join('');
+
+    const content = `
+      <div class="import-report">
+        <div class="import-report-stats">
+          <div><strong>${this.formatNumber(report.totalRows)}</strong><span>Rows read</span></div>
+          <div><strong>${this.formatNumber(report.importedRows)}</strong><span>Imported</span></div>
+          <div><strong>${this.formatNumber(rejected)}</strong><span>Rejected</span></div>
+          <div><strong>${this.formatNumber(coerced)}</strong><span>Coerced</span></div>
+        </div>
+        ${report.issues.length === 0 ? '<p>Every row in this file was imported without changes.</p>' : `
+          <h4>Reasons</h4>
+          <table class="data-table">
+            <thead><tr><th>Reason</th><th>Rows</th></tr></thead>
+            <tbody>${reasonRows}</tbody>
+          </table>
+          <h4>Rows${report.issues.length > previewLimit ? ` (first ${previewLimit} of ${this.formatNumber(report.issues.length)})` : ''}</h4>
+          <p class="import-report-note">Line numbers are the line in the source file where the row starts, with the header as line 1 - blank lines and line breaks inside quoted values are counted.</p>
+          <table class="data-table">
+            <thead><tr><th>Line</th><th>Status</th><th>Reason</th></tr></thead>
+            <tbody>${issueRows}</tbody>
+          </table>
+          <button id="download-import-issues" class="template-btn">
+            <i class="fas fa-download"></i> Download Rejected &amp; Coerced Rows (CSV)
+          </button>
+        `}
+      </div>
+    `;
+
+    this.showModal(`Import Report - ${this.escapeHTML(report.fileName)}`, content);
+
+    const downloadBtn = document.getElementById('download-import-issues');
+    if (downloadBtn) {
+      downloadBtn.addEventListener('click', () => this.downloadImportIssues(report));
+    }
+  }
+
+  /**
+   * Download rejected and coerced rows as CSV with their source line and reason
+   */
+  downloadImportIssues(report) {
+    const escapeCSV = (value) => {
+      const text = String(value ?? '');
+      return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+
+    const lines = [['Line', 'Status', 'Reason', ...report.headers].map(escapeCSV).join(',')];
+    report.issues.forEach(issue => {
+      lines.push([issue.row, issue.status, issue.reasons.join('; '), ...issue.values].map(escapeCSV).join(','));
+    });
+
+    const blob = new Blob([lines.join('\n') + '\n'], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const baseName = String(report.fileName).replace(/\.[^.]+$/, '');
+    link.setAttribute('href', url);
+    link.setAttribute('download', `${baseName}-import-issues.csv`);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    this.showNotification(`Downloaded ${report.issues.length} problem rows`, 'success');
+  }
+
   /**
    * Calculate summary statistics from records
    */
@@ -3396,49 +7657,234 @@ class ChiefDashboard {
   }
 
   /**
-   * Update sales trend chart based on period selection
+   * Update sales trend chart based on period selection
+   */
+  async updateSalesTrendChart() {
+    if (!this.currentData || !this.chartManager) return;
+
+    console.log(`📈 Updating sales trend chart with period: ${this.currentPeriod}`);
+    this.chartManager.setForecast(this.getTrendForecast());
+
+    // Determine data source and use appropriate service
+    const isCSVData = this.currentData.source && this.currentData.source.includes('CSV Upload');
+
+    if (isCSVData) {
+      // For CSV data, pass the data directly
+      await this.chartManager.createSalesTrendChart(this.currentData, this.currentPeriod);
+    } else {
+      // For Railway database data, pass the database service
+      await this.chartManager.createSalesTrendChart(this.databaseService, this.currentPeriod);
+    }
+  }
+
+  /**
+   * Forecast picked in the sales trend controls, with its notes written under the chart header
+   * @returns {Object|null} Result of ChiefForecastEngine.forecast(), or null when none is picked or it can't be made
+   */
+  getTrendForecast() {
+    const note = document.getElementById('forecast-note');
+    const showNote = (text) => {
+      if (!note) return;
+      note.textContent = text;
+      note.style.display = text ? '' : 'none';
+    };
+
+    const { method, metric, horizon, level } = this.forecastSettings;
+    if (!method || !this.forecastEngine || !this.currentData?.records) {
+      showNote('');
+      return null;
+    }
+    if (this.currentPeriod === 'daily') {
+      showNote('Forecasts are monthly or weekly - switch the chart to Weekly or Monthly to see one.');
+      return null;
+    }
+    // The model is fitted on the full history, which a date-filtered chart no longer shows
+    if (this.dateFilter) {
+      showNote('Forecasts use the full history - clear the date filter to see one.');
+      return null;
+    }
+
+    try {
+      const forecast = this.forecastEngine.forecast(this.currentData.records, { metric, period: this.currentPeriod, method, horizon, level });
+      const notes = [forecast.note];
+      if (forecast.partialKey) {
+        notes.push(`${this.chartManager.formatPeriodLabel(forecast.partialKey, this.currentPeriod)} is incomplete, so the model is fitted on the periods before it.`);
+      }
+      showNote(notes.filter(Boolean).join('. '));
+      return forecast;
+    } catch (error) {
+      console.warn('⚠️ Forecast failed:', error);
+      showNote(error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Backtest every forecast method: hold out the latest complete periods, forecast them from the earlier ones and
+   * compare with the actuals
    */
-  async updateSalesTrendChart() {
-    if (!this.currentData || !this.chartManager) return;
+  showForecastBacktest() {
+    const records = this.currentData?.records;
+    if (!records || records.length === 0) {
+      this.showNotification('Load a transaction dataset first', 'warning');
+      return;
+    }
 
-    console.log(`📈 Updating sales trend chart with period: ${this.currentPeriod}`);
+    const engine = this.forecastEngine;
+    const settings = this.forecastSettings;
+    const period = this.currentPeriod === 'weekly' ? 'weekly' : 'monthly';
+
+    const content = `
+      <div class="forecast-backtest">
+        <p class="import-report-note">
+          Each method is fitted on the history before the held-out periods and forecasts them. MAE is the average miss,
+          RMSE weighs big misses more, MAPE is the average miss as a percent of the actual, and the interval column is how
+          many actuals fell inside the prediction interval.
+        </p>
+        <div class="gp-recon-controls">
+          <label>Forecast
+            <select id="forecast-backtest-metric" class="dataset-select">
+              ${Object.entries(engine.metrics).map(([key, { label }]) => `<option value="${key}" ${key === settings.metric ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+          </label>
+          <label>By
+            <select id="forecast-backtest-period" class="dataset-select">
+              <option value="monthly" ${period === 'monthly' ? 'selected' : ''}>Month</option>
+              <option value="weekly" ${period === 'weekly' ? 'selected' : ''}>Week</option>
+            </select>
+          </label>
+          <label>Hold out
+            <input type="number" id="forecast-backtest-holdout" class="budget-input" min="1" max="52" value="${settings.horizon}">
+          </label>
+          <label>Interval
+            <select id="forecast-backtest-level" class="dataset-select">
+              ${Object.keys(engine.zScores).map(level => `<option value="${level}" ${Number(level) === settings.level ? 'selected' : ''}>${level}%</option>`).join('')}
+            </select>
+          </label>
+        </div>
+        <div id="forecast-backtest-results"></div>
+      </div>
+    `;
 
-    // Determine data source and use appropriate service
-    const isCSVData = this.currentData.source && this.currentData.source.includes('CSV Upload');
+    this.showModal('<i class="fas fa-vial"></i> Forecast Backtest', content);
 
-    if (isCSVData) {
-      // For CSV data, pass the data directly
-      await this.chartManager.createSalesTrendChart(this.currentData, this.currentPeriod);
-    } else {
-      // For Railway database data, pass the database service
-      await this.chartManager.createSalesTrendChart(this.databaseService, this.currentPeriod);
-    }
+    const render = () => {
+      const container = document.getElementById('forecast-backtest-results');
+      if (!container) return;
+
+      const options = {
+        metric: document.getElementById('forecast-backtest-metric').value,
+        period: document.getElementById('forecast-backtest-period').value,
+        horizon: Number(document.getElementById('forecast-backtest-holdout').value),
+        level: Number(document.getElementById('forecast-backtest-level').value)
+      };
+
+      let result;
+      try {
+        result = engine.backtest(records, options);
+      } catch (error) {
+        container.innerHTML = `<p class="import-report-note">${this.escapeHTML(error.message)}</p>`;
+        return;
+      }
+
+      const format = (value) => (options.metric === 'gallons'
+        ? `${this.formatNumber(Math.round(value))} gal`
+        : this.formatKPIValue(value, 'currency'));
+      const periodLabel = (key) => this.chartManager.formatPeriodLabel(key, options.period);
+      const unit = options.period === 'weekly' ? 'weeks' : 'months';
+
+      container.innerHTML = `
+        <p class="import-report-note">
+          Held out ${result.holdout} ${unit}: ${this.escapeHTML(periodLabel(result.keys[0]))} to ${this.escapeHTML(periodLabel(result.keys[result.keys.length - 1]))}.
+          ${result.partialKey ? `${this.escapeHTML(periodLabel(result.partialKey))} is incomplete and left out.` : ''}
+        </p>
+        <table class="data-table">
+          <thead>
+            <tr><th>Method</th><th>MAE</th><th>RMSE</th><th>MAPE</th><th>In ${options.level}% interval</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${result.results.map((entry, index) => `
+              <tr>
+                <td>
+                  ${this.escapeHTML(entry.label)}${index === 0 ? ' <strong>(most accurate)</strong>' : ''}
+                  ${entry.note ? `<div class="import-report-note">${this.escapeHTML(entry.note)}</div>` : ''}
+                </td>
+                <td>${format(entry.mae)}</td>
+                <td>${format(entry.rmse)}</td>
+                <td>${entry.mape === null ? '—' : `${entry.mape.toFixed(1)}%`}</td>
+                <td>${Math.round(entry.coverage)}%</td>
+                <td><button class="template-btn forecast-use-btn" data-method="${entry.method}">Use on chart</button></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <table class="data-table">
+          <thead>
+            <tr><th>${options.period === 'weekly' ? 'Week' : 'Month'}</th><th>Actual</th>${result.results.map(entry => `<th>${this.escapeHTML(entry.label)}</th>`).join('')}</tr>
+          </thead>
+          <tbody>
+            ${result.keys.map((key, index) => `
+              <tr>
+                <td>${this.escapeHTML(periodLabel(key))}</td>
+                <td>${format(result.actuals[index])}</td>
+                ${result.results.map(entry => `<td>${format(entry.forecasts[index])}</td>`).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+
+      container.querySelectorAll('.forecast-use-btn').forEach(button => {
+        button.addEventListener('click', async (e) => {
+          this.forecastSettings.method = button.dataset.method;
+          this.forecastSettings.metric = options.metric;
+          this.forecastSettings.level = options.level;
+          [['forecast-method', button.dataset.method], ['forecast-metric', options.metric], ['forecast-level', String(options.level)]].forEach(([id, value]) => {
+            const select = document.getElementById(id);
+            if (select) select.value = value;
+          });
+
+          if (options.period !== this.currentPeriod) {
+            this.currentPeriod = options.period;
+            const periodSelect = document.getElementById('sales-period');
+            if (periodSelect) periodSelect.value = options.period;
+          }
+
+          e.target.closest('.modal-overlay')?.remove();
+          await this.updateSalesTrendChart();
+        });
+      });
+    };
+
+    ['forecast-backtest-metric', 'forecast-backtest-period', 'forecast-backtest-holdout', 'forecast-backtest-level'].forEach(id => {
+      document.getElementById(id)?.addEventListener('change', render);
+    });
+    render();
   }
 
   /**
-   * Filter records by product type
+   * Filter records by product family or dye status from the product catalog
    */
   filterRecordsByProductType(records, filterType) {
+    const families = { diesel: 'Diesel', gasoline: 'Gasoline', heating: 'Heating Oil' };
+
     return records.filter(record => {
-      // Handle both Railway database field names (lowercase with underscore) and CSV field names (capitalized with space)
-      const productType = (record['Product Type'] || record['product_type'] || record['Product'] || '').toLowerCase();
+      const entry = record.ProductFamily
+        ? { family: record.ProductFamily, dyed: record.ProductDyed }
+        : this.getRecordProduct(record);
+      const family = entry ? entry.family : 'Other';
 
       switch (filterType) {
         case 'diesel':
-          return productType.includes('diesel') || productType.includes('#2');
         case 'gasoline':
-          return productType.includes('gasoline') || productType.includes('gas') || productType.includes('unleaded');
         case 'heating':
-          return productType.includes('heating') || productType.includes('heat') || productType.includes('home');
+          return family === families[filterType];
+        case 'dyed':
+          return !!entry && entry.dyed;
+        case 'clear':
+          return !!entry && !entry.dyed && family !== 'Lubricants' && family !== 'Other';
         case 'other':
-          return !productType.includes('diesel') &&
-            !productType.includes('#2') &&
-            !productType.includes('gasoline') &&
-            !productType.includes('gas') &&
-            !productType.includes('unleaded') &&
-            !productType.includes('heating') &&
-            !productType.includes('heat') &&
-            !productType.includes('home');
+          return !Object.values(families).includes(family);
         default:
           return true;
       }
@@ -3452,7 +7898,7 @@ class ChiefDashboard {
     const productMap = {};
 
     records.forEach(record => {
-      const product = record['Product Type'] || record['Product'] || 'Unknown';
+      const product = record.ProductName || record['Product Type'] || record['Product'] || 'Unknown';
       const sales = record['Sales'] || 0;
       const gallons = record['Gallon Qty'] || 0;
 
@@ -3993,7 +8439,7 @@ class ChiefDashboard {
       metrics.totalCost += cost;
 
       // Product breakdown
-      const productType = record['Product Type'] || record.product_type || 'Unknown';
+      const productType = record.ProductName || record['Product Type'] || record.product_type || 'Unknown';
       if (!productBreakdown[productType]) {
         productBreakdown[productType] = { sales: 0, gallons: 0, profit: 0, count: 0 };
       }
@@ -4345,7 +8791,7 @@ class ChiefDashboard {
     const records = data.records || [];
 
     records.forEach(record => {
-      const productType = record['Product Type'] || record.product_type || 'Unknown';
+      const productType = record.ProductName || record['Product Type'] || record.product_type || 'Unknown';
       const sales = this.parseCSVNumber(record.Sales || record.sales || 0);
 
       if (!productSales[productType]) {
@@ -4440,35 +8886,41 @@ class ChiefDashboard {
   }
 
   /**
-   * Load GP time series charts
+   * Load GP time series charts from the uploaded GP datasets
    */
-  async loadGPCharts() {
+  loadGPCharts() {
     try {
-      console.log('📊 Loading GP time series charts...');
-
-      let gp2024Data, gp2025Data;
-
-      // Load from Railway database
-      console.log('🚀 Loading GP data from Railway database...');
-      const [gp2024Response, gp2025Response] = await Promise.all([
-        this.databaseService.getGPData('2024'),
-        this.databaseService.getGPData('2025')
-      ]);
+      const points = this.getGPPoints();
+      const segments = this.gpImporter.segments.filter(segment => points.some(point => point.segment === segment));
+      const years = [...new Set(points.map(point => point.year))].sort();
+      const statusEl = document.getElementById('gp-data-status');
+
+      this.updateGPSegmentOptions(segments);
+      this.updateGPPacing(points);
+
+      if (points.length === 0) {
+        if (statusEl) statusEl.textContent = 'No GP data uploaded yet - upload a GP goals/actuals file (e.g. Data-gp-2025.csv) to see these charts.';
+        ['gpComparisonChart', 'gpTimelineChart'].forEach(chartKey => {
+          if (this[chartKey]) {
+            this[chartKey].destroy();
+            this[chartKey] = null;
+          }
+        });
+        return;
+      }
 
-      gp2024Data = gp2024Response;
-      gp2025Data = gp2025Response;
+      const datasetCount = Object.values(this.uploadedGPDatasets).filter(dataset => dataset.gp).length;
+      if (statusEl) {
+        statusEl.textContent = `${datasetCount} GP dataset${datasetCount === 1 ? '' : 's'} · ${years.join(', ')} · ${segments.length} segments`;
+      }
 
-      console.log('🔍 Debug GP Data 2024:', gp2024Data);
-      console.log('🔍 Debug GP Data 2025:', gp2025Data);
+      const selectedSegments = this.getSelectedGPSegments(segments);
+      const period = document.getElementById('gp-period-selector')?.value || 'monthly';
+      const selectedPoints = points.filter(point => selectedSegments.includes(point.segment));
 
-      if (gp2024Data && gp2025Data) {
-        console.log('📊 Creating GP charts with data...');
-        await this.createGPComparisonChart(gp2024Data, gp2025Data);
-        this.createGPTimelineChart(gp2024Data, gp2025Data);
-      } else {
-        console.warn('⚠️ GP data not loaded properly:', { gp2024Data, gp2025Data });
-        this.showNotification('GP data sheets not found or empty', 'warning');
-      }
+      console.log(`📊 Loading GP charts: ${selectedSegments.join(', ')} (${period}, ${years.join(', ')})`);
+      this.createGPComparisonChart(selectedPoints, years, period, selectedSegments);
+      this.createGPTimelineChart(selectedPoints, period, selectedSegments);
 
     } catch (error) {
       console.error('Error loading GP charts:', error);
@@ -4477,234 +8929,622 @@ class ChiefDashboard {
   }
 
   /**
-   * Update GP charts when period changes
+   * Update GP charts when the period or segment selection changes
    */
-  async updateGPCharts() {
-    await this.loadGPCharts();
+  updateGPCharts() {
+    this.loadGPCharts();
   }
 
   /**
-   * Create GP comparison chart (2024 vs 2025)
+   * Show the reconciliation of GP segment actuals rebuilt from a transaction dataset against the GP files'
+   * QuickBooks actuals
+   * @param {string} segment - Segment shown date by date
+   * @param {string} datasetName - Transaction dataset (defaults to the active one)
    */
-  async createGPComparisonChart(data2024, data2025) {
-    const canvas = document.getElementById('gp-comparison-chart');
-    if (!canvas) return;
+  showGPReconciliation(segment = null, datasetName = this.currentDataset) {
+    const points = this.getGPPoints();
+    if (points.length === 0) {
+      this.showNotification('Upload a GP goals/actuals file first', 'warning');
+      return;
+    }
+
+    const dataset = this.uploadedDatasets[datasetName];
+    if (!dataset) {
+      this.showNotification('Upload or select a transaction dataset first', 'warning');
+      return;
+    }
+
+    const reconciler = this.gpReconciler;
+    const segments = this.gpImporter.segments.filter(name => points.some(point => point.segment === name));
+    const selected = segments.includes(segment) ? segment : segments[0];
+    let results;
+    try {
+      results = reconciler.reconcileAll(dataset.records, points, segments);
+    } catch (error) {
+      console.error('❌ GP reconciliation failed:', error);
+      this.showNotification(`Could not reconcile against the GP files: ${error.message}`, 'error');
+      return;
+    }
+    const result = results.find(entry => entry.segment === selected);
+    const segmentLabel = (name) => (name === reconciler.totalSegment ? `${name} (total)` : name);
+    const dateLabel = (date) => date.toLocaleDateString('en-US');
+    const differenceCell = (value) => `<td class="${Math.abs(value) > reconciler.tolerance ? 'gp-recon-gap' : ''}">${this.formatCurrency(value)}</td>`;
+    const statusLabels = { match: 'Reconciled', gap: 'Gap', notInGP: 'Not in GP file' };
+
+    const summaryRows = results.map(entry => `
+      <tr>
+        <td>${this.escapeHTML(segmentLabel(entry.segment))}</td>
+        <td>${this.formatCurrency(entry.totals.gp)}</td>
+        <td>${this.formatCurrency(entry.totals.transactions)}</td>
+        ${differenceCell(entry.totals.difference)}
+        <td>${this.formatNumber(entry.gapCount)} of ${this.formatNumber(entry.rows.length)}</td>
+      </tr>
+    `).join('');
+
+    const dateRows = result.rows.map((row, index) => `
+      <tr class="gp-recon-row-${row.status}">
+        <td>${row.from.getTime() === row.date.getTime() ? dateLabel(row.date) : `${dateLabel(row.from)} – ${dateLabel(row.date)}`}</td>
+        <td>${row.gpActual === null ? '—' : this.formatCurrency(row.gpActual)}</td>
+        <td>${this.formatCurrency(row.transactionActual)}</td>
+        ${differenceCell(row.difference)}
+        <td>${row.gpToDate === null ? '—' : this.formatCurrency(row.gpToDate)}</td>
+        <td>${this.formatCurrency(row.transactionToDate)}</td>
+        ${differenceCell(row.runningDifference)}
+        <td>${statusLabels[row.status]}</td>
+        <td>${row.indices.length > 0
+          ? `<button class="template-btn gp-recon-view" data-row="${index}"><i class="fas fa-search"></i> ${this.formatNumber(row.indices.length)}</button>`
+          : '0'}</td>
+      </tr>
+    `).join('');
+
+    const content = `
+      <div class="gp-reconciliation">
+        <div class="gp-recon-controls">
+          <label>Transactions
+            <select id="gp-recon-dataset" class="dataset-select">
+              ${Object.keys(this.uploadedDatasets).map(name => `
+                <option value="${this.escapeHTML(name)}" ${name === datasetName ? 'selected' : ''}>${this.escapeHTML(name)}</option>
+              `).join('')}
+            </select>
+          </label>
+          <label>Segment
+            <select id="gp-recon-segment" class="dataset-select">
+              ${segments.map(name => `<option value="${this.escapeHTML(name)}" ${name === selected ? 'selected' : ''}>${this.escapeHTML(segmentLabel(name))}</option>`).join('')}
+            </select>
+          </label>
+        </div>
+        <p class="import-report-note">
+          Transaction profit (${this.escapeHTML(reconciler.profitField)}) is assigned to GP segments by the product catalog and compared with
+          the GP files' QuickBooks actuals${result.range ? ` from ${dateLabel(result.range.from)} to ${dateLabel(result.range.to)}` : ''}.
+          Each GP row covers the days since the previous row of the same month.
+          ${result.unassigned > 0 ? `${this.formatNumber(result.unassigned)} transaction(s) have no segment and are left out.` : ''}
+        </p>
+
+        <table class="data-table">
+          <thead><tr><th>Segment</th><th>QuickBooks (GP file)</th><th>Transactions</th><th>Difference</th><th>Dates with gaps</th></tr></thead>
+          <tbody>${summaryRows}</tbody>
+        </table>
+
+        <h4>${this.escapeHTML(segmentLabel(selected))} by date</h4>
+        ${result.rows.length > 0 ? `
+          <table class="data-table">
+            <thead><tr>
+              <th>Dates</th><th>QuickBooks</th><th>Transactions</th><th>Difference</th>
+              <th>QuickBooks MTD</th><th>Transactions MTD</th><th>Running Difference</th><th>Status</th><th>Lines</th>
+            </tr></thead>
+            <tbody>${dateRows}</tbody>
+          </table>
+        ` : '<p class="import-report-note">No GP dates overlap the transaction dataset.</p>'}
+
+        <div id="gp-recon-lines" class="gp-recon-lines"></div>
+      </div>
+    `;
+
+    this.showModal('<i class="fas fa-not-equal"></i> GP Reconciliation', content);
+
+    document.getElementById('gp-recon-dataset')?.addEventListener('change', (e) => this.showGPReconciliation(selected, e.target.value));
+    document.getElementById('gp-recon-segment')?.addEventListener('change', (e) => this.showGPReconciliation(e.target.value, datasetName));
+
+    document.querySelectorAll('.gp-recon-view').forEach(button => {
+      button.addEventListener('click', () => {
+        const row = result.rows[Number(button.dataset.row)];
+        const period = row.from.getTime() === row.date.getTime() ? dateLabel(row.date) : `${dateLabel(row.from)} – ${dateLabel(row.date)}`;
+        const message = `${row.indices.length} ${segmentLabel(selected)} transaction(s) for ${period}`;
+        const panel = document.getElementById('gp-recon-lines');
+
+        panel.innerHTML = `
+          <h4>${this.escapeHTML(message)}</h4>
+          <p class="import-report-note">
+            QuickBooks ${row.gpActual === null ? 'has no row for these dates' : this.formatCurrency(row.gpActual)} ·
+            transactions ${this.formatCurrency(row.transactionActual)} · difference ${this.formatCurrency(row.difference)}
+          </p>
+          <button id="gp-recon-show-lines" class="template-btn"><i class="fas fa-search"></i> Show in Transactions Table</button>
+          <table class="data-table">
+            <thead><tr><th>#</th><th>Date</th><th>Customer</th><th>Product</th><th>Gallons</th><th>Profit</th></tr></thead>
+            <tbody>
+              ${row.indices.slice(0, 100).map(recordIndex => {
+                const record = dataset.records[recordIndex];
+                return `
+                  <tr>
+                    <td>${this.getSourceRowLabel(record, dataset)}</td>
+                    <td>${dateLabel(new Date(record.Date))}</td>
+                    <td>${this.escapeHTML(record.Customer || '')}</td>
+                    <td>${this.escapeHTML(record.ProductName || record['Product Type'] || '')}</td>
+                    <td>${this.formatNumber(record['Gallon Qty'])}</td>
+                    <td>${this.formatCurrency(reconciler.toNumber(record[reconciler.profitField]))}</td>
+                  </tr>
+                `;
+              }).join('')}
+            </tbody>
+          </table>
+          ${row.indices.length > 100 ? `<p class="import-report-note">Showing the first 100 of ${this.formatNumber(row.indices.length)} lines.</p>` : ''}
+        `;
+        panel.scrollIntoView({ behavior: 'smooth' });
+
+        document.getElementById('gp-recon-show-lines')?.addEventListener('click', (e) => {
+          e.target.closest('.modal-overlay')?.remove();
+          this.showIssueRecords(datasetName, { message, recordIndices: row.indices });
+        });
+      });
+    });
+  }
 
-    const period = document.getElementById('gp-period-selector')?.value || 'monthly';
+  /**
+   * Show the GP CSV export options: year and where the actuals come from
+   */
+  showGPExport() {
+    const points = this.getGPPoints();
+    const transactionYears = Object.values(this.uploadedDatasets).flatMap(dataset =>
+      dataset.records.map(record => this.gpReconciler.getDay(record.Date)?.getFullYear()).filter(Boolean));
+    const years = [...new Set([...points.map(point => point.year), ...transactionYears])].sort((a, b) => b - a);
 
-    // Prepare comparison data
-    const trends2024 = await this.dataService.getSalesTrendData(data2024, period);
-    const trends2025 = await this.dataService.getSalesTrendData(data2025, period);
+    if (years.length === 0) {
+      this.showNotification('Upload a GP file or a transaction dataset first', 'warning');
+      return;
+    }
 
-    console.log('🔍 Debug GP Trends 2024:', trends2024);
-    console.log('🔍 Debug GP Trends 2025:', trends2025);
+    const content = `
+      <div class="gp-export">
+        <p class="import-report-note">
+          Writes the layout of the GP spreadsheet: a Dates column, month-to-date goal and actual pairs for each segment and the
+          month-to-date percent columns. Goals come from the uploaded GP files.
+        </p>
+        <div class="gp-recon-controls">
+          <label>Year
+            <select id="gp-export-year" class="dataset-select">
+              ${years.map(year => `<option value="${year}">${year}</option>`).join('')}
+            </select>
+          </label>
+          <label>Actuals from
+            <select id="gp-export-source" class="dataset-select">
+              ${points.length > 0 ? '<option value="">GP files (QuickBooks)</option>' : ''}
+              ${Object.keys(this.uploadedDatasets).map(name => `
+                <option value="${this.escapeHTML(name)}" ${points.length === 0 && name === this.currentDataset ? 'selected' : ''}>Transactions: ${this.escapeHTML(name)}</option>
+              `).join('')}
+            </select>
+          </label>
+        </div>
+        <button id="gp-export-download" class="template-btn"><i class="fas fa-download"></i> Download CSV</button>
+      </div>
+    `;
 
-    // Create month mapping for comparison
-    const monthMap2024 = {};
-    const monthMap2025 = {};
+    this.showModal('<i class="fas fa-file-export"></i> Export GP CSV', content);
 
-    trends2024.forEach(item => {
-      monthMap2024[item.period] = item.sales;
+    document.getElementById('gp-export-download')?.addEventListener('click', (e) => {
+      const year = Number(document.getElementById('gp-export-year').value);
+      const source = document.getElementById('gp-export-source').value;
+      if (this.downloadGPExport(year, source || null)) {
+        e.target.closest('.modal-overlay')?.remove();
+      }
     });
+  }
+
+  /**
+   * Download a year of GP progress in the GP file layout
+   * @param {number} year - Year to export
+   * @param {string|null} datasetName - Transaction dataset for the actuals, or null for the GP files' actuals
+   * @returns {boolean} Whether a file was written
+   */
+  downloadGPExport(year, datasetName = null) {
+    const dataset = datasetName ? this.uploadedDatasets[datasetName] : null;
+    if (datasetName && !dataset) {
+      this.showNotification(`Dataset "${datasetName}" not found`, 'error');
+      return false;
+    }
+
+    const transactionActuals = dataset ? this.gpExporter.getTransactionActuals(dataset.records, year) : null;
+    const rows = this.gpExporter.buildRows(this.getGPPoints(), year, transactionActuals);
+    if (rows.length === 0) {
+      this.showNotification(`No GP data or transactions for ${year}`, 'warning');
+      return false;
+    }
+
+    const blob = new Blob([this.gpExporter.toCSV(rows, year)], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', `Sales Trend Dashboard - Data-gp-${year}.csv`);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    this.showNotification(`Exported ${rows.length} GP dates for ${year}`, 'success');
+    return true;
+  }
+
+  /**
+   * Render the GP goal pacing table and behind-pace alerts for the latest GP year
+   * @param {Array} points - GP points from getGPPoints()
+   */
+  updateGPPacing(points) {
+    const alertsEl = document.getElementById('gp-pacing-alerts');
+    const tableEl = document.getElementById('gp-pacing-table');
+    if (!alertsEl || !tableEl) return;
 
-    trends2025.forEach(item => {
-      monthMap2025[item.period] = item.sales;
+    const latestYear = points.length > 0 ? Math.max(...points.map(point => point.year)) : null;
+    const budgetGoals = latestYear && this.budgetManager ? this.budgetManager.getSegmentProfitGoals(latestYear) : {};
+    const pacing = this.gpPacingAnalyzer.analyze(points, this.gpImporter.segments, budgetGoals);
+    if (!pacing) {
+      alertsEl.innerHTML = '';
+      tableEl.innerHTML = '<p class="gp-pacing-empty">Upload a GP goals/actuals file to see goal pacing.</p>';
+      return;
+    }
+
+    const perWeek = document.getElementById('gp-pacing-unit')?.value === 'week';
+    const unit = perWeek ? 'week' : 'day';
+    const perUnit = (value) => (value === null ? null : perWeek ? value * 5 : value);
+    const money = (value) => this.formatKPIValue(value, 'currency');
+    const percent = (value) => (value === null ? '—' : `${value > 0 ? '+' : ''}${value.toFixed(1)}%`);
+    const statusLabels = { behind: 'Behind pace', atRisk: 'Slightly behind', onPace: 'On pace', noGoal: 'No goal' };
+
+    alertsEl.innerHTML = pacing.alerts.map(alert => `
+      <div class="gp-pacing-alert"><i class="fas fa-exclamation-triangle"></i> ${this.escapeHTML(alert.message)}</div>
+    `).join('');
+
+    const newAlerts = pacing.alerts.filter(alert => !this.gpPacingAlerted.has(`${alert.segment}|${pacing.asOf.getTime()}`));
+    if (newAlerts.length > 0) {
+      newAlerts.forEach(alert => this.gpPacingAlerted.add(`${alert.segment}|${pacing.asOf.getTime()}`));
+      this.showNotification(`GP behind pace: ${newAlerts.map(alert => alert.segment).join(', ')}`, 'warning');
+    }
+
+    const seasonalYears = [...new Set(pacing.segments.flatMap(segment => segment.seasonalYears))].sort();
+    const estimated = pacing.segments.some(segment => segment.goalEstimated && segment.yearEndGoal !== null);
+
+    tableEl.innerHTML = `
+      <p class="gp-pacing-note">
+        ${pacing.year} as of ${pacing.asOf.toLocaleDateString('en-US')} ·
+        ${seasonalYears.length > 0 ? `seasonality from ${seasonalYears.join(', ')}` : 'no prior year for seasonality - projections use the run rate'}
+        ${estimated ? ' · year-end goals past the last goal date are estimated with the same seasonality' : ''}
+      </p>
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Segment</th>
+            <th>Goal YTD</th>
+            <th>Actual YTD</th>
+            <th>YTD Pace</th>
+            <th>MTD Pace</th>
+            <th>Run-Rate Projection</th>
+            <th>Seasonal Projection</th>
+            <th>Year-End Goal</th>
+            <th>Projected Gap</th>
+            <th>Needed per ${unit}</th>
+            <th>Current per ${unit}</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${pacing.segments.map(segment => `
+            <tr class="gp-pacing-${segment.status}">
+              <td>${this.escapeHTML(segment.segment === 'Chief' ? 'Chief (total)' : segment.segment)}</td>
+              <td>${money(segment.goalToDate)}</td>
+              <td>${money(segment.actualToDate)}</td>
+              <td class="${segment.pacePercent < 0 ? 'gp-pacing-negative' : ''}">${percent(segment.pacePercent)}</td>
+              <td class="${segment.monthPacePercent < 0 ? 'gp-pacing-negative' : ''}">${percent(segment.monthPacePercent)}</td>
+              <td>${money(segment.runRateProjection)}</td>
+              <td>${money(segment.seasonalProjection)}</td>
+              <td>
+                ${money(segment.yearEndGoal)}
+                ${segment.goalFromBudget ? ' <span class="gp-pacing-estimate" title="Gross profit target from the budget editor">budget</span>' : ''}
+                ${segment.goalEstimated && segment.yearEndGoal !== null ? ' <span class="gp-pacing-estimate" title="Estimated from the goals to date">est.</span>' : ''}
+              </td>
+              <td class="${segment.projectedGap < 0 ? 'gp-pacing-negative' : ''}">${money(segment.projectedGap)}</td>
+              <td>${money(perUnit(segment.neededPerDay))}</td>
+              <td>${money(perUnit(segment.runRate))}</td>
+              <td><span class="gp-pacing-status ${segment.status}">${statusLabels[segment.status]}</span></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Collect GP points from every uploaded GP dataset.
+   * Where datasets overlap, the most recently uploaded value for a segment and date wins.
+   */
+  getGPPoints() {
+    const pointsByKey = new Map();
+
+    Object.values(this.uploadedGPDatasets)
+      .filter(dataset => dataset.gp)
+      .sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt))
+      .forEach(dataset => {
+        dataset.gp.points.forEach(point => {
+          const date = new Date(point.date);
+          pointsByKey.set(`${point.segment}|${date.getTime()}`, { ...point, date });
+        });
+      });
+
+    return [...pointsByKey.values()].sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Get the segments ticked in the GP segment chooser (defaults to the Chief total)
+   */
+  getSelectedGPSegments(segments) {
+    if (!this.gpSelectedSegments) {
+      this.gpSelectedSegments = segments.includes('Chief') ? ['Chief'] : [...segments];
+    }
+    return segments.filter(segment => this.gpSelectedSegments.includes(segment));
+  }
+
+  /**
+   * Render the GP segment chooser checkboxes
+   */
+  updateGPSegmentOptions(segments) {
+    const container = document.getElementById('gp-segment-options');
+    if (!container) return;
+
+    const selected = this.getSelectedGPSegments(segments);
+    container.innerHTML = segments.map(segment => `
+      <label class="gp-segment-option">
+        <input type="checkbox" value="${this.escapeHTML(segment)}" ${selected.includes(segment) ? 'checked' : ''}>
+        ${this.escapeHTML(segment === 'Chief' ? 'Chief (total)' : segment)}
+      </label>
+    `).join('');
+
+    container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        this.gpSelectedSegments = [...container.querySelectorAll('input[type="checkbox"]:checked')]
+          .map(input => input.value);
+        this.updateGPCharts();
+      });
     });
+  }
+
+  /**
+   * Work out the GP chart period a date falls in
+   * @returns {Object} { key, slot, label } - slot is the month or quarter within the year
+   */
+  getGPPeriod(date, period) {
+    const year = date.getFullYear();
+
+    if (period === 'quarterly') {
+      const quarter = Math.floor(date.getMonth() / 3);
+      return { key: `${year}-Q${quarter + 1}`, slot: quarter, label: `Q${quarter + 1} ${year}` };
+    }
+
+    const month = date.getMonth();
+    return {
+      key: `${year}-${String(month + 1).padStart(2, '0')}`,
+      slot: month,
+      label: date.toLocaleDateString('en-US', { year: 'numeric', month: 'short' })
+    };
+  }
+
+  /**
+   * Sum daily GP goal and actual values per period
+   * Segments with actuals but no goal (e.g. Lubes in the 2024 file) are listed in withoutGoal - the summed goal
+   * leaves them out while the summed actual includes them
+   * @returns {Map} key → { year, slot, label, goal, actual, withoutGoal } - goal is null for periods without goals
+   */
+  aggregateGPPoints(points, period) {
+    const buckets = new Map();
 
-    // Get all unique periods and sort them
-    const allPeriods = [...new Set([...trends2024.map(t => t.period), ...trends2025.map(t => t.period)])].sort();
+    points.forEach(point => {
+      const { key, slot, label } = this.getGPPeriod(point.date, period);
+      if (!buckets.has(key)) {
+        buckets.set(key, { year: point.year, slot, label, goal: null, actual: 0, withoutGoal: new Set() });
+      }
 
-    const labels = allPeriods.map(period => {
-      if (period.includes('-')) {
-        const [year, month] = period.split('-');
-        return new Date(year, month - 1).toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
+      const bucket = buckets.get(key);
+      bucket.actual += point.actual || 0;
+      if (point.goal !== null) {
+        bucket.goal = (bucket.goal || 0) + point.goal;
+      } else if (point.actual !== null) {
+        bucket.withoutGoal.add(point.segment);
       }
-      return period;
     });
 
-    const sales2024 = allPeriods.map(period => monthMap2024[period] || 0);
-    const sales2025 = allPeriods.map(period => monthMap2025[period] || 0);
+    return new Map([...buckets.entries()].sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  /**
+   * Get shared axis/legend options for the GP charts
+   */
+  getGPChartOptions(title) {
+    const theme = this.chartManager ? this.chartManager.getThemeColors() : { text: '#ffffff', grid: 'rgba(255, 255, 255, 0.1)' };
+
+    return {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        title: {
+          display: true,
+          text: title,
+          color: theme.text
+        },
+        legend: {
+          labels: { color: theme.text }
+        },
+        tooltip: {
+          callbacks: {
+            label: (context) => `${context.dataset.label}: ${context.parsed.y === null ? 'n/a' : this.formatCurrency(context.parsed.y)}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          ticks: { color: theme.text },
+          grid: { color: theme.grid }
+        },
+        y: {
+          ticks: {
+            color: theme.text,
+            callback: function (value) {
+              return '$' + value.toLocaleString();
+            }
+          },
+          grid: { color: theme.grid }
+        }
+      }
+    };
+  }
+
+  /**
+   * Create GP comparison chart - one actual line (and dashed goal line) per year
+   * The selected segments are summed, except the Chief total: it already includes the other segments, so it is
+   * drawn as its own lines when it is ticked alongside them
+   * @param {Array} points - GP points of the selected segments
+   * @param {number[]} years - Years to compare
+   * @param {string} period - 'monthly' or 'quarterly'
+   * @param {string[]} segments - Selected segments
+   */
+  createGPComparisonChart(points, years, period, segments) {
+    const canvas = document.getElementById('gp-comparison-chart');
+    if (!canvas) return;
+
+    const parts = segments.filter(segment => segment !== 'Chief');
+    const groups = [];
+    if (parts.length > 0) {
+      groups.push({ name: parts.join(' + '), points: points.filter(point => parts.includes(point.segment)) });
+    }
+    if (segments.includes('Chief')) {
+      groups.push({ name: 'Chief', points: points.filter(point => point.segment === 'Chief') });
+    }
+
+    const labels = period === 'quarterly'
+      ? ['Q1', 'Q2', 'Q3', 'Q4']
+      : Array.from({ length: 12 }, (_, month) => new Date(2000, month).toLocaleDateString('en-US', { month: 'short' }));
+    const colors = this.chartManager ? this.chartManager.getColorPalette(years.length * groups.length) : [];
+
+    const datasets = [];
+    groups.forEach((group, groupIndex) => {
+      const buckets = [...this.aggregateGPPoints(group.points, period).values()];
+      const prefix = groups.length > 1 ? `${group.name} ` : '';
+
+      years.forEach((year, index) => {
+        const yearBuckets = buckets.filter(bucket => bucket.year === year);
+        const color = colors[groupIndex * years.length + index] || '#3b82f6';
+        const actual = labels.map((_, slot) => yearBuckets.find(bucket => bucket.slot === slot)?.actual ?? null);
+        const goal = labels.map((_, slot) => yearBuckets.find(bucket => bucket.slot === slot)?.goal ?? null);
+        // A goal missing some of the summed segments would overstate the actual against it, so say so
+        const withoutGoal = [...new Set(yearBuckets.filter(bucket => bucket.goal !== null).flatMap(bucket => [...bucket.withoutGoal]))];
+
+        datasets.push({
+          label: `${prefix}${year} Actual`,
+          data: actual,
+          borderColor: color,
+          backgroundColor: color + '1a',
+          borderWidth: 3,
+          fill: false,
+          tension: 0.4,
+          spanGaps: true
+        });
+
+        if (goal.some(value => value !== null)) {
+          datasets.push({
+            label: `${prefix}${year} Goal${withoutGoal.length > 0 ? ` (partial - no goal for ${withoutGoal.join(', ')})` : ''}`,
+            data: goal,
+            borderColor: color,
+            borderDash: [6, 4],
+            borderWidth: 2,
+            pointRadius: 0,
+            fill: false,
+            tension: 0.4,
+            spanGaps: true
+          });
+        }
+      });
+    });
 
     // Destroy existing chart if it exists
     if (this.gpComparisonChart) {
       this.gpComparisonChart.destroy();
     }
 
+    const periodLabel = period.charAt(0).toUpperCase() + period.slice(1);
     const ctx = canvas.getContext('2d');
     this.gpComparisonChart = new Chart(ctx, {
       type: 'line',
-      data: {
-        labels: labels,
-        datasets: [
-          {
-            label: '2024 Sales',
-            data: sales2024,
-            borderColor: '#dc2626',
-            backgroundColor: 'rgba(220, 38, 38, 0.1)',
-            borderWidth: 3,
-            fill: true,
-            tension: 0.4
-          },
-          {
-            label: '2025 Sales',
-            data: sales2025,
-            borderColor: '#059669',
-            backgroundColor: 'rgba(5, 150, 105, 0.1)',
-            borderWidth: 3,
-            fill: true,
-            tension: 0.4
-          }
-        ]
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        plugins: {
-          title: {
-            display: true,
-            text: `${period.charAt(0).toUpperCase() + period.slice(1)} Sales Comparison`,
-            color: '#ffffff'
-          },
-          legend: {
-            labels: { color: '#ffffff' }
-          }
-        },
-        scales: {
-          x: {
-            ticks: { color: '#ffffff' },
-            grid: { color: 'rgba(255, 255, 255, 0.1)' }
-          },
-          y: {
-            ticks: {
-              color: '#ffffff',
-              callback: function (value) {
-                return '$' + value.toLocaleString();
-              }
-            },
-            grid: { color: 'rgba(255, 255, 255, 0.1)' }
-          }
-        }
-      }
+      data: { labels, datasets },
+      options: this.getGPChartOptions(`${periodLabel} GP by Year - ${groups.map(group => group.name).join(' vs. ') || 'no segments selected'}`)
     });
   }
 
   /**
-   * Create GP timeline chart (combined view)
+   * Create GP timeline chart - every year in sequence, one actual line (and dashed goal line) per segment
+   * @param {Array} points - GP points of the selected segments
+   * @param {string} period - 'monthly' or 'quarterly'
+   * @param {string[]} segments - Selected segments
    */
-  createGPTimelineChart(data2024, data2025) {
+  createGPTimelineChart(points, period, segments) {
     const canvas = document.getElementById('gp-timeline-chart');
     if (!canvas) return;
 
-    // Combine all data points chronologically
-    const allRecords = [
-      ...data2024.records.map(r => ({ ...r, year: '2024' })),
-      ...data2025.records.map(r => ({ ...r, year: '2025' }))
-    ];
+    const allBuckets = this.aggregateGPPoints(points, period);
+    const periodKeys = [...allBuckets.keys()];
+    const labels = periodKeys.map(key => allBuckets.get(key).label);
+    const colors = this.chartManager ? this.chartManager.getColorPalette(segments.length) : [];
 
-    // Sort by date
-    allRecords.sort((a, b) => new Date(a.Date) - new Date(b.Date));
+    const datasets = [];
+    segments.forEach((segment, index) => {
+      const buckets = this.aggregateGPPoints(points.filter(point => point.segment === segment), period);
+      const color = colors[index] || '#3b82f6';
+      const goal = periodKeys.map(key => buckets.get(key)?.goal ?? null);
 
-    // Group by month for timeline
-    const monthlyData = {};
-    allRecords.forEach(record => {
-      const date = new Date(record.Date);
-      const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      datasets.push({
+        label: `${segment} Actual`,
+        data: periodKeys.map(key => buckets.get(key)?.actual ?? null),
+        borderColor: color,
+        backgroundColor: color + '1a',
+        borderWidth: 2,
+        fill: segments.length === 1,
+        tension: 0.4,
+        spanGaps: true
+      });
 
-      if (!monthlyData[monthKey]) {
-        monthlyData[monthKey] = { sales: 0, profit: 0, count: 0 };
+      if (goal.some(value => value !== null)) {
+        datasets.push({
+          label: `${segment} Goal`,
+          data: goal,
+          borderColor: color,
+          borderDash: [6, 4],
+          borderWidth: 2,
+          pointRadius: 0,
+          fill: false,
+          tension: 0.4,
+          spanGaps: true
+        });
       }
-
-      monthlyData[monthKey].sales += record.Sales || 0;
-      monthlyData[monthKey].profit += record['Actual Profit By Item'] || 0;
-      monthlyData[monthKey].count++;
     });
 
-    const sortedMonths = Object.keys(monthlyData).sort();
-    const labels = sortedMonths.map(month => {
-      const [year, monthNum] = month.split('-');
-      return new Date(year, monthNum - 1).toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
-    });
-
-    const salesData = sortedMonths.map(month => monthlyData[month].sales);
-    const profitData = sortedMonths.map(month => monthlyData[month].profit);
-
     // Destroy existing chart if it exists
     if (this.gpTimelineChart) {
       this.gpTimelineChart.destroy();
     }
 
+    const years = [...new Set(points.map(point => point.year))].sort();
+    const yearRange = years.length > 1 ? `${years[0]}-${years[years.length - 1]}` : `${years[0] || ''}`;
     const ctx = canvas.getContext('2d');
     this.gpTimelineChart = new Chart(ctx, {
       type: 'line',
-      data: {
-        labels: labels,
-        datasets: [
-          {
-            label: 'Sales Revenue',
-            data: salesData,
-            borderColor: '#3b82f6',
-            backgroundColor: 'rgba(59, 130, 246, 0.1)',
-            borderWidth: 2,
-            fill: true,
-            tension: 0.4,
-            yAxisID: 'y'
-          },
-          {
-            label: 'Profit',
-            data: profitData,
-            borderColor: '#10b981',
-            backgroundColor: 'rgba(16, 185, 129, 0.1)',
-            borderWidth: 2,
-            fill: false,
-            tension: 0.4,
-            yAxisID: 'y1'
-          }
-        ]
-      },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        plugins: {
-          title: {
-            display: true,
-            text: 'Combined GP Data Timeline (2024-2025)',
-            color: '#ffffff'
-          },
-          legend: {
-            labels: { color: '#ffffff' }
-          }
-        },
-        scales: {
-          x: {
-            ticks: { color: '#ffffff' },
-            grid: { color: 'rgba(255, 255, 255, 0.1)' }
-          },
-          y: {
-            type: 'linear',
-            display: true,
-            position: 'left',
-            ticks: {
-              color: '#ffffff',
-              callback: function (value) {
-                return '$' + value.toLocaleString();
-              }
-            },
-            grid: { color: 'rgba(255, 255, 255, 0.1)' }
-          },
-          y1: {
-            type: 'linear',
-            display: true,
-            position: 'right',
-            ticks: {
-              color: '#ffffff',
-              callback: function (value) {
-                return '$' + value.toLocaleString();
-              }
-            },
-            grid: { drawOnChartArea: false }
-          }
-        }
-      }
+      data: { labels, datasets },
+      options: this.getGPChartOptions(`GP Goal vs. Actual Timeline (${yearRange})`)
     });
   }
 
@@ -5506,7 +10346,7 @@ class ChiefDashboard {
     const drivers = [...new Set(records.map(r => r.Driver || r.driver || r.Employee || r.employee).filter(v => v))];
     const customers = [...new Set(records.map(r => r.Customer || r.customer).filter(v => v))];
     const products = [...new Set(records.map(r => r['Product Type'] || r.product_type || r.Product || r.product).filter(v => v))];
-    const locations = [...new Set(records.map(r => r.Location || r.location || r.City || r.city || r.State || r.state).filter(v => v))];
+    const locations = [...new Set(records.map(r => this.getRecordLocation(r)).filter(v => v))].sort();
 
     // Populate explorer filters
     this.populateDropdown('driver-filter', drivers);
@@ -5523,6 +10363,9 @@ class ChiefDashboard {
     // Populate location mapping product filter
     this.populateDropdown('map-product-select', products, false);
 
+    // Populate calculated field range filter
+    this.populateCalculatedFieldFilter();
+
     // Populate chart builder data selector
     this.populateChartDataSelector();
 
@@ -5650,7 +10493,8 @@ class ChiefDashboard {
   clearFilterDropdowns() {
     const dropdownIds = [
       'driver-filter', 'customer-filter', 'product-filter-explorer', 'location-filter',
-      'recap-driver-filter', 'recap-customer-filter', 'recap-product-filter', 'recap-location-filter'
+      'recap-driver-filter', 'recap-customer-filter', 'recap-product-filter', 'recap-location-filter',
+      'calculated-field-filter'
     ];
 
     dropdownIds.forEach(id => {
@@ -5695,6 +10539,20 @@ class ChiefDashboard {
     }
   }
 
+  /**
+   * Fill the calculated field range filter with the active dataset's calculated fields
+   */
+  populateCalculatedFieldFilter() {
+    const select = document.getElementById('calculated-field-filter');
+    if (!select) return;
+
+    const selected = select.value;
+    const names = (this.currentData?.calculatedFields || []).map(field => field.name);
+
+    select.innerHTML = `<option value="">${names.length > 0 ? 'None' : 'No calculated fields'}</option>` +
+      names.map(name => `<option value="${this.escapeHTML(name)}" ${name === selected ? 'selected' : ''}>${this.escapeHTML(name)}</option>`).join('');
+  }
+
   /**
    * Get current filter values from UI
    */
@@ -5704,6 +10562,10 @@ class ChiefDashboard {
       customers: this.getSelectedValues('customer-filter'),
       products: this.getSelectedValues('product-filter-explorer'),
       locations: this.getSelectedValues('location-filter'),
+      addressStatus: document.getElementById('address-status-filter')?.value || '',
+      calculatedField: document.getElementById('calculated-field-filter')?.value || '',
+      calculatedMin: document.getElementById('calculated-field-min')?.value ?? '',
+      calculatedMax: document.getElementById('calculated-field-max')?.value ?? '',
       dateStart: document.getElementById('date-range-start')?.value,
       dateEnd: document.getElementById('date-range-end')?.value
     };
@@ -5746,10 +10608,27 @@ class ChiefDashboard {
 
       // Location filter
       if (filters.locations.length > 0) {
-        const location = record.Location || record.location || record.City || record.city || record.State || record.state;
+        const location = this.getRecordLocation(record);
         if (!location || !filters.locations.includes(location)) return false;
       }
 
+      // Address status filter - 'pobox' keeps PO box addresses whatever their status
+      if (filters.addressStatus) {
+        if (filters.addressStatus === 'pobox') {
+          if (!record['PO Box']) return false;
+        } else if (record['Address Status'] !== filters.addressStatus) {
+          return false;
+        }
+      }
+
+      // Calculated field range filter - blank results never match a range
+      if (filters.calculatedField && (filters.calculatedMin !== '' || filters.calculatedMax !== '')) {
+        const value = record[filters.calculatedField];
+        if (value === null || value === undefined) return false;
+        if (filters.calculatedMin !== '' && value < Number(filters.calculatedMin)) return false;
+        if (filters.calculatedMax !== '' && value > Number(filters.calculatedMax)) return false;
+      }
+
       // Date range filter
       if (filters.dateStart || filters.dateEnd) {
         const recordDate = new Date(record.Date || record.date);
@@ -5808,6 +10687,8 @@ class ChiefDashboard {
     if (filters.customers.length > 0) activeFilters.push(`${filters.customers.length} customer(s)`);
     if (filters.products.length > 0) activeFilters.push(`${filters.products.length} product(s)`);
     if (filters.locations.length > 0) activeFilters.push(`${filters.locations.length} location(s)`);
+    if (filters.addressStatus) activeFilters.push(filters.addressStatus === 'pobox' ? 'PO boxes' : `${filters.addressStatus} addresses`);
+    if (filters.calculatedField && (filters.calculatedMin !== '' || filters.calculatedMax !== '')) activeFilters.push(`${filters.calculatedField} range`);
     if (filters.dateStart || filters.dateEnd) activeFilters.push('date range');
 
     if (activeFilters.length === 0) {
@@ -5832,6 +10713,11 @@ class ChiefDashboard {
       }
     });
 
+    ['address-status-filter', 'calculated-field-filter', 'calculated-field-min', 'calculated-field-max'].forEach(id => {
+      const element = document.getElementById(id);
+      if (element) element.value = '';
+    });
+
     // Clear date inputs
     const dateStart = document.getElementById('date-range-start');
     const dateEnd = document.getElementById('date-range-end');
@@ -5860,6 +10746,7 @@ class ChiefDashboard {
    */
   generateLocationMap() {
     const mapType = document.getElementById('map-type-select')?.value || 'sales';
+    const groupBy = document.getElementById('map-group-select')?.value || 'city';
 
     if (!this.currentData || !this.currentData.records) {
       this.showNotification('No data available for mapping', 'warning');
@@ -5891,7 +10778,7 @@ class ChiefDashboard {
       console.log(`📍 Using ${dataToMap.length} records for mapping`);
 
       // Process location data
-      const locationData = this.processLocationData(dataToMap, mapType);
+      const locationData = this.processLocationData(dataToMap, mapType, groupBy);
 
       // Create map visualization
       this.createLocationVisualization(locationData, mapType);
@@ -5959,14 +10846,14 @@ class ChiefDashboard {
 
   /**
    * Process location data for mapping
+   * @param {string} groupBy - 'city', 'state' or 'zip'
    */
-  processLocationData(records, mapType) {
+  processLocationData(records, mapType, groupBy = 'city') {
     const locationMap = {};
 
     records.forEach(record => {
       // Extract location information
-      const location = record.Location || record.location || record.City || record.city ||
-        record.State || record.state || record.Address || record.address || 'Unknown';
+      const location = this.getRecordLocation(record, groupBy) || 'Unknown';
 
       if (!locationMap[location]) {
         locationMap[location] = {
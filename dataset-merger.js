@@ -0,0 +1,121 @@
+/**
+ * Chief Petroleum Dataset Merger
+ * Merges newly uploaded records into an existing dataset, de-duplicating on a key column or row fingerprint
+ */
+
+class ChiefDatasetMerger {
+  constructor() {
+    // Fields that make up the default row fingerprint
+    this.fingerprintFields = ['Date', 'Customer', 'Product Type', 'Gallon Qty', 'Sales'];
+
+    // Values calculated from other fields or the product catalog, and where the row sat in its file - ignored when
+    // deciding whether a record changed
+    this.derivedFields = ['ProfitMargin', 'RevenuePerGallon', 'ProductName', 'ProductFamily', 'ProductGrade', 'ProductDyed', 'ProductSegment',
+      'Source Row', 'Source File', 'Source Upload', 'Original Date'];
+  }
+
+  /**
+   * Normalize a value so equivalent spellings compare equal
+   */
+  normalizeValue(value) {
+    if (value === null || value === undefined) return '';
+
+    if (value instanceof Date) {
+      if (isNaN(value.getTime())) return '';
+      const month = String(value.getMonth() + 1).padStart(2, '0');
+      const day = String(value.getDate()).padStart(2, '0');
+      return `${value.getFullYear()}-${month}-${day}`;
+    }
+
+    if (typeof value === 'number') {
+      return value.toFixed(2);
+    }
+
+    return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * Build the de-duplication key for a record
+   * @param {Object} record - Dataset record
+   * @param {string} keyField - Column name, or 'fingerprint' for the default row fingerprint
+   * @returns {string|null} Key, or null if the record has no value for the key column
+   */
+  getRecordKey(record, keyField = 'fingerprint') {
+    if (keyField === 'fingerprint') {
+      return this.fingerprintFields.map(field => this.normalizeValue(record[field])).join('|');
+    }
+
+    const key = this.normalizeValue(record[keyField]);
+    return key === '' ? null : key;
+  }
+
+  /**
+   * Check whether two records hold the same values
+   * @param {string[]} ignoredFields - Extra fields to skip, such as the dataset's calculated fields
+   */
+  recordsEqual(a, b, ignoredFields = []) {
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+    for (const field of fields) {
+      if (this.derivedFields.includes(field) || ignoredFields.includes(field)) continue;
+      if (this.normalizeValue(a[field]) !== this.normalizeValue(b[field])) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Merge new records into existing ones
+   * New records are only matched against the existing ones - the Nth new record with a key pairs with the Nth
+   * existing record with it, so repeated deliveries within one upload are all kept (the duplicate check flags them)
+   * @param {Array} existingRecords - Records already in the dataset
+   * @param {Array} newRecords - Records from the new upload
+   * @param {string} keyField - Column name, or 'fingerprint'
+   * @param {string[]} ignoredFields - Extra fields ignored when comparing records
+   * @returns {Object} { records, added, updated, skipped, addedRecords }
+   */
+  mergeRecords(existingRecords, newRecords, keyField = 'fingerprint', ignoredFields = []) {
+    const records = [...existingRecords];
+    const index = new Map();
+    const matched = new Map();
+    const addedRecords = [];
+    let updated = 0;
+    let skipped = 0;
+
+    records.forEach((record, position) => {
+      const key = this.getRecordKey(record, keyField);
+      if (key === null) return;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(position);
+    });
+
+    newRecords.forEach(record => {
+      const key = this.getRecordKey(record, keyField);
+
+      // Without a key value the record can't be matched - keep it
+      const occurrence = key === null ? 0 : (matched.get(key) || 0);
+      const position = key === null ? undefined : index.get(key)?.[occurrence];
+      if (position === undefined) {
+        records.push(record);
+        addedRecords.push(record);
+        return;
+      }
+
+      matched.set(key, occurrence + 1);
+      if (this.recordsEqual(records[position], record, ignoredFields)) {
+        skipped++;
+      } else {
+        records[position] = record;
+        updated++;
+      }
+    });
+
+    const added = addedRecords.length;
+    console.log(`🔀 Merged records on ${keyField}: ${added} added, ${updated} updated, ${skipped} skipped`);
+    return { records, added, updated, skipped, addedRecords };
+  }
+}
+
+// Export for use in other modules
+window.ChiefDatasetMerger = ChiefDatasetMerger;
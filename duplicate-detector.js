@@ -0,0 +1,176 @@
+/**
+ * Chief Petroleum Duplicate Detector
+ * Finds deliveries that appear twice in a dataset - exact copies, and near copies with the same date, customer,
+ * product and gallons whose sales differ by less than a tolerance
+ */
+
+class ChiefDuplicateDetector {
+  constructor(datasetMerger) {
+    this.datasetMerger = datasetMerger;
+    this.storageKey = 'chief-dashboard-duplicate-settings';
+
+    // Fields that must match for two records to be the same delivery
+    this.matchFields = ['Date', 'Customer', 'Product Type', 'Gallon Qty'];
+
+    this.defaultSettings = {
+      salesTolerance: 1, // Dollars
+      salesTolerancePercent: 1 // Percent of the larger sale - whichever allows more
+    };
+
+    this.settings = this.loadSettings();
+  }
+
+  /**
+   * Load saved settings from localStorage
+   */
+  loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      return { ...this.defaultSettings, ...(saved || {}) };
+    } catch (error) {
+      console.warn('⚠️ Could not read saved duplicate settings:', error);
+      return { ...this.defaultSettings };
+    }
+  }
+
+  /**
+   * Validate and save the sales tolerance
+   */
+  saveSettings(settings) {
+    const merged = { ...this.settings, ...settings };
+
+    ['salesTolerance', 'salesTolerancePercent'].forEach(key => {
+      const value = Number(merged[key]);
+      if (merged[key] === '' || isNaN(value) || value < 0) {
+        throw new Error('Sales tolerance must be zero or more');
+      }
+      merged[key] = value;
+    });
+
+    this.settings = merged;
+    localStorage.setItem(this.storageKey, JSON.stringify(merged));
+    return merged;
+  }
+
+  /**
+   * Build the key two records must share to be compared
+   * @returns {string|null} Null when the record lacks a date, customer or gallons
+   */
+  getMatchKey(record) {
+    const values = this.matchFields.map(field => this.datasetMerger.normalizeValue(record[field]));
+    if (values[0] === '' || values[1] === '' || values[3] === '') return null;
+    return values.join('|');
+  }
+
+  /**
+   * Read sales as a number
+   */
+  getSales(record) {
+    return ChiefFormulaEngine.toNumber(record.Sales) ?? 0;
+  }
+
+  /**
+   * Check whether two sales amounts are within the tolerance
+   */
+  salesWithinTolerance(a, b) {
+    const allowed = Math.max(
+      this.settings.salesTolerance,
+      Math.max(Math.abs(a), Math.abs(b)) * this.settings.salesTolerancePercent / 100
+    );
+    return Math.abs(a - b) <= allowed + 1e-9;
+  }
+
+  /**
+   * Find duplicate candidates
+   * @param {Array} records - Dataset records
+   * @param {string[]} ignoredFields - Fields skipped when deciding whether a pair is an exact copy
+   * @returns {Array} [{ keep, duplicate, match: 'exact'|'near', salesDifference }] - keep is the earlier record's index
+   */
+  detect(records, ignoredFields = []) {
+    const groups = new Map();
+    records.forEach((record, index) => {
+      const key = this.getMatchKey(record);
+      if (key === null) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(index);
+    });
+
+    const pairs = [];
+    groups.forEach(indices => {
+      if (indices.length < 2) return;
+
+      // Each later record pairs with the earliest record it matches that isn't itself a duplicate
+      const originals = [indices[0]];
+      indices.slice(1).forEach(index => {
+        const sales = this.getSales(records[index]);
+        const keep = originals.find(original => this.salesWithinTolerance(this.getSales(records[original]), sales));
+
+        if (keep === undefined) {
+          originals.push(index);
+          return;
+        }
+
+        pairs.push({
+          keep,
+          duplicate: index,
+          match: this.datasetMerger.recordsEqual(records[keep], records[index], ignoredFields) ? 'exact' : 'near',
+          salesDifference: Math.round((sales - this.getSales(records[keep])) * 100) / 100
+        });
+      });
+    });
+
+    console.log(`🧬 Duplicate check: ${pairs.length} candidates (${pairs.filter(pair => pair.match === 'exact').length} exact)`);
+    return pairs;
+  }
+
+  /**
+   * Build the exclusion entry saved with a dataset when a duplicate is excluded
+   */
+  createExclusion(records, pair) {
+    return {
+      key: this.datasetMerger.getRecordKey(records[pair.duplicate]),
+      keptKey: this.datasetMerger.getRecordKey(records[pair.keep]),
+      match: pair.match,
+      record: records[pair.duplicate],
+      excludedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Drop records that an earlier exclusion already removed, e.g. after appending the same export again
+   * Near copies are dropped wherever they appear. An exact copy can't be told apart from the record it duplicates,
+   * so only as many of the newly added copies as were excluded are dropped
+   * @param {Array} records - Merged dataset records
+   * @param {Array} exclusions - The dataset's saved exclusions
+   * @param {Array} addedRecords - Records the merge added
+   * @returns {Object} { records, removed }
+   */
+  applyExclusions(records, exclusions = [], addedRecords = []) {
+    const nearKeys = new Set();
+    const exactCounts = new Map();
+    exclusions.forEach(exclusion => {
+      if (exclusion.key !== exclusion.keptKey) {
+        nearKeys.add(exclusion.key);
+      } else {
+        exactCounts.set(exclusion.key, (exactCounts.get(exclusion.key) || 0) + 1);
+      }
+    });
+    if (nearKeys.size === 0 && exactCounts.size === 0) return { records, removed: 0 };
+
+    const dropped = new Set();
+    addedRecords.forEach(record => {
+      const key = this.datasetMerger.getRecordKey(record);
+      const remaining = exactCounts.get(key) || 0;
+      if (remaining > 0) {
+        dropped.add(record);
+        exactCounts.set(key, remaining - 1);
+      }
+    });
+
+    const kept = records.filter(record => !dropped.has(record) && !nearKeys.has(this.datasetMerger.getRecordKey(record)));
+    return { records: kept, removed: records.length - kept.length };
+  }
+}
+
+// Export for use in other modules
+window.ChiefDuplicateDetector = ChiefDuplicateDetector;
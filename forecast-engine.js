@@ -0,0 +1,391 @@
+/**
+ * Chief Petroleum Forecast Engine
+ * Monthly or weekly forecasts of sales, gallons and profit with prediction intervals, using seasonal naive,
+ * Holt-Winters or linear trend with seasonality, and a holdout backtest to compare the methods
+ */
+
+class ChiefForecastEngine {
+  constructor() {
+    this.methods = {
+      seasonalNaive: 'Seasonal naive',
+      holtWinters: 'Holt-Winters',
+      linearSeasonal: 'Linear trend + seasonality'
+    };
+
+    this.metrics = {
+      sales: { label: 'Sales', field: 'Sales', nonNegative: true },
+      gallons: { label: 'Gallons', field: 'Gallon Qty', nonNegative: true },
+      profit: { label: 'Profit', field: 'Actual Profit By Item', nonNegative: false }
+    };
+
+    this.seasonLengths = { monthly: 12, weekly: 52 };
+    this.zScores = { 80: 1.2816, 95: 1.96 };
+    this.smoothingGrid = [0.1, 0.2, 0.4, 0.6, 0.8]; // Holt-Winters alpha/beta/gamma candidates
+    this.minPeriods = 3;
+  }
+
+  /**
+   * Key of the period a date falls in: 'YYYY-MM' by month, the Sunday starting the week ('YYYY-MM-DD') by week
+   */
+  getPeriodKey(date, period) {
+    if (period === 'weekly') {
+      const start = new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+      return `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}`;
+    }
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * First day of a period key
+   */
+  getPeriodStart(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day || 1);
+  }
+
+  /**
+   * Key of the period a number of steps after another
+   */
+  getNextKey(key, period, steps = 1) {
+    const start = this.getPeriodStart(key);
+    const next = period === 'weekly'
+      ? new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7 * steps)
+      : new Date(start.getFullYear(), start.getMonth() + steps, 1);
+    return this.getPeriodKey(next, period);
+  }
+
+  /**
+   * Total a metric per period, with empty periods between the first and last as zero
+   * A last period the data doesn't reach the end of (e.g. a month loaded to the 8th) is left out, since a part
+   * period would drag every method down
+   * @returns {Object} { keys, values, partialKey } - partialKey is the period left out, or null
+   */
+  buildSeries(records, metricKey, period) {
+    const { field } = this.metrics[metricKey];
+    const totals = new Map();
+    let lastDate = null;
+
+    records.forEach(record => {
+      const date = new Date(record.Date);
+      if (isNaN(date.getTime())) return;
+
+      const value = ChiefFormulaEngine.toNumber(record[field]) ?? 0;
+      const key = this.getPeriodKey(date, period);
+      totals.set(key, (totals.get(key) || 0) + value);
+      if (!lastDate || date > lastDate) lastDate = date;
+    });
+
+    if (totals.size === 0) return { keys: [], values: [], partialKey: null };
+
+    const sorted = [...totals.keys()].sort();
+    const keys = [];
+    for (let key = sorted[0]; key <= sorted[sorted.length - 1]; key = this.getNextKey(key, period)) {
+      keys.push(key);
+    }
+
+    const lastKey = keys[keys.length - 1];
+    const lastDay = new Date(lastDate.getFullYear(), lastDate.getMonth(), lastDate.getDate());
+    const nextStart = this.getPeriodStart(this.getNextKey(lastKey, period));
+    const periodEnd = new Date(nextStart.getFullYear(), nextStart.getMonth(), nextStart.getDate() - 1);
+    const partialKey = lastDay < periodEnd ? lastKey : null;
+
+    const usedKeys = partialKey ? keys.slice(0, -1) : keys;
+    return { keys: usedKeys, values: usedKeys.map(key => totals.get(key) || 0), partialKey };
+  }
+
+  /**
+   * Seasonal naive: each period repeats the same period one season earlier (or the last value without a full season)
+   * @returns {Object} Model: { label, note, fitted, forecast(h), spread(h) }
+   */
+  fitSeasonalNaive(values, seasonLength) {
+    const m = values.length >= seasonLength ? seasonLength : 1;
+    const n = values.length;
+
+    return {
+      label: this.methods.seasonalNaive,
+      note: m === 1 ? `Less than a full season (${seasonLength} periods) of history - repeats the last value` : '',
+      fitted: values.map((_, t) => (t >= m ? values[t - m] : null)),
+      forecast: (h) => values[n - m + ((h - 1) % m)],
+      spread: (h) => Math.sqrt(Math.floor((h - 1) / m) + 1)
+    };
+  }
+
+  /**
+   * Run additive Holt-Winters (or Holt's linear trend when seasonLength is 1) with fixed smoothing parameters
+   * @returns {Object} { sse, fitted, level, trend, seasonals }
+   */
+  runHoltWinters(values, seasonLength, alpha, beta, gamma) {
+    const m = seasonLength;
+    const n = values.length;
+    const fitted = new Array(n).fill(null);
+    let level;
+    let trend;
+    let seasonals;
+    let start;
+
+    if (m > 1) {
+      const mean = (from) => values.slice(from, from + m).reduce((sum, value) => sum + value, 0) / m;
+      level = mean(0);
+      trend = (mean(m) - mean(0)) / m;
+      seasonals = values.slice(0, m).map(value => value - level);
+      start = m;
+    } else {
+      level = values[0];
+      trend = values[1] - values[0];
+      seasonals = [0];
+      start = 1;
+    }
+
+    let sse = 0;
+    for (let t = start; t < n; t++) {
+      const seasonal = seasonals[(t - start) % m];
+      fitted[t] = level + trend + seasonal;
+      sse += (values[t] - fitted[t]) ** 2;
+
+      const newLevel = alpha * (values[t] - seasonal) + (1 - alpha) * (level + trend);
+      trend = beta * (newLevel - level) + (1 - beta) * trend;
+      if (m > 1) {
+        seasonals[(t - start) % m] = gamma * (values[t] - newLevel) + (1 - gamma) * seasonal;
+      }
+      level = newLevel;
+    }
+
+    // Rotate so seasonals[0] belongs to the first period after the data
+    const offset = (n - start) % m;
+    return { sse, fitted, level, trend, seasonals: [...seasonals.slice(offset), ...seasonals.slice(0, offset)] };
+  }
+
+  /**
+   * Holt-Winters: additive level, trend and season, smoothing parameters picked by grid search on in-sample error
+   * Without two full seasons of history the season can't be estimated and Holt's linear trend is used instead
+   */
+  fitHoltWinters(values, seasonLength) {
+    const m = values.length >= seasonLength * 2 ? seasonLength : 1;
+    const gammas = m > 1 ? this.smoothingGrid : [0];
+
+    let best = null;
+    this.smoothingGrid.forEach(alpha => {
+      this.smoothingGrid.forEach(beta => {
+        gammas.forEach(gamma => {
+          const run = this.runHoltWinters(values, m, alpha, beta, gamma);
+          if (!best || run.sse < best.run.sse) best = { alpha, beta, gamma, run };
+        });
+      });
+    });
+
+    const { alpha, beta, gamma, run } = best;
+    return {
+      label: this.methods.holtWinters,
+      note: m === 1
+        ? `Less than two seasons (${seasonLength * 2} periods) of history - uses Holt's linear trend without seasonality`
+        : '',
+      parameters: { alpha, beta, gamma },
+      fitted: run.fitted,
+      forecast: (h) => run.level + h * run.trend + run.seasonals[(h - 1) % m],
+      // Forecast variance multiplier of the additive model: 1 + sum of c_j² with c_j = α(1 + jβ) + γ(1 − α) every season
+      spread: (h) => {
+        let variance = 1;
+        for (let j = 1; j < h; j++) {
+          const c = alpha * (1 + j * beta) + (m > 1 && j % m === 0 ? gamma * (1 - alpha) : 0);
+          variance += c * c;
+        }
+        return Math.sqrt(variance);
+      }
+    };
+  }
+
+  /**
+   * Linear trend with seasonality: a least-squares trend plus the average deviation of each period of the season
+   * Needs two full seasons to estimate the season; with less history only the trend is fitted
+   */
+  fitLinearSeasonal(values, seasonLength) {
+    const n = values.length;
+    const m = n >= seasonLength * 2 ? seasonLength : 1;
+
+    const fitLine = (series) => {
+      const meanX = (n - 1) / 2;
+      const meanY = series.reduce((sum, value) => sum + value, 0) / n;
+      let sxy = 0;
+      let sxx = 0;
+      series.forEach((value, x) => {
+        sxy += (x - meanX) * (value - meanY);
+        sxx += (x - meanX) ** 2;
+      });
+      const slope = sxx > 0 ? sxy / sxx : 0;
+      return { intercept: meanY - slope * meanX, slope, meanX, sxx };
+    };
+
+    // Trend, season from the detrended values (centred on zero), then the trend again without the season
+    let line = fitLine(values);
+    const seasonals = new Array(m).fill(0);
+    if (m > 1) {
+      const counts = new Array(m).fill(0);
+      values.forEach((value, x) => {
+        seasonals[x % m] += value - (line.intercept + line.slope * x);
+        counts[x % m]++;
+      });
+      seasonals.forEach((sum, index) => { seasonals[index] = sum / counts[index]; });
+      const mean = seasonals.reduce((sum, value) => sum + value, 0) / m;
+      seasonals.forEach((value, index) => { seasonals[index] = value - mean; });
+      line = fitLine(values.map((value, x) => value - seasonals[x % m]));
+    }
+
+    const predict = (x) => line.intercept + line.slope * x + seasonals[x % m];
+    return {
+      label: this.methods.linearSeasonal,
+      note: m === 1 ? `Less than two seasons (${seasonLength * 2} periods) of history - fits the trend only` : '',
+      parameters: { slope: line.slope },
+      degreesOfFreedom: Math.max(1, n - 2 - (m - 1)),
+      fitted: values.map((_, x) => predict(x)),
+      forecast: (h) => predict(n - 1 + h),
+      spread: (h) => Math.sqrt(1 + 1 / n + (line.sxx > 0 ? ((n - 1 + h - line.meanX) ** 2) / line.sxx : 0))
+    };
+  }
+
+  /**
+   * Fit a method to a series
+   */
+  fit(method, values, seasonLength) {
+    switch (method) {
+      case 'seasonalNaive':
+        return this.fitSeasonalNaive(values, seasonLength);
+      case 'holtWinters':
+        return this.fitHoltWinters(values, seasonLength);
+      case 'linearSeasonal':
+        return this.fitLinearSeasonal(values, seasonLength);
+      default:
+        throw new Error(`Unknown forecast method "${method}"`);
+    }
+  }
+
+  /**
+   * Standard deviation of a model's in-sample one-step errors
+   */
+  getSigma(model, values) {
+    const errors = model.fitted
+      .map((fitted, t) => (fitted === null ? null : values[t] - fitted))
+      .filter(error => error !== null);
+    if (errors.length === 0) return 0;
+
+    const degrees = model.degreesOfFreedom || errors.length;
+    return Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / degrees);
+  }
+
+  /**
+   * Check the forecast options and build the series
+   */
+  prepare(records, { metric, period }) {
+    if (!this.metrics[metric]) {
+      throw new Error(`Unknown forecast metric "${metric}"`);
+    }
+    if (!this.seasonLengths[period]) {
+      throw new Error('Forecasts are by month or by week');
+    }
+
+    const series = this.buildSeries(records, metric, period);
+    if (series.values.length < this.minPeriods) {
+      throw new Error(`Forecasting needs at least ${this.minPeriods} complete ${period === 'weekly' ? 'weeks' : 'months'} of history`);
+    }
+    return series;
+  }
+
+  /**
+   * Forecast a metric
+   * @param {Array} records - Transaction records
+   * @param {Object} options - { metric, period: 'monthly'|'weekly', method, horizon, level: 80|95 }
+   * @returns {Object} { method, label, note, metric, period, level, keys, values, lower, upper, anchorKey, anchorValue,
+   *   partialKey, sigma } - anchor is the last history period the forecast line starts from
+   */
+  forecast(records, { metric = 'sales', period = 'monthly', method = 'holtWinters', horizon = 6, level = 80 } = {}) {
+    const series = this.prepare(records, { metric, period });
+    const steps = Math.round(Number(horizon));
+    if (!(steps >= 1 && steps <= 104)) {
+      throw new Error('Forecast horizon must be between 1 and 104 periods');
+    }
+
+    const model = this.fit(method, series.values, this.seasonLengths[period]);
+    const sigma = this.getSigma(model, series.values);
+    const z = this.zScores[level] || this.zScores[80];
+    const clamp = (value) => (this.metrics[metric].nonNegative ? Math.max(0, value) : value);
+
+    const lastKey = series.keys[series.keys.length - 1];
+    const keys = [];
+    const values = [];
+    const lower = [];
+    const upper = [];
+    for (let h = 1; h <= steps; h++) {
+      const value = model.forecast(h);
+      const margin = z * sigma * model.spread(h);
+      keys.push(this.getNextKey(lastKey, period, h));
+      values.push(clamp(value));
+      lower.push(clamp(value - margin));
+      upper.push(clamp(value + margin));
+    }
+
+    console.log(`🔮 ${model.label} forecast of ${this.metrics[metric].label.toLowerCase()}: ${steps} ${period} periods from ${series.keys.length} of history`);
+    return {
+      method,
+      label: model.label,
+      note: model.note,
+      metric,
+      period,
+      level: this.zScores[level] ? level : 80,
+      keys,
+      values,
+      lower,
+      upper,
+      anchorKey: lastKey,
+      anchorValue: series.values[series.values.length - 1],
+      partialKey: series.partialKey,
+      sigma
+    };
+  }
+
+  /**
+   * Backtest every method: fit on all but the last periods, forecast them and compare with what happened
+   * @param {Array} records - Transaction records
+   * @param {Object} options - { metric, period, horizon, level }
+   * @returns {Object} { holdout, keys, actuals, results: [{ method, label, note, forecasts, mae, rmse, mape, coverage }] }
+   *   results are sorted by RMSE; coverage is the share of actuals inside the prediction interval
+   */
+  backtest(records, { metric = 'sales', period = 'monthly', horizon = 6, level = 80 } = {}) {
+    const series = this.prepare(records, { metric, period });
+    const holdout = Math.min(Math.round(Number(horizon)) || 1, series.values.length - this.minPeriods);
+    if (holdout < 1) {
+      throw new Error(`Backtesting needs more than ${this.minPeriods} complete periods of history`);
+    }
+
+    const training = series.values.slice(0, -holdout);
+    const actuals = series.values.slice(-holdout);
+    const z = this.zScores[level] || this.zScores[80];
+
+    const results = Object.keys(this.methods).map(method => {
+      const model = this.fit(method, training, this.seasonLengths[period]);
+      const sigma = this.getSigma(model, training);
+      const forecasts = actuals.map((_, index) => model.forecast(index + 1));
+
+      const errors = actuals.map((actual, index) => actual - forecasts[index]);
+      const percentErrors = actuals
+        .map((actual, index) => (actual !== 0 ? Math.abs(errors[index] / actual) * 100 : null))
+        .filter(value => value !== null);
+      const inside = actuals.filter((actual, index) => Math.abs(actual - forecasts[index]) <= z * sigma * model.spread(index + 1)).length;
+
+      return {
+        method,
+        label: model.label,
+        note: model.note,
+        forecasts,
+        mae: errors.reduce((sum, error) => sum + Math.abs(error), 0) / holdout,
+        rmse: Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / holdout),
+        mape: percentErrors.length > 0 ? percentErrors.reduce((sum, value) => sum + value, 0) / percentErrors.length : null,
+        coverage: (inside / holdout) * 100
+      };
+    }).sort((a, b) => a.rmse - b.rmse);
+
+    console.log(`🧪 Forecast backtest on the last ${holdout} ${period} periods: best ${results[0].label}`);
+    return { holdout, keys: series.keys.slice(-holdout), actuals, results, partialKey: series.partialKey };
+  }
+}
+
+// Export for use in other modules
+window.ChiefForecastEngine = ChiefForecastEngine;
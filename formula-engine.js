@@ -0,0 +1,311 @@
+/**
+ * Chief Petroleum Formula Engine
+ * Parses and evaluates calculated-field formulas such as "[Actual Profit By Item] / [Gallon Qty]".
+ * Formulas are parsed into a syntax tree and evaluated by walking it - nothing is ever passed to eval or Function.
+ */
+
+class ChiefFormulaEngine {
+  constructor() {
+    this.maxLength = 500; // Longest formula accepted
+
+    // Functions available in formulas
+    this.functions = {
+      ABS: { minArgs: 1, maxArgs: 1, apply: ([value]) => Math.abs(value) },
+      ROUND: {
+        minArgs: 1,
+        maxArgs: 2,
+        apply: ([value, digits = 0]) => {
+          const factor = Math.pow(10, Math.round(digits));
+          return Math.round(value * factor) / factor;
+        }
+      },
+      MIN: { minArgs: 1, maxArgs: Infinity, apply: (values) => Math.min(...values) },
+      MAX: { minArgs: 1, maxArgs: Infinity, apply: (values) => Math.max(...values) },
+      IF: { minArgs: 3, maxArgs: 3, lazy: true } // Only the chosen branch is evaluated
+    };
+
+    // Binary operators, lowest precedence first
+    this.precedence = [
+      ['=', '<>', '<', '<=', '>', '>='],
+      ['+', '-'],
+      ['*', '/', '%']
+    ];
+  }
+
+  /**
+   * Split a formula into tokens
+   * @returns {Array} [{ type: 'number'|'column'|'name'|'operator'|'paren'|'comma', value, position }]
+   */
+  tokenize(formula) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < formula.length) {
+      const char = formula[position];
+      const rest = formula.slice(position);
+
+      if (/\s/.test(char)) {
+        position++;
+        continue;
+      }
+
+      if (char === '[') {
+        const end = formula.indexOf(']', position);
+        if (end === -1) {
+          throw new Error(`Column name starting at position ${position + 1} is missing its closing "]"`);
+        }
+        const name = formula.slice(position + 1, end).trim();
+        if (!name) {
+          throw new Error(`Empty column name at position ${position + 1}`);
+        }
+        tokens.push({ type: 'column', value: name, position });
+        position = end + 1;
+        continue;
+      }
+
+      const number = rest.match(/^(\d+\.?\d*|\.\d+)/);
+      if (number) {
+        tokens.push({ type: 'number', value: Number(number[1]), position });
+        position += number[1].length;
+        continue;
+      }
+
+      const name = rest.match(/^[A-Za-z_]\w*/);
+      if (name) {
+        tokens.push({ type: 'name', value: name[0].toUpperCase(), position });
+        position += name[0].length;
+        continue;
+      }
+
+      const operator = rest.match(/^(<>|<=|>=|[-+*/%=<>])/);
+      if (operator) {
+        tokens.push({ type: 'operator', value: operator[1], position });
+        position += operator[1].length;
+        continue;
+      }
+
+      if (char === '(' || char === ')') {
+        tokens.push({ type: 'paren', value: char, position });
+        position++;
+        continue;
+      }
+
+      if (char === ',') {
+        tokens.push({ type: 'comma', value: char, position });
+        position++;
+        continue;
+      }
+
+      throw new Error(`Unexpected "${char}" at position ${position + 1}`);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse and validate a formula
+   * @param {string} formula - Formula text
+   * @param {string[]} columns - Columns the formula may reference
+   * @returns {Object} { formula, ast, columns } - columns lists the referenced columns
+   */
+  compile(formula, columns) {
+    const text = String(formula ?? '').trim();
+    if (!text) {
+      throw new Error('Formula is empty');
+    }
+    if (text.length > this.maxLength) {
+      throw new Error(`Formula is longer than ${this.maxLength} characters`);
+    }
+
+    const tokens = this.tokenize(text);
+    const referenced = new Set();
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const describe = (token) => (token ? `"${token.value}" at position ${token.position + 1}` : 'end of formula');
+    const expect = (type, value) => {
+      const token = tokens[index];
+      if (!token || token.type !== type || (value !== undefined && token.value !== value)) {
+        throw new Error(`Expected "${value ?? type}" but found ${describe(token)}`);
+      }
+      index++;
+      return token;
+    };
+
+    const parseBinary = (level) => {
+      if (level === this.precedence.length) return parseUnary();
+
+      let left = parseBinary(level + 1);
+      while (peek() && peek().type === 'operator' && this.precedence[level].includes(peek().value)) {
+        const operator = tokens[index++].value;
+        left = { type: 'binary', operator, left, right: parseBinary(level + 1) };
+      }
+      return left;
+    };
+
+    const parseUnary = () => {
+      const token = peek();
+      if (token && token.type === 'operator' && (token.value === '-' || token.value === '+')) {
+        index++;
+        const operand = parseUnary();
+        return token.value === '-' ? { type: 'negate', operand } : operand;
+      }
+      return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+      const token = tokens[index++];
+
+      if (!token) {
+        throw new Error('Formula ends unexpectedly');
+      }
+
+      if (token.type === 'number') {
+        return { type: 'number', value: token.value };
+      }
+
+      if (token.type === 'column') {
+        const column = columns.find(name => name === token.value) ||
+          columns.find(name => name.toLowerCase() === token.value.toLowerCase());
+        if (!column) {
+          throw new Error(`Unknown column [${token.value}]`);
+        }
+        referenced.add(column);
+        return { type: 'column', name: column };
+      }
+
+      if (token.type === 'name') {
+        const definition = this.functions[token.value];
+        if (!definition) {
+          throw new Error(`Unknown function ${token.value} - wrap column names in [brackets]`);
+        }
+
+        expect('paren', '(');
+        const args = [];
+        if (!(peek() && peek().type === 'paren' && peek().value === ')')) {
+          args.push(parseBinary(0));
+          while (peek() && peek().type === 'comma') {
+            index++;
+            args.push(parseBinary(0));
+          }
+        }
+        expect('paren', ')');
+
+        if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+          const expected = definition.minArgs === definition.maxArgs ? definition.minArgs
+            : definition.maxArgs === Infinity ? `at least ${definition.minArgs}` : `${definition.minArgs}-${definition.maxArgs}`;
+          throw new Error(`${token.value} takes ${expected} argument(s), got ${args.length}`);
+        }
+        return { type: 'call', name: token.value, args };
+      }
+
+      if (token.type === 'paren' && token.value === '(') {
+        const expression = parseBinary(0);
+        expect('paren', ')');
+        return expression;
+      }
+
+      throw new Error(`Unexpected ${describe(token)}`);
+    };
+
+    const ast = parseBinary(0);
+    if (index < tokens.length) {
+      throw new Error(`Unexpected ${describe(tokens[index])}`);
+    }
+
+    return { formula: text, ast, columns: [...referenced] };
+  }
+
+  /**
+   * Read a record value as a number ("$1,234.50", "(12)" and numbers); blanks and text are null
+   */
+  toNumber(value) {
+    return ChiefFormulaEngine.toNumber(value);
+  }
+
+  /**
+   * Read a record value as a number ("$1,234.50", "(12)" and numbers); blanks and text are null
+   * The one number reader for record values, so every check reads a cell the same way
+   */
+  static toNumber(value) {
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    if (value === null || value === undefined || typeof value === 'boolean') return null;
+
+    const text = String(value).trim();
+    const negative = /^\(.*\)$/.test(text);
+    const cleaned = text.replace(/[$,\s()%]/g, '');
+    if (!/^-?(\d+\.?\d*|\.\d+)$/.test(cleaned)) return null;
+
+    const number = Number(cleaned);
+    return negative ? -number : number;
+  }
+
+  /**
+   * Evaluate a compiled formula against a record
+   * @param {Object} compiled - Result of compile()
+   * @param {Object} record - Dataset record
+   * @returns {number|null} Result, or null when an input is blank or the result is undefined (e.g. division by zero)
+   */
+  evaluate(compiled, record) {
+    const result = this.evaluateNode(compiled.ast, record);
+    if (result === null || !isFinite(result)) return null;
+
+    // Drop floating-point noise (0.1 + 0.2 → 0.3)
+    return Math.round(result * 1e9) / 1e9;
+  }
+
+  /**
+   * Evaluate one syntax tree node
+   */
+  evaluateNode(node, record) {
+    switch (node.type) {
+      case 'number':
+        return node.value;
+
+      case 'column':
+        return this.toNumber(record[node.name]);
+
+      case 'negate': {
+        const value = this.evaluateNode(node.operand, record);
+        return value === null ? null : -value;
+      }
+
+      case 'call': {
+        if (node.name === 'IF') {
+          const condition = this.evaluateNode(node.args[0], record);
+          if (condition === null) return null;
+          return this.evaluateNode(condition !== 0 ? node.args[1] : node.args[2], record);
+        }
+
+        const values = node.args.map(arg => this.evaluateNode(arg, record));
+        if (values.some(value => value === null)) return null;
+        return this.functions[node.name].apply(values);
+      }
+
+      case 'binary': {
+        const left = this.evaluateNode(node.left, record);
+        const right = this.evaluateNode(node.right, record);
+        if (left === null || right === null) return null;
+
+        switch (node.operator) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return right === 0 ? null : left / right;
+          case '%': return right === 0 ? null : left % right;
+          case '=': return left === right ? 1 : 0;
+          case '<>': return left !== right ? 1 : 0;
+          case '<': return left < right ? 1 : 0;
+          case '<=': return left <= right ? 1 : 0;
+          case '>': return left > right ? 1 : 0;
+          case '>=': return left >= right ? 1 : 0;
+        }
+      }
+    }
+
+    throw new Error(`Unsupported formula node "${node.type}"`);
+  }
+}
+
+// Export for use in other modules
+window.ChiefFormulaEngine = ChiefFormulaEngine;
@@ -0,0 +1,173 @@
+/**
+ * Chief Petroleum GP Exporter
+ * Writes GP progress in the layout of the hand-built "Sales Trend Dashboard - Data-gp-YYYY.csv" files:
+ * a DatesYY_1 column, month-to-date goal/actual pairs per segment and the month-to-date percent columns
+ */
+
+class ChiefGPExporter {
+  constructor(gpReconciler) {
+    this.gpReconciler = gpReconciler;
+
+    // Goal/actual column pairs in file order. The spreadsheet's Hauling actual header has a double space,
+    // kept so downstream lookups by header keep working.
+    this.columnPairs = [
+      { segment: 'Tankwagon', goal: 'TW Running Total Goal', actual: 'TW Rolling Total Actual QB' },
+      { segment: 'Hauling', goal: 'Hauling Running Total Goal', actual: 'Hauling  Rolling Total Actual QB' },
+      { segment: 'Transport Fuels', goal: 'Transport Fuels Running Total Goal', actual: 'Transport Fuels Rolling Total Actual QB' },
+      { segment: 'Lubes/Dooley', goal: 'Lubes/Dooley Running Total Goal', actual: 'Lubes/Dooley Rolling Total Actual QB' },
+      { segment: 'Chief', goal: 'Chief Running Total Goal', actual: 'Chief Rolling Total Actual QB' }
+    ];
+
+    // Percent columns come after the pairs, in the spreadsheet's own order
+    this.percentColumns = [
+      { segment: 'Lubes/Dooley', header: 'Lubes/Dooley %' },
+      { segment: 'Hauling', header: 'Hauling %' },
+      { segment: 'Tankwagon', header: 'Tankwagon %' },
+      { segment: 'Transport Fuels', header: 'Transport Fuels %' },
+      { segment: 'Chief', header: 'Chief %' }
+    ];
+  }
+
+  /**
+   * Header row for a year ("Dates25_1", "TW Running Total Goal25", ...)
+   */
+  getHeaders(year) {
+    const suffix = String(year).slice(-2);
+    return [
+      `Dates${suffix}_1`,
+      ...this.columnPairs.flatMap(pair => [`${pair.goal}${suffix}`, `${pair.actual}${suffix}`]),
+      ...this.percentColumns.map(column => `${column.header}${suffix}`)
+    ];
+  }
+
+  /**
+   * Format a dollar amount the way the spreadsheet exports it ("$29,317.78 ", "-$4,638.74 ")
+   */
+  formatCurrency(value) {
+    if (value === null || value === undefined) return '';
+    const text = Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${value < -0.005 ? '-' : ''}$${text} `;
+  }
+
+  /**
+   * Month-to-date percent of actual over goal ("-7%"), blank without a goal
+   */
+  formatPercent(actual, goal) {
+    if (actual === null || !goal) return '';
+    return `${Math.round(((actual - goal) / Math.abs(goal)) * 100)}%`;
+  }
+
+  /**
+   * Daily transaction profit per segment, for exporting transaction-based actuals
+   * @returns {Map} Segment → Map(day time → profit)
+   */
+  getTransactionActuals(records, year) {
+    const reconciler = this.gpReconciler;
+    const actuals = new Map(this.columnPairs.map(pair => [pair.segment, new Map()]));
+
+    records.forEach(record => {
+      const day = reconciler.getDay(record.Date);
+      if (!day || day.getFullYear() !== year) return;
+
+      const profit = reconciler.toNumber(record[reconciler.profitField]);
+      actuals.forEach((days, segment) => {
+        if (!reconciler.inSegment(record, segment)) return;
+        days.set(day.getTime(), (days.get(day.getTime()) || 0) + profit);
+      });
+    });
+    return actuals;
+  }
+
+  /**
+   * Build the month-to-date goal and actual of every segment for each reporting date of a year
+   * Dates are the GP file's dates, plus every transaction date when actuals come from transactions.
+   * Running totals restart each month, like the spreadsheet.
+   * @param {Array} points - GP points (goals, and actuals unless transactionActuals is given)
+   * @param {number} year - Year to export
+   * @param {Map|null} transactionActuals - Result of getTransactionActuals(), or null for the GP files' actuals
+   * @returns {Array} [{ date, segments: { [segment]: { goal, actual } } }] - null where nothing is known yet
+   */
+  buildRows(points, year, transactionActuals = null) {
+    const reconciler = this.gpReconciler;
+    const daily = new Map(); // day time → segment → { goal, actual }
+    const entry = (time, segment) => {
+      if (!daily.has(time)) daily.set(time, {});
+      const segments = daily.get(time);
+      if (!segments[segment]) segments[segment] = { goal: null, actual: null };
+      return segments[segment];
+    };
+
+    points.filter(point => point.year === year).forEach(point => {
+      const day = reconciler.getDay(point.date);
+      if (!day) return;
+
+      const values = entry(day.getTime(), point.segment);
+      if (point.goal !== null) values.goal = (values.goal || 0) + point.goal;
+      if (!transactionActuals && point.actual !== null) values.actual = (values.actual || 0) + point.actual;
+    });
+
+    if (transactionActuals) {
+      transactionActuals.forEach((days, segment) => {
+        days.forEach((profit, time) => {
+          entry(time, segment).actual = profit;
+        });
+      });
+    }
+
+    const rows = [];
+    let month = null;
+    let toDate = {};
+
+    [...daily.keys()].sort((a, b) => a - b).forEach(time => {
+      const date = new Date(time);
+      if (date.getMonth() !== month) {
+        month = date.getMonth();
+        toDate = {};
+      }
+
+      const segments = {};
+      this.columnPairs.forEach(({ segment }) => {
+        const values = daily.get(time)[segment];
+        const running = toDate[segment] || (toDate[segment] = { goal: null, actual: null });
+
+        ['goal', 'actual'].forEach(measure => {
+          if (values && values[measure] !== null) running[measure] = (running[measure] || 0) + values[measure];
+        });
+        if (transactionActuals && running.actual === null) running.actual = 0;
+
+        segments[segment] = { ...running };
+      });
+      rows.push({ date, segments });
+    });
+
+    return rows;
+  }
+
+  /**
+   * Write rows from buildRows() as CSV text in the GP file layout
+   */
+  toCSV(rows, year) {
+    const escapeCSV = (value) => {
+      const text = String(value ?? '');
+      return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+
+    const lines = [this.getHeaders(year).map(escapeCSV).join(',')];
+    rows.forEach(({ date, segments }) => {
+      lines.push([
+        `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`,
+        ...this.columnPairs.flatMap(({ segment }) => [
+          this.formatCurrency(segments[segment].goal),
+          this.formatCurrency(segments[segment].actual)
+        ]),
+        ...this.percentColumns.map(({ segment }) => this.formatPercent(segments[segment].actual, segments[segment].goal))
+      ].map(escapeCSV).join(','));
+    });
+
+    console.log(`📤 GP export ${year}: ${rows.length} dates`);
+    return lines.join('\n') + '\n';
+  }
+}
+
+// Export for use in other modules
+window.ChiefGPExporter = ChiefGPExporter;
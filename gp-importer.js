@@ -0,0 +1,217 @@
+/**
+ * Chief Petroleum GP Importer
+ * Reads the GP goals/actuals layouts (year-suffixed headers such as "Dates25_1",
+ * "TW Running Total Goal25" or "Hauling Income Daily24") into a normalized
+ * segment × date × { goal, actual, variance } model.
+ */
+
+class ChiefGPImporter {
+  constructor() {
+    // Segments in display order
+    this.segments = ['Tankwagon', 'Hauling', 'Transport Fuels', 'Lubes/Dooley', 'Chief'];
+
+    // Header prefixes for each segment, longest first so "Hauling Income" wins over "Hauling".
+    // Lubes and Dooley are reported separately in some years and summed into Lubes/Dooley.
+    this.segmentAliases = [
+      { alias: 'lubes/dooley', segment: 'Lubes/Dooley', component: 'Lubes/Dooley' },
+      { alias: 'lubes & dooley', segment: 'Lubes/Dooley', component: 'Lubes/Dooley' },
+      { alias: 'transport fuels', segment: 'Transport Fuels', component: 'Transport Fuels' },
+      { alias: 'chief petroleum', segment: 'Chief', component: 'Chief' },
+      { alias: 'hauling income', segment: 'Hauling', component: 'Hauling' },
+      { alias: 'tank wagon', segment: 'Tankwagon', component: 'Tankwagon' },
+      { alias: 'tankwagon', segment: 'Tankwagon', component: 'Tankwagon' },
+      { alias: 'transport', segment: 'Transport Fuels', component: 'Transport Fuels' },
+      { alias: 'hauling', segment: 'Hauling', component: 'Hauling' },
+      { alias: 'dooley', segment: 'Lubes/Dooley', component: 'Dooley' },
+      { alias: 'lubes', segment: 'Lubes/Dooley', component: 'Lubes' },
+      { alias: 'chief', segment: 'Chief', component: 'Chief' },
+      { alias: 'tw', segment: 'Tankwagon', component: 'Tankwagon' }
+    ];
+  }
+
+  /**
+   * Split the year suffix off a header ("TW Running Total Goal25" → base + 2025, "Dates25_1" → "Dates" + 2025)
+   * @returns {Object} { base, year }
+   */
+  splitHeaderYear(header) {
+    const cleaned = String(header).trim().replace(/\s+/g, ' ');
+    const match = cleaned.match(/^(.*?)\s*(\d{2})(?:_\d+)?$/);
+
+    if (!match || !match[1]) {
+      return { base: cleaned, year: null };
+    }
+    return { base: match[1].trim(), year: 2000 + Number(match[2]) };
+  }
+
+  /**
+   * Work out what a GP column holds
+   * @returns {Object|null} { segment, component, measure: 'goal'|'actual'|'pct', basis: 'daily'|'running' } or null
+   */
+  classifyColumn(header) {
+    const { base } = this.splitHeaderYear(header);
+    const lower = base.toLowerCase();
+
+    const match = this.segmentAliases.find(({ alias }) => lower === alias || lower.startsWith(alias + ' ') || lower.startsWith(alias + '%'));
+    if (!match) return null;
+
+    const rest = lower.slice(match.alias.length);
+    const basis = /\b(running|rolling|total)\b/.test(rest) ? 'running' : 'daily';
+
+    let measure = null;
+    if (rest.includes('%')) {
+      measure = 'pct';
+    } else if (/\b(goal|estimate|budget|target)\b/.test(rest)) {
+      measure = 'goal';
+    } else if (/\b(actual|daily|rolling|running|income)\b/.test(rest)) {
+      measure = 'actual';
+    }
+
+    if (!measure) return null;
+    return { segment: match.segment, component: match.component, measure, basis };
+  }
+
+  /**
+   * Find the "Dates24"/"Dates25_1" column
+   * @returns {number} Column index, or -1 if there is none
+   */
+  getDateColumnIndex(headers) {
+    return headers.findIndex(header => /^dates?$/i.test(this.splitHeaderYear(header).base));
+  }
+
+  /**
+   * Check whether headers look like a GP goals/actuals file
+   */
+  isGPLayout(headers) {
+    const lowerHeaders = headers.map(header => String(header).toLowerCase());
+    return lowerHeaders.some(header => /^dates?\s*\d{2}/.test(header)) ||
+      lowerHeaders.filter(header => /\b(goal|rolling)\b/.test(header)).length >= 2;
+  }
+
+  /**
+   * Parse a GP file's rows into the normalized model
+   * @param {string[][]} rows - Parsed rows, header row first
+   * @param {Object} parsers - { parseDate(value), parseNumber(value) }
+   * @returns {Object} { years, segments, points, columns, ignoredColumns }
+   */
+  parseRows(rows, { parseDate, parseNumber }) {
+    if (rows.length < 2) {
+      throw new Error('GP file must have at least a header row and one data row');
+    }
+
+    const headers = rows[0];
+    const dateIndex = this.getDateColumnIndex(headers);
+    if (dateIndex === -1) {
+      throw new Error('GP file has no Dates column');
+    }
+
+    // Group columns by segment + measure + basis
+    const groups = {};
+    const columns = [];
+    const ignoredColumns = [];
+
+    headers.forEach((header, index) => {
+      if (index === dateIndex) return;
+
+      const column = this.classifyColumn(header);
+      if (!column) {
+        ignoredColumns.push(header);
+        return;
+      }
+
+      columns.push({ header, ...column });
+      const key = `${column.segment}|${column.measure}|${column.basis}`;
+      if (!groups[key]) groups[key] = [];
+      groups[key].push({ index, component: column.component });
+    });
+
+    // Parse the values of a column group, summing components (Lubes + Dooley) when reported separately
+    const readGroup = (values, segment, measure, basis) => {
+      const group = groups[`${segment}|${measure}|${basis}`];
+      if (!group) return null;
+
+      const combined = group.filter(column => column.component === segment);
+      const used = combined.length > 0 ? combined.slice(0, 1) : group;
+      let total = null;
+
+      used.forEach(({ index }) => {
+        const raw = values[index];
+        if (raw === undefined || String(raw).trim() === '') return;
+        total = (total || 0) + parseNumber(raw);
+      });
+      return total;
+    };
+
+    // Dated rows, oldest first
+    const datedRows = rows.slice(1)
+      .map(values => ({ values, date: parseDate(values[dateIndex]) }))
+      .filter(row => row.date instanceof Date && !isNaN(row.date.getTime()))
+      .sort((a, b) => a.date - b.date);
+
+    const points = [];
+    const segments = this.segments.filter(segment =>
+      Object.keys(groups).some(key => key.startsWith(segment + '|')));
+
+    segments.forEach(segment => {
+      // Month-to-date totals so daily and running layouts end up with both views
+      const toDate = { goal: 0, actual: 0 };
+      let currentMonth = null;
+
+      datedRows.forEach(({ values, date }) => {
+        const month = `${date.getFullYear()}-${date.getMonth()}`;
+        if (month !== currentMonth) {
+          currentMonth = month;
+          toDate.goal = 0;
+          toDate.actual = 0;
+        }
+
+        const point = {
+          segment,
+          date,
+          year: date.getFullYear(),
+          goal: null,
+          actual: null,
+          goalToDate: null,
+          actualToDate: null,
+          variance: null,
+          reportedPct: readGroup(values, segment, 'pct', 'daily') ?? readGroup(values, segment, 'pct', 'running')
+        };
+
+        ['goal', 'actual'].forEach(measure => {
+          const daily = readGroup(values, segment, measure, 'daily');
+          const running = readGroup(values, segment, measure, 'running');
+
+          if (daily !== null) {
+            point[measure] = daily;
+            point[`${measure}ToDate`] = running !== null ? running : toDate[measure] + daily;
+          } else if (running !== null) {
+            point[measure] = running - toDate[measure];
+            point[`${measure}ToDate`] = running;
+          }
+
+          if (point[`${measure}ToDate`] !== null) {
+            toDate[measure] = point[`${measure}ToDate`];
+          }
+        });
+
+        // Variance of month-to-date actual against goal
+        if (point.goalToDate && point.actualToDate !== null) {
+          point.variance = ((point.actualToDate - point.goalToDate) / Math.abs(point.goalToDate)) * 100;
+        }
+
+        points.push(point);
+      });
+    });
+
+    const years = [...new Set(points.map(point => point.year))].sort();
+
+    if (ignoredColumns.length > 0) {
+      console.warn('⚠️ GP columns not recognized:', ignoredColumns);
+    }
+    console.log(`✅ Parsed GP data: ${segments.length} segments × ${datedRows.length} dates (${years.join(', ')})`);
+
+    return { years, segments, points, columns, ignoredColumns };
+  }
+}
+
+// Export for use in other modules
+window.ChiefGPImporter = ChiefGPImporter;
@@ -0,0 +1,237 @@
+/**
+ * Chief Petroleum GP Pacing Analyzer
+ * Compares each GP segment's year-to-date actual with its goal, projects the year-end result from the current
+ * run rate and from prior years' seasonality, and works out the daily pace needed to reach the goal
+ */
+
+class ChiefGPPacingAnalyzer {
+  constructor() {
+    this.alertThreshold = -5; // Percent behind goal (year or month to date) that raises an alert
+    this.minSeasonalMonths = 6; // Prior years with fewer months of actuals are too thin to give a seasonal shape
+    this.totalSegment = 'Chief'; // The GP files' company total
+  }
+
+  /**
+   * Count weekdays from one date to another, both inclusive - GP is only booked on business days
+   */
+  countWeekdays(from, to) {
+    let count = 0;
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+    const end = new Date(to.getFullYear(), to.getMonth(), to.getDate());
+
+    while (day <= end) {
+      if (day.getDay() !== 0 && day.getDay() !== 6) count++;
+      day.setDate(day.getDate() + 1);
+    }
+    return count;
+  }
+
+  /**
+   * Share of a month's weekdays that have passed by a date
+   */
+  getMonthFraction(date) {
+    const year = date.getFullYear();
+    const month = date.getMonth();
+    const total = this.countWeekdays(new Date(year, month, 1), new Date(year, month + 1, 0));
+    return total > 0 ? this.countWeekdays(new Date(year, month, 1), date) / total : 1;
+  }
+
+  /**
+   * Monthly actual GP of a prior year, filling months the file doesn't cover
+   * The last month with data is scaled up to a full month; months after it take the average month
+   * @returns {number[]|null} Twelve monthly weights, or null when the year has too little data
+   */
+  getMonthlyWeights(points) {
+    const months = new Array(12).fill(null);
+    let lastDate = null;
+
+    points.forEach(point => {
+      const month = point.date.getMonth();
+      months[month] = (months[month] || 0) + (point.actual || 0);
+      if (!lastDate || point.date > lastDate) lastDate = point.date;
+    });
+
+    const covered = months.filter(value => value !== null);
+    if (covered.length < this.minSeasonalMonths) return null;
+
+    const lastMonth = lastDate.getMonth();
+    const fraction = this.getMonthFraction(lastDate);
+    if (fraction > 0) months[lastMonth] /= fraction;
+
+    const average = months.reduce((sum, value) => sum + (value || 0), 0) / covered.length;
+    const weights = months.map(value => (value === null ? average : value));
+    return weights.some(weight => weight < 0) || average <= 0 ? null : weights;
+  }
+
+  /**
+   * Share of a year's GP earned by a date, averaged over prior years' seasonal shapes
+   * Falls back to the share of the year's weekdays that have passed when there are no usable prior years
+   * @returns {Object} { share, years } - years lists the prior years used
+   */
+  getSeasonalShare(priorPointsByYear, asOf) {
+    const month = asOf.getMonth();
+    const fraction = this.getMonthFraction(asOf);
+    const shares = [];
+    const years = [];
+
+    priorPointsByYear.forEach((points, year) => {
+      const weights = this.getMonthlyWeights(points);
+      if (!weights) return;
+
+      const total = weights.reduce((sum, value) => sum + value, 0);
+      const earned = weights.slice(0, month).reduce((sum, value) => sum + value, 0) + weights[month] * fraction;
+      shares.push(earned / total);
+      years.push(year);
+    });
+
+    if (shares.length === 0) {
+      const year = asOf.getFullYear();
+      return {
+        share: this.countWeekdays(new Date(year, 0, 1), asOf) / this.countWeekdays(new Date(year, 0, 1), new Date(year, 11, 31)),
+        years
+      };
+    }
+
+    return { share: shares.reduce((sum, value) => sum + value, 0) / shares.length, years: years.sort() };
+  }
+
+  /**
+   * Build the pacing of every segment for the latest GP year
+   * @param {Array} points - GP points from every uploaded GP dataset (see ChiefDashboard.getGPPoints)
+   * @param {string[]} segmentOrder - Display order of the segments
+   * @param {Object} annualGoals - Segment → annual goal entered in the budget editor; the Chief total gets the sum
+   *   of the others when it has none and every other segment has one
+   * @returns {Object|null} { year, asOf, segments: [...], alerts: [...] } - null without GP data
+   *   Each segment: { segment, goalToDate, actualToDate, pacePercent, monthGoal, monthActual, monthPacePercent,
+   *   weekdaysElapsed, weekdaysRemaining, runRate, runRateProjection, seasonalProjection, projection, seasonalYears,
+   *   seasonalShare, yearEndGoal, goalEstimated, goalFromBudget, projectedGap, neededPerDay, status }
+   */
+  analyze(points, segmentOrder = [], annualGoals = {}) {
+    if (points.length === 0) return null;
+
+    const year = Math.max(...points.map(point => point.year));
+    const segments = [...new Set(points.map(point => point.segment))]
+      .sort((a, b) => {
+        const indexA = segmentOrder.indexOf(a);
+        const indexB = segmentOrder.indexOf(b);
+        return (indexA === -1 ? Infinity : indexA) - (indexB === -1 ? Infinity : indexB);
+      });
+
+    const goals = { ...annualGoals };
+    const parts = segments.filter(segment => segment !== this.totalSegment);
+    if (goals[this.totalSegment] === undefined && parts.length > 0 && parts.every(segment => goals[segment] !== undefined)) {
+      goals[this.totalSegment] = parts.reduce((sum, segment) => sum + goals[segment], 0);
+    }
+
+    const results = segments
+      .map(segment => this.analyzeSegment(segment, points.filter(point => point.segment === segment), year, goals[segment] ?? null))
+      .filter(Boolean);
+    if (results.length === 0) return null;
+
+    const alerts = results
+      .filter(result => result.status === 'behind')
+      .map(result => {
+        const periods = [];
+        if (result.pacePercent !== null && result.pacePercent <= this.alertThreshold) {
+          periods.push(`${result.pacePercent.toFixed(1)}% year to date`);
+        }
+        if (result.monthPacePercent !== null && result.monthPacePercent <= this.alertThreshold) {
+          periods.push(`${result.monthPacePercent.toFixed(1)}% month to date`);
+        }
+        return { segment: result.segment, message: `${result.segment} is behind pace: ${periods.join(', ')}` };
+      });
+
+    const asOf = new Date(Math.max(...results.map(result => result.asOf.getTime())));
+    console.log(`🎯 GP pacing for ${year} as of ${asOf.toLocaleDateString('en-US')}: ${alerts.length} segment(s) behind pace`);
+    return { year, asOf, segments: results, alerts };
+  }
+
+  /**
+   * Pacing of one segment
+   * @param {number|null} annualGoal - Goal from the budget editor, used instead of the GP file's goals for the year end
+   * @returns {Object|null} Null when the segment has no data in the year
+   */
+  analyzeSegment(segment, points, year, annualGoal = null) {
+    const current = points.filter(point => point.year === year);
+    if (current.length === 0) return null;
+
+    const asOf = current[current.length - 1].date;
+    const withGoal = current.filter(point => point.goal !== null);
+    const actualToDate = current.reduce((sum, point) => sum + (point.actual || 0), 0);
+    const goalToDate = withGoal.length > 0 ? withGoal.reduce((sum, point) => sum + point.goal, 0) : null;
+
+    // The files' running totals restart every month, so month to date is the last reported pair
+    const latest = current[current.length - 1];
+    const monthGoal = latest.goalToDate ?? null;
+    const monthActual = latest.actualToDate ?? null;
+
+    const yearStart = new Date(year, 0, 1);
+    const weekdaysElapsed = this.countWeekdays(yearStart, asOf);
+    const weekdaysRemaining = this.countWeekdays(new Date(asOf.getFullYear(), asOf.getMonth(), asOf.getDate() + 1), new Date(year, 11, 31));
+    const runRate = weekdaysElapsed > 0 ? actualToDate / weekdaysElapsed : 0;
+
+    const priorPointsByYear = new Map();
+    points.filter(point => point.year < year).forEach(point => {
+      if (!priorPointsByYear.has(point.year)) priorPointsByYear.set(point.year, []);
+      priorPointsByYear.get(point.year).push(point);
+    });
+    const { share, years: seasonalYears } = this.getSeasonalShare(priorPointsByYear, asOf);
+
+    const runRateProjection = actualToDate + runRate * weekdaysRemaining;
+    const seasonalProjection = seasonalYears.length > 0 && share > 0 ? actualToDate / share : null;
+    const projection = seasonalProjection ?? runRateProjection;
+
+    // Goals only run as far as the file does - when they stop before December, the rest of the year is
+    // estimated with the same seasonal share as the actuals
+    const lastGoal = withGoal[withGoal.length - 1];
+    const goalFromBudget = annualGoal !== null;
+    const goalEstimated = !goalFromBudget && (!lastGoal || lastGoal.date.getMonth() < 11);
+    let yearEndGoal = goalFromBudget ? annualGoal : goalToDate;
+    if (goalEstimated && goalToDate !== null) {
+      yearEndGoal = share > 0 ? goalToDate / share : null;
+    }
+
+    const percent = (actual, goal) => (goal ? ((actual - goal) / Math.abs(goal)) * 100 : null);
+    const pacePercent = percent(actualToDate, goalToDate);
+    const monthPacePercent = monthGoal === null || monthActual === null ? null : percent(monthActual, monthGoal);
+
+    const projectedGap = yearEndGoal === null ? null : projection - yearEndGoal;
+    const neededPerDay = yearEndGoal === null
+      ? null
+      : weekdaysRemaining > 0 ? Math.max(0, yearEndGoal - actualToDate) / weekdaysRemaining : null;
+
+    let status = 'noGoal';
+    if (pacePercent !== null || monthPacePercent !== null) {
+      const behind = [pacePercent, monthPacePercent].some(value => value !== null && value <= this.alertThreshold);
+      status = behind ? 'behind' : pacePercent !== null && pacePercent < 0 ? 'atRisk' : 'onPace';
+    }
+
+    return {
+      segment,
+      asOf,
+      goalToDate,
+      actualToDate,
+      pacePercent,
+      monthGoal,
+      monthActual,
+      monthPacePercent,
+      weekdaysElapsed,
+      weekdaysRemaining,
+      runRate,
+      runRateProjection,
+      seasonalProjection,
+      projection,
+      seasonalYears,
+      seasonalShare: share,
+      yearEndGoal,
+      goalEstimated,
+      goalFromBudget,
+      projectedGap,
+      neededPerDay,
+      status
+    };
+  }
+}
+
+// Export for use in other modules
+window.ChiefGPPacingAnalyzer = ChiefGPPacingAnalyzer;
@@ -0,0 +1,162 @@
+/**
+ * Chief Petroleum GP Reconciler
+ * Rebuilds GP segment actuals from transaction profit and compares them date by date with the QuickBooks
+ * actuals typed into the GP files, keeping the transactions behind every gap
+ */
+
+class ChiefGPReconciler {
+  constructor() {
+    this.profitField = 'Actual Profit By Item';
+    this.segmentField = 'ProductSegment'; // Set from the product catalog when transactions are processed
+    this.totalSegment = 'Chief'; // The GP files' company total - every assigned transaction counts towards it
+    this.tolerance = 1; // Dollars of difference on a date that still count as reconciled
+  }
+
+  /**
+   * Read profit as a number - blanks and text count as zero
+   */
+  toNumber(value) {
+    return ChiefFormulaEngine.toNumber(value) ?? 0;
+  }
+
+  /**
+   * Day a record or point falls on, at midnight
+   * @returns {Date|null} Null for a missing or invalid date
+   */
+  getDay(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  /**
+   * Month key of a day
+   */
+  getMonthKey(day) {
+    return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * Check whether a transaction belongs to a GP segment
+   */
+  inSegment(record, segment) {
+    const recordSegment = record[this.segmentField];
+    return segment === this.totalSegment ? Boolean(recordSegment) : recordSegment === segment;
+  }
+
+  /**
+   * Reconcile one segment
+   * GP rows skip some days and their running totals restart every month, so each GP row covers the days since
+   * the previous row of the same month. Transactions after a month's last GP row become "not in GP file" rows.
+   * @param {Array} records - Transaction records
+   * @param {Array} points - GP points (see ChiefGPImporter.parseRows)
+   * @param {string} segment - GP segment, or 'Chief' for all assigned transactions
+   * @returns {Object} { segment, rows, totals: { gp, transactions, difference }, gapCount, unassigned, range }
+   *   Each row: { date, from, gpActual, transactionActual, difference, gpToDate, transactionToDate,
+   *   runningDifference, indices, status: 'match'|'gap'|'notInGP' }
+   */
+  reconcile(records, points, segment) {
+    const transactions = [];
+    let unassigned = 0;
+
+    records.forEach((record, index) => {
+      const day = this.getDay(record.Date);
+      if (!day) return;
+      if (!record[this.segmentField]) {
+        unassigned++;
+        return;
+      }
+      if (this.inSegment(record, segment)) {
+        transactions.push({ index, day, profit: this.toNumber(record[this.profitField]) });
+      }
+    });
+
+    const days = records.map(record => this.getDay(record.Date)).filter(Boolean);
+    if (days.length === 0) {
+      return { segment, rows: [], totals: { gp: 0, transactions: 0, difference: 0 }, gapCount: 0, unassigned, range: null };
+    }
+
+    // Only compare the months the transactions cover, up to the last transaction date
+    // Reduce rather than spreading into Math.min/max - large datasets overflow the call stack
+    const range = {
+      from: days.reduce((earliest, day) => (day < earliest ? day : earliest)),
+      to: days.reduce((latest, day) => (day > latest ? day : latest))
+    };
+    const firstMonth = new Date(range.from.getFullYear(), range.from.getMonth(), 1);
+
+    const segmentPoints = points
+      .filter(point => point.segment === segment && point.actual !== null)
+      .map(point => ({ ...point, day: this.getDay(point.date) }))
+      .filter(point => point.day && point.day >= firstMonth && point.day <= range.to)
+      .sort((a, b) => a.day - b.day);
+
+    const months = new Map();
+    const monthOf = (day) => {
+      const key = this.getMonthKey(day);
+      if (!months.has(key)) months.set(key, { points: [], transactions: [] });
+      return months.get(key);
+    };
+    segmentPoints.forEach(point => monthOf(point.day).points.push(point));
+    transactions.forEach(transaction => monthOf(transaction.day).transactions.push(transaction));
+
+    const rows = [];
+    [...months.keys()].sort().forEach(key => {
+      const { points: monthPoints, transactions: monthTransactions } = months.get(key);
+      const [year, month] = key.split('-').map(Number);
+      let from = new Date(year, month - 1, 1);
+      let gpToDate = 0;
+      let transactionToDate = 0;
+
+      const addRow = (date, window, gpActual, reportedToDate) => {
+        const transactionActual = window.reduce((sum, transaction) => sum + transaction.profit, 0);
+        transactionToDate += transactionActual;
+        if (gpActual !== null) gpToDate = reportedToDate ?? gpToDate + gpActual;
+
+        const difference = transactionActual - (gpActual || 0);
+        rows.push({
+          date,
+          from,
+          gpActual,
+          transactionActual,
+          difference,
+          gpToDate: gpActual === null ? null : gpToDate,
+          transactionToDate,
+          runningDifference: transactionToDate - gpToDate,
+          indices: window.map(transaction => transaction.index),
+          status: gpActual === null ? 'notInGP' : Math.abs(difference) <= this.tolerance ? 'match' : 'gap'
+        });
+      };
+
+      monthPoints.forEach(point => {
+        addRow(point.day, monthTransactions.filter(transaction => transaction.day >= from && transaction.day <= point.day), point.actual, point.actualToDate);
+        from = new Date(point.day.getFullYear(), point.day.getMonth(), point.day.getDate() + 1);
+      });
+
+      const trailing = monthTransactions.filter(transaction => transaction.day >= from);
+      if (trailing.length > 0) {
+        const lastDay = trailing.reduce((latest, transaction) => (transaction.day > latest ? transaction.day : latest), trailing[0].day);
+        addRow(lastDay, trailing, null, null);
+      }
+    });
+
+    const totals = {
+      gp: rows.reduce((sum, row) => sum + (row.gpActual || 0), 0),
+      transactions: rows.reduce((sum, row) => sum + row.transactionActual, 0)
+    };
+    totals.difference = totals.transactions - totals.gp;
+
+    return { segment, rows, totals, gapCount: rows.filter(row => row.status !== 'match').length, unassigned, range };
+  }
+
+  /**
+   * Reconcile every segment
+   * @returns {Array} Results of reconcile() in segment order
+   */
+  reconcileAll(records, points, segments) {
+    const results = segments.map(segment => this.reconcile(records, points, segment));
+    console.log(`🧾 GP reconciliation: ${results.map(result => `${result.segment} ${result.gapCount} gap(s)`).join(', ')}`);
+    return results;
+  }
+}
+
+// Export for use in other modules
+window.ChiefGPReconciler = ChiefGPReconciler;
@@ -0,0 +1,254 @@
+/**
+ * Chief Petroleum KPI Deck Manager
+ * The KPI cards each user has picked from the catalog, in their order, with targets and red/amber/green thresholds
+ */
+
+class ChiefKPIDeckManager {
+  constructor() {
+    this.storageKey = 'chief-dashboard-kpi-deck';
+
+    // Metrics a card can show. valueId/changeId keep the element IDs of the original four cards.
+    // better: whether a higher or lower value is good, used for the threshold colours
+    this.catalog = {
+      totalSales: { label: 'Total Sales', icon: 'fa-dollar-sign', format: 'currency', better: 'higher', valueId: 'total-sales', changeId: 'sales-change' },
+      totalGallons: { label: 'Gallons Sold', icon: 'fa-gas-pump', format: 'number', better: 'higher', valueId: 'total-gallons', changeId: 'gallons-change' },
+      profitMargin: { label: 'Profit Margin', icon: 'fa-chart-line', format: 'percent', better: 'higher', valueId: 'profit-margin', changeId: 'margin-change' },
+      activeCustomers: { label: 'Active Customers', icon: 'fa-users', format: 'number', better: 'higher', valueId: 'active-customers', changeId: 'customers-change' },
+      totalProfit: { label: 'Total Profit', icon: 'fa-coins', format: 'currency', better: 'higher' },
+      profitPerGallon: { label: 'Profit per Gallon', icon: 'fa-hand-holding-usd', format: 'price', better: 'higher' },
+      costPerGallon: { label: 'Cost per Gallon', icon: 'fa-tags', format: 'price', better: 'lower' },
+      revenuePerGallon: { label: 'Revenue per Gallon', icon: 'fa-money-bill-wave', format: 'price', better: 'higher' },
+      deliveries: { label: 'Deliveries', icon: 'fa-truck', format: 'number', better: 'higher' },
+      avgDropSize: { label: 'Average Drop Size', icon: 'fa-tint', format: 'number', better: 'higher' },
+      avgSale: { label: 'Average Sale', icon: 'fa-receipt', format: 'currency', better: 'higher' },
+      newCustomers: { label: 'New Customers', icon: 'fa-user-plus', format: 'number', better: 'higher' }
+    };
+
+    this.defaultDeck = ['totalSales', 'totalGallons', 'profitMargin', 'activeCustomers']
+      .map(metric => ({ metric, target: null, redThreshold: null }));
+
+    this.deck = this.loadDeck();
+  }
+
+  /**
+   * Load the saved deck from localStorage, dropping cards for metrics that no longer exist
+   */
+  loadDeck() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      if (Array.isArray(saved)) {
+        return saved
+          .filter(card => card && this.catalog[card.metric])
+          .map(card => ({ metric: card.metric, target: card.target ?? null, redThreshold: card.redThreshold ?? null }));
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not read saved KPI deck:', error);
+    }
+    return this.defaultDeck.map(card => ({ ...card }));
+  }
+
+  /**
+   * Save the deck to localStorage
+   */
+  saveDeck() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.deck));
+  }
+
+  /**
+   * Get the cards in display order
+   */
+  getCards() {
+    return this.deck.map(card => ({ ...card }));
+  }
+
+  /**
+   * Element IDs of a card's value and change indicator
+   */
+  getElementIds(metric) {
+    const { valueId, changeId } = this.catalog[metric];
+    return { value: valueId || `kpi-${metric}`, change: changeId || `kpi-${metric}-change` };
+  }
+
+  /**
+   * Catalog metrics not on the deck yet
+   */
+  getAvailableMetrics() {
+    return Object.keys(this.catalog).filter(metric => !this.deck.some(card => card.metric === metric));
+  }
+
+  /**
+   * Add a card to the end of the deck
+   */
+  addCard(metric) {
+    if (!this.catalog[metric]) {
+      throw new Error(`Unknown KPI "${metric}"`);
+    }
+    if (this.deck.some(card => card.metric === metric)) {
+      throw new Error(`"${this.catalog[metric].label}" is already on the dashboard`);
+    }
+
+    this.deck.push({ metric, target: null, redThreshold: null });
+    this.saveDeck();
+  }
+
+  /**
+   * Remove a card
+   */
+  removeCard(index) {
+    if (this.deck.length <= 1) {
+      throw new Error('Keep at least one KPI card');
+    }
+    this.deck.splice(index, 1);
+    this.saveDeck();
+  }
+
+  /**
+   * Move a card up (-1) or down (+1)
+   */
+  moveCard(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.deck.length) return;
+
+    [this.deck[index], this.deck[target]] = [this.deck[target], this.deck[index]];
+    this.saveDeck();
+  }
+
+  /**
+   * Set every card's target and red threshold
+   * All rows are checked before any card changes, so one bad value leaves the deck untouched
+   * @param {Array<Object>} thresholds - { target, redThreshold } per card position - blank values clear them
+   */
+  setThresholds(thresholds) {
+    const parsed = thresholds.map((values, index) => this.parseThresholds(index, values));
+
+    parsed.forEach((values, index) => {
+      const card = this.deck[index];
+      if (!card || !values) return;
+      card.target = values.target;
+      card.redThreshold = values.redThreshold;
+    });
+    this.saveDeck();
+  }
+
+  /**
+   * Check one card's target and red threshold
+   * @returns {Object|null} { target, redThreshold } as numbers or null - null when there is no card at the index
+   */
+  parseThresholds(index, { target, redThreshold }) {
+    const card = this.deck[index];
+    if (!card) return null;
+
+    const { label, better } = this.catalog[card.metric];
+    const parse = (value, name) => {
+      if (value === null || value === undefined || String(value).trim() === '') return null;
+      const number = Number(value);
+      if (isNaN(number)) {
+        throw new Error(`${label}: ${name} must be a number`);
+      }
+      return number;
+    };
+
+    const parsedTarget = parse(target, 'target');
+    const parsedRed = parse(redThreshold, 'red threshold');
+
+    if (parsedRed !== null && parsedTarget === null) {
+      throw new Error(`${label}: set a target before a red threshold`);
+    }
+    if (parsedRed !== null && (better === 'higher' ? parsedRed > parsedTarget : parsedRed < parsedTarget)) {
+      throw new Error(`${label}: the red threshold must be ${better === 'higher' ? 'below' : 'above'} the target`);
+    }
+
+    return { target: parsedTarget, redThreshold: parsedRed };
+  }
+
+  /**
+   * Put the original four cards back
+   */
+  resetDeck() {
+    this.deck = this.defaultDeck.map(card => ({ ...card }));
+    this.saveDeck();
+  }
+
+  /**
+   * Rate a value against a card's thresholds
+   * @returns {string|null} 'green' (target met), 'amber', 'red' (past the red threshold), or null without a target
+   */
+  getStatus(card, value) {
+    if (card.target === null || value === null || value === undefined) return null;
+
+    const better = this.catalog[card.metric].better;
+    const meets = (threshold) => (better === 'higher' ? value >= threshold : value <= threshold);
+
+    if (meets(card.target)) return 'green';
+    if (card.redThreshold !== null && !meets(card.redThreshold)) return 'red';
+    return 'amber';
+  }
+
+  /**
+   * Find each customer's first purchase date, used to count new customers
+   * @returns {Map<string, Date>} Customer → first transaction date
+   */
+  getFirstPurchaseDates(records) {
+    const firstSeen = new Map();
+    records.forEach(record => {
+      const date = new Date(record['Date']);
+      if (!record['Customer'] || isNaN(date.getTime())) return;
+
+      const seen = firstSeen.get(record['Customer']);
+      if (!seen || date < seen) firstSeen.set(record['Customer'], date);
+    });
+    return firstSeen;
+  }
+
+  /**
+   * Calculate every catalog metric for a set of records
+   * @param {Array} records - Records in the period
+   * @param {Map} firstSeen - Result of getFirstPurchaseDates() for the whole dataset
+   * @param {Object} period - { from, to } dates of the period, for new customers
+   * @returns {Object} Metric key → value (null when it can't be calculated, e.g. per gallon with no gallons)
+   */
+  calculateMetrics(records, firstSeen = new Map(), period = null) {
+    let sales = 0;
+    let gallons = 0;
+    let profit = 0;
+    let cost = 0;
+    let deliveries = 0;
+    const customers = new Set();
+
+    records.forEach(record => {
+      sales += record['Sales'] || 0;
+      gallons += record['Gallon Qty'] || 0;
+      profit += record['Actual Profit By Item'] || 0;
+      cost += record['Actual Cost by item'] || 0;
+      if ((record['Gallon Qty'] || 0) > 0) deliveries++;
+      if (record['Customer']) customers.add(record['Customer']);
+    });
+
+    const perGallon = (value) => (gallons > 0 ? value / gallons : null);
+    const endOfPeriod = period ? new Date(period.to.getFullYear(), period.to.getMonth(), period.to.getDate() + 1) : null;
+
+    return {
+      totalSales: sales,
+      totalGallons: gallons,
+      profitMargin: sales > 0 ? (profit / sales) * 100 : 0,
+      activeCustomers: customers.size,
+      totalProfit: profit,
+      profitPerGallon: perGallon(profit),
+      costPerGallon: perGallon(cost),
+      revenuePerGallon: perGallon(sales),
+      deliveries,
+      avgDropSize: deliveries > 0 ? gallons / deliveries : null,
+      avgSale: records.length > 0 ? sales / records.length : null,
+      // Customers whose first transaction in the loaded data falls in the period
+      newCustomers: period
+        ? [...customers].filter(customer => {
+          const seen = firstSeen.get(customer);
+          return seen && seen >= period.from && seen < endOfPeriod;
+        }).length
+        : null
+    };
+  }
+}
+
+// Export for use in other modules
+window.ChiefKPIDeckManager = ChiefKPIDeckManager;
@@ -0,0 +1,178 @@
+/**
+ * Chief Petroleum Mapping Template Manager
+ * Saves named column-mapping templates and matches them to new uploads by header fingerprint
+ */
+
+class ChiefMappingTemplateManager {
+  constructor() {
+    this.storageKey = 'chief-dashboard-mapping-templates';
+    this.templates = this.loadTemplates();
+  }
+
+  /**
+   * Load saved templates from localStorage
+   */
+  loadTemplates() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      console.warn('⚠️ Could not read saved mapping templates:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save templates to localStorage
+   */
+  saveTemplates() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.templates));
+  }
+
+  /**
+   * Normalize a header name so case and whitespace differences compare equal
+   */
+  normalizeHeader(header) {
+    return String(header).trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * Build a header fingerprint - column order and case/whitespace differences are ignored
+   * @param {string[]} headers - CSV header names
+   */
+  getFingerprint(headers) {
+    return headers
+      .map(header => this.normalizeHeader(header))
+      .filter(header => header)
+      .sort()
+      .join('|');
+  }
+
+  /**
+   * Find a template column among a file's headers, ignoring case and whitespace like the fingerprint does
+   * @param {string[]} headers - Headers of the file being imported
+   * @param {string} column - Column name saved in a template
+   * @returns {string|null} The file's spelling of the column, or null when it isn't there
+   */
+  findColumn(headers, column) {
+    const normalized = this.normalizeHeader(column);
+    return headers.find(header => this.normalizeHeader(header) === normalized) ?? null;
+  }
+
+  /**
+   * Get template names sorted alphabetically
+   */
+  getTemplateNames() {
+    return Object.keys(this.templates).sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Get a template by name
+   */
+  getTemplate(name) {
+    return this.templates[name] || null;
+  }
+
+  /**
+   * Save (or overwrite) a named template
+   * @param {string} name - Template name
+   * @param {Object} mappings - CSV column → dashboard field
+   * @param {string[]} headers - Headers of the file the template was built from
+   * @param {string|null} dateFormat - Date format chosen by hand ('MDY', 'DMY', 'YMD'), or null to auto-detect
+   */
+  saveTemplate(name, mappings, headers, dateFormat = null) {
+    this.templates[name] = {
+      name,
+      mappings: { ...mappings },
+      headers: [...headers],
+      dateFormat,
+      fingerprint: this.getFingerprint(headers),
+      savedAt: new Date().toISOString()
+    };
+    this.saveTemplates();
+    console.log(`💾 Saved mapping template "${name}" (${Object.keys(mappings).length} mappings)`);
+    return this.templates[name];
+  }
+
+  /**
+   * Delete a named template
+   */
+  deleteTemplate(name) {
+    if (!this.templates[name]) return false;
+
+    delete this.templates[name];
+    this.saveTemplates();
+    console.log(`🗑️ Deleted mapping template "${name}"`);
+    return true;
+  }
+
+  /**
+   * Find the most recently saved template whose headers match exactly
+   * @param {string[]} headers - Headers of the file being imported
+   */
+  findMatchingTemplate(headers) {
+    const fingerprint = this.getFingerprint(headers);
+
+    return Object.values(this.templates)
+      .filter(template => template.fingerprint === fingerprint)
+      .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt))[0] || null;
+  }
+
+  /**
+   * Serialize all templates for download
+   */
+  exportTemplates() {
+    return JSON.stringify({
+      type: 'chief-mapping-templates',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      templates: Object.values(this.templates)
+    }, null, 2);
+  }
+
+  /**
+   * Import templates from an exported JSON string; existing templates with the same name are replaced
+   * @returns {number} Number of templates imported
+   */
+  importTemplates(jsonText) {
+    let parsed;
+    try {
+      parsed = JSON.parse(jsonText);
+    } catch (error) {
+      throw new Error('Template file is not valid JSON');
+    }
+
+    const templates = Array.isArray(parsed) ? parsed : parsed?.templates;
+    if (!Array.isArray(templates)) {
+      throw new Error('Template file does not contain any mapping templates');
+    }
+
+    let imported = 0;
+    templates.forEach(template => {
+      if (!template || typeof template.name !== 'string' || !template.name.trim() ||
+          !template.mappings || typeof template.mappings !== 'object' ||
+          !Array.isArray(template.headers)) {
+        console.warn('⚠️ Skipping invalid mapping template:', template);
+        return;
+      }
+
+      const name = template.name.trim();
+      this.templates[name] = {
+        name,
+        mappings: { ...template.mappings },
+        headers: [...template.headers],
+        dateFormat: ['MDY', 'DMY', 'YMD'].includes(template.dateFormat) ? template.dateFormat : null,
+        fingerprint: this.getFingerprint(template.headers),
+        savedAt: template.savedAt || new Date().toISOString()
+      };
+      imported++;
+    });
+
+    this.saveTemplates();
+    console.log(`📥 Imported ${imported} mapping templates`);
+    return imported;
+  }
+}
+
+// Export for use in other modules
+window.ChiefMappingTemplateManager = ChiefMappingTemplateManager;
@@ -0,0 +1,218 @@
+/**
+ * Chief Petroleum Outlier Detector
+ * Flags transactions whose values are unusual for their segment (product family, customer and/or month)
+ * rather than for the whole column, using IQR fences or robust (median/MAD) z-scores.
+ */
+
+class ChiefOutlierDetector {
+  constructor() {
+    this.storageKey = 'chief-dashboard-outlier-settings';
+
+    this.segmentOptions = {
+      family: 'Product family',
+      customer: 'Customer',
+      month: 'Month'
+    };
+
+    this.methods = {
+      zscore: 'Robust z-score',
+      iqr: 'IQR fences'
+    };
+
+    // Values checked for each record; per-gallon metrics skip records without gallons
+    this.metrics = {
+      pricePerGallon: { label: 'Price per gallon', field: 'Sales', perGallon: true },
+      marginPerGallon: { label: 'Margin per gallon', field: 'Actual Profit By Item', perGallon: true },
+      costPerGallon: { label: 'Cost per gallon', field: 'Actual Cost by item', perGallon: true },
+      gallons: { label: 'Gallons', field: 'Gallon Qty' },
+      sales: { label: 'Sales', field: 'Sales' }
+    };
+
+    this.defaultSettings = {
+      segmentBy: ['family', 'month'],
+      method: 'zscore',
+      zThreshold: 3.5, // Iglewicz-Hoaglin cut-off for modified z-scores
+      iqrMultiplier: 1.5,
+      minSegmentSize: 8, // Smaller segments are too noisy to judge
+      metrics: ['pricePerGallon', 'marginPerGallon']
+    };
+
+    this.settings = this.loadSettings();
+  }
+
+  /**
+   * Load saved settings from localStorage
+   */
+  loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      return { ...this.defaultSettings, ...(saved || {}) };
+    } catch (error) {
+      console.warn('⚠️ Could not read saved outlier settings:', error);
+      return { ...this.defaultSettings };
+    }
+  }
+
+  /**
+   * Validate and save settings
+   */
+  saveSettings(settings) {
+    const merged = { ...this.settings, ...settings };
+
+    if (!Array.isArray(merged.segmentBy) || merged.segmentBy.some(key => !this.segmentOptions[key])) {
+      throw new Error('Unknown outlier segment');
+    }
+    if (!this.methods[merged.method]) {
+      throw new Error(`Unknown outlier method "${merged.method}"`);
+    }
+    if (!Array.isArray(merged.metrics) || merged.metrics.length === 0 || merged.metrics.some(key => !this.metrics[key])) {
+      throw new Error('Pick at least one value to check');
+    }
+    ['zThreshold', 'iqrMultiplier', 'minSegmentSize'].forEach(key => {
+      if (!(Number(merged[key]) > 0)) {
+        throw new Error(`${key} must be a positive number`);
+      }
+      merged[key] = Number(merged[key]);
+    });
+
+    this.settings = merged;
+    localStorage.setItem(this.storageKey, JSON.stringify(merged));
+    return merged;
+  }
+
+  /**
+   * Read a metric from a record
+   * @returns {number|null} Null when the record has no usable value
+   */
+  getMetricValue(record, metricKey) {
+    const metric = this.metrics[metricKey];
+    const value = ChiefFormulaEngine.toNumber(record[metric.field]);
+    if (value === null || !metric.perGallon) return value;
+
+    const gallons = ChiefFormulaEngine.toNumber(record['Gallon Qty']);
+    return gallons && gallons > 0 ? value / gallons : null;
+  }
+
+  /**
+   * Build a record's segment key and label
+   */
+  getSegment(record, segmentBy) {
+    const parts = segmentBy.map(key => {
+      if (key === 'family') {
+        return record.ProductFamily || record['Product Type'] || record.Product || 'Unknown product';
+      }
+      if (key === 'customer') {
+        return record.Customer || record.customer || 'Unknown customer';
+      }
+
+      const date = record.Date instanceof Date ? record.Date : new Date(record.Date || record.date);
+      return isNaN(date.getTime())
+        ? 'Unknown month'
+        : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    });
+
+    return parts.length > 0 ? parts.join(' · ') : 'All records';
+  }
+
+  /**
+   * Median of sorted values
+   */
+  median(sorted) {
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  /**
+   * Work out the "normal" range for one segment's values
+   * @returns {Object|null} { median, lower, upper, scale } - null when the values have no spread
+   */
+  getFences(values, settings) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const median = this.median(sorted);
+
+    if (settings.method === 'iqr') {
+      const q1 = sorted[Math.floor(sorted.length * 0.25)];
+      const q3 = sorted[Math.floor(sorted.length * 0.75)];
+      const iqr = q3 - q1;
+      if (iqr === 0) return null;
+      return { median, lower: q1 - settings.iqrMultiplier * iqr, upper: q3 + settings.iqrMultiplier * iqr, scale: iqr };
+    }
+
+    // Modified z-score: 0.6745 × (x − median) / MAD; fall back to the mean absolute deviation when MAD is 0
+    const deviations = sorted.map(value => Math.abs(value - median)).sort((a, b) => a - b);
+    let scale = this.median(deviations) / 0.6745;
+    if (scale === 0) {
+      scale = (deviations.reduce((sum, value) => sum + value, 0) / deviations.length) * 1.253314;
+    }
+    if (scale === 0) return null;
+
+    return {
+      median,
+      lower: median - settings.zThreshold * scale,
+      upper: median + settings.zThreshold * scale,
+      scale
+    };
+  }
+
+  /**
+   * Find outliers in a dataset's records
+   * @param {Array} records - Dataset records
+   * @param {Object} settings - Overrides for the saved settings
+   * @returns {Object} { flags: [{ index, metric, metricLabel, value, segment, median, lower, upper, score, direction }],
+   *   checkedSegments, skippedRecords }
+   */
+  detect(records, settings = {}) {
+    const options = { ...this.settings, ...settings };
+    const flags = [];
+    let checkedSegments = 0;
+    let skippedRecords = 0;
+
+    options.metrics.forEach(metricKey => {
+      const segments = new Map();
+      records.forEach((record, index) => {
+        const value = this.getMetricValue(record, metricKey);
+        if (value === null) return;
+
+        const segment = this.getSegment(record, options.segmentBy);
+        if (!segments.has(segment)) segments.set(segment, []);
+        segments.get(segment).push({ index, value });
+      });
+
+      segments.forEach((entries, segment) => {
+        if (entries.length < options.minSegmentSize) {
+          skippedRecords += entries.length;
+          return;
+        }
+
+        const fences = this.getFences(entries.map(entry => entry.value), options);
+        checkedSegments++;
+        if (!fences) return;
+
+        entries.forEach(({ index, value }) => {
+          if (value >= fences.lower && value <= fences.upper) return;
+
+          flags.push({
+            index,
+            metric: metricKey,
+            metricLabel: this.metrics[metricKey].label,
+            value,
+            segment,
+            median: fences.median,
+            lower: fences.lower,
+            upper: fences.upper,
+            // Distance from the median in units of the segment's spread (MAD-based z or IQRs)
+            score: (value - fences.median) / fences.scale, // The z-score scale already includes the 0.6745 factor
+            direction: value > fences.upper ? 'high' : 'low'
+          });
+        });
+      });
+    });
+
+    flags.sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+    console.log(`🔎 Outlier check: ${flags.length} flags in ${checkedSegments} segments (${skippedRecords} values in small segments skipped)`);
+    return { flags, checkedSegments, skippedRecords };
+  }
+}
+
+// Export for use in other modules
+window.ChiefOutlierDetector = ChiefOutlierDetector;
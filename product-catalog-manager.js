@@ -0,0 +1,171 @@
+/**
+ * Chief Petroleum Product Catalog Manager
+ * Maps raw QuickBooks product strings to a canonical product, family, grade, clear/dyed flag and segment
+ */
+
+class ChiefProductCatalogManager {
+  constructor() {
+    this.storageKey = 'chief-dashboard-product-catalog';
+
+    this.families = ['Diesel', 'Gasoline', 'Heating Oil', 'Jet Fuel', 'Race Fuel', 'Lubricants', 'Other'];
+    this.segments = ['Tankwagon', 'Transport Fuels', 'Lubes/Dooley', 'Hauling'];
+
+    // Fields added to each record, ignored when comparing records
+    this.recordFields = ['ProductName', 'ProductFamily', 'ProductGrade', 'ProductDyed', 'ProductSegment'];
+
+    this.entries = this.loadCatalog(); // lookup key → catalog entry
+  }
+
+  /**
+   * Load the saved catalog from localStorage
+   */
+  loadCatalog() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      console.warn('⚠️ Could not read saved product catalog:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save the catalog to localStorage
+   */
+  saveCatalog() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+  }
+
+  /**
+   * Key used to look a raw product string up - case and spacing are ignored
+   */
+  getLookupKey(rawProduct) {
+    return String(rawProduct).trim().replace(/\s+/g, ' ').toUpperCase();
+  }
+
+  /**
+   * Suggest a catalog entry from a raw product string such as "#2 LS DYED -PART (#2 DYED ULTRA LOW SULFUR BULK)"
+   */
+  suggestEntry(rawProduct) {
+    const raw = String(rawProduct).trim().replace(/\s+/g, ' ');
+    const text = raw.toUpperCase();
+    const dyed = /\bDYED\b/.test(text);
+
+    let family = 'Other';
+    if (/\bJET\b/.test(text)) {
+      family = 'Jet Fuel';
+    } else if (/\bVP\s*\d|\bRACE\b/.test(text)) {
+      family = 'Race Fuel';
+    } else if (/\bHEATING\b|\bHEAT OIL\b|\bFUEL OIL\b|\bKEROSENE\b|\bK-1\b/.test(text)) {
+      family = 'Heating Oil';
+    } else if (/#\s*[12]|\bDIESEL\b|\bULSD\b|ULTRA LOW SULFUR|\bBIODIESEL\b/.test(text)) {
+      family = 'Diesel';
+    } else if (/\bUNL|\bGASOLINE\b|\bPREM|\bOCTANE\b|\bE-?85\b|\bETHANOL\b|\bRFG\b/.test(text)) {
+      family = 'Gasoline';
+    } else if (/\bOIL\b|\bLUBE|\bGREASE\b|\bDEF\b|\bHYDRAULIC\b|\bANTIFREEZE\b|\bCOOLANT\b/.test(text)) {
+      family = 'Lubricants';
+    }
+
+    let grade = '';
+    let product;
+    switch (family) {
+      case 'Diesel':
+        grade = /#\s*1\b/.test(text) ? '#1' : '#2';
+        product = `${grade} Diesel ${dyed ? 'Dyed' : 'Clear'}`;
+        break;
+      case 'Gasoline':
+        if (/\bE-?85\b|85% ETHANOL/.test(text)) {
+          grade = 'E85';
+        } else if (/\bPREM|\b9[13]\b/.test(text)) {
+          grade = 'Premium';
+        } else if (/\bMID\b|\bPLUS\b|\b89\b/.test(text)) {
+          grade = 'Mid Grade';
+        } else {
+          grade = 'Regular';
+        }
+        product = grade === 'E85' ? 'E85' : `${grade} Unleaded`;
+        break;
+      case 'Race Fuel':
+        grade = (text.match(/\bVP\s*(\d+)/) || [])[1] || '';
+        product = `Race Fuel${grade ? ' ' + grade : ''}`;
+        break;
+      case 'Jet Fuel':
+      case 'Heating Oil':
+        product = family;
+        break;
+      default:
+        // Keep the item name, without the QuickBooks description in brackets
+        product = raw.replace(/\s*\(.*$/, '').trim() || raw;
+    }
+
+    let segment = 'Tankwagon';
+    if (family === 'Lubricants') {
+      segment = 'Lubes/Dooley';
+    } else if (/\bTRANS(PORT)?\b/.test(text)) {
+      segment = 'Transport Fuels';
+    }
+
+    return { raw, product, family, grade, dyed, segment };
+  }
+
+  /**
+   * Look up a raw product string - saved entries win over suggestions
+   * @returns {Object} { raw, product, family, grade, dyed, segment, saved }
+   */
+  lookup(rawProduct) {
+    const entry = this.entries[this.getLookupKey(rawProduct)];
+    return entry ? { ...entry, saved: true } : { ...this.suggestEntry(rawProduct), saved: false };
+  }
+
+  /**
+   * Get saved entries sorted by family then product
+   */
+  getEntries() {
+    return Object.values(this.entries)
+      .sort((a, b) => a.family.localeCompare(b.family) || a.product.localeCompare(b.product) || a.raw.localeCompare(b.raw));
+  }
+
+  /**
+   * Save (or overwrite) the catalog entry for a raw product string
+   */
+  saveEntry(rawProduct, { product, family, grade = '', dyed = false, segment }) {
+    const raw = String(rawProduct).trim().replace(/\s+/g, ' ');
+
+    if (!product || !String(product).trim()) {
+      throw new Error(`Product name is required for "${raw}"`);
+    }
+    if (!this.families.includes(family)) {
+      throw new Error(`Unknown product family "${family}"`);
+    }
+    if (!this.segments.includes(segment)) {
+      throw new Error(`Unknown segment "${segment}"`);
+    }
+
+    this.entries[this.getLookupKey(raw)] = {
+      raw,
+      product: String(product).trim(),
+      family,
+      grade: String(grade).trim(),
+      dyed: !!dyed,
+      segment
+    };
+    this.saveCatalog();
+    return this.entries[this.getLookupKey(raw)];
+  }
+
+  /**
+   * Remove a saved entry so the product falls back to its suggestion
+   */
+  removeEntry(rawProduct) {
+    const key = this.getLookupKey(rawProduct);
+    if (!this.entries[key]) return false;
+
+    delete this.entries[key];
+    this.saveCatalog();
+    console.log(`🗑️ Removed product catalog entry "${rawProduct}"`);
+    return true;
+  }
+}
+
+// Export for use in other modules
+window.ChiefProductCatalogManager = ChiefProductCatalogManager;
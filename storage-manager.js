@@ -0,0 +1,194 @@
+/**
+ * Chief Petroleum Storage Manager
+ * Persists uploaded datasets in IndexedDB so they survive page reloads
+ */
+
+class ChiefStorageManager {
+  constructor() {
+    this.dbName = 'chief-petroleum-dashboard';
+    this.dbVersion = 1;
+    this.storeName = 'datasets';
+    this.db = null;
+  }
+
+  /**
+   * Check whether IndexedDB is available in this browser
+   */
+  isAvailable() {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  }
+
+  /**
+   * Open (and create/upgrade if needed) the dashboard database
+   */
+  open() {
+    if (this.db) {
+      return Promise.resolve(this.db);
+    }
+
+    if (!this.isAvailable()) {
+      return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(this.dbName, this.dbVersion);
+
+      request.onupgradeneeded = (e) => {
+        const db = e.target.result;
+
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          // Datasets are keyed by "<kind>:<name>" so transaction and recap datasets can share names
+          const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+          store.createIndex('kind', 'kind', { unique: false });
+        }
+      };
+
+      request.onsuccess = (e) => {
+        this.db = e.target.result;
+
+        // Another tab upgraded the schema - release our connection so it can proceed
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+        };
+
+        console.log('💾 Storage Manager connected to IndexedDB');
+        resolve(this.db);
+      };
+
+      request.onerror = () => {
+        reject(new Error('Failed to open dataset storage: ' + (request.error?.message || 'unknown error')));
+      };
+
+      request.onblocked = () => {
+        console.warn('⚠️ Dataset storage upgrade blocked by another open dashboard tab');
+      };
+    });
+  }
+
+  /**
+   * Build the storage key for a dataset
+   * @param {string} kind - Dataset kind: 'transaction' or 'recap'
+   * @param {string} name - Dataset name
+   */
+  getDatasetKey(kind, name) {
+    return `${kind}:${name}`;
+  }
+
+  /**
+   * Run a request against the datasets store and resolve with its result
+   */
+  async runRequest(mode, buildRequest) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const store = transaction.objectStore(this.storeName);
+      const request = buildRequest(store);
+      let result;
+
+      if (request) {
+        request.onsuccess = () => {
+          result = request.result;
+        };
+      }
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error || new Error('Dataset storage request failed'));
+      transaction.onabort = () => reject(transaction.error || new Error('Dataset storage request aborted'));
+    });
+  }
+
+  /**
+   * Save a dataset (records, headers, mappings, upload time)
+   * @param {string} name - Dataset name
+   * @param {Object} dataset - Processed dataset object
+   * @param {string} kind - Dataset kind: 'transaction' or 'recap'
+   */
+  async saveDataset(name, dataset, kind = 'transaction') {
+    const entry = {
+      key: this.getDatasetKey(kind, name),
+      name,
+      kind,
+      savedAt: new Date().toISOString(),
+      data: {
+        ...dataset,
+        datasetName: name,
+        mappings: dataset.mappings || null,
+        uploadedAt: dataset.uploadedAt || new Date().toISOString()
+      }
+    };
+
+    await this.runRequest('readwrite', store => store.put(entry));
+    console.log(`💾 Saved ${kind} dataset "${name}" (${dataset.records?.length || 0} records)`);
+  }
+
+  /**
+   * Load every stored dataset grouped by kind, oldest upload first
+   * @returns {Promise<Object>} Map of kind → { name: dataset }
+   */
+  async loadAllDatasets() {
+    const entries = await this.runRequest('readonly', store => store.getAll()) || [];
+    const grouped = {};
+
+    entries
+      .sort((a, b) => new Date(a.data.uploadedAt) - new Date(b.data.uploadedAt))
+      .forEach(entry => {
+        if (!grouped[entry.kind]) {
+          grouped[entry.kind] = {};
+        }
+        grouped[entry.kind][entry.name] = entry.data;
+      });
+
+    console.log(`💾 Loaded ${entries.length} stored datasets`);
+    return grouped;
+  }
+
+  /**
+   * Delete a stored dataset
+   */
+  async deleteDataset(name, kind = 'transaction') {
+    await this.runRequest('readwrite', store => store.delete(this.getDatasetKey(kind, name)));
+    console.log(`🗑️ Deleted ${kind} dataset "${name}" from storage`);
+  }
+
+  /**
+   * Rename a stored dataset
+   */
+  async renameDataset(oldName, newName, kind = 'transaction') {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      const getRequest = store.get(this.getDatasetKey(kind, oldName));
+
+      getRequest.onsuccess = () => {
+        const entry = getRequest.result;
+        if (!entry) {
+          // Nothing stored under the old name (e.g. the original save failed) - nothing to rename
+          return;
+        }
+
+        store.delete(entry.key);
+        store.put({
+          ...entry,
+          key: this.getDatasetKey(kind, newName),
+          name: newName,
+          savedAt: new Date().toISOString(),
+          data: { ...entry.data, datasetName: newName }
+        });
+      };
+
+      transaction.oncomplete = () => {
+        console.log(`✏️ Renamed ${kind} dataset "${oldName}" → "${newName}" in storage`);
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error || new Error('Failed to rename dataset'));
+      transaction.onabort = () => reject(transaction.error || new Error('Dataset rename aborted'));
+    });
+  }
+}
+
+// Export for use in other modules
+window.ChiefStorageManager = ChiefStorageManager;